@@ -0,0 +1,173 @@
+/*****************************************************************
+ * audit.js – Registro de auditoría
+ * Quién hizo qué y con qué resultado: logins, quick logins, envíos
+ * y cancelaciones de 2FA, cierres de sesión, borrado, exportación e
+ * importación de cookies y limpiezas. Archivo JSON Lines en el que solo se añaden líneas.
+ *****************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/*─────────────────  ACCIONES Y RESULTADOS  ──────────────────*/
+const AUDIT_ACTIONS = Object.freeze({
+    LOGIN: 'login',
+    QUICK_LOGIN: 'quick_login',
+    TWO_FACTOR_SUBMIT: '2fa.submit',
+    TWO_FACTOR_CANCEL: '2fa.cancel',
+    SESSION_CLOSE: 'session.close',
+    COOKIES_DELETE: 'cookies.delete',
+    COOKIES_EXPORT: 'cookies.export',
+    COOKIES_IMPORT: 'cookies.import',
+    COOKIES_VALIDATE: 'cookies.validate',
+    CLEANUP: 'cleanup'
+});
+
+const AUDIT_OUTCOMES = Object.freeze({
+    SUCCESS: 'success',
+    PENDING: 'pending',   // El login espera un código 2FA o control manual
+    FAILURE: 'failure',
+    ERROR: 'error'        // Error interno del servidor
+});
+
+// Acciones sin operador detrás: revisiones periódicas, arranque, apagado...
+const SYSTEM_ACTOR = Object.freeze({ actor: 'system', actorType: 'system' });
+
+// Códigos llegados por el webhook de SMS (ver sms-inbox.js)
+const INBOX_ACTOR = Object.freeze({ actor: '2fa-inbox', actorType: 'webhook' });
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Actor de una petición a partir de req.auth (ver auth.js)
+ * @param {Object|null} auth - { type, username, tokenName } o null con la autenticación desactivada
+ * @returns {Object} - { actor, actorType, tokenName }
+ */
+function actorFromAuth(auth) {
+    if (!auth) {
+        return { actor: 'anonymous', actorType: 'anonymous' };
+    }
+    return {
+        actor: auth.username || auth.tokenName || 'unknown',
+        actorType: auth.type,
+        ...(auth.tokenName && { tokenName: auth.tokenName })
+    };
+}
+
+/**
+ * Valida y normaliza los filtros de consulta (p. ej. los de la query string de GET /audit)
+ * @param {Object} query - { action, actor, email, outcome, sessionId, since, until, limit }
+ * @returns {Object} - { filters, errors }
+ */
+function parseAuditQuery(query = {}) {
+    const errors = [];
+    const filters = {};
+
+    ['actor', 'email', 'sessionId'].forEach(key => {
+        if (query[key]) filters[key] = String(query[key]);
+    });
+
+    if (query.action) {
+        if (!Object.values(AUDIT_ACTIONS).includes(query.action)) {
+            errors.push(`action desconocida. Valores válidos: ${Object.values(AUDIT_ACTIONS).join(', ')}`);
+        } else {
+            filters.action = query.action;
+        }
+    }
+    if (query.outcome) {
+        if (!Object.values(AUDIT_OUTCOMES).includes(query.outcome)) {
+            errors.push(`outcome desconocido. Valores válidos: ${Object.values(AUDIT_OUTCOMES).join(', ')}`);
+        } else {
+            filters.outcome = query.outcome;
+        }
+    }
+
+    ['since', 'until'].forEach(key => {
+        if (!query[key]) return;
+        const date = new Date(query[key]);
+        if (Number.isNaN(date.getTime())) {
+            errors.push(`${key} debe ser una fecha ISO 8601`);
+        } else {
+            filters[key] = date;
+        }
+    });
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+            errors.push(`limit debe ser un entero entre 1 y ${MAX_QUERY_LIMIT}`);
+        } else {
+            filters.limit = limit;
+        }
+    }
+
+    return { filters, errors };
+}
+
+/*─────────────────  REGISTRO  ──────────────────*/
+/**
+ * Registro de auditoría en un archivo JSON Lines (una entrada por línea, nunca se reescribe)
+ * @param {string} filePath - Archivo del registro
+ * @returns {Object} - { record, query }
+ */
+function createAuditLog(filePath) {
+    return {
+        /**
+         * Añade una entrada. Un fallo de escritura se registra en consola pero no interrumpe la acción auditada.
+         * @param {Object} data - { action, actor, actorType, tokenName, email, sessionId, outcome, detail, ... }
+         * @returns {Object} - Entrada con id y at
+         */
+        record(data) {
+            const entry = { id: crypto.randomUUID(), at: new Date().toISOString(), ...data };
+            try {
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+            } catch (error) {
+                console.error(`❌ Error guardando el registro de auditoría (${filePath}):`, error.message);
+            }
+            return entry;
+        },
+
+        /**
+         * Entradas que cumplen los filtros, las más recientes primero
+         * @param {Object} filters - Resultado de parseAuditQuery (email sin distinguir mayúsculas)
+         * @returns {Object} - { total, entries } (total: coincidencias antes de aplicar limit)
+         */
+        query({ action, actor, email, outcome, sessionId, since, until, limit = DEFAULT_QUERY_LIMIT } = {}) {
+            if (!fs.existsSync(filePath)) {
+                return { total: 0, entries: [] };
+            }
+            const account = email ? email.toLowerCase() : null;
+            const matches = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean)
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (e) {
+                        return null; // Línea incompleta (p. ej. el proceso murió escribiendo)
+                    }
+                })
+                .filter(entry => entry
+                    && (!action || entry.action === action)
+                    && (!actor || entry.actor === actor)
+                    && (!account || String(entry.email || '').toLowerCase() === account)
+                    && (!outcome || entry.outcome === outcome)
+                    && (!sessionId || entry.sessionId === sessionId)
+                    && (!since || new Date(entry.at) >= since)
+                    && (!until || new Date(entry.at) <= until))
+                .reverse();
+            return { total: matches.length, entries: matches.slice(0, limit) };
+        }
+    };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_OUTCOMES,
+    SYSTEM_ACTOR,
+    INBOX_ACTOR,
+    actorFromAuth,
+    parseAuditQuery,
+    createAuditLog
+};
@@ -0,0 +1,511 @@
+/*****************************************************************
+ * auth.js – Autenticación y permisos del panel y de la API
+ * Operadores con contraseña (hash scrypt), tokens de API para
+ * scripts (se guarda solo su SHA-256) y sesiones del panel en
+ * memoria identificadas por una cookie HttpOnly. Cada operador y
+ * token tiene un rol (viewer < operator < admin).
+ *****************************************************************/
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const { writeFileAtomic } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Parámetros de scrypt (se guardan con cada hash para poder subirlos en el futuro)
+const SCRYPT_PARAMS = Object.freeze({ N: 16384, r: 8, p: 1, keylen: 64 });
+const SALT_BYTES = 16;
+
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._@-]{0,63}$/;
+
+// Prefijo de los tokens de API: permite reconocerlos en logs y escáneres de secretos
+const TOKEN_PREFIX = 'fbt_';
+const TOKEN_BYTES = 24;
+
+// Cookie de la sesión del panel
+const SESSION_COOKIE = 'fb_auth';
+
+// Inicios de sesión fallidos permitidos por usuario e IP antes de bloquear
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+// Intervalo mínimo entre escrituras de lastUsedAt de un token
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Hash de relleno para usuarios inexistentes (se calcula una vez)
+let dummyHash = null;
+
+/*─────────────────  ROLES  ──────────────────*/
+// Cada rol incluye los permisos de los anteriores
+const ROLES = Object.freeze({
+    VIEWER: 'viewer',       // Consulta sesiones, cookies, cache y estados
+    OPERATOR: 'operator',   // Además inicia logins, envía códigos 2FA y controla sesiones
+    ADMIN: 'admin'          // Además borra datos, ve el debug y gestiona cuentas, operadores y tokens
+});
+
+const ROLE_ORDER = [ROLES.VIEWER, ROLES.OPERATOR, ROLES.ADMIN];
+
+// Operadores y tokens creados antes de existir los roles tenían acceso completo
+const LEGACY_ROLE = ROLES.ADMIN;
+
+/**
+ * @param {string} role - Rol a comprobar
+ * @returns {boolean}
+ */
+function isRole(role) {
+    return ROLE_ORDER.includes(role);
+}
+
+/**
+ * @param {string} role - Rol de quien hace la petición
+ * @param {string} required - Rol mínimo exigido
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+    return isRole(role) && ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(required);
+}
+
+/**
+ * @param {string} role - Rol recibido
+ * @throws {Error} - Si no es un rol conocido
+ */
+function validateRole(role) {
+    if (!isRole(role)) {
+        throw new Error(`Rol no válido: usa ${ROLE_ORDER.join(', ')}`);
+    }
+}
+
+/*─────────────────  PERMISOS POR RUTA  ──────────────────*/
+/**
+ * Convierte una ruta con parámetros (/cookies/:email) o prefijo (/debug/*) en una expresión regular
+ * @param {string} pattern - Ruta
+ * @returns {RegExp}
+ */
+function compileRoute(pattern) {
+    const escaped = pattern
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\/\*$/, '(?:/.*)?')
+        .replace(/:[a-zA-Z]+/g, '[^/]+');
+    return new RegExp(`^${escaped}/?$`);
+}
+
+/**
+ * Tabla de permisos: [método, ruta, rol mínimo]. El método '*' vale para cualquiera.
+ * @param {Array<Array>} routes - Entradas de la tabla
+ * @returns {Function} - (method, path) => rol mínimo, o null si la ruta no está en la tabla
+ */
+function createRoutePermissions(routes) {
+    const compiled = routes.map(([method, pattern, role]) => {
+        validateRole(role);
+        return { method, regex: compileRoute(pattern), role };
+    });
+    return (method, routePath) => {
+        const verb = method === 'HEAD' ? 'GET' : method;
+        const entry = compiled.find(candidate =>
+            (candidate.method === '*' || candidate.method === verb) && candidate.regex.test(routePath));
+        return entry ? entry.role : null;
+    };
+}
+
+/*─────────────────  CONTRASEÑAS  ──────────────────*/
+/**
+ * @param {string} password - Contraseña en claro
+ * @returns {Promise<string>} - 'scrypt:N:r:p:<sal>:<hash>' en base64
+ */
+async function hashPassword(password) {
+    const { N, r, p, keylen } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(String(password), salt, keylen, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join(':');
+}
+
+/**
+ * Comprueba una contraseña contra su hash en tiempo constante
+ * @param {string} password - Contraseña recibida
+ * @param {string} stored - Valor devuelto por hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * @param {string} password - Contraseña nueva
+ * @throws {Error} - Si es demasiado corta
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`);
+    }
+}
+
+/*─────────────────  TOKENS  ──────────────────*/
+/**
+ * @param {string} token - Token de API
+ * @returns {string} - SHA-256 en hex (lo único que se guarda)
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Extrae el token de la cabecera Authorization: Bearer
+ * @param {string} header - Valor de la cabecera
+ * @returns {string|null}
+ */
+function parseBearer(header) {
+    const match = String(header || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * @param {string} header - Cabecera Cookie
+ * @returns {Object} - { nombre: valor }
+ */
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq === -1) return;
+        const name = part.slice(0, eq).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+        } catch (e) {
+            // Valor mal codificado: se ignora la cookie
+        }
+    });
+    return cookies;
+}
+
+/*─────────────────  OPERADORES Y TOKENS  ──────────────────*/
+/**
+ * Operadores y tokens de API en un archivo JSON (permisos 0600)
+ * @param {string} filePath - Archivo JSON
+ * @returns {Object} - { hasCredentials, getOperator, listOperators, setOperator, removeOperator,
+ *                       verifyCredentials, listTokens, createToken, revokeToken, findToken }
+ */
+function createAuthStore(filePath) {
+    const read = () => {
+        if (!fs.existsSync(filePath)) return { operators: {}, tokens: [] };
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { operators: data.operators || {}, tokens: data.tokens || [] };
+    };
+
+    const write = data => writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+
+    // Entrada de token sin el hash
+    const publicToken = ({ hash, ...entry }) => ({ ...entry, role: entry.role || LEGACY_ROLE });
+
+    const findOperator = (operators, username) => (Object.hasOwn(operators, username) ? operators[username] : null);
+
+    // Operador sin hash de contraseña
+    const publicOperator = (username, { role, createdAt, updatedAt }) => ({
+        username, role: role || LEGACY_ROLE, createdAt, updatedAt
+    });
+
+    const isAdmin = operator => (operator.role || LEGACY_ROLE) === ROLES.ADMIN;
+
+    // Siempre tiene que quedar algún administrador que pueda entrar
+    const removesLastAdmin = (previous, operators) => Boolean(previous) && isAdmin(previous)
+        && !Object.values(operators).some(isAdmin);
+
+    return {
+        /**
+         * @returns {boolean} - Si hay algún operador o token con el que entrar
+         */
+        hasCredentials() {
+            const { operators, tokens } = read();
+            return Object.keys(operators).length > 0 || tokens.length > 0;
+        },
+
+        /**
+         * @param {string} username - Usuario
+         * @returns {Object|null} - { username, role, createdAt, updatedAt } (sin hash)
+         */
+        getOperator(username) {
+            const operator = findOperator(read().operators, username);
+            return operator ? publicOperator(username, operator) : null;
+        },
+
+        /**
+         * @returns {Array<Object>} - [{ username, role, createdAt, updatedAt }] (sin hashes)
+         */
+        listOperators() {
+            return Object.entries(read().operators).map(([username, operator]) => publicOperator(username, operator));
+        },
+
+        /**
+         * Crea un operador o cambia su contraseña y/o su rol
+         * @param {string} username - Usuario
+         * @param {Object} changes - { password, role }; al crear, password es obligatoria y role vale 'operator' por defecto
+         * @returns {Promise<Object>} - { username, role, createdAt, updatedAt }
+         * @throws {Error} - Datos no válidos, o el cambio dejaría sin administradores
+         */
+        async setOperator(username, { password, role } = {}) {
+            if (!USERNAME_PATTERN.test(String(username || ''))) {
+                throw new Error('Usuario no válido (letras, números y . _ @ -, empezando por letra o número, hasta 64 caracteres)');
+            }
+            if (role !== undefined) validateRole(role);
+
+            const existing = findOperator(read().operators, username);
+            if (!existing || password !== undefined) validatePassword(password);
+            const passwordHash = password !== undefined ? await hashPassword(password) : existing.passwordHash;
+
+            const data = read();
+            const previous = findOperator(data.operators, username);
+            const now = new Date().toISOString();
+            data.operators[username] = {
+                passwordHash,
+                role: role || previous?.role || (previous ? LEGACY_ROLE : ROLES.OPERATOR),
+                createdAt: previous?.createdAt || now,
+                updatedAt: now
+            };
+            if (removesLastAdmin(previous, data.operators)) {
+                throw new Error('Debe quedar al menos un operador con rol admin');
+            }
+            write(data);
+            return publicOperator(username, data.operators[username]);
+        },
+
+        /**
+         * @param {string} username - Usuario
+         * @returns {boolean} - true si existía
+         * @throws {Error} - Si es el último administrador
+         */
+        removeOperator(username) {
+            const data = read();
+            const previous = findOperator(data.operators, username);
+            if (!previous) return false;
+            delete data.operators[username];
+            if (removesLastAdmin(previous, data.operators)) {
+                throw new Error('No se puede eliminar el último operador con rol admin');
+            }
+            write(data);
+            return true;
+        },
+
+        /**
+         * @param {string} username - Usuario
+         * @param {string} password - Contraseña recibida
+         * @returns {Promise<boolean>}
+         */
+        async verifyCredentials(username, password) {
+            const operator = findOperator(read().operators, username);
+            // Sin operador también se calcula un hash: el tiempo de respuesta no revela qué usuarios existen
+            dummyHash = dummyHash || await hashPassword('usuario-inexistente');
+            const stored = operator ? operator.passwordHash : dummyHash;
+            const valid = await verifyPassword(password, stored);
+            return Boolean(operator) && valid;
+        },
+
+        /**
+         * @returns {Array<Object>} - [{ id, name, role, prefix, createdBy, createdAt, lastUsedAt }]
+         */
+        listTokens() {
+            return read().tokens.map(publicToken);
+        },
+
+        /**
+         * Crea un token de API. El valor solo se devuelve aquí: en disco queda su hash.
+         * @param {string} name - Descripción (p. ej. el script que lo usa)
+         * @param {string} createdBy - Operador que lo crea
+         * @param {string} role - Rol del token (default: operator)
+         * @returns {Object} - { token, entry }
+         */
+        createToken(name, createdBy = null, role = ROLES.OPERATOR) {
+            const label = String(name || '').trim();
+            if (!label) {
+                throw new Error('Se requiere un nombre para el token');
+            }
+            validateRole(role);
+            const token = `${TOKEN_PREFIX}${crypto.randomBytes(TOKEN_BYTES).toString('base64url')}`;
+            const entry = {
+                id: crypto.randomUUID(),
+                name: label,
+                role,
+                prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+                hash: hashToken(token),
+                createdBy,
+                createdAt: new Date().toISOString(),
+                lastUsedAt: null
+            };
+            const data = read();
+            data.tokens.push(entry);
+            write(data);
+            return { token, entry: publicToken(entry) };
+        },
+
+        /**
+         * @param {string} id - ID del token
+         * @returns {boolean} - true si existía
+         */
+        revokeToken(id) {
+            const data = read();
+            const tokens = data.tokens.filter(entry => entry.id !== id);
+            if (tokens.length === data.tokens.length) return false;
+            write({ ...data, tokens });
+            return true;
+        },
+
+        /**
+         * Busca el token recibido y anota su último uso
+         * @param {string} token - Token en claro
+         * @returns {Object|null} - Entrada pública del token
+         */
+        findToken(token) {
+            if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+            const hash = hashToken(token);
+            const data = read();
+            const entry = data.tokens.find(candidate =>
+                crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), Buffer.from(hash, 'hex')));
+            if (!entry) return null;
+
+            const now = Date.now();
+            if (!entry.lastUsedAt || now - new Date(entry.lastUsedAt).getTime() > TOKEN_TOUCH_INTERVAL_MS) {
+                entry.lastUsedAt = new Date(now).toISOString();
+                write(data);
+            }
+            return publicToken(entry);
+        }
+    };
+}
+
+/*─────────────────  SESIONES DEL PANEL  ──────────────────*/
+/**
+ * Sesiones del panel web en memoria (un reinicio obliga a entrar de nuevo)
+ * @param {Object} options - { ttlMs }
+ * @returns {Object} - { create, get, destroy, destroyForUser }
+ */
+function createSessionManager({ ttlMs }) {
+    const sessions = new Map();
+
+    const purge = now => {
+        for (const [id, session] of sessions) {
+            if (session.expiresAt <= now) sessions.delete(id);
+        }
+    };
+
+    return {
+        /**
+         * @param {string} username - Operador
+         * @returns {Object} - { id, username, createdAt, expiresAt }
+         */
+        create(username) {
+            const now = Date.now();
+            purge(now);
+            const session = {
+                id: crypto.randomBytes(32).toString('base64url'),
+                username,
+                createdAt: now,
+                expiresAt: now + ttlMs
+            };
+            sessions.set(session.id, session);
+            return session;
+        },
+
+        /**
+         * @param {string} id - Valor de la cookie
+         * @returns {Object|null} - Sesión vigente
+         */
+        get(id) {
+            const session = id ? sessions.get(id) : null;
+            if (!session) return null;
+            if (session.expiresAt <= Date.now()) {
+                sessions.delete(id);
+                return null;
+            }
+            return session;
+        },
+
+        /**
+         * @param {string} id - Valor de la cookie
+         */
+        destroy(id) {
+            sessions.delete(id);
+        },
+
+        /**
+         * Cierra las sesiones de un operador (p. ej. al cambiar su contraseña)
+         * @param {string} username - Operador
+         * @param {string} exceptId - Sesión que se conserva (la de quien hace el cambio)
+         * @returns {number} - Sesiones cerradas
+         */
+        destroyForUser(username, exceptId = null) {
+            let closed = 0;
+            for (const [id, session] of sessions) {
+                if (session.username === username && id !== exceptId) {
+                    sessions.delete(id);
+                    closed++;
+                }
+            }
+            return closed;
+        }
+    };
+}
+
+/*─────────────────  LÍMITE DE INTENTOS  ──────────────────*/
+/**
+ * Bloquea temporalmente una combinación usuario + IP tras varios fallos
+ * @param {Object} options - { maxFailures, lockMs }
+ * @returns {Object} - { isLocked, fail, reset }
+ */
+function createLoginThrottle({ maxFailures = LOGIN_MAX_FAILURES, lockMs = LOGIN_LOCK_MS } = {}) {
+    const failures = new Map();
+
+    const current = key => {
+        const entry = failures.get(key);
+        if (entry && Date.now() - entry.firstAt > lockMs) {
+            failures.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    return {
+        /**
+         * @param {string} key - Usuario + IP
+         * @returns {number} - Segundos de bloqueo restantes (0 = no bloqueado)
+         */
+        isLocked(key) {
+            const entry = current(key);
+            if (!entry || entry.count < maxFailures) return 0;
+            return Math.ceil((entry.firstAt + lockMs - Date.now()) / 1000);
+        },
+
+        fail(key) {
+            const entry = current(key) || { count: 0, firstAt: Date.now() };
+            entry.count++;
+            failures.set(key, entry);
+        },
+
+        reset(key) {
+            failures.delete(key);
+        }
+    };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    hasRole,
+    createRoutePermissions,
+    parseBearer,
+    parseCookies,
+    createAuthStore,
+    createSessionManager,
+    createLoginThrottle
+};
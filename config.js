@@ -0,0 +1,341 @@
+/*****************************************************************
+ * config.js – Configuración central del servidor
+ * Capas (de menor a mayor prioridad):
+ *   valores por defecto → archivo config.json → variables de entorno → flags CLI
+ *****************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_BASE_URLS, DEFAULT_SUCCESS_URL_PATTERNS } = require('./site-profiles');
+
+/*─────────────────  ESQUEMA DE OPCIONES  ──────────────────*/
+/**
+ * Cada opción define su ruta dentro del objeto de configuración, su tipo,
+ * el valor por defecto y cómo se sobreescribe desde el entorno o la CLI.
+ * Tipos soportados: 'int', 'bool', 'string', 'path', 'url', 'list'
+ * ('list' acepta un array en config.json o valores separados por coma en entorno/CLI).
+ * 'choices' restringe una opción 'string' a una lista de valores.
+ */
+const OPTIONS = [
+    { key: 'port', type: 'int', default: 3000, env: 'PORT', flag: 'port', min: 1, max: 65535 },
+
+    { key: 'debug.enabled', type: 'bool', default: true, env: 'DEBUG_ENABLED', flag: 'debug' },
+
+    { key: 'dirs.debug', type: 'path', default: 'debug', env: 'DEBUG_DIR', flag: 'debug-dir' },
+    { key: 'dirs.cookies', type: 'path', default: 'cookies', env: 'COOKIES_DIR', flag: 'cookies-dir' },
+    { key: 'dirs.cache', type: 'path', default: 'cache', env: 'CACHE_DIR', flag: 'cache-dir' },
+    // Dónde se guardan cookies y estado de sesión (ver storage.js): 'files' usa dirs.cookies,
+    // 'database' un único archivo (storage.databaseFile) y 'memory' no persiste nada (tests)
+    { key: 'storage.backend', type: 'string', default: 'files', env: 'STORAGE_BACKEND', flag: 'storage-backend', choices: ['files', 'database', 'memory'] },
+    { key: 'storage.databaseFile', type: 'path', default: 'session-data.json', env: 'STORAGE_DATABASE_FILE', flag: 'storage-database-file' },
+    // Registro de sesiones que sobrevive a los reinicios (ver session-registry.js)
+    { key: 'registry.file', type: 'path', default: 'sessions.json', env: 'SESSION_REGISTRY_FILE', flag: 'session-registry-file' },
+
+    { key: 'browser.headless', type: 'bool', default: false, env: 'HEADLESS', flag: 'headless' },
+    { key: 'browser.slowMo', type: 'int', default: 300, env: 'SLOW_MO', flag: 'slow-mo', min: 0, max: 10000 },
+
+    // Retención por defecto (cada cuenta puede ajustarla, ver retention.js). Las cookies valen hasta
+    // que caducan sus cookies de autenticación; cleanOldSessions las borra cleanupHours después
+    { key: 'retention.cleanupHours', type: 'int', default: 168, env: 'CLEANUP_HOURS', flag: 'cleanup-hours', min: 1 },
+    // Tope desde que se guardaron, aunque sigan vigentes (0 = solo su caducidad)
+    { key: 'retention.cookieMaxAgeHours', type: 'int', default: 0, env: 'COOKIE_MAX_AGE_HOURS', flag: 'cookie-max-age-hours', min: 0 },
+    { key: 'retention.file', type: 'path', default: 'retention-policies.json', env: 'RETENTION_POLICIES_FILE', flag: 'retention-policies-file' },
+    // Horas antes de caducar una cookie de autenticación en que la cuenta pasa a expiring_soon (ver cookie-health.js)
+    { key: 'cookies.expiringSoonHours', type: 'int', default: 48, env: 'COOKIE_EXPIRING_SOON_HOURS', flag: 'cookie-expiring-soon-hours', min: 1 },
+
+    // Perfiles de sitio (ver site-profiles.js): permiten apuntar a staging o a un mock local
+    { key: 'site.mobileBaseUrl', type: 'url', default: DEFAULT_BASE_URLS.mobile, env: 'MOBILE_BASE_URL', flag: 'mobile-base-url' },
+    { key: 'site.desktopBaseUrl', type: 'url', default: DEFAULT_BASE_URLS.desktop, env: 'DESKTOP_BASE_URL', flag: 'desktop-base-url' },
+    { key: 'site.successUrlPatterns', type: 'list', default: DEFAULT_SUCCESS_URL_PATTERNS, env: 'SUCCESS_URL_PATTERNS', flag: 'success-url-patterns' },
+
+    // Vista en vivo de las sesiones (ver screencast.js)
+    { key: 'screencast.quality', type: 'int', default: 60, env: 'SCREENCAST_QUALITY', flag: 'screencast-quality', min: 1, max: 100 },
+    { key: 'screencast.maxWidth', type: 'int', default: 800, env: 'SCREENCAST_MAX_WIDTH', flag: 'screencast-max-width', min: 100 },
+    { key: 'screencast.intervalMs', type: 'int', default: 1000, env: 'SCREENCAST_INTERVAL_MS', flag: 'screencast-interval-ms', min: 100 },
+
+    // Ciclo de vida de las sesiones (ver session-lifecycle.js); 0 = sin límite
+    { key: 'sessions.idleTimeoutMinutes', type: 'int', default: 0, env: 'SESSION_IDLE_TIMEOUT_MINUTES', flag: 'session-idle-timeout-minutes', min: 0 },
+    { key: 'sessions.maxLifetimeMinutes', type: 'int', default: 0, env: 'SESSION_MAX_LIFETIME_MINUTES', flag: 'session-max-lifetime-minutes', min: 0 },
+    { key: 'sessions.maxConcurrent', type: 'int', default: 0, env: 'MAX_CONCURRENT_SESSIONS', flag: 'max-concurrent-sessions', min: 0 },
+    { key: 'sessions.maxPerAccount', type: 'int', default: 0, env: 'MAX_SESSIONS_PER_ACCOUNT', flag: 'max-sessions-per-account', min: 0 },
+    { key: 'sessions.checkIntervalSeconds', type: 'int', default: 30, env: 'SESSION_CHECK_INTERVAL_SECONDS', flag: 'session-check-interval-seconds', min: 1 },
+
+    // Sesiones que esperan código 2FA: tiempo de espera y códigos incorrectos permitidos
+    { key: 'twoFactor.ttlMinutes', type: 'int', default: 10, env: 'TWO_FACTOR_TTL_MINUTES', flag: 'two-factor-ttl-minutes', min: 1 },
+    { key: 'twoFactor.maxAttempts', type: 'int', default: 5, env: 'TWO_FACTOR_MAX_ATTEMPTS', flag: 'two-factor-max-attempts', min: 1 },
+
+    // Clave para cifrar secretos en disco (ver secret-box.js): hex de 64 caracteres o passphrase.
+    // Sin flag CLI para que no aparezca en la lista de procesos
+    { key: 'secrets.key', type: 'string', default: '', env: 'SECRETS_KEY', secret: true },
+    // Alternativa: archivo con la clave (p. ej. un secreto montado por Docker o Kubernetes)
+    { key: 'secrets.keyFile', type: 'string', default: '', env: 'SECRETS_KEY_FILE', flag: 'secrets-key-file' },
+
+    // Códigos TOTP generados desde el secreto del autenticador de cada cuenta (ver totp.js)
+    { key: 'totp.file', type: 'path', default: 'totp-secrets.json', env: 'TOTP_SECRETS_FILE', flag: 'totp-secrets-file' },
+    // Pasos de 30 s de tolerancia al desfase de reloj (se prueban el siguiente y el anterior)
+    { key: 'totp.window', type: 'int', default: 1, env: 'TOTP_WINDOW', flag: 'totp-window', min: 0, max: 10 },
+
+    // Buzón IMAP por cuenta del que leer los códigos 2FA por email (ver mailbox-2fa.js)
+    { key: 'mailbox.file', type: 'path', default: 'mailboxes.json', env: 'MAILBOX_FILE', flag: 'mailbox-file' },
+    { key: 'mailbox.pollIntervalSeconds', type: 'int', default: 5, env: 'MAILBOX_POLL_INTERVAL_SECONDS', flag: 'mailbox-poll-interval-seconds', min: 1 },
+    { key: 'mailbox.timeoutSeconds', type: 'int', default: 180, env: 'MAILBOX_TIMEOUT_SECONDS', flag: 'mailbox-timeout-seconds', min: 10 },
+    // Filtros por defecto (cada cuenta puede sustituirlos): remitente y asunto, por coincidencia parcial
+    { key: 'mailbox.from', type: 'string', default: 'facebookmail.com', env: 'MAILBOX_FROM', flag: 'mailbox-from' },
+    { key: 'mailbox.subject', type: 'string', default: '', env: 'MAILBOX_SUBJECT', flag: 'mailbox-subject' },
+
+    // Webhook POST /2fa-inbox para SMS reenviados (ver sms-inbox.js); sin secreto el webhook está desactivado
+    { key: 'inbox.secret', type: 'string', default: '', env: 'TWO_FACTOR_INBOX_SECRET', secret: true },
+    { key: 'inbox.phonesFile', type: 'path', default: 'account-phones.json', env: 'ACCOUNT_PHONES_FILE', flag: 'account-phones-file' },
+    { key: 'inbox.auditFile', type: 'path', default: 'inbox-audit.jsonl', env: 'TWO_FACTOR_INBOX_AUDIT_FILE', flag: 'two-factor-inbox-audit-file' },
+
+    // Autenticación del panel y la API (ver auth.js); desactivarla deja todas las rutas abiertas
+    { key: 'auth.enabled', type: 'bool', default: true, env: 'AUTH_ENABLED', flag: 'auth' },
+    { key: 'auth.file', type: 'path', default: 'auth.json', env: 'AUTH_FILE', flag: 'auth-file' },
+    { key: 'auth.sessionHours', type: 'int', default: 12, env: 'AUTH_SESSION_HOURS', flag: 'auth-session-hours', min: 1 },
+    // Cookie de sesión solo por HTTPS (activar detrás de un proxy con TLS)
+    { key: 'auth.secureCookie', type: 'bool', default: false, env: 'AUTH_SECURE_COOKIE', flag: 'auth-secure-cookie' },
+    // Primer operador: se crea al arrancar si aún no existe
+    { key: 'auth.adminUser', type: 'string', default: 'admin', env: 'AUTH_ADMIN_USER', flag: 'auth-admin-user' },
+    { key: 'auth.adminPassword', type: 'string', default: '', env: 'AUTH_ADMIN_PASSWORD', secret: true },
+
+    // Registro de auditoría: logins, 2FA, cierres de sesión y borrados (ver audit.js)
+    { key: 'audit.file', type: 'path', default: 'audit.jsonl', env: 'AUDIT_FILE', flag: 'audit-file' },
+
+    // Ante una pantalla no reconocida tras las credenciales, dejar la sesión abierta para control manual
+    { key: 'takeover.holdUnrecognized', type: 'bool', default: true, env: 'TAKEOVER_HOLD_UNRECOGNIZED', flag: 'takeover-hold-unrecognized' }
+];
+
+const CONFIG_FILE_ENV = 'FB_CONFIG';
+const CONFIG_FILE_FLAG = 'config';
+const DEFAULT_CONFIG_FILE = 'config.json';
+
+/*─────────────────  UTILIDADES  ──────────────────*/
+function getPath(obj, key) {
+    return key.split('.').reduce((acc, part) => (acc == null ? undefined : acc[part]), obj);
+}
+
+function setPath(obj, key, value) {
+    const parts = key.split('.');
+    let target = obj;
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (typeof target[parts[i]] !== 'object' || target[parts[i]] === null) {
+            target[parts[i]] = {};
+        }
+        target = target[parts[i]];
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+function isHttpUrl(value) {
+    try {
+        const parsed = new URL(value);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+function deepFreeze(obj) {
+    Object.values(obj).forEach(value => {
+        if (value && typeof value === 'object') deepFreeze(value);
+    });
+    return Object.freeze(obj);
+}
+
+/**
+ * Convierte un valor crudo (string del entorno/CLI o valor del JSON) al tipo de la opción
+ * @param {Object} option - Definición de la opción
+ * @param {*} raw - Valor crudo
+ * @returns {*} - Valor convertido (NaN / undefined si es inválido)
+ */
+function coerce(option, raw) {
+    switch (option.type) {
+        case 'int': {
+            if (typeof raw === 'number') return raw;
+            if (typeof raw === 'string' && /^-?\d+$/.test(raw.trim())) return parseInt(raw, 10);
+            return NaN;
+        }
+        case 'bool': {
+            if (typeof raw === 'boolean') return raw;
+            const normalized = String(raw).trim().toLowerCase();
+            if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+            if (['0', 'false', 'no', 'off'].includes(normalized)) return false;
+            return undefined;
+        }
+        case 'string':
+        case 'path':
+        case 'url':
+            return raw == null ? undefined : String(raw);
+        case 'list': {
+            if (Array.isArray(raw)) return raw.map(String);
+            if (typeof raw === 'string') return raw.split(',').map(item => item.trim()).filter(Boolean);
+            return undefined;
+        }
+        default:
+            return raw;
+    }
+}
+
+/**
+ * Parsea flags del tipo --port 4000, --port=4000, --headless y --no-headless
+ * @param {Array<string>} argv - Argumentos (sin node ni script)
+ * @returns {Object} - Mapa flag → valor crudo
+ */
+function parseArgs(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const body = arg.slice(2);
+        const eq = body.indexOf('=');
+        if (eq !== -1) {
+            flags[body.slice(0, eq)] = body.slice(eq + 1);
+        } else if (body.startsWith('no-')) {
+            flags[body.slice(3)] = 'false';
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            flags[body] = argv[++i];
+        } else {
+            flags[body] = 'true';
+        }
+    }
+    return flags;
+}
+
+/*─────────────────  CARGA Y VALIDACIÓN  ──────────────────*/
+/**
+ * Carga la configuración aplicando todas las capas y la valida
+ * @param {Object} options - Fuentes de configuración (útil para tests)
+ * @param {Array<string>} options.argv - Argumentos CLI (default: process.argv.slice(2))
+ * @param {Object} options.env - Variables de entorno (default: process.env)
+ * @param {string} options.baseDir - Directorio base para rutas relativas (default: directorio del proyecto)
+ * @returns {Object} - Configuración congelada; incluye `sources` con el origen de cada valor
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env, baseDir = __dirname } = {}) {
+    const flags = parseArgs(argv);
+    const errors = [];
+    const config = {};
+    const sources = {};
+
+    // Capa 1: valores por defecto
+    OPTIONS.forEach(option => {
+        setPath(config, option.key, Array.isArray(option.default) ? [...option.default] : option.default);
+        sources[option.key] = 'default';
+    });
+
+    // Capa 2: archivo de configuración
+    const explicitFile = flags[CONFIG_FILE_FLAG] || env[CONFIG_FILE_ENV];
+    const configFile = path.resolve(baseDir, explicitFile || DEFAULT_CONFIG_FILE);
+    let fileValues = null;
+
+    if (fs.existsSync(configFile)) {
+        try {
+            fileValues = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (error) {
+            errors.push(`Archivo de configuración inválido (${configFile}): ${error.message}`);
+        }
+    } else if (explicitFile) {
+        errors.push(`No existe el archivo de configuración: ${configFile}`);
+    }
+
+    const layers = [
+        ['file', option => fileValues ? getPath(fileValues, option.key) : undefined],
+        ['env', option => env[option.env]],
+        ['cli', option => flags[option.flag]]
+    ];
+
+    // Capas 2-4: archivo, entorno y CLI, en orden de prioridad
+    layers.forEach(([source, read]) => {
+        OPTIONS.forEach(option => {
+            const raw = read(option);
+            if (raw === undefined || raw === '') return;
+            setPath(config, option.key, coerce(option, raw));
+            sources[option.key] = source;
+        });
+    });
+
+    // Validación
+    OPTIONS.forEach(option => {
+        const value = getPath(config, option.key);
+        const origin = `${option.key} (${sources[option.key]})`;
+
+        if (option.type === 'int') {
+            if (!Number.isInteger(value)) {
+                errors.push(`${origin}: se esperaba un entero`);
+            } else if (option.min !== undefined && value < option.min) {
+                errors.push(`${origin}: debe ser >= ${option.min}`);
+            } else if (option.max !== undefined && value > option.max) {
+                errors.push(`${origin}: debe ser <= ${option.max}`);
+            }
+        } else if (option.type === 'bool' && typeof value !== 'boolean') {
+            errors.push(`${origin}: se esperaba true/false`);
+        } else if (['string', 'path', 'url'].includes(option.type) && typeof value !== 'string') {
+            errors.push(`${origin}: se esperaba un texto`);
+        } else if (option.choices && !option.choices.includes(value)) {
+            errors.push(`${origin}: valores válidos: ${option.choices.join(', ')}`);
+        } else if (option.type === 'path' && !value.trim()) {
+            errors.push(`${origin}: la ruta no puede estar vacía`);
+        } else if (option.type === 'url' && !isHttpUrl(value)) {
+            errors.push(`${origin}: se esperaba una URL http(s) válida`);
+        } else if (option.type === 'list' && (!Array.isArray(value) || value.length === 0)) {
+            errors.push(`${origin}: se esperaba una lista no vacía`);
+        }
+    });
+
+    // Clave de cifrado leída de archivo
+    const keyFile = getPath(config, 'secrets.keyFile');
+    if (typeof keyFile === 'string' && keyFile.trim()) {
+        const keyPath = path.resolve(baseDir, keyFile);
+        setPath(config, 'secrets.keyFile', keyPath);
+        if (getPath(config, 'secrets.key')) {
+            errors.push('secrets.key y secrets.keyFile: configura solo una de las dos');
+        } else {
+            try {
+                const key = fs.readFileSync(keyPath, 'utf8').trim();
+                if (!key) throw new Error('el archivo está vacío');
+                setPath(config, 'secrets.key', key);
+                sources['secrets.key'] = 'keyFile';
+            } catch (error) {
+                errors.push(`secrets.keyFile (${sources['secrets.keyFile']}): no se pudo leer la clave de ${keyPath}: ${error.message}`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Configuración inválida:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    // Resolver rutas relativas al directorio base
+    OPTIONS.filter(option => option.type === 'path').forEach(option => {
+        setPath(config, option.key, path.resolve(baseDir, getPath(config, option.key)));
+    });
+
+    config.configFile = fileValues ? configFile : null;
+    config.sources = sources;
+
+    return deepFreeze(config);
+}
+
+/**
+ * Devuelve una copia de la configuración apta para exponer por la API
+ * (omite las opciones marcadas como `secret`)
+ * @param {Object} config - Configuración cargada
+ * @returns {Object} - Copia sin secretos
+ */
+function publicConfig(config) {
+    const copy = JSON.parse(JSON.stringify(config));
+    OPTIONS.filter(option => option.secret).forEach(option => {
+        if (getPath(copy, option.key) !== undefined) {
+            setPath(copy, option.key, '***');
+        }
+    });
+    return copy;
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    OPTIONS,
+    loadConfig,
+    publicConfig,
+    parseArgs
+};
@@ -0,0 +1,285 @@
+/*****************************************************************
+ * cookie-formats.js – Exportación e importación de cookies
+ * Convierte las cookies guardadas (formato de context.cookies() de
+ * Playwright) a los formatos que usan otras herramientas y valida y
+ * normaliza las que se suben para que loadCookies las pueda usar:
+ *   netscape     → cookies.txt (curl, wget, yt-dlp...)
+ *   storageState → { cookies, origins } de Playwright
+ *   json         → el registro tal y como se guarda ({ email, cookies, ... })
+ *****************************************************************/
+
+/*─────────────────  FORMATOS  ──────────────────*/
+const COOKIE_FORMATS = Object.freeze({
+    NETSCAPE: 'netscape',
+    STORAGE_STATE: 'storageState',
+    JSON: 'json'
+});
+
+const SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+
+// Valores de sameSite de otras herramientas (extensiones de Chrome, Firefox...)
+const SAME_SITE_ALIASES = Object.freeze({
+    strict: 'Strict',
+    lax: 'Lax',
+    none: 'None',
+    no_restriction: 'None',
+    unspecified: 'Lax'
+});
+
+const NETSCAPE_HEADER = '# Netscape HTTP Cookie File';
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+// Cookies por importación (una cuenta tiene unas decenas)
+const MAX_IMPORT_COOKIES = 1000;
+
+/**
+ * Formato válido para exportar o importar
+ * @param {string} format - Formato pedido
+ * @returns {boolean}
+ */
+function isCookieFormat(format) {
+    return Object.values(COOKIE_FORMATS).includes(format);
+}
+
+/*─────────────────  NORMALIZACIÓN  ──────────────────*/
+/**
+ * Valida una cookie y la lleva al formato de Playwright
+ * ({ name, value, domain, path, expires, httpOnly, secure, sameSite }; expires -1 = de sesión)
+ * @param {Object} raw - Cookie subida (admite expirationDate y sameSite de extensiones de navegador)
+ * @returns {Object} - { cookie } o { error }
+ */
+function normalizeCookie(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return { error: 'se esperaba un objeto' };
+    }
+    if (typeof raw.name !== 'string' || !raw.name) {
+        return { error: 'falta name' };
+    }
+    if (typeof raw.value !== 'string') {
+        return { error: `${raw.name}: value debe ser un texto` };
+    }
+    if (typeof raw.domain !== 'string' || !raw.domain.trim()) {
+        return { error: `${raw.name}: falta domain` };
+    }
+
+    const expires = raw.expires ?? raw.expirationDate ?? -1;
+    if (typeof expires !== 'number' || !Number.isFinite(expires)) {
+        return { error: `${raw.name}: expires debe ser un número (segundos Unix, -1 si es de sesión)` };
+    }
+
+    let sameSite = 'Lax';
+    if (raw.sameSite !== undefined && raw.sameSite !== null) {
+        sameSite = SAME_SITE_ALIASES[String(raw.sameSite).toLowerCase()];
+        if (!sameSite) {
+            return { error: `${raw.name}: sameSite debe ser ${SAME_SITE_VALUES.join(', ')}` };
+        }
+    }
+
+    return {
+        cookie: {
+            name: raw.name,
+            value: raw.value,
+            domain: raw.domain.trim(),
+            path: typeof raw.path === 'string' && raw.path ? raw.path : '/',
+            expires: expires > 0 ? expires : -1,
+            httpOnly: Boolean(raw.httpOnly),
+            secure: Boolean(raw.secure),
+            sameSite
+        }
+    };
+}
+
+/**
+ * Normaliza una lista de cookies
+ * @param {Array} list - Cookies subidas
+ * @returns {Object} - { cookies, errors } (errores con la posición de cada cookie)
+ */
+function normalizeCookies(list) {
+    if (!Array.isArray(list)) {
+        return { cookies: [], errors: ['se esperaba una lista de cookies'] };
+    }
+    if (list.length > MAX_IMPORT_COOKIES) {
+        return { cookies: [], errors: [`como máximo ${MAX_IMPORT_COOKIES} cookies por importación`] };
+    }
+
+    const cookies = [];
+    const errors = [];
+    list.forEach((raw, index) => {
+        const { cookie, error } = normalizeCookie(raw);
+        if (error) {
+            errors.push(`cookie ${index + 1}: ${error}`);
+        } else {
+            cookies.push(cookie);
+        }
+    });
+    return { cookies, errors };
+}
+
+/*─────────────────  NETSCAPE  ──────────────────*/
+/**
+ * Cookies en formato cookies.txt de Netscape
+ * (dominio, subdominios, ruta, secure, expiración, nombre y valor separados por tabuladores)
+ * @param {Array<Object>} cookies - Cookies de Playwright
+ * @returns {string}
+ */
+function toNetscape(cookies) {
+    const lines = cookies.map(cookie => [
+        `${cookie.httpOnly ? HTTP_ONLY_PREFIX : ''}${cookie.domain}`,
+        cookie.domain.startsWith('.') ? 'TRUE' : 'FALSE',
+        cookie.path || '/',
+        cookie.secure ? 'TRUE' : 'FALSE',
+        cookie.expires > 0 ? Math.floor(cookie.expires) : 0,
+        cookie.name,
+        cookie.value
+    ].join('\t'));
+    return [NETSCAPE_HEADER, '', ...lines, ''].join('\n');
+}
+
+/**
+ * Lee un cookies.txt de Netscape. Las líneas #HttpOnly_ son cookies, el resto de
+ * comentarios y las líneas en blanco se ignoran.
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} - { cookies, errors }
+ */
+function parseNetscape(text) {
+    const raw = [];
+    const errors = [];
+
+    String(text).split(/\r?\n/).forEach((line, index) => {
+        let content = line.trim();
+        const httpOnly = content.startsWith(HTTP_ONLY_PREFIX);
+        if (httpOnly) {
+            content = content.slice(HTTP_ONLY_PREFIX.length);
+        } else if (!content || content.startsWith('#')) {
+            return;
+        }
+
+        const fields = content.split('\t');
+        if (fields.length < 7) {
+            errors.push(`línea ${index + 1}: se esperaban 7 campos separados por tabuladores`);
+            return;
+        }
+        const [domain, , path, secure, expires, name, ...value] = fields;
+        if (!/^\d+$/.test(expires)) {
+            errors.push(`línea ${index + 1}: la expiración debe ser un entero`);
+            return;
+        }
+        raw.push({
+            domain,
+            path,
+            secure: secure.toUpperCase() === 'TRUE',
+            expires: Number(expires) || -1,
+            name,
+            value: value.join('\t'),
+            httpOnly
+        });
+    });
+
+    const normalized = normalizeCookies(raw);
+    return { cookies: normalized.cookies, errors: [...errors, ...normalized.errors] };
+}
+
+/*─────────────────  EXPORTACIÓN  ──────────────────*/
+/**
+ * Estado de Playwright (storageState) con las cookies y, si hay estado de sesión
+ * guardado, el localStorage de su origen
+ * @param {Object} cookieData - Registro de cookies
+ * @param {Object|null} sessionState - Registro de sesión (url, localStorage)
+ * @returns {Object} - { cookies, origins }
+ */
+function toStorageState(cookieData, sessionState = null) {
+    const origins = [];
+    if (sessionState && sessionState.url && sessionState.localStorage) {
+        try {
+            origins.push({
+                origin: new URL(sessionState.url).origin,
+                localStorage: Object.entries(sessionState.localStorage).map(([name, value]) => ({ name, value }))
+            });
+        } catch (e) {
+            // URL guardada no válida: se exportan solo las cookies
+        }
+    }
+    return { cookies: cookieData.cookies || [], origins };
+}
+
+/**
+ * Contenido a descargar para un formato
+ * @param {string} format - Valor de COOKIE_FORMATS
+ * @param {Object} cookieData - Registro de cookies
+ * @param {Object|null} sessionState - Registro de sesión (solo para storageState)
+ * @returns {Object} - { contentType, extension, body }
+ */
+function exportCookies(format, cookieData, sessionState = null) {
+    switch (format) {
+        case COOKIE_FORMATS.NETSCAPE:
+            return { contentType: 'text/plain; charset=utf-8', extension: 'txt', body: toNetscape(cookieData.cookies || []) };
+        case COOKIE_FORMATS.STORAGE_STATE:
+            return { contentType: 'application/json', extension: 'json', body: JSON.stringify(toStorageState(cookieData, sessionState), null, 2) };
+        case COOKIE_FORMATS.JSON:
+            return { contentType: 'application/json', extension: 'json', body: JSON.stringify(cookieData, null, 2) };
+        default:
+            throw new Error(`Formato desconocido: ${format}. Válidos: ${Object.values(COOKIE_FORMATS).join(', ')}`);
+    }
+}
+
+/*─────────────────  IMPORTACIÓN  ──────────────────*/
+/**
+ * Deduce el formato de un contenido subido sin formato indicado
+ * @param {string|Object|Array} data - Contenido
+ * @returns {string} - Valor de COOKIE_FORMATS
+ */
+function detectFormat(data) {
+    if (typeof data === 'string') {
+        return /^\s*[[{]/.test(data) ? detectFormat(JSON.parse(data)) : COOKIE_FORMATS.NETSCAPE;
+    }
+    return data && !Array.isArray(data) && Array.isArray(data.origins)
+        ? COOKIE_FORMATS.STORAGE_STATE
+        : COOKIE_FORMATS.JSON;
+}
+
+/**
+ * Valida y normaliza cookies subidas en cualquiera de los formatos
+ * @param {Object} upload - { format, data } (data: texto del archivo, o el JSON ya interpretado;
+ *                          en json se admite el registro guardado o una lista de cookies)
+ * @returns {Object} - { format, cookies, errors }
+ */
+function parseCookieImport({ format, data } = {}) {
+    if (data === undefined || data === null || data === '') {
+        return { format, cookies: [], errors: ['Se requiere data con el contenido a importar'] };
+    }
+    if (format !== undefined && !isCookieFormat(format)) {
+        return { format, cookies: [], errors: [`Formato desconocido: ${format}. Válidos: ${Object.values(COOKIE_FORMATS).join(', ')}`] };
+    }
+
+    try {
+        const resolved = format || detectFormat(data);
+        if (resolved === COOKIE_FORMATS.NETSCAPE) {
+            return { format: resolved, ...finish(parseNetscape(data)) };
+        }
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        const list = Array.isArray(parsed) ? parsed : parsed && parsed.cookies;
+        return { format: resolved, ...finish(normalizeCookies(list)) };
+    } catch (error) {
+        return { format, cookies: [], errors: [`JSON inválido: ${error.message}`] };
+    }
+}
+
+// Una importación sin cookies válidas no es una importación
+function finish({ cookies, errors }) {
+    if (errors.length === 0 && cookies.length === 0) {
+        return { cookies, errors: ['No hay cookies que importar'] };
+    }
+    return { cookies, errors };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    COOKIE_FORMATS,
+    isCookieFormat,
+    normalizeCookie,
+    toNetscape,
+    parseNetscape,
+    toStorageState,
+    exportCookies,
+    parseCookieImport
+};
@@ -0,0 +1,174 @@
+/*****************************************************************
+ * cookie-health.js – Inspección de las cookies guardadas
+ * Caducidad de cada cookie y veredicto sobre la sesión de una cuenta
+ * según sus cookies de autenticación de Facebook (c_user, xs, datr, fr):
+ *   healthy              → todas presentes y lejos de caducar
+ *   expiring_soon        → alguna caduca dentro del umbral configurado
+ *   missing_auth_cookies → falta alguna o ya ha caducado
+ * La misma lógica decide cuándo caducan las cookies guardadas de una
+ * cuenta (loadCookies, cleanOldSessions y GET /cookies).
+ *****************************************************************/
+
+/*─────────────────  COOKIES Y VEREDICTOS  ──────────────────*/
+// Sin ellas Facebook no reconoce la sesión (c_user: usuario, xs: sesión,
+// datr: navegador de confianza, fr: sesión del navegador)
+const AUTH_COOKIE_NAMES = Object.freeze(['c_user', 'xs', 'datr', 'fr']);
+
+const HEALTH_STATUS = Object.freeze({
+    HEALTHY: 'healthy',
+    EXPIRING_SOON: 'expiring_soon',
+    MISSING_AUTH_COOKIES: 'missing_auth_cookies'
+});
+
+// Por qué dejan de valer las cookies guardadas de una cuenta
+const EXPIRY_REASONS = Object.freeze({
+    AUTH_COOKIES: 'auth_cookies',   // Falta o ha caducado una cookie de autenticación
+    MAX_AGE: 'max_age'              // Superan el maxAgeHours de su política de retención
+});
+
+const DEFAULT_EXPIRING_SOON_HOURS = 48;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Caducidad de una cookie de Playwright (expires en segundos Unix; -1 = de sesión)
+ * @param {Object} cookie - Cookie guardada
+ * @param {number} now - Instante de referencia en ms
+ * @returns {Object} - { expiresAt: Date|null, session, expired, remainingMs: number|null }
+ */
+function cookieExpiry(cookie, now = Date.now()) {
+    if (!(cookie.expires > 0)) {
+        return { expiresAt: null, session: true, expired: false, remainingMs: null };
+    }
+    const expiresAt = new Date(cookie.expires * 1000);
+    const remainingMs = expiresAt.getTime() - now;
+    return { expiresAt, session: false, expired: remainingMs <= 0, remainingMs: Math.max(remainingMs, 0) };
+}
+
+/**
+ * Datos de una cookie para mostrar (sin su valor)
+ * @param {Object} cookie - Cookie guardada
+ * @param {number} now - Instante de referencia en ms
+ * @returns {Object} - { name, domain, path, expires, session, expired, remainingMs, httpOnly, secure, sameSite, auth }
+ */
+function describeCookie(cookie, now = Date.now()) {
+    const { expiresAt, session, expired, remainingMs } = cookieExpiry(cookie, now);
+    return {
+        name: cookie.name,
+        domain: cookie.domain,
+        path: cookie.path || '/',
+        expires: expiresAt ? expiresAt.toISOString() : null,
+        session,
+        expired,
+        remainingMs,
+        httpOnly: Boolean(cookie.httpOnly),
+        secure: Boolean(cookie.secure),
+        sameSite: cookie.sameSite || null,
+        auth: AUTH_COOKIE_NAMES.includes(cookie.name)
+    };
+}
+
+/**
+ * Caducidad de cada cookie de autenticación; con varias del mismo nombre
+ * (p. ej. en dominios distintos) vale la que más dura
+ * @param {Array<Object>} cookies - Cookies guardadas
+ * @param {number} now - Instante de referencia en ms
+ * @returns {Object} - { nombre: resultado de cookieExpiry, o null si falta }
+ */
+function authCookieExpiries(cookies, now) {
+    return Object.fromEntries(AUTH_COOKIE_NAMES.map(name => {
+        const candidates = cookies.filter(cookie => cookie.name === name).map(cookie => cookieExpiry(cookie, now));
+        if (candidates.length === 0) return [name, null];
+        return [name, candidates.find(expiry => expiry.session)
+            || candidates.reduce((a, b) => (a.expiresAt >= b.expiresAt ? a : b))];
+    }));
+}
+
+/**
+ * Veredicto sobre las cookies de una cuenta. Las de sesión (sin expires) no caducan
+ * mientras se restauren en un contexto nuevo, así que no cuentan como a punto de caducar.
+ * @param {Array<Object>} cookies - Cookies guardadas
+ * @param {Object} options - { expiringSoonHours, now }
+ * @returns {Object} - { status, missing, expired, expiringSoon, nextExpiry }
+ */
+function assessCookieHealth(cookies = [], { expiringSoonHours = DEFAULT_EXPIRING_SOON_HOURS, now = Date.now() } = {}) {
+    const threshold = expiringSoonHours * HOUR_MS;
+    const missing = [];
+    const expired = [];
+    const expiringSoon = [];
+    let nextExpiry = null;
+
+    Object.entries(authCookieExpiries(cookies, now)).forEach(([name, best]) => {
+        if (!best) {
+            missing.push(name);
+            return;
+        }
+        if (best.expired) {
+            expired.push(name);
+            return;
+        }
+        if (!best.session) {
+            if (best.remainingMs <= threshold) expiringSoon.push(name);
+            if (!nextExpiry || best.expiresAt < nextExpiry) nextExpiry = best.expiresAt;
+        }
+    });
+
+    let status = HEALTH_STATUS.HEALTHY;
+    if (missing.length > 0 || expired.length > 0) {
+        status = HEALTH_STATUS.MISSING_AUTH_COOKIES;
+    } else if (expiringSoon.length > 0) {
+        status = HEALTH_STATUS.EXPIRING_SOON;
+    }
+
+    return { status, missing, expired, expiringSoon, nextExpiry: nextExpiry ? nextExpiry.toISOString() : null };
+}
+
+/*─────────────────  CADUCIDAD DE LA SESIÓN  ──────────────────*/
+/**
+ * Hasta cuándo valen las cookies guardadas de una cuenta: hasta que caduque la primera
+ * de sus cookies de autenticación o, con maxAgeHours, hasta ese tiempo después de guardarlas.
+ * Sin alguna de las cookies de autenticación no valen (missing_auth_cookies).
+ * @param {Object} cookieData - Registro de cookies ({ timestamp, cookies })
+ * @param {Object} options - { maxAgeHours (0 = sin tope), expiringSoonHours, now }
+ * @returns {Object} - { expired, reason, expiresAt, remainingMs, ageMs, health }
+ */
+function sessionExpiry(cookieData, { maxAgeHours = 0, expiringSoonHours = DEFAULT_EXPIRING_SOON_HOURS, now = Date.now() } = {}) {
+    const cookies = cookieData.cookies || [];
+    const health = assessCookieHealth(cookies, { expiringSoonHours, now });
+    const savedAt = new Date(cookieData.timestamp).getTime();
+    const ageMs = Number.isNaN(savedAt) ? null : Math.max(now - savedAt, 0);
+
+    // Primera caducidad, contando las ya pasadas: desde entonces la sesión no vale
+    const limits = Object.values(authCookieExpiries(cookies, now))
+        .filter(expiry => expiry && !expiry.session)
+        .map(expiry => expiry.expiresAt.getTime());
+    const maxAgeLimit = maxAgeHours > 0 && ageMs !== null ? savedAt + maxAgeHours * HOUR_MS : null;
+    if (maxAgeLimit !== null) limits.push(maxAgeLimit);
+    const expiresAt = limits.length > 0 ? Math.min(...limits) : null;
+
+    let reason = null;
+    if (health.status === HEALTH_STATUS.MISSING_AUTH_COOKIES) {
+        reason = EXPIRY_REASONS.AUTH_COOKIES;
+    } else if (maxAgeLimit !== null && now >= maxAgeLimit) {
+        reason = EXPIRY_REASONS.MAX_AGE;
+    }
+
+    return {
+        expired: reason !== null,
+        reason,
+        expiresAt: expiresAt !== null ? new Date(expiresAt).toISOString() : null,
+        remainingMs: reason !== null ? 0 : (expiresAt !== null ? expiresAt - now : null),
+        ageMs,
+        health
+    };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    AUTH_COOKIE_NAMES,
+    HEALTH_STATUS,
+    EXPIRY_REASONS,
+    cookieExpiry,
+    describeCookie,
+    assessCookieHealth,
+    sessionExpiry
+};
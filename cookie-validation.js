@@ -0,0 +1,93 @@
+/*****************************************************************
+ * cookie-validation.js – Validación de las cookies guardadas
+ * Carga las cookies de una cuenta en un contexto headless de usar y
+ * tirar, abre la página de inicio y aplica checkLoginSuccess:
+ *   valid      → la sesión sigue abierta
+ *   expired    → el sitio vuelve a pedir la contraseña
+ *   checkpoint → ni sesión ni formulario de login (verificación, 2FA...)
+ * No toca nada en la página ni deja navegadores abiertos.
+ *****************************************************************/
+
+const { sleep, handleLoadingPage, checkLoginSuccess } = require('./helpers');
+
+/*─────────────────  RESULTADOS  ──────────────────*/
+const VALIDATION_STATUS = Object.freeze({
+    VALID: 'valid',
+    EXPIRED: 'expired',
+    CHECKPOINT: 'checkpoint'
+});
+
+// Versiones que se prueban para cada elección ('auto' = móvil y, si el sitio pide contraseña, desktop)
+const VALIDATION_VERSIONS = Object.freeze({
+    auto: ['mobile', 'desktop'],
+    mobile: ['mobile'],
+    desktop: ['desktop']
+});
+
+/**
+ * Clasifica la página cargada con las cookies
+ * @param {Page} page - Página de Playwright
+ * @param {Function} isLoggedIn - async (page) → boolean (default: checkLoginSuccess)
+ * @returns {Promise<string>} - Uno de VALIDATION_STATUS
+ */
+async function classifyValidationPage(page, isLoggedIn = checkLoginSuccess) {
+    if (await isLoggedIn(page)) {
+        return VALIDATION_STATUS.VALID;
+    }
+    // Igual que en el login: sin formulario de contraseña la sesión existe pero hay una pantalla intermedia
+    const askingPassword = await page.locator('input[type="password"]').count() > 0;
+    return askingPassword ? VALIDATION_STATUS.EXPIRED : VALIDATION_STATUS.CHECKPOINT;
+}
+
+/*─────────────────  VALIDADOR  ──────────────────*/
+/**
+ * Crea la función que valida las cookies de una cuenta en un navegador propio
+ * @param {Object} options - Opciones
+ * @param {Function} options.launchBrowser - async () → Browser headless
+ * @param {Function} options.contextOptionsFor - (version) → opciones de browser.newContext (userAgent, viewport...)
+ * @param {Function} options.baseUrlFor - (version) → URL de inicio del perfil de sitio
+ * @param {Function} options.isLoggedIn - async (page) → boolean (default: checkLoginSuccess)
+ * @param {number} options.settleMs - Espera tras cargar la página antes de clasificarla (default: 2000)
+ * @returns {Function} - async (cookieData, versionChoice) → { status, version, url }
+ */
+function createCookieValidator({ launchBrowser, contextOptionsFor, baseUrlFor, isLoggedIn = checkLoginSuccess, settleMs = 2000 }) {
+    return async function validateCookies(cookieData, versionChoice = 'auto') {
+        // Object.hasOwn: 'constructor' o 'toString' no son versiones
+        if (!Object.hasOwn(VALIDATION_VERSIONS, versionChoice)) {
+            throw new Error(`Versión inválida: ${versionChoice}. Valores válidos: ${Object.keys(VALIDATION_VERSIONS).join(', ')}`);
+        }
+        const versions = VALIDATION_VERSIONS[versionChoice];
+
+        const browser = await launchBrowser();
+        try {
+            let result = null;
+            for (const version of versions) {
+                const context = await browser.newContext({
+                    ...contextOptionsFor(version),
+                    storageState: { cookies: cookieData.cookies || [], origins: [] }
+                });
+                try {
+                    const page = await context.newPage();
+                    await page.goto(baseUrlFor(version), { waitUntil: 'domcontentloaded' });
+                    await sleep(settleMs);
+                    await handleLoadingPage(page);
+                    result = { status: await classifyValidationPage(page, isLoggedIn), version, url: page.url() };
+                } finally {
+                    await context.close().catch(() => {});
+                }
+                if (result.status !== VALIDATION_STATUS.EXPIRED) break;
+            }
+            return result;
+        } finally {
+            await browser.close().catch(() => {});
+        }
+    };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    VALIDATION_STATUS,
+    VALIDATION_VERSIONS,
+    classifyValidationPage,
+    createCookieValidator
+};
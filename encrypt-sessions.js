@@ -0,0 +1,39 @@
+/*****************************************************************
+ * encrypt-sessions.js – Migración de cookies y sesiones a disco cifrado
+ * Cifra con secrets.key las cookies y sesiones guardadas (en el
+ * backend de storage.backend) que aún están en texto plano. Las ya
+ * cifradas se dejan como están, así que se puede ejecutar más de una vez.
+ *
+ * Uso:  SECRETS_KEY=... node encrypt-sessions.js [--cookies-dir cookies] [--storage-backend files]
+ *****************************************************************/
+
+const { loadConfig } = require('./config');
+const { createSecretBox } = require('./secret-box');
+const { createStorage, createSessionStore } = require('./storage');
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+if (!config.secrets.key) {
+    console.error('❌ Falta la clave: configura secrets.key (SECRETS_KEY o SECRETS_KEY_FILE)');
+    process.exit(1);
+}
+
+const store = createSessionStore(createStorage({
+    backend: config.storage.backend,
+    cookiesDir: config.dirs.cookies,
+    databaseFile: config.storage.databaseFile
+}), createSecretBox(config.secrets.key));
+const result = store.encryptAll();
+
+result.encrypted.forEach(name => console.log(`🔒 Cifrado: ${name}`));
+result.failed.forEach(({ name, error }) => console.error(`❌ ${name}: ${error}`));
+console.log(`\n📁 ${store.location} (${store.backend})`);
+console.log(`   ${result.encrypted.length} cifrados, ${result.skipped.length} ya estaban cifrados, ${result.failed.length} con error`);
+
+process.exit(result.failed.length > 0 ? 1 : 0);
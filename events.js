@@ -0,0 +1,135 @@
+/*****************************************************************
+ * events.js – Bus de eventos en tiempo real
+ * Publica cambios del servidor (pasos de login, 2FA, sesiones,
+ * cookies, limpieza) y los sirve como Server-Sent Events en /events
+ * para la UI y cualquier dashboard externo.
+ *****************************************************************/
+
+const { EventEmitter } = require('events');
+
+/*─────────────────  TIPOS DE EVENTO  ──────────────────*/
+const EVENT_TYPES = Object.freeze({
+    LOGIN_STEP: 'login.step',                  // Transición del estado de login
+    TWO_FACTOR_REQUIRED: 'login.2fa_required', // Sesión esperando código 2FA
+    MANUAL_REQUIRED: 'login.manual_required',  // Pantalla no reconocida: sesión abierta para control manual
+    SESSION_OPENED: 'session.opened',          // Navegador abierto para un intento
+    SESSION_CLOSED: 'session.closed',          // Navegador cerrado (manual o por fallo)
+    SESSION_TAKEOVER: 'session.takeover',      // Operador toma (active: true) o devuelve el control
+    COOKIES_SAVED: 'cookies.saved',
+    COOKIES_DELETED: 'cookies.deleted',
+    COOKIES_VALIDATED: 'cookies.validated',    // Resultado de validar las cookies guardadas (valid, expired, checkpoint)
+    CLEANUP: 'cleanup'                         // Limpieza de archivos antiguos
+});
+
+// Eventos que se guardan para reenviar a clientes que se reconectan (Last-Event-ID)
+const DEFAULT_HISTORY_SIZE = 200;
+
+// Comentario periódico para que proxies no cierren la conexión
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+/*─────────────────  BUS  ──────────────────*/
+/**
+ * Crea un bus de eventos con historial y manejador SSE
+ * @param {Object} options - Opciones
+ * @param {number} options.historySize - Eventos que se conservan para reenvío
+ * @param {number} options.heartbeatMs - Intervalo del heartbeat SSE
+ * @returns {Object} - Bus con publish / subscribe / history / sseHandler
+ */
+function createEventBus({ historySize = DEFAULT_HISTORY_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    const buffer = [];
+    let lastId = 0;
+    let clients = 0;
+
+    const bus = {
+        /**
+         * Publica un evento
+         * @param {string} type - Valor de EVENT_TYPES
+         * @param {Object} data - Datos del evento (serializables a JSON)
+         * @returns {Object} - Evento publicado { id, type, at, data }
+         */
+        publish(type, data = {}) {
+            const event = { id: ++lastId, type, at: new Date().toISOString(), data };
+            buffer.push(event);
+            if (buffer.length > historySize) {
+                buffer.shift();
+            }
+            emitter.emit('event', event);
+            return event;
+        },
+
+        /**
+         * Suscribe un listener a todos los eventos
+         * @param {Function} listener - (event) => void
+         * @returns {Function} - Función para cancelar la suscripción
+         */
+        subscribe(listener) {
+            emitter.on('event', listener);
+            return () => emitter.off('event', listener);
+        },
+
+        /**
+         * Eventos guardados posteriores a un ID
+         * @param {number} sinceId - Último ID recibido por el cliente (0 = todos)
+         * @returns {Array<Object>}
+         */
+        history(sinceId = 0) {
+            return buffer.filter(event => event.id > sinceId);
+        },
+
+        get clientCount() {
+            return clients;
+        },
+
+        /**
+         * Manejador Express para GET /events (Server-Sent Events)
+         * Query opcional ?types=login.step,session.closed para filtrar.
+         * Reenvía lo perdido si el navegador manda Last-Event-ID al reconectar.
+         */
+        sseHandler(req, res) {
+            const types = req.query.types
+                ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+                : null;
+            const accepts = event => !types || types.includes(event.type);
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.write('retry: 3000\n\n');
+
+            const send = event => {
+                if (!accepts(event)) return;
+                res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+            };
+
+            const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10);
+            if (lastEventId > 0) {
+                bus.history(lastEventId).forEach(send);
+            }
+
+            const unsubscribe = bus.subscribe(send);
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+            clients++;
+            console.log(`📡 Cliente SSE conectado (${clients} activos)`);
+
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+                clients--;
+                console.log(`📡 Cliente SSE desconectado (${clients} activos)`);
+            });
+        }
+    };
+
+    return bus;
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    EVENT_TYPES,
+    createEventBus
+};
@@ -5,6 +5,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getSiteProfiles, findProfileByUrl } = require('./site-profiles');
+const { PAGE_STATES, isLoggedInPage } = require('./login-state');
+const { RECORD_KINDS } = require('./storage');
+const { EXPIRY_REASONS, sessionExpiry } = require('./cookie-health');
 
 /*─────────────────  UTILIDADES BÁSICAS  ──────────────────*/
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -18,13 +22,19 @@ function getTimestamp() {
 }
 
 /*─────────────────  GESTIÓN DE COOKIES Y CACHE  ──────────────────*/
+/*
+ * Las cookies y el estado de sesión se guardan a través de un sessionStore
+ * (ver storage.js), que decide el backend y aplica el cifrado.
+ */
+
 /**
  * Guarda cookies de una sesión
  * @param {BrowserContext} context - Contexto del navegador
  * @param {string} email - Email del usuario para identificar sesión
- * @param {string} cookiesDir - Directorio donde guardar cookies
+ * @param {Object} store - Almacén de sesiones (ver createSessionStore en storage.js)
+ * @returns {string|null} - Nombre del registro guardado, o null si falló
  */
-async function saveCookies(context, email, cookiesDir) {
+async function saveCookies(context, email, store) {
     try {
         const cookies = await context.cookies();
         const cookieData = {
@@ -35,11 +45,10 @@ async function saveCookies(context, email, cookiesDir) {
             viewport: context._options.viewport || {}
         };
         
-        const cookieFile = path.join(cookiesDir, `${email.replace(/[@.]/g, '_')}_cookies.json`);
-        fs.writeFileSync(cookieFile, JSON.stringify(cookieData, null, 2));
+        const record = store.write(RECORD_KINDS.COOKIES, email, cookieData);
         
-        console.log(`🍪 Cookies guardadas para ${email} en: ${cookieFile}`);
-        return cookieFile;
+        console.log(`🍪 Cookies guardadas para ${email} en: ${record} (${store.backend})${store.encrypted ? ' (cifradas)' : ''}`);
+        return record;
     } catch (error) {
         console.error('❌ Error guardando cookies:', error.message);
         return null;
@@ -47,32 +56,34 @@ async function saveCookies(context, email, cookiesDir) {
 }
 
 /**
- * Carga cookies de una sesión previa
+ * Carga cookies de una sesión previa si siguen valiendo: hasta que caduque alguna de sus
+ * cookies de autenticación o, con maxAgeHours, hasta ese tiempo después de guardarlas
  * @param {string} email - Email del usuario
- * @param {string} cookiesDir - Directorio de cookies
- * @returns {Object|null} - Datos de cookies o null si no existen
+ * @param {Object} store - Almacén de sesiones (ver createSessionStore en storage.js)
+ * @param {Object} policy - Política de retención de la cuenta ({ maxAgeHours }, ver retention.js)
+ * @returns {Object|null} - Datos de cookies o null si no existen o han caducado
  */
-function loadCookies(email, cookiesDir) {
+function loadCookies(email, store, policy = {}) {
     try {
-        const cookieFile = path.join(cookiesDir, `${email.replace(/[@.]/g, '_')}_cookies.json`);
+        const cookieData = store.read(RECORD_KINDS.COOKIES, email);
         
-        if (!fs.existsSync(cookieFile)) {
+        if (!cookieData) {
             console.log(`🍪 No hay cookies guardadas para ${email}`);
             return null;
         }
         
-        const cookieData = JSON.parse(fs.readFileSync(cookieFile, 'utf8'));
-        
-        // Verificar si las cookies no son muy antiguas (7 días)
-        const cookieAge = Date.now() - new Date(cookieData.timestamp).getTime();
-        const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 días en ms
-        
-        if (cookieAge > maxAge) {
-            console.log(`🍪 Cookies de ${email} son muy antiguas, ignorando...`);
+        const expiry = sessionExpiry(cookieData, { maxAgeHours: policy.maxAgeHours });
+        if (expiry.expired) {
+            const why = expiry.reason === EXPIRY_REASONS.MAX_AGE
+                ? `guardadas hace más de ${policy.maxAgeHours} horas`
+                : `faltan o han caducado cookies de autenticación: ${[...expiry.health.missing, ...expiry.health.expired].join(', ')}`;
+            console.log(`🍪 Cookies de ${email} caducadas (${why}), ignorando...`);
             return null;
         }
         
-        console.log(`🍪 Cookies cargadas para ${email} (${Math.round(cookieAge / (60 * 60 * 1000))} horas de antigüedad)`);
+        const ageHours = Math.round((expiry.ageMs || 0) / (60 * 60 * 1000));
+        const until = expiry.expiresAt ? `, válidas hasta ${expiry.expiresAt}` : '';
+        console.log(`🍪 Cookies cargadas para ${email} (${ageHours} horas de antigüedad${until})`);
         return cookieData;
     } catch (error) {
         console.error('❌ Error cargando cookies:', error.message);
@@ -85,12 +96,13 @@ function loadCookies(email, cookiesDir) {
  * @param {BrowserContext} context - Contexto del navegador
  * @param {Page} page - Página actual
  * @param {string} email - Email del usuario
- * @param {string} cookiesDir - Directorio de cookies
+ * @param {Object} store - Almacén de sesiones (ver createSessionStore en storage.js)
+ * @returns {string|null} - Nombre del registro de sesión, o null si falló
  */
-async function saveSessionState(context, page, email, cookiesDir) {
+async function saveSessionState(context, page, email, store) {
     try {
         // Guardar cookies
-        await saveCookies(context, email, cookiesDir);
+        await saveCookies(context, email, store);
         
         // Guardar estado de la página
         const sessionState = {
@@ -116,11 +128,10 @@ async function saveSessionState(context, page, email, cookiesDir) {
             })
         };
         
-        const sessionFile = path.join(cookiesDir, `${email.replace(/[@.]/g, '_')}_session.json`);
-        fs.writeFileSync(sessionFile, JSON.stringify(sessionState, null, 2));
+        const record = store.write(RECORD_KINDS.SESSION, email, sessionState);
         
         console.log(`💾 Estado de sesión guardado para ${email}`);
-        return sessionFile;
+        return record;
     } catch (error) {
         console.error('❌ Error guardando estado de sesión:', error.message);
         return null;
@@ -131,19 +142,17 @@ async function saveSessionState(context, page, email, cookiesDir) {
  * Restaura el estado de localStorage y sessionStorage
  * @param {Page} page - Página donde restaurar
  * @param {string} email - Email del usuario
- * @param {string} cookiesDir - Directorio de cookies
+ * @param {Object} store - Almacén de sesiones (ver createSessionStore en storage.js)
  */
-async function restoreSessionState(page, email, cookiesDir) {
+async function restoreSessionState(page, email, store) {
     try {
-        const sessionFile = path.join(cookiesDir, `${email.replace(/[@.]/g, '_')}_session.json`);
+        const sessionState = store.read(RECORD_KINDS.SESSION, email);
         
-        if (!fs.existsSync(sessionFile)) {
+        if (!sessionState) {
             console.log(`💾 No hay estado de sesión guardado para ${email}`);
             return false;
         }
         
-        const sessionState = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
-        
         // Restaurar localStorage
         if (sessionState.localStorage) {
             await page.evaluate((storage) => {
@@ -171,33 +180,58 @@ async function restoreSessionState(page, email, cookiesDir) {
 }
 
 /**
- * Limpia cookies y sesiones antiguas
- * @param {string} cookiesDir - Directorio de cookies
- * @param {number} maxAgeHours - Edad máxima en horas (default: 168 = 7 días)
+ * Limpia las cookies y sesiones caducadas hace más de cleanupHours (según la política de
+ * cada cuenta). Los de sesión sin cookies se juzgan por su fecha de modificación. Los
+ * registros que no se pueden leer (p. ej. cifrados con otra clave) no se borran: se avisa
+ * en el log y se conservan, igual que el estado de sesión de su cuenta.
+ * @param {Object} store - Almacén de sesiones (ver createSessionStore en storage.js)
+ * @param {Function} policyFor - (email|null) => { maxAgeHours, cleanupHours } (ver retention.js)
+ * @param {number} now - Instante de referencia en ms
+ * @returns {number} - Registros eliminados
  */
-function cleanOldSessions(cookiesDir, maxAgeHours = 168) {
+function cleanOldSessions(store, policyFor, now = Date.now()) {
     try {
-        const files = fs.readdirSync(cookiesDir);
-        const maxAge = maxAgeHours * 60 * 60 * 1000;
-        let cleaned = 0;
-        
-        files.forEach(file => {
-            const filePath = path.join(cookiesDir, file);
-            const stats = fs.statSync(filePath);
-            const age = Date.now() - stats.mtime.getTime();
+        const records = store.list();
+        const withCookies = new Set(records.filter(record => record.kind === RECORD_KINDS.COOKIES).map(record => record.key));
+        const staleKeys = new Set();
+        
+        records.forEach(record => {
+            if (record.error) {
+                console.log(`⚠️ Limpieza: se conserva ${record.name}, no se puede leer (${record.error})`);
+                return;
+            }
+            const { maxAgeHours, cleanupHours } = policyFor(record.data?.email || null);
+            let staleSince = record.updatedAt.getTime();
+            
+            if (record.kind === RECORD_KINDS.COOKIES && record.data) {
+                const expiry = sessionExpiry(record.data, { maxAgeHours, now });
+                if (!expiry.expired) return;
+                // Caducadas desde su primera caducidad o, si les falta una cookie de autenticación, desde que se guardaron
+                const expiresAt = expiry.expiresAt ? new Date(expiry.expiresAt).getTime() : null;
+                if (expiresAt !== null && expiresAt <= now) {
+                    staleSince = expiresAt;
+                } else if (expiry.ageMs !== null) {
+                    staleSince = now - expiry.ageMs;
+                }
+            } else if (record.kind === RECORD_KINDS.SESSION && withCookies.has(record.key)) {
+                return; // El estado de sesión sigue a sus cookies
+            }
             
-            if (age > maxAge) {
-                fs.unlinkSync(filePath);
-                cleaned++;
-                console.log(`🧹 Eliminado archivo antiguo: ${file}`);
+            if (now - staleSince > cleanupHours * 60 * 60 * 1000) {
+                staleKeys.add(record.key);
             }
         });
         
-        if (cleaned > 0) {
-            console.log(`🧹 Limpieza completada: ${cleaned} archivos eliminados`);
+        const removed = store.clean(entry => staleKeys.has(entry.key));
+        removed.forEach(name => console.log(`🧹 Eliminado registro caducado: ${name}`));
+        
+        if (removed.length > 0) {
+            console.log(`🧹 Limpieza completada: ${removed.length} registros eliminados`);
         }
+        return removed.length;
     } catch (error) {
         console.error('❌ Error limpiando sesiones antiguas:', error.message);
+        return 0;
     }
 }
 
@@ -270,9 +304,10 @@ async function typeSlowHuman(page, selector, text) {
  * @param {Page} page - Página de Playwright
  * @param {string} stage - Etapa del proceso (inicial, post-login, error, etc.)
  * @param {string} debugDir - Directorio donde guardar archivos de debug
+ * @param {Object} extra - Datos adicionales para el JSON (ej. loginState)
  * @returns {Object} - Datos del debug
  */
-async function createDebugSnapshot(page, stage = 'general', debugDir) {
+async function createDebugSnapshot(page, stage = 'general', debugDir, extra = {}) {
     try {
         const timestamp = getTimestamp();
         const filename = `${timestamp}_${stage}`;
@@ -287,6 +322,7 @@ async function createDebugSnapshot(page, stage = 'general', debugDir) {
             stage: stage,
             url: page.url(),
             title: await page.title(),
+            ...extra,
             
             // Todos los inputs visibles
             allInputs: await page.evaluate(() => {
@@ -442,26 +478,26 @@ async function findElement(page, selectors, elementType = 'elemento') {
  */
 async function detectFacebookVersion(page) {
     const url = page.url();
-    if (url.includes('m.facebook.com')) {
-        console.log('📱 Detectada versión móvil de Facebook');
-        return 'mobile';
-    } else if (url.includes('www.facebook.com') || url.includes('facebook.com')) {
-        console.log('🖥️ Detectada versión desktop de Facebook');
-        return 'desktop';
+    const profile = findProfileByUrl(url);
+    if (profile) {
+        console.log(profile.version === 'mobile'
+            ? '📱 Detectada versión móvil de Facebook'
+            : '🖥️ Detectada versión desktop de Facebook');
+        return profile.version;
     }
     
     // Fallback: detectar por elementos en la página
     try {
-        const mobileIndicator = await page.locator('input[id="m_login_email"]').isVisible({ timeout: 1000 });
-        if (mobileIndicator) {
-            console.log('📱 Detectada versión móvil por elementos');
-            return 'mobile';
-        }
-        
-        const desktopIndicator = await page.locator('input[data-testid="royal_email"]').isVisible({ timeout: 1000 });
-        if (desktopIndicator) {
-            console.log('🖥️ Detectada versión desktop por elementos');
-            return 'desktop';
+        for (const candidate of getSiteProfiles()) {
+            for (const selector of candidate.detect.selectors) {
+                const indicator = await page.locator(selector).isVisible({ timeout: 1000 });
+                if (indicator) {
+                    console.log(candidate.version === 'mobile'
+                        ? '📱 Detectada versión móvil por elementos'
+                        : '🖥️ Detectada versión desktop por elementos');
+                    return candidate.version;
+                }
+            }
         }
     } catch (e) {
         // Ignorar errores de detección
@@ -496,6 +532,7 @@ async function handleSaveLoginDialog(page) {
         // Buscar botones de "Cancelar" primero (específico del caso reportado)
         const cancelButton = await findElement(page, [
             'button[type="submit"][value="Cancelar"]',
+            'button[type="submit"][value="Cancel"]',
             'button.cancelButton',
             'button:has-text("Cancelar")',
             'div[role="button"]:has-text("Cancelar")',
@@ -643,11 +680,11 @@ async function waitForLoginButton(page, maxWaitMs = 10000) {
 
 /*─────────────────  VERIFICACIONES DE ESTADO  ──────────────────*/
 /**
- * Verifica si el login fue exitoso
+ * Clasifica la página actual después del login
  * @param {Page} page - Página de Playwright
- * @returns {boolean} - True si el login fue exitoso
+ * @returns {string} - Uno de PAGE_STATES (LOGGED_IN, SAVE_LOGIN_DIALOG, DEVICE_TRUST_DIALOG, NOT_LOGGED_IN)
  */
-async function checkLoginSuccess(page) {
+async function classifyLoginPage(page) {
     const currentUrl = page.url();
     console.log(`🌐 URL actual: ${currentUrl}`);
     
@@ -663,7 +700,7 @@ async function checkLoginSuccess(page) {
         for (const text of critical2FATexts) {
             if (pageContent.includes(text)) {
                 console.log(`❌ Login NO exitoso: Texto 2FA encontrado en HTML: "${text}"`);
-                return false;
+                return PAGE_STATES.NOT_LOGGED_IN;
             }
         }
     } catch (e) {
@@ -686,7 +723,7 @@ async function checkLoginSuccess(page) {
             if (pageContent.includes(text)) {
                 console.log(`✅ Login EXITOSO: Encontrado diálogo de guardar login: "${text}"`);
                 console.log(`🔄 Se requiere manejar diálogo de guardar login`);
-                return 'NEEDS_DIALOG_HANDLING';
+                return PAGE_STATES.SAVE_LOGIN_DIALOG;
             }
         }
         
@@ -706,7 +743,7 @@ async function checkLoginSuccess(page) {
                 const element = page.locator(selector);
                 if (await element.isVisible({ timeout: 1000 })) {
                     console.log(`✅ Login EXITOSO: Encontrado selector de guardar login: ${selector}`);
-                    return 'NEEDS_DIALOG_HANDLING';
+                    return PAGE_STATES.SAVE_LOGIN_DIALOG;
                 }
             } catch (e) {
                 continue;
@@ -728,7 +765,7 @@ async function checkLoginSuccess(page) {
             if (pageContent.includes(text)) {
                 console.log(`✅ Login EXITOSO: Encontrado diálogo de confianza del dispositivo: "${text}"`);
                 console.log(`🔐 Se requiere manejar diálogo de confianza del dispositivo`);
-                return 'NEEDS_DEVICE_TRUST_HANDLING';
+                return PAGE_STATES.DEVICE_TRUST_DIALOG;
             }
         }
         
@@ -786,27 +823,21 @@ async function checkLoginSuccess(page) {
             const element = page.locator(indicator);
             if (await element.isVisible({ timeout: 1000 })) {
                 console.log(`❌ Login NO exitoso: detectada pantalla 2FA por ${indicator}`);
-                return false;
+                return PAGE_STATES.NOT_LOGGED_IN;
             }
         } catch (e) {
             continue;
         }
     }
     
-    // URLs que indican login exitoso
-    const successUrls = [
-        'home.php', 
-        '/?', 
-        '/feed',
-        '/home',
-        'facebook.com/?sk=h_chr', // Timeline
-        'facebook.com/?ref=tn_tnmn' // Home
-    ];
+    // URLs que indican login exitoso (según el perfil de sitio de la URL actual)
+    const profile = findProfileByUrl(currentUrl) || getSiteProfiles()[0];
+    const successUrls = profile.successUrlPatterns;
     
     for (const url of successUrls) {
         if (currentUrl.includes(url)) {
             console.log(`✅ Login exitoso por URL: ${url}`);
-            return true;
+            return PAGE_STATES.LOGGED_IN;
         }
     }
     
@@ -815,7 +846,7 @@ async function checkLoginSuccess(page) {
         const loginFields = await page.locator('input[name="email"], input[type="password"]').count();
         if (loginFields === 0) {
             console.log('✅ Login exitoso: no hay campos de login');
-            return true;
+            return PAGE_STATES.LOGGED_IN;
         }
         
         // Buscar indicadores de login exitoso
@@ -831,7 +862,7 @@ async function checkLoginSuccess(page) {
                 const element = page.locator(indicator);
                 if (await element.isVisible({ timeout: 2000 })) {
                     console.log(`✅ Login exitoso por indicador: ${indicator}`);
-                    return true;
+                    return PAGE_STATES.LOGGED_IN;
                 }
             } catch (e) {
                 continue;
@@ -843,7 +874,16 @@ async function checkLoginSuccess(page) {
     }
     
     console.log('❌ Login no exitoso');
-    return false;
+    return PAGE_STATES.NOT_LOGGED_IN;
+}
+
+/**
+ * Verifica si el login fue exitoso (los diálogos post-login cuentan como sesión iniciada)
+ * @param {Page} page - Página de Playwright
+ * @returns {boolean} - True si el login fue exitoso
+ */
+async function checkLoginSuccess(page) {
+    return isLoggedInPage(await classifyLoginPage(page));
 }
 
 /**
@@ -994,19 +1034,8 @@ async function checkFor2FA(page) {
         // Verificación adicional por URL
         const currentUrl = page.url();
         console.log(`🔍 URL actual para verificar 2FA: ${currentUrl}`);
-        const twoFAUrlPatterns = [
-            'checkpoint',
-            'two_factor',
-            'approvals',
-            'security',
-            'verify',
-            'auth-app',
-            'authentication',
-            'confirm',
-            'mfa', // Multi-factor authentication
-            'otp', // One-time password
-            'factor'
-        ];
+        const urlProfile = findProfileByUrl(currentUrl) || getSiteProfiles()[0];
+        const twoFAUrlPatterns = urlProfile.twoFactorUrlPatterns;
         
         for (const pattern of twoFAUrlPatterns) {
             if (currentUrl.includes(pattern)) {
@@ -1138,7 +1167,9 @@ async function handleDeviceTrustDialog(page) {
         const trustDialogTexts = [
             'Iniciaste sesión. ¿Confiar en este dispositivo?',
             'Confiar en este dispositivo',
-            'Siempre confirmar que soy yo'
+            'Siempre confirmar que soy yo',
+            'Trust this device',
+            'Always confirm it\'s you'
         ];
         
         let dialogDetected = false;
@@ -1159,13 +1190,14 @@ async function handleDeviceTrustDialog(page) {
         console.log('⏳ Paso 3: Esperando a que aparezca el popup azul de Chrome...');
         let bluePopupFound = false;
         
-        // Esperar hasta 15 segundos a que aparezca el popup azul
+        // Esperar hasta 15 segundos a que aparezca el popup azul (X en español o inglés)
+        const popupCloseSelector = 'div[aria-label="Cerrar"][role="button"], div[aria-label="Close"][role="button"]';
         for (let i = 0; i < 15; i++) {
             try {
-                const popupElements = await page.locator('div[aria-label="Cerrar"][role="button"]').count();
+                const popupElements = await page.locator(popupCloseSelector).count();
                 if (popupElements > 0) {
                     console.log('🔵 ¡Popup azul de Chrome detectado! Cerrándolo...');
-                    await page.locator('div[aria-label="Cerrar"][role="button"]').first().click();
+                    await page.locator(popupCloseSelector).first().click();
                     console.log('✅ Popup azul cerrado con X');
                     bluePopupFound = true;
                     await sleep(2000);
@@ -1252,6 +1284,8 @@ module.exports = {
     waitForLoginButton,
     
     // Verificaciones
+    PAGE_STATES,
+    classifyLoginPage,
     checkLoginSuccess,
     checkFor2FA,
     
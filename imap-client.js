@@ -0,0 +1,231 @@
+/*****************************************************************
+ * imap-client.js – Cliente IMAP4rev1 mínimo (solo lectura)
+ * Lo justo para buscar y leer los correos con códigos 2FA:
+ * LOGIN, EXAMINE, UID SEARCH, UID FETCH y LOGOUT sobre TLS
+ * (o texto plano para un servidor local de pruebas).
+ *****************************************************************/
+
+const net = require('net');
+const tls = require('tls');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/*─────────────────  FORMATO  ──────────────────*/
+/**
+ * Cadena IMAP entre comillas
+ * @param {string} value - Texto (sin saltos de línea)
+ * @returns {string}
+ */
+function quote(value) {
+    const text = String(value);
+    if (/[\r\n]/.test(text)) {
+        throw new Error('Los valores IMAP no pueden contener saltos de línea');
+    }
+    return `"${text.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+/**
+ * Fecha en formato de búsqueda IMAP (SINCE): 19-Oct-2026
+ * @param {Date} date - Fecha
+ * @returns {string}
+ */
+function formatSearchDate(date) {
+    return `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+}
+
+/**
+ * Convierte criterios de búsqueda en la sintaxis de UID SEARCH
+ * @param {Object} criteria - { since: Date, from, subject }
+ * @returns {string}
+ */
+function buildSearch({ since, from, subject } = {}) {
+    const parts = [];
+    if (since) parts.push(`SINCE ${formatSearchDate(since)}`);
+    if (from) parts.push(`FROM ${quote(from)}`);
+    if (subject) parts.push(`SUBJECT ${quote(subject)}`);
+    return parts.length > 0 ? parts.join(' ') : 'ALL';
+}
+
+/*─────────────────  CLIENTE  ──────────────────*/
+/**
+ * Abre una conexión IMAP y espera el saludo del servidor
+ * @param {Object} options - { host, port, secure, rejectUnauthorized, timeoutMs }
+ * @returns {Promise<Object>} - Cliente con login / examine / search / fetch / logout / close
+ */
+function connectImap({ host, port, secure = true, rejectUnauthorized = true, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+            : net.connect({ host, port });
+
+        let buffer = Buffer.alloc(0);
+        let tagCounter = 0;
+        let current = null;       // Comando en curso { tag, responses, resolve, reject }
+        let pending = null;       // Respuesta sin tag en construcción { line, literals }
+        let greeted = false;
+        let closedError = null;
+
+        const fail = error => {
+            closedError = closedError || error;
+            if (!greeted) {
+                greeted = true;
+                reject(error);
+            }
+            if (current) {
+                current.reject(error);
+                current = null;
+            }
+        };
+
+        socket.setTimeout(timeoutMs, () => {
+            fail(new Error(`Tiempo de espera agotado con el servidor IMAP ${host}:${port}`));
+            socket.destroy();
+        });
+        socket.on('error', error => fail(new Error(`Error de conexión IMAP (${host}:${port}): ${error.message}`)));
+        socket.on('close', () => fail(new Error('El servidor IMAP cerró la conexión')));
+
+        // Una respuesta completa: línea con sus literales {n} ya leídos
+        const handleResponse = response => {
+            if (!greeted) {
+                greeted = true;
+                if (/^\* (OK|PREAUTH)/i.test(response.line)) {
+                    resolve(client);
+                } else {
+                    reject(new Error(`Saludo IMAP inesperado: ${response.line}`));
+                    socket.destroy();
+                }
+                return;
+            }
+            if (!current) return;
+
+            const tagged = response.line.match(/^(A\d+) (OK|NO|BAD)\b ?(.*)$/i);
+            if (tagged && tagged[1] === current.tag) {
+                const { resolve: done, reject: failed, responses } = current;
+                current = null;
+                if (tagged[2].toUpperCase() === 'OK') {
+                    done(responses);
+                } else {
+                    failed(new Error(`IMAP ${tagged[2].toUpperCase()}: ${tagged[3] || 'comando rechazado'}`));
+                }
+            } else {
+                current.responses.push(response);
+            }
+        };
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            while (true) {
+                if (pending && pending.literalBytes !== undefined) {
+                    if (buffer.length < pending.literalBytes) return;
+                    pending.literals.push(buffer.subarray(0, pending.literalBytes).toString('utf8'));
+                    buffer = buffer.subarray(pending.literalBytes);
+                    delete pending.literalBytes;
+                }
+
+                const end = buffer.indexOf('\r\n');
+                if (end === -1) return;
+                const line = buffer.subarray(0, end).toString('utf8');
+                buffer = buffer.subarray(end + 2);
+
+                pending = pending || { line: '', literals: [] };
+                pending.line += line;
+
+                const literal = line.match(/\{(\d+)\}$/);
+                if (literal) {
+                    pending.literalBytes = parseInt(literal[1], 10);
+                    continue;
+                }
+
+                const response = pending;
+                pending = null;
+                handleResponse(response);
+            }
+        });
+
+        /**
+         * Envía un comando y espera su respuesta con tag
+         * @param {string} command - Comando sin tag
+         * @returns {Promise<Array<Object>>} - Respuestas sin tag [{ line, literals }]
+         */
+        const run = command => new Promise((done, failed) => {
+            if (closedError) return failed(closedError);
+            if (current) return failed(new Error('Ya hay un comando IMAP en curso'));
+            const tag = `A${++tagCounter}`;
+            current = { tag, responses: [], resolve: done, reject: failed };
+            socket.write(`${tag} ${command}\r\n`);
+        });
+
+        const client = {
+            /**
+             * @param {string} user - Usuario
+             * @param {string} password - Contraseña (o contraseña de aplicación)
+             */
+            async login(user, password) {
+                await run(`LOGIN ${quote(user)} ${quote(password)}`);
+            },
+
+            /**
+             * Abre un buzón en solo lectura (no marca los correos como leídos)
+             * @param {string} mailbox - Nombre del buzón
+             * @returns {Promise<number>} - Número de mensajes
+             */
+            async examine(mailbox = 'INBOX') {
+                const responses = await run(`EXAMINE ${quote(mailbox)}`);
+                const exists = responses.map(r => r.line.match(/^\* (\d+) EXISTS/i)).find(Boolean);
+                return exists ? parseInt(exists[1], 10) : 0;
+            },
+
+            /**
+             * @param {Object} criteria - Ver buildSearch
+             * @returns {Promise<Array<number>>} - UIDs encontrados
+             */
+            async search(criteria) {
+                const responses = await run(`UID SEARCH ${buildSearch(criteria)}`);
+                return responses
+                    .map(r => r.line.match(/^\* SEARCH\b(.*)$/i))
+                    .filter(Boolean)
+                    .flatMap(match => match[1].trim().split(/\s+/).filter(Boolean).map(Number));
+            },
+
+            /**
+             * Descarga un mensaje completo sin marcarlo como leído
+             * @param {number} uid - UID del mensaje
+             * @returns {Promise<Object|null>} - { uid, internalDate: Date, raw } o null si no existe
+             */
+            async fetch(uid) {
+                const responses = await run(`UID FETCH ${uid} (UID INTERNALDATE BODY.PEEK[])`);
+                const response = responses.find(r => /^\* \d+ FETCH/i.test(r.line) && r.literals.length > 0);
+                if (!response) return null;
+                const date = response.line.match(/INTERNALDATE "([^"]+)"/i);
+                return {
+                    uid,
+                    internalDate: date ? new Date(date[1].trim().replace(/^(\d+)-(\w+)-(\d+) /, '$2 $1 $3 ')) : null,
+                    raw: response.literals[0]
+                };
+            },
+
+            async logout() {
+                try {
+                    await run('LOGOUT');
+                } catch (e) {
+                    // Algunos servidores cierran la conexión antes del OK
+                }
+                socket.end();
+            },
+
+            close() {
+                socket.destroy();
+            }
+        };
+    });
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    connectImap,
+    buildSearch,
+    formatSearchDate
+};
@@ -0,0 +1,210 @@
+/*****************************************************************
+ * interstitials.js – Pipeline de pantallas intermedias post-login
+ * Diálogos de "guardar login", confianza del dispositivo, popups de
+ * Chrome... Cada handler se registra con un detector, una prioridad y
+ * un máximo de intentos; el pipeline los ejecuta en bucle hasta que la
+ * página queda logueada o ningún handler aplica.
+ *****************************************************************/
+
+const {
+    sleep,
+    classifyLoginPage,
+    handleSaveLoginDialog,
+    handleDeviceTrustDialog,
+    handleChromePopups
+} = require('./helpers');
+const { PAGE_STATES, isLoggedInPage } = require('./login-state');
+
+/*─────────────────  PIPELINE  ──────────────────*/
+/**
+ * Crea un pipeline de interstitials vacío
+ * @param {Object} options - Opciones
+ * @param {Function} options.classify - Clasificador de página (default: classifyLoginPage)
+ * @returns {Object} - Pipeline con register / unregister / list / run
+ */
+function createInterstitialPipeline({ classify = classifyLoginPage } = {}) {
+    const handlers = [];
+
+    const pipeline = {
+        /**
+         * Registra un handler
+         * @param {Object} handler - Definición del handler
+         * @param {string} handler.name - Nombre único (se registra en el historial de login)
+         * @param {Function} handler.detect - async (page, context) → boolean
+         * @param {Function} handler.handle - async (page, context) → boolean (true si actuó)
+         * @param {number} handler.priority - Mayor prioridad se evalúa primero (default: 0)
+         * @param {number} handler.maxAttempts - Veces que puede ejecutarse por corrida (default: 1)
+         * @param {number} handler.settleMs - Espera tras ejecutarlo antes de reclasificar (default: 0)
+         * @param {boolean} handler.whenLoggedIn - Evaluarlo aunque la página ya esté logueada
+         *                                         (popups superpuestos al feed) (default: false)
+         * @returns {Object} - El propio pipeline
+         */
+        register({ name, detect, handle, priority = 0, maxAttempts = 1, settleMs = 0, whenLoggedIn = false }) {
+            if (!name || typeof detect !== 'function' || typeof handle !== 'function') {
+                throw new Error('Un interstitial requiere name, detect y handle');
+            }
+            if (handlers.some(handler => handler.name === name)) {
+                throw new Error(`Interstitial ya registrado: ${name}`);
+            }
+            if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+                throw new Error(`maxAttempts inválido para ${name}: ${maxAttempts}`);
+            }
+
+            handlers.push({ name, detect, handle, priority, maxAttempts, settleMs, whenLoggedIn });
+            handlers.sort((a, b) => b.priority - a.priority);
+            return pipeline;
+        },
+
+        /**
+         * Elimina un handler registrado
+         * @param {string} name - Nombre del handler
+         * @returns {boolean} - True si existía
+         */
+        unregister(name) {
+            const index = handlers.findIndex(handler => handler.name === name);
+            if (index === -1) return false;
+            handlers.splice(index, 1);
+            return true;
+        },
+
+        /**
+         * Lista los handlers en orden de evaluación
+         * @returns {Array<Object>}
+         */
+        list() {
+            return handlers.map(({ name, priority, maxAttempts, settleMs, whenLoggedIn }) =>
+                ({ name, priority, maxAttempts, settleMs, whenLoggedIn }));
+        },
+
+        /**
+         * Ejecuta los handlers hasta que la página queda logueada o ninguno aplica
+         * @param {Page} page - Página de Playwright
+         * @param {Object} options - Opciones
+         * @param {Function} options.onHandled - Callback ({ name, attempt, pageState }) antes de ejecutar cada handler
+         * @returns {Object} - { pageState, loggedIn, handled: [{ name, attempt, result, pageState }] }
+         */
+        async run(page, { onHandled = null } = {}) {
+            const attempts = {};
+            const handled = [];
+            let pageState = await classify(page);
+
+            while (true) {
+                const context = { pageState, attempts: { ...attempts } };
+                let match = null;
+
+                for (const handler of handlers) {
+                    if ((attempts[handler.name] || 0) >= handler.maxAttempts) continue;
+                    if (pageState === PAGE_STATES.LOGGED_IN && !handler.whenLoggedIn) continue;
+
+                    try {
+                        if (await handler.detect(page, context)) {
+                            match = handler;
+                            break;
+                        }
+                    } catch (error) {
+                        console.log(`⚠️ Error en detector de interstitial "${handler.name}": ${error.message}`);
+                    }
+                }
+
+                if (!match) break;
+
+                const attempt = (attempts[match.name] || 0) + 1;
+                attempts[match.name] = attempt;
+                console.log(`🪟 Interstitial "${match.name}" (intento ${attempt}/${match.maxAttempts}, página: ${pageState})`);
+
+                if (onHandled) {
+                    await onHandled({ name: match.name, attempt, pageState });
+                }
+
+                let result = false;
+                try {
+                    result = await match.handle(page, context);
+                } catch (error) {
+                    console.log(`❌ Error en interstitial "${match.name}": ${error.message}`);
+                }
+                handled.push({ name: match.name, attempt, result, pageState });
+
+                if (match.settleMs) {
+                    await sleep(match.settleMs);
+                }
+                pageState = await classify(page);
+            }
+
+            const loggedIn = isLoggedInPage(pageState);
+            console.log(`🪟 Pipeline de interstitials terminado: ${pageState} (${handled.length} handler(s) ejecutados)`);
+            return { pageState, loggedIn, handled };
+        }
+    };
+
+    return pipeline;
+}
+
+/*─────────────────  HANDLERS POR DEFECTO  ──────────────────*/
+// Botón X del popup azul de Chrome (notificaciones) en español e inglés
+const CHROME_POPUP_CLOSE_SELECTOR = 'div[aria-label="Cerrar"][role="button"], div[aria-label="Close"][role="button"]';
+
+const CHROME_POPUP_TEXTS = [
+    'configuración para dar permiso',
+    'notificaciones en la computadora',
+    'Chrome para que te envíe'
+];
+
+/**
+ * Detecta el popup de notificaciones de Chrome superpuesto a la página
+ * @param {Page} page - Página de Playwright
+ * @returns {boolean}
+ */
+async function detectChromePopup(page) {
+    if (await page.locator(CHROME_POPUP_CLOSE_SELECTOR).count() > 0) {
+        return true;
+    }
+    const pageContent = await page.content();
+    return CHROME_POPUP_TEXTS.some(text => pageContent.includes(text));
+}
+
+const DEFAULT_INTERSTITIALS = [
+    {
+        name: 'device_trust',
+        detect: async (page, { pageState }) => pageState === PAGE_STATES.DEVICE_TRUST_DIALOG,
+        handle: handleDeviceTrustDialog,
+        priority: 30,
+        maxAttempts: 2,
+        settleMs: 3000
+    },
+    {
+        name: 'save_login',
+        detect: async (page, { pageState }) => pageState === PAGE_STATES.SAVE_LOGIN_DIALOG,
+        handle: handleSaveLoginDialog,
+        priority: 20,
+        maxAttempts: 2,
+        settleMs: 2000
+    },
+    {
+        name: 'chrome_popup',
+        detect: detectChromePopup,
+        handle: handleChromePopups,
+        priority: 10,
+        maxAttempts: 2,
+        settleMs: 2000,
+        whenLoggedIn: true
+    }
+];
+
+/**
+ * Crea un pipeline con los handlers por defecto registrados
+ * @param {Object} options - Ver createInterstitialPipeline
+ * @returns {Object} - Pipeline
+ */
+function createDefaultInterstitialPipeline(options = {}) {
+    const pipeline = createInterstitialPipeline(options);
+    DEFAULT_INTERSTITIALS.forEach(handler => pipeline.register(handler));
+    return pipeline;
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    DEFAULT_INTERSTITIALS,
+    createInterstitialPipeline,
+    createDefaultInterstitialPipeline,
+    detectChromePopup
+};
@@ -0,0 +1,167 @@
+/*****************************************************************
+ * jobs.js – Trabajos de login asíncronos
+ * Un job ejecuta un login (o la validación en bloque de cookies
+ * guardadas) en segundo plano y registra su estado,
+ * el paso actual, el tiempo transcurrido y el resultado final, para
+ * que el cliente haga polling en lugar de mantener abierta la petición.
+ *****************************************************************/
+
+/*─────────────────  ESTADOS  ──────────────────*/
+const JOB_STATES = Object.freeze({
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',       // Login completado
+    REQUIRES_2FA: 'requires_2fa', // Terminó esperando código 2FA (ver /submit-2fa)
+    REQUIRES_MANUAL: 'requires_manual', // Pantalla no reconocida: sesión abierta para control manual
+    FAILED: 'failed'              // Login fallido o error inesperado
+});
+
+// Máximo de jobs terminados que se conservan en memoria
+const MAX_FINISHED_JOBS = 100;
+
+/*─────────────────  REGISTRO  ──────────────────*/
+const jobs = new Map();
+let sequence = 0;
+
+// Descarta los jobs terminados más antiguos cuando se supera el límite
+function pruneFinished() {
+    const finished = Array.from(jobs.values()).filter(job => job.state !== JOB_STATES.RUNNING);
+    const excess = finished.length - MAX_FINISHED_JOBS;
+    for (let i = 0; i < excess; i++) {
+        jobs.delete(finished[i].id);
+    }
+}
+
+/**
+ * Estado final de un job según el resultado del login
+ * @param {Object} result - Resultado de performFacebookLoginPersistent / performQuickLogin
+ * @returns {string} - Valor de JOB_STATES
+ */
+function stateFromResult(result) {
+    if (result && result.success) return JOB_STATES.SUCCEEDED;
+    if (result && result.requires2FA) return JOB_STATES.REQUIRES_2FA;
+    if (result && result.requiresManual) return JOB_STATES.REQUIRES_MANUAL;
+    return JOB_STATES.FAILED;
+}
+
+/*─────────────────  JOBS  ──────────────────*/
+/**
+ * Crea un job y lo ejecuta en segundo plano
+ * @param {string} type - Tipo de job ('login', 'quick-login', 'cookies-validate')
+ * @param {Object} meta - Datos públicos del job (email o emails, version...) – nunca contraseñas
+ * @param {Function} task - async (job) → resultado del login ({ success, requires2FA, sessionId, ... })
+ * @returns {Object} - Job; `job.done` resuelve (nunca rechaza) cuando termina
+ */
+function createJob(type, meta, task) {
+    const createdAt = new Date();
+    const job = {
+        id: `job-${createdAt.getTime()}-${++sequence}`,
+        type,
+        meta: { ...meta },
+        state: JOB_STATES.RUNNING,
+        step: 'started',
+        steps: [{ step: 'started', at: createdAt.toISOString() }],
+        sessionId: null,
+        result: null,
+        error: null,
+        createdAt,
+        finishedAt: null,
+        done: null,
+
+        /**
+         * Registra el paso actual del job
+         * @param {string} step - Descripción corta del paso (ej. 'mobile:credentials')
+         * @param {string} sessionId - Sesión asociada al paso (opcional)
+         */
+        setStep(step, sessionId = null) {
+            if (job.state !== JOB_STATES.RUNNING || step === job.step) return;
+            job.step = step;
+            job.steps.push({ step, at: new Date().toISOString() });
+            if (sessionId) {
+                job.sessionId = sessionId;
+            }
+        },
+
+        toJSON() {
+            const end = job.finishedAt || new Date();
+            return {
+                id: job.id,
+                type: job.type,
+                ...job.meta,
+                state: job.state,
+                step: job.step,
+                steps: job.steps.map(entry => ({ ...entry })),
+                sessionId: job.sessionId,
+                createdAt: createdAt.toISOString(),
+                finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+                elapsedMs: end.getTime() - createdAt.getTime(),
+                result: job.result,
+                error: job.error
+            };
+        }
+    };
+
+    jobs.set(job.id, job);
+    const target = meta.email || (meta.emails ? `${meta.emails.length} cuentas` : 'desconocido');
+    console.log(`🧾 Job ${job.id} (${type}) creado para ${target}`);
+
+    const finish = (state, step) => {
+        job.finishedAt = new Date();
+        job.state = state;
+        job.step = step;
+        job.steps.push({ step, at: job.finishedAt.toISOString() });
+        console.log(`🧾 Job ${job.id} terminado: ${state} (${job.finishedAt - createdAt}ms)`);
+        pruneFinished();
+    };
+
+    job.done = Promise.resolve()
+        .then(() => task(job))
+        .then(result => {
+            job.result = result;
+            if (result && result.sessionId) {
+                job.sessionId = result.sessionId;
+            }
+            finish(stateFromResult(result), 'finished');
+        }, error => {
+            console.error(`❌ Error en job ${job.id}:`, error.message);
+            job.error = error.message;
+            finish(JOB_STATES.FAILED, 'error');
+        })
+        .then(() => job);
+
+    return job;
+}
+
+/**
+ * Obtiene un job por ID
+ * @param {string} id - ID del job
+ * @returns {Object|null}
+ */
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Lista los jobs registrados (más recientes primero)
+ * @param {Object} filters - Filtros opcionales
+ * @param {string} filters.state - Solo este estado
+ * @param {string} filters.email - Solo los de este email (o que lo incluyan en emails)
+ * @param {number} filters.limit - Máximo de resultados
+ * @returns {Array<Object>} - Jobs serializados
+ */
+function listJobs({ state, email, limit } = {}) {
+    // El Map conserva el orden de creación
+    const list = Array.from(jobs.values())
+        .reverse()
+        .filter(job => !state || job.state === state)
+        .filter(job => !email || job.meta.email === email || (job.meta.emails || []).includes(email))
+        .map(job => job.toJSON());
+    return limit ? list.slice(0, limit) : list;
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    JOB_STATES,
+    createJob,
+    getJob,
+    listJobs
+};
@@ -0,0 +1,199 @@
+/*****************************************************************
+ * login-state.js – Máquina de estados del intento de login
+ * Estados con nombre, transiciones validadas con timestamp y un
+ * registro consultable del estado actual de cada sesión.
+ *****************************************************************/
+
+/*─────────────────  ESTADOS Y TRANSICIONES  ──────────────────*/
+const LOGIN_STATES = Object.freeze({
+    NAVIGATING: 'navigating',     // Abriendo la página de Facebook
+    CREDENTIALS: 'credentials',   // Escribiendo email y contraseña
+    SUBMITTED: 'submitted',       // Credenciales o código enviados, esperando respuesta
+    TWO_FACTOR: 'two_factor',     // Esperando código 2FA
+    INTERSTITIAL: 'interstitial', // Diálogos post-login (guardar login, confianza, popups)
+    MANUAL: 'manual',             // Pantalla no reconocida o sesión bajo control de un operador
+    LOGGED_IN: 'logged_in',       // Login completado
+    FAILED: 'failed'              // Intento terminado sin éxito
+});
+
+const S = LOGIN_STATES;
+
+// Lo que classifyLoginPage (helpers.js) reconoce en la página actual
+const PAGE_STATES = Object.freeze({
+    LOGGED_IN: 'logged_in',
+    SAVE_LOGIN_DIALOG: 'save_login_dialog',     // "¿Guardar tu información de inicio de sesión?"
+    DEVICE_TRUST_DIALOG: 'device_trust_dialog', // "¿Confiar en este dispositivo?"
+    NOT_LOGGED_IN: 'not_logged_in'
+});
+
+// Diálogos post-login: el login ya fue exitoso pero falta cerrarlos
+const INTERSTITIAL_PAGE_STATES = [PAGE_STATES.SAVE_LOGIN_DIALOG, PAGE_STATES.DEVICE_TRUST_DIALOG];
+
+// Transiciones permitidas desde cada estado (FAILED siempre está permitido desde estados no finales)
+const TRANSITIONS = {
+    [S.NAVIGATING]: [S.NAVIGATING, S.CREDENTIALS, S.INTERSTITIAL, S.LOGGED_IN],
+    [S.CREDENTIALS]: [S.SUBMITTED],
+    [S.SUBMITTED]: [S.INTERSTITIAL, S.TWO_FACTOR, S.MANUAL, S.LOGGED_IN],
+    [S.TWO_FACTOR]: [S.SUBMITTED, S.TWO_FACTOR, S.MANUAL],
+    [S.INTERSTITIAL]: [S.INTERSTITIAL, S.TWO_FACTOR, S.MANUAL, S.LOGGED_IN],
+    [S.MANUAL]: [S.MANUAL, S.INTERSTITIAL, S.TWO_FACTOR, S.LOGGED_IN],
+    [S.LOGGED_IN]: [],
+    [S.FAILED]: []
+};
+
+const TERMINAL_STATES = [S.LOGGED_IN, S.FAILED];
+
+// Máximo de máquinas terminadas que se conservan en el registro
+const MAX_FINISHED_MACHINES = 200;
+
+/*─────────────────  MÁQUINA DE ESTADOS  ──────────────────*/
+/**
+ * Crea la máquina de estados de un intento de login
+ * @param {string} sessionId - ID de la sesión
+ * @param {Object} meta - Datos del intento
+ * @param {string} meta.email - Email del usuario
+ * @param {string} meta.version - 'mobile' o 'desktop'
+ * @param {boolean} meta.quickLogin - Si es login rápido
+ * @param {Function} onTransition - Callback opcional (snapshot) tras cada transición
+ * @returns {Object} - Máquina de estados
+ */
+function createLoginStateMachine(sessionId, { email, version, quickLogin = false } = {}, onTransition = null) {
+    const createdAt = new Date();
+    const history = [{ state: S.NAVIGATING, at: createdAt.toISOString(), detail: null }];
+
+    const machine = {
+        sessionId,
+        email,
+        version,
+        quickLogin,
+
+        get state() {
+            return history[history.length - 1].state;
+        },
+
+        get isTerminal() {
+            return TERMINAL_STATES.includes(machine.state);
+        },
+
+        /**
+         * Comprueba si una transición está permitida desde el estado actual
+         * @param {string} nextState - Estado destino
+         * @returns {boolean}
+         */
+        can(nextState) {
+            if (machine.isTerminal) return false;
+            return nextState === S.FAILED || TRANSITIONS[machine.state].includes(nextState);
+        },
+
+        /**
+         * Registra una transición
+         * @param {string} nextState - Estado destino (LOGIN_STATES)
+         * @param {string|Object} detail - Detalle opcional (paso, diálogo, error...)
+         * @returns {Object} - La propia máquina
+         */
+        transition(nextState, detail = null) {
+            if (!Object.values(S).includes(nextState)) {
+                throw new Error(`Estado de login desconocido: ${nextState}`);
+            }
+            if (!machine.can(nextState)) {
+                throw new Error(`Transición de login inválida para ${sessionId}: ${machine.state} → ${nextState}`);
+            }
+
+            history.push({ state: nextState, at: new Date().toISOString(), detail });
+            console.log(`🧭 [${sessionId}] ${history[history.length - 2].state} → ${nextState}${detail ? ` (${typeof detail === 'string' ? detail : JSON.stringify(detail)})` : ''}`);
+
+            if (machine.isTerminal) {
+                pruneFinished();
+            }
+            if (onTransition) {
+                onTransition(machine.toJSON());
+            }
+            return machine;
+        },
+
+        /**
+         * Marca el intento como fallido (no hace nada si ya terminó)
+         * @param {string} reason - Motivo del fallo
+         */
+        fail(reason) {
+            if (!machine.isTerminal) {
+                machine.transition(S.FAILED, reason);
+            }
+            return machine;
+        },
+
+        toJSON() {
+            const last = history[history.length - 1];
+            return {
+                sessionId,
+                email,
+                version,
+                quickLogin,
+                state: last.state,
+                detail: last.detail,
+                createdAt: createdAt.toISOString(),
+                updatedAt: last.at,
+                history: history.map(entry => ({ ...entry }))
+            };
+        }
+    };
+
+    registry.set(sessionId, machine);
+    return machine;
+}
+
+/*─────────────────  REGISTRO  ──────────────────*/
+const registry = new Map();
+
+// Descarta las máquinas terminadas más antiguas cuando se supera el límite
+function pruneFinished() {
+    const finished = Array.from(registry.values()).filter(machine => machine.isTerminal);
+    const excess = finished.length - MAX_FINISHED_MACHINES;
+    for (let i = 0; i < excess; i++) {
+        registry.delete(finished[i].sessionId);
+    }
+}
+
+/**
+ * Obtiene la máquina de estados de una sesión
+ * @param {string} sessionId - ID de la sesión
+ * @returns {Object|null}
+ */
+function getLoginState(sessionId) {
+    return registry.get(sessionId) || null;
+}
+
+/**
+ * Lista los estados registrados (más recientes primero)
+ * @param {Object} filters - Filtros opcionales
+ * @param {string} filters.email - Solo este email
+ * @param {string} filters.state - Solo este estado actual
+ * @returns {Array<Object>} - Estados serializados
+ */
+function listLoginStates({ email, state } = {}) {
+    return Array.from(registry.values())
+        .filter(machine => !email || machine.email === email)
+        .filter(machine => !state || machine.state === state)
+        .map(machine => machine.toJSON())
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Indica si un estado de página implica sesión iniciada (aunque haya un diálogo pendiente)
+ * @param {string} pageState - Valor de PAGE_STATES
+ * @returns {boolean}
+ */
+function isLoggedInPage(pageState) {
+    return pageState === PAGE_STATES.LOGGED_IN || INTERSTITIAL_PAGE_STATES.includes(pageState);
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    LOGIN_STATES,
+    PAGE_STATES,
+    TRANSITIONS,
+    isLoggedInPage,
+    createLoginStateMachine,
+    getLoginState,
+    listLoginStates
+};
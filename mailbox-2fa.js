@@ -0,0 +1,389 @@
+/*****************************************************************
+ * mailbox-2fa.js – Buzón de correo como fuente de códigos 2FA
+ * Revisa por IMAP el buzón configurado para cada cuenta hasta que
+ * llega el correo con el código de seguridad y lo extrae.
+ * La contraseña del buzón se guarda cifrada (ver secret-box.js).
+ *****************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const { connectImap } = require('./imap-client');
+
+/*─────────────────  PARÁMETROS  ──────────────────*/
+const MAILBOX_DEFAULTS = Object.freeze({
+    port: 993,
+    secure: true,
+    mailbox: 'INBOX'
+});
+
+// Código de 6 a 8 dígitos que no forma parte de un número más largo
+const DEFAULT_CODE_PATTERN = '(?<!\\d)(\\d{6,8})(?!\\d)';
+
+// Margen para correos fechados un poco antes de que se detectara el 2FA
+// (el sitio envía el código al aceptar las credenciales) y para relojes desfasados
+const SINCE_SLACK_MS = 2 * 60 * 1000;
+
+// Error de credenciales del buzón: no tiene sentido seguir reintentando
+const AUTH_FAILED = 'MAILBOX_AUTH_FAILED';
+
+/*─────────────────  LECTURA DE CORREOS  ──────────────────*/
+/**
+ * Separa cabeceras y cuerpo de un mensaje (o de una parte MIME)
+ * @param {string} raw - Texto del mensaje
+ * @returns {Object} - { headers: { nombre en minúsculas: valor }, body }
+ */
+function splitMessage(raw) {
+    const match = raw.match(/\r?\n\r?\n/);
+    const headerText = match ? raw.slice(0, match.index) : raw;
+    const body = match ? raw.slice(match.index + match[0].length) : '';
+    const headers = {};
+
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon <= 0) return;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        if (headers[name] === undefined) {
+            headers[name] = line.slice(colon + 1).trim();
+        }
+    });
+    return { headers, body };
+}
+
+/**
+ * Valor de un parámetro de cabecera (charset, boundary...)
+ * @param {string} header - Cabecera completa
+ * @param {string} name - Parámetro
+ * @returns {string|null}
+ */
+function headerParam(header = '', name) {
+    const match = header.match(new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+    return match ? (match[1] ?? match[2]) : null;
+}
+
+/**
+ * @param {Buffer} bytes - Bytes decodificados
+ * @param {string} charset - Juego de caracteres declarado
+ * @returns {string}
+ */
+function decodeCharset(bytes, charset = 'utf-8') {
+    return /^(iso-8859-1|latin1|windows-1252|us-ascii)$/i.test(charset) ? bytes.toString('latin1') : bytes.toString('utf8');
+}
+
+/**
+ * @param {string} text - Texto quoted-printable
+ * @returns {Buffer}
+ */
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const clean = text.replace(/=\r?\n/g, '');
+    for (let i = 0; i < clean.length; i++) {
+        if (clean[i] === '=' && /^[0-9A-F]{2}$/i.test(clean.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(clean.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(...Buffer.from(clean[i], 'utf8'));
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Decodifica palabras codificadas RFC 2047 (=?UTF-8?B?...?= / =?UTF-8?Q?...?=) de una cabecera
+ * @param {string} value - Valor de la cabecera
+ * @returns {string}
+ */
+function decodeHeader(value = '') {
+    return value
+        .replace(/\?=\s+=\?/g, '?==?')
+        .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, encoding, text) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : decodeQuotedPrintable(text.replace(/_/g, ' '));
+            return decodeCharset(bytes, charset);
+        });
+}
+
+/**
+ * Texto legible de un mensaje: recorre las partes MIME, decodifica base64 / quoted-printable
+ * y quita las etiquetas del HTML
+ * @param {string} raw - Mensaje o parte MIME
+ * @returns {string}
+ */
+function extractText(raw) {
+    const { headers, body } = splitMessage(raw);
+    const contentType = headers['content-type'] || 'text/plain';
+
+    if (/^multipart\//i.test(contentType)) {
+        const boundary = headerParam(contentType, 'boundary');
+        if (!boundary) return '';
+        return body
+            .split(`--${boundary}`)
+            .slice(1)
+            .filter(part => !part.startsWith('--'))
+            .map(part => extractText(part.replace(/^\r?\n/, '')))
+            .join('\n');
+    }
+    if (!/^text\//i.test(contentType)) return '';
+
+    const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+    const charset = headerParam(contentType, 'charset') || 'utf-8';
+    let text = body;
+    if (encoding === 'base64') {
+        text = decodeCharset(Buffer.from(body.replace(/\s+/g, ''), 'base64'), charset);
+    } else if (encoding === 'quoted-printable') {
+        text = decodeCharset(decodeQuotedPrintable(body), charset);
+    }
+
+    if (/^text\/html/i.test(contentType)) {
+        text = text
+            .replace(/<(style|script)[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ');
+    }
+    return text;
+}
+
+/**
+ * Primer código de seguridad de un texto
+ * @param {string} text - Texto (asunto, cuerpo, SMS...)
+ * @param {string} codePattern - Expresión regular; se usa el primer grupo si lo tiene
+ * @returns {string|null}
+ */
+function findCode(text, codePattern = DEFAULT_CODE_PATTERN) {
+    const match = String(text || '').match(new RegExp(codePattern));
+    return match ? (match[1] || match[0]) : null;
+}
+
+/**
+ * Busca el código de seguridad en un correo: primero en el asunto, luego en el cuerpo
+ * @param {string} raw - Mensaje completo (RFC 822)
+ * @param {string} codePattern - Expresión regular; se usa el primer grupo si lo tiene
+ * @returns {string|null}
+ */
+function extractSecurityCode(raw, codePattern = DEFAULT_CODE_PATTERN) {
+    const { headers } = splitMessage(raw);
+    return findCode(decodeHeader(headers.subject), codePattern) || findCode(extractText(raw), codePattern);
+}
+
+/*─────────────────  IMAP  ──────────────────*/
+/**
+ * Abre el buzón configurado, ejecuta una función y cierra la conexión
+ * @param {Object} settings - Ajustes del buzón (ver parseMailboxSettings)
+ * @param {Function} fn - async (client, messages) => resultado
+ * @returns {Promise<*>}
+ */
+async function withMailbox(settings, fn) {
+    const client = await connectImap(settings);
+    try {
+        try {
+            await client.login(settings.user, settings.password);
+        } catch (error) {
+            const authError = new Error(`El buzón rechazó las credenciales de ${settings.user}: ${error.message}`);
+            authError.code = AUTH_FAILED;
+            throw authError;
+        }
+        const messages = await client.examine(settings.mailbox);
+        return await fn(client, messages);
+    } finally {
+        await client.logout().catch(() => client.close());
+    }
+}
+
+/**
+ * Busca una vez el correo más reciente con código que cumpla los filtros
+ * @param {Object} settings - Ajustes del buzón con filtros { from, subject, codePattern }
+ * @param {Object} options - { since: Date, exclude: Set<uid> }
+ * @returns {Promise<Object|null>} - { code, uid, receivedAt } o null
+ */
+async function findLatestCode(settings, { since, exclude = new Set() }) {
+    const earliest = new Date(since.getTime() - SINCE_SLACK_MS);
+
+    return withMailbox(settings, async client => {
+        const uids = await client.search({ since: earliest, from: settings.from, subject: settings.subject });
+
+        // Del más nuevo al más antiguo: un código nuevo invalida los anteriores
+        for (const uid of uids.filter(uid => !exclude.has(uid)).sort((a, b) => b - a)) {
+            const message = await client.fetch(uid);
+            if (!message || (message.internalDate && message.internalDate < earliest)) continue;
+            const code = extractSecurityCode(message.raw, settings.codePattern || DEFAULT_CODE_PATTERN);
+            if (code) {
+                return { code, uid, receivedAt: message.internalDate };
+            }
+        }
+        return null;
+    });
+}
+
+/**
+ * Revisa el buzón cada cierto tiempo hasta que llega un código
+ * @param {Object} settings - Ajustes del buzón con filtros
+ * @param {Object} options - { since, exclude, intervalMs, timeoutMs, isActive: () => boolean }
+ * @returns {Promise<Object|null>} - { code, uid, receivedAt } o null si se agotó el tiempo o isActive() es false
+ * @throws {Error} - Si el buzón rechaza las credenciales
+ */
+async function pollForCode(settings, { since, exclude, intervalMs = 5000, timeoutMs = 120000, isActive = () => true }) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (isActive() && Date.now() < deadline) {
+        try {
+            const found = await findLatestCode(settings, { since, exclude });
+            if (found) return found;
+        } catch (error) {
+            if (error.code === AUTH_FAILED) throw error;
+            console.error(`⚠️ Error revisando el buzón ${settings.host}: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.min(intervalMs, Math.max(0, deadline - Date.now()))));
+    }
+    return null;
+}
+
+/*─────────────────  AJUSTES POR CUENTA  ──────────────────*/
+/**
+ * Valida los ajustes del buzón de una cuenta
+ * @param {Object} input - { host, port, secure, user, password, mailbox, from, subject, codePattern }
+ * @param {Object} previous - Ajustes guardados (la contraseña se conserva si no se envía otra)
+ * @returns {Object} - Ajustes normalizados
+ * @throws {Error} - Si falta algo o un valor no es válido
+ */
+function parseMailboxSettings(input, previous = null) {
+    const settings = { ...MAILBOX_DEFAULTS, ...previous, ...input };
+
+    if (typeof settings.host !== 'string' || !settings.host.trim()) {
+        throw new Error('Se requiere host (servidor IMAP)');
+    }
+    if (typeof settings.user !== 'string' || !settings.user.trim()) {
+        throw new Error('Se requiere user (usuario del buzón)');
+    }
+    if (typeof settings.password !== 'string' || !settings.password) {
+        throw new Error('Se requiere password (contraseña o contraseña de aplicación del buzón)');
+    }
+
+    const port = Number(settings.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error('port debe ser un entero entre 1 y 65535');
+    }
+    if (typeof settings.secure !== 'boolean') {
+        throw new Error('secure debe ser true o false');
+    }
+    if (settings.codePattern) {
+        try {
+            new RegExp(settings.codePattern);
+        } catch (error) {
+            throw new Error(`codePattern no es una expresión regular válida: ${error.message}`);
+        }
+    }
+
+    return {
+        host: settings.host.trim(),
+        port,
+        secure: settings.secure,
+        user: settings.user.trim(),
+        password: settings.password,
+        mailbox: settings.mailbox || MAILBOX_DEFAULTS.mailbox,
+        from: settings.from || null,
+        subject: settings.subject || null,
+        codePattern: settings.codePattern || null
+    };
+}
+
+/**
+ * Crea el almacén de buzones por cuenta
+ * @param {string} filePath - Archivo JSON del almacén
+ * @param {Object|null} secretBox - Cifrador de secret-box.js (null si no hay clave configurada)
+ * @returns {Object} - Almacén con has / get / list / set / remove
+ */
+function createMailboxStore(filePath, secretBox) {
+    const read = () => {
+        if (!fs.existsSync(filePath)) return {};
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).accounts || {};
+    };
+
+    const write = accounts => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpFile = `${filePath}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ accounts }, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpFile, filePath);
+    };
+
+    const requireBox = () => {
+        if (!secretBox) {
+            throw new Error('No hay clave de cifrado: configura secrets.key (SECRETS_KEY) para usar el buzón 2FA');
+        }
+        return secretBox;
+    };
+
+    const withoutPassword = (email, { password, ...settings }) => ({ email, ...settings });
+
+    return {
+        /**
+         * @param {string} email - Cuenta
+         * @returns {boolean}
+         */
+        has(email) {
+            return Boolean(read()[email]);
+        },
+
+        /**
+         * Ajustes con la contraseña descifrada (uso interno, nunca por la API)
+         * @param {string} email - Cuenta
+         * @returns {Object|null}
+         */
+        get(email) {
+            const entry = read()[email];
+            if (!entry) return null;
+            return { ...entry, password: requireBox().decrypt(entry.password) };
+        },
+
+        /**
+         * Buzones registrados (sin contraseñas)
+         * @returns {Array<Object>}
+         */
+        list() {
+            return Object.entries(read()).map(([email, entry]) => withoutPassword(email, entry));
+        },
+
+        /**
+         * Registra o actualiza el buzón de una cuenta
+         * @param {string} email - Cuenta
+         * @param {Object} input - Ver parseMailboxSettings
+         * @returns {Object} - Ajustes guardados (sin contraseña)
+         */
+        set(email, input) {
+            const box = requireBox();
+            const accounts = read();
+            const previous = accounts[email] ? { ...accounts[email], password: box.decrypt(accounts[email].password) } : null;
+            const settings = parseMailboxSettings(input, previous);
+
+            accounts[email] = { ...settings, password: box.encrypt(settings.password), updatedAt: new Date().toISOString() };
+            write(accounts);
+            return withoutPassword(email, accounts[email]);
+        },
+
+        /**
+         * @param {string} email - Cuenta
+         * @returns {boolean} - true si existía
+         */
+        remove(email) {
+            const accounts = read();
+            if (!accounts[email]) return false;
+            delete accounts[email];
+            write(accounts);
+            return true;
+        }
+    };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    MAILBOX_DEFAULTS,
+    DEFAULT_CODE_PATTERN,
+    AUTH_FAILED,
+    extractText,
+    findCode,
+    extractSecurityCode,
+    withMailbox,
+    findLatestCode,
+    pollForCode,
+    parseMailboxSettings,
+    createMailboxStore
+};
@@ -0,0 +1,121 @@
+/*****************************************************************
+ * retention.js – Política de retención de las cookies de cada cuenta
+ * Las cookies guardadas valen hasta que caducan sus cookies de
+ * autenticación (ver sessionExpiry en cookie-health.js). Cada cuenta
+ * puede ajustar, sobre los valores de retention.* en la configuración:
+ *   maxAgeHours  → tope desde que se guardaron aunque sigan vigentes (0 = sin tope)
+ *   cleanupHours → horas que se conservan después de caducar antes de borrarlas
+ *****************************************************************/
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./storage');
+
+/*─────────────────  VALIDACIÓN  ──────────────────*/
+const POLICY_FIELDS = Object.freeze({
+    maxAgeHours: { min: 0 },
+    cleanupHours: { min: 1 }
+});
+
+/**
+ * Valida una política (todos los campos son opcionales)
+ * @param {Object} input - { maxAgeHours, cleanupHours }
+ * @returns {Object} - { policy, errors }
+ */
+function validateRetentionPolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { policy: {}, errors: ['Se esperaba un objeto con maxAgeHours y/o cleanupHours'] };
+    }
+
+    const policy = {};
+    const errors = [];
+    Object.entries(POLICY_FIELDS).forEach(([field, { min }]) => {
+        if (input[field] === undefined) return;
+        if (!Number.isInteger(input[field]) || input[field] < min) {
+            errors.push(`${field} debe ser un entero >= ${min}`);
+        } else {
+            policy[field] = input[field];
+        }
+    });
+
+    const unknown = Object.keys(input).filter(field => !POLICY_FIELDS[field]);
+    if (unknown.length > 0) {
+        errors.push(`Campos desconocidos: ${unknown.join(', ')}. Válidos: ${Object.keys(POLICY_FIELDS).join(', ')}`);
+    }
+    if (errors.length === 0 && Object.keys(policy).length === 0) {
+        errors.push('Indica maxAgeHours y/o cleanupHours');
+    }
+    return { policy, errors };
+}
+
+/*─────────────────  POLÍTICAS POR CUENTA  ──────────────────*/
+/**
+ * Políticas de retención por cuenta sobre unos valores por defecto
+ * @param {string} filePath - Archivo JSON (permisos 0600, como las cookies)
+ * @param {Object} defaults - { maxAgeHours, cleanupHours } (retention.cookieMaxAgeHours y retention.cleanupHours)
+ * @returns {Object} - { defaults, get, list, set, remove }
+ */
+function createRetentionPolicies(filePath, defaults) {
+    const read = () => {
+        if (!fs.existsSync(filePath)) return {};
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).accounts || {};
+    };
+
+    const write = accounts => writeFileAtomic(filePath, JSON.stringify({ accounts }, null, 2));
+
+    return {
+        defaults: Object.freeze({ ...defaults }),
+
+        /**
+         * Política efectiva de una cuenta (sin email o sin ajustes propios, la de por defecto)
+         * @param {string|null} email - Cuenta
+         * @returns {Object} - { maxAgeHours, cleanupHours, custom }
+         */
+        get(email) {
+            const own = email ? read()[email] : undefined;
+            return { ...defaults, ...own, custom: Boolean(own) };
+        },
+
+        /**
+         * @returns {Array<Object>} - [{ email, maxAgeHours, cleanupHours }] (solo cuentas con ajustes propios)
+         */
+        list() {
+            return Object.entries(read()).map(([email, policy]) => ({ email, ...policy }));
+        },
+
+        /**
+         * Sustituye los ajustes propios de una cuenta
+         * @param {string} email - Cuenta
+         * @param {Object} input - { maxAgeHours, cleanupHours }
+         * @returns {Object} - Política efectiva
+         * @throws {Error} - Si la política no es válida
+         */
+        set(email, input) {
+            const { policy, errors } = validateRetentionPolicy(input);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+            const accounts = read();
+            accounts[email] = policy;
+            write(accounts);
+            return this.get(email);
+        },
+
+        /**
+         * @param {string} email - Cuenta
+         * @returns {boolean} - true si tenía ajustes propios
+         */
+        remove(email) {
+            const accounts = read();
+            if (!accounts[email]) return false;
+            delete accounts[email];
+            write(accounts);
+            return true;
+        }
+    };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    validateRetentionPolicy,
+    createRetentionPolicies
+};
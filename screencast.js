@@ -0,0 +1,228 @@
+/*****************************************************************
+ * screencast.js – Vista en vivo de las páginas de las sesiones
+ * Usa el screencast de CDP (Page.startScreencast) de Chromium y
+ * reparte cada frame JPEG a todos los visores como MJPEG
+ * (multipart/x-mixed-replace), que un <img> muestra directamente.
+ * Si CDP no está disponible cae a capturas periódicas.
+ *****************************************************************/
+
+const MJPEG_BOUNDARY = 'frame';
+
+const DEFAULT_SCREENCAST_OPTIONS = Object.freeze({
+    quality: 60,        // Calidad JPEG (1-100)
+    maxWidth: 800,      // Ancho máximo de cada frame en píxeles
+    intervalMs: 1000    // Intervalo de capturas en modo fallback
+});
+
+/*─────────────────  SCREENCAST  ──────────────────*/
+/**
+ * Crea un screencast de una página. Arranca con el primer visor y se
+ * detiene solo cuando se va el último.
+ * @param {Page} page - Página de Playwright
+ * @param {Object} options - Ver DEFAULT_SCREENCAST_OPTIONS
+ * @returns {Object} - Screencast con subscribe / stop / lastFrame / mode / viewers
+ */
+function createScreencast(page, options = {}) {
+    const { quality, maxWidth, intervalMs } = { ...DEFAULT_SCREENCAST_OPTIONS, ...options };
+    const viewers = new Set();
+    let mode = null;          // 'cdp' | 'screenshot' mientras está activo
+    let cdp = null;
+    let timer = null;
+    let starting = null;
+    let lastFrame = null;
+    let stopped = false;
+
+    const emit = data => {
+        lastFrame = { data, at: new Date() };
+        viewers.forEach(viewer => viewer.onFrame(lastFrame));
+    };
+
+    // Fallback: capturas periódicas (sin solapar si una tarda más que el intervalo)
+    const startScreenshots = () => {
+        let capturing = false;
+        const capture = async () => {
+            if (capturing) return;
+            capturing = true;
+            try {
+                emit(await captureFrame(page, { quality }));
+            } catch (error) {
+                console.log(`⚠️ Error capturando frame: ${error.message}`);
+            } finally {
+                capturing = false;
+            }
+        };
+        timer = setInterval(capture, intervalMs);
+        capture();
+        mode = 'screenshot';
+    };
+
+    const start = async () => {
+        try {
+            const session = await page.context().newCDPSession(page);
+            session.on('Page.screencastFrame', ({ data, sessionId }) => {
+                emit(Buffer.from(data, 'base64'));
+                session.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+            });
+            await session.send('Page.startScreencast', { format: 'jpeg', quality, maxWidth });
+            cdp = session;
+            mode = 'cdp';
+        } catch (error) {
+            console.log(`⚠️ Screencast CDP no disponible (${error.message}), usando capturas periódicas`);
+            startScreenshots();
+        }
+    };
+
+    // Libera CDP / el temporizador; el estado se limpia antes de esperar para
+    // que un visor que llegue mientras tanto arranque un screencast nuevo
+    const release = async () => {
+        const session = cdp;
+        mode = null;
+        cdp = null;
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+        if (session) {
+            await session.send('Page.stopScreencast').catch(() => {});
+            await session.detach().catch(() => {});
+        }
+    };
+
+    const screencast = {
+        /**
+         * Añade un visor
+         * @param {Function} onFrame - ({ data: Buffer, at: Date }) => void
+         * @param {Function} onEnd - Se llama si el screencast se detiene (sesión cerrada)
+         * @returns {Function} - Función para quitar el visor
+         */
+        subscribe(onFrame, onEnd = () => {}) {
+            if (stopped) {
+                onEnd();
+                return () => {};
+            }
+
+            const viewer = { onFrame, onEnd };
+            viewers.add(viewer);
+            if (!mode && !starting) {
+                starting = start().finally(() => { starting = null; });
+            }
+
+            return () => {
+                viewers.delete(viewer);
+                if (viewers.size === 0) {
+                    Promise.resolve(starting).then(() => viewers.size === 0 && release());
+                }
+            };
+        },
+
+        /**
+         * Detiene el screencast y cierra todos los visores
+         */
+        async stop() {
+            if (stopped) return;
+            stopped = true;
+            await Promise.resolve(starting);
+            await release();
+            viewers.forEach(viewer => viewer.onEnd());
+            viewers.clear();
+        },
+
+        get lastFrame() {
+            return lastFrame;
+        },
+
+        get mode() {
+            return mode;
+        },
+
+        get viewers() {
+            return viewers.size;
+        }
+    };
+
+    page.once('close', () => screencast.stop());
+    return screencast;
+}
+
+/**
+ * Captura un único frame JPEG de la página
+ * @param {Page} page - Página de Playwright
+ * @param {Object} options - { quality }
+ * @returns {Buffer} - Imagen JPEG
+ */
+async function captureFrame(page, { quality = DEFAULT_SCREENCAST_OPTIONS.quality } = {}) {
+    return await page.screenshot({ type: 'jpeg', quality });
+}
+
+/*─────────────────  REGISTRO POR SESIÓN  ──────────────────*/
+const screencasts = new Map();
+
+/**
+ * Obtiene (o crea) el screencast compartido de una sesión
+ * @param {string} sessionId - ID de la sesión
+ * @param {Page} page - Página de la sesión
+ * @param {Object} options - Ver DEFAULT_SCREENCAST_OPTIONS
+ * @returns {Object} - Screencast
+ */
+function getScreencast(sessionId, page, options = {}) {
+    if (!screencasts.has(sessionId)) {
+        const screencast = createScreencast(page, options);
+        page.once('close', () => screencasts.delete(sessionId));
+        screencasts.set(sessionId, screencast);
+    }
+    return screencasts.get(sessionId);
+}
+
+/**
+ * Detiene el screencast de una sesión (si lo hay) y desconecta a sus visores
+ * @param {string} sessionId - ID de la sesión
+ */
+async function stopScreencast(sessionId) {
+    const screencast = screencasts.get(sessionId);
+    if (!screencast) return;
+    screencasts.delete(sessionId);
+    await screencast.stop();
+}
+
+/*─────────────────  MJPEG  ──────────────────*/
+/**
+ * Sirve un screencast como stream MJPEG sobre una respuesta HTTP
+ * @param {Request} req - Petición Express
+ * @param {Response} res - Respuesta Express
+ * @param {Object} screencast - Screencast de createScreencast
+ */
+function pipeMjpeg(req, res, screencast) {
+    res.writeHead(200, {
+        'Content-Type': `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`,
+        'Cache-Control': 'no-cache, no-store',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const writeFrame = ({ data }) => {
+        // Cliente lento: se descartan frames en lugar de acumularlos en memoria
+        if (res.writableNeedDrain) return;
+        res.write(`--${MJPEG_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${data.length}\r\n\r\n`);
+        res.write(data);
+        res.write('\r\n');
+    };
+
+    // El último frame conocido se envía enseguida: CDP solo emite cuando la página cambia
+    if (screencast.lastFrame) {
+        writeFrame(screencast.lastFrame);
+    }
+
+    const unsubscribe = screencast.subscribe(writeFrame, () => res.end());
+    req.on('close', unsubscribe);
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    MJPEG_BOUNDARY,
+    DEFAULT_SCREENCAST_OPTIONS,
+    createScreencast,
+    captureFrame,
+    getScreencast,
+    stopScreencast,
+    pipeMjpeg
+};
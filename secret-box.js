@@ -0,0 +1,91 @@
+/*****************************************************************
+ * secret-box.js – Cifrado de secretos en disco (AES-256-GCM)
+ * Cada valor se guarda como 'v1:<iv>:<tag>:<datos>' en base64 con
+ * un IV aleatorio; el tag de GCM detecta claves erróneas y datos
+ * manipulados. La clave sale de config.secrets.key.
+ *****************************************************************/
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const IV_BYTES = 12;
+
+// Sal fija: la clave de una passphrase tiene que ser la misma en cada arranque
+const KEY_SALT = 'fb-login-automation/secret-box';
+
+/*─────────────────  CLAVE  ──────────────────*/
+/**
+ * Convierte la clave configurada en 32 bytes: 64 caracteres hex se usan tal cual,
+ * cualquier otro texto se trata como passphrase y se deriva con scrypt
+ * @param {string} key - Clave configurada
+ * @returns {Buffer} - Clave AES-256
+ */
+function deriveKey(key) {
+    if (/^[0-9a-f]{64}$/i.test(key)) {
+        return Buffer.from(key, 'hex');
+    }
+    return crypto.scryptSync(key, KEY_SALT, 32);
+}
+
+/*─────────────────  CIFRADO  ──────────────────*/
+/**
+ * Crea un cifrador con una clave fija
+ * @param {string} key - Clave configurada (hex de 64 caracteres o passphrase)
+ * @returns {Object} - { encrypt, decrypt }
+ */
+function createSecretBox(key) {
+    if (!key) {
+        throw new Error('Se requiere una clave de cifrado (config secrets.key / SECRETS_KEY)');
+    }
+    const aesKey = deriveKey(key);
+
+    return {
+        /**
+         * @param {string} plaintext - Texto a cifrar
+         * @returns {string} - 'v1:<iv>:<tag>:<datos>'
+         */
+        encrypt(plaintext) {
+            const iv = crypto.randomBytes(IV_BYTES);
+            const cipher = crypto.createCipheriv(ALGORITHM, aesKey, iv);
+            const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+            return [FORMAT_VERSION, iv, cipher.getAuthTag(), data]
+                .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+                .join(':');
+        },
+
+        /**
+         * @param {string} sealed - Valor devuelto por encrypt
+         * @returns {string} - Texto original
+         * @throws {Error} - Formato desconocido, clave incorrecta o datos alterados
+         */
+        decrypt(sealed) {
+            if (!isSealed(sealed)) {
+                throw new Error('Formato de secreto cifrado desconocido');
+            }
+            const [, iv, tag, data] = sealed.split(':').map(part => Buffer.from(part, 'base64'));
+            try {
+                const decipher = crypto.createDecipheriv(ALGORITHM, aesKey, iv);
+                decipher.setAuthTag(tag);
+                return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+            } catch (error) {
+                throw new Error('No se pudo descifrar el secreto (clave incorrecta o datos alterados)');
+            }
+        }
+    };
+}
+
+/**
+ * Indica si un valor tiene el formato de encrypt
+ * @param {*} value - Valor a comprobar
+ * @returns {boolean}
+ */
+function isSealed(value) {
+    return typeof value === 'string' && value.startsWith(`${FORMAT_VERSION}:`) && value.split(':').length === 4;
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    createSecretBox,
+    isSealed
+};
@@ -15,31 +15,226 @@ const {
     detectFacebookVersion,
     getSelectorsForVersion,
     handleLoadingPage,
-    handleSaveLoginDialog,
     waitForLoginButton,
-    checkLoginSuccess,
     checkFor2FA,
     saveCookies,
     loadCookies,
     saveSessionState,
     restoreSessionState,
     cleanOldSessions,
-    typeSlowHuman,
-    handleDeviceTrustDialog,
-    handleChromePopups
+    typeSlowHuman
 } = require('./helpers');
+const { loadConfig, publicConfig } = require('./config');
+const { configureSiteProfiles, getSiteProfile } = require('./site-profiles');
+const {
+    LOGIN_STATES,
+    createLoginStateMachine,
+    getLoginState,
+    listLoginStates
+} = require('./login-state');
+const { createDefaultInterstitialPipeline } = require('./interstitials');
+const { JOB_STATES, createJob, getJob, listJobs } = require('./jobs');
+const { EVENT_TYPES, createEventBus } = require('./events');
+const { captureFrame, getScreencast, stopScreencast, pipeMjpeg } = require('./screencast');
+const { validateInput, applyInput, describeInput } = require('./takeover');
+const { REGISTRY_STATUS, DEAD_REASONS, createSessionRegistry } = require('./session-registry');
+const {
+    CLOSE_REASONS,
+    SESSION_LIMIT_ERROR,
+    getSessionDeadline,
+    findExpiredSessions,
+    getTwoFactorStatus,
+    planCapacity
+} = require('./session-lifecycle');
+const { createSecretBox } = require('./secret-box');
+const { RECORD_KINDS, accountKey, createStorage, createSessionStore } = require('./storage');
+const { COOKIE_FORMATS, isCookieFormat, exportCookies, parseCookieImport } = require('./cookie-formats');
+const { describeCookie, assessCookieHealth, sessionExpiry } = require('./cookie-health');
+const { createRetentionPolicies } = require('./retention');
+const { VALIDATION_STATUS, VALIDATION_VERSIONS, createCookieValidator } = require('./cookie-validation');
+const { createTotpStore } = require('./totp');
+const { findCode, withMailbox, pollForCode, createMailboxStore } = require('./mailbox-2fa');
+const {
+    INBOX_OUTCOMES,
+    secretMatches,
+    matchPendingSession,
+    createPhoneBook,
+    createInboxAudit
+} = require('./sms-inbox');
+const {
+    AUDIT_ACTIONS,
+    AUDIT_OUTCOMES,
+    SYSTEM_ACTOR,
+    INBOX_ACTOR,
+    actorFromAuth,
+    parseAuditQuery,
+    createAuditLog
+} = require('./audit');
+const {
+    ROLES,
+    SESSION_COOKIE,
+    hasRole,
+    createRoutePermissions,
+    parseBearer,
+    parseCookies,
+    createAuthStore,
+    createSessionManager,
+    createLoginThrottle
+} = require('./auth');
+
+// 🔧 CONFIGURACIÓN (defaults → config.json → entorno → flags CLI)
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Perfiles de sitio: URL base y reglas de detección por versión
+configureSiteProfiles(config.site);
 
 const app = express();
-const port = 3000;
+const port = config.port;
 
 // 🔧 CONFIGURACIÓN DE DEBUG
-// Cambiar a false para deshabilitar completamente el debug
-const DEBUG_ENABLED = true;
+// Usar DEBUG_ENABLED=false o --no-debug para deshabilitar completamente el debug
+const DEBUG_ENABLED = config.debug.enabled;
 
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+/*─────────────────  AUTENTICACIÓN  ──────────────────*/
+// Operadores y tokens de API (ver auth.js). La interfaz estática es pública:
+// sin sesión solo muestra el formulario de acceso.
+const authStore = createAuthStore(config.auth.file);
+const authSessions = createSessionManager({ ttlMs: config.auth.sessionHours * 60 * 60 * 1000 });
+const loginThrottle = createLoginThrottle();
+
+// Rutas sin autenticación: el acceso al panel y el webhook de SMS (tiene su propio secreto)
+const PUBLIC_ROUTES = [
+    ['POST', '/auth/login'],
+    ['POST', '/2fa-inbox']
+];
+
+// Rol mínimo de cada ruta (viewer < operator < admin). Las rutas que no aparecen
+// aquí exigen admin, así que una ruta nueva queda cerrada hasta que se añada.
+const ROUTE_ROLES = [
+    // Consulta
+    ['GET', '/', ROLES.VIEWER],
+    ['GET', '/sessions', ROLES.VIEWER],
+    ['GET', '/sessions/dead', ROLES.VIEWER],
+    ['GET', '/jobs', ROLES.VIEWER],
+    ['GET', '/jobs/:id', ROLES.VIEWER],
+    ['GET', '/login-states', ROLES.VIEWER],
+    ['GET', '/login-states/:sessionId', ROLES.VIEWER],
+    ['GET', '/pending-2fa', ROLES.VIEWER],
+    ['GET', '/cookies', ROLES.VIEWER],
+    ['GET', '/cookies/:email/details', ROLES.VIEWER],
+    ['GET', '/cache', ROLES.VIEWER],
+    ['GET', '/retention', ROLES.VIEWER],
+    ['GET', '/totp', ROLES.VIEWER],
+    ['GET', '/mailboxes', ROLES.VIEWER],
+    ['GET', '/2fa-inbox/phones', ROLES.VIEWER],
+    ['GET', '/events', ROLES.VIEWER],
+    ['GET', '/config', ROLES.VIEWER],
+    ['GET', '/auth/me', ROLES.VIEWER],
+    ['POST', '/auth/logout', ROLES.VIEWER],
+
+    // Logins, 2FA y control de sesiones
+    ['POST', '/login', ROLES.OPERATOR],
+    ['POST', '/quick-login', ROLES.OPERATOR],
+    ['POST', '/jobs/login', ROLES.OPERATOR],
+    ['POST', '/close-session', ROLES.OPERATOR],
+    ['POST', '/sessions/dead/:sessionId/quick-login', ROLES.OPERATOR],
+    ['DELETE', '/sessions/dead/:sessionId', ROLES.OPERATOR],
+    ['GET', '/sessions/:sessionId/stream', ROLES.OPERATOR],
+    ['GET', '/sessions/:sessionId/screenshot', ROLES.OPERATOR],
+    ['POST', '/sessions/:sessionId/takeover', ROLES.OPERATOR],
+    ['POST', '/sessions/:sessionId/input', ROLES.OPERATOR],
+    ['POST', '/sessions/:sessionId/release', ROLES.OPERATOR],
+    ['POST', '/submit-2fa', ROLES.OPERATOR],
+    ['POST', '/cancel-2fa', ROLES.OPERATOR],
+    ['GET', '/2fa-inbox/audit', ROLES.OPERATOR],
+    ['POST', '/cookies/validate', ROLES.OPERATOR],
+    ['POST', '/cookies/:email/validate', ROLES.OPERATOR],
+
+    // Borrado de datos, configuración de cuentas, operadores, tokens y debug
+    ['DELETE', '/cookies/:email', ROLES.ADMIN],
+    ['GET', '/cookies/:email/export', ROLES.ADMIN],
+    ['POST', '/cookies/:email/import', ROLES.ADMIN],
+    ['POST', '/clean-cookies', ROLES.ADMIN],
+    ['*', '/retention/:email', ROLES.ADMIN],
+    ['*', '/totp/:email', ROLES.ADMIN],
+    ['*', '/mailboxes/:email', ROLES.ADMIN],
+    ['POST', '/mailboxes/:email/test', ROLES.ADMIN],
+    ['*', '/2fa-inbox/phones/:email', ROLES.ADMIN],
+    ['*', '/auth/operators', ROLES.ADMIN],
+    ['*', '/auth/operators/:username', ROLES.ADMIN],
+    ['*', '/auth/tokens', ROLES.ADMIN],
+    ['*', '/auth/tokens/:id', ROLES.ADMIN],
+    ['GET', '/audit', ROLES.ADMIN],
+    ['GET', '/debug/*', ROLES.ADMIN]
+];
+const requiredRole = createRoutePermissions(ROUTE_ROLES);
+
+/**
+ * Crea el primer operador (config.auth.adminUser / adminPassword, rol admin) si aún no existe
+ * @returns {Promise<void>}
+ */
+async function ensureAdminOperator() {
+    const { adminUser, adminPassword } = config.auth;
+    if (!adminPassword || authStore.listOperators().some(operator => operator.username === adminUser)) return;
+    try {
+        await authStore.setOperator(adminUser, { password: adminPassword, role: ROLES.ADMIN });
+        console.log(`👤 Operador inicial "${adminUser}" creado`);
+    } catch (error) {
+        console.error(`❌ No se pudo crear el operador inicial "${adminUser}": ${error.message}`);
+    }
+}
+const adminOperatorReady = ensureAdminOperator();
+
+/**
+ * Identifica a quien hace la petición: token de API (Authorization: Bearer) o cookie del panel.
+ * El rol de una sesión se lee del operador en cada petición, así un cambio de rol se aplica al momento.
+ * @param {Request} req - Petición
+ * @returns {Object|null} - { type: 'token'|'session', username, role, tokenId, tokenName, sessionId }
+ */
+function authenticate(req) {
+    const bearer = parseBearer(req.get('authorization'));
+    if (bearer) {
+        const token = authStore.findToken(bearer);
+        return token
+            ? { type: 'token', username: token.createdBy, role: token.role, tokenId: token.id, tokenName: token.name }
+            : null;
+    }
+    const session = authSessions.get(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+    const operator = session && authStore.getOperator(session.username);
+    return operator ? { type: 'session', username: session.username, role: operator.role, sessionId: session.id } : null;
+}
+
+// Todas las rutas registradas a partir de aquí (incluido /debug) exigen autenticación y el rol de ROUTE_ROLES
+app.use((req, res, next) => {
+    if (!config.auth.enabled || PUBLIC_ROUTES.some(([method, route]) => req.method === method && req.path === route)) {
+        return next();
+    }
+    const auth = authenticate(req);
+    if (!auth) {
+        return res.status(401).json({ success: false, authRequired: true, message: 'Autenticación requerida' });
+    }
+    const role = requiredRole(req.method, req.path) || ROLES.ADMIN;
+    if (!hasRole(auth.role, role)) {
+        return res.status(403).json({
+            success: false,
+            requiredRole: role,
+            message: `Permiso denegado: se requiere el rol ${role} (tienes ${auth.role})`
+        });
+    }
+    req.auth = auth;
+    next();
+});
+
 // Configuración móvil
 const MOBILE_USER_AGENT = 
   'Mozilla/5.0 (Linux; Android 14; moto e14 Build/ULB34.66-116) ' +
@@ -76,12 +271,29 @@ const DESKTOP_VIEWPORT = {
   hasTouch: false 
 };
 
+/**
+ * Opciones de contexto (user agent, viewport y cabeceras) de una versión
+ * @param {string} version - 'mobile' o 'desktop'
+ * @returns {Object} - Opciones para browser.newContext
+ */
+function versionContextOptions(version) {
+    const isMobile = version === 'mobile';
+    return {
+        userAgent: isMobile ? MOBILE_USER_AGENT : DESKTOP_USER_AGENT,
+        viewport: isMobile ? MOBILE_VIEWPORT : DESKTOP_VIEWPORT,
+        extraHTTPHeaders: {
+            ...EXTRA_HEADERS,
+            'Sec-CH-UA-Mobile': isMobile ? '?1' : '?0',
+            'Sec-CH-UA-Platform': isMobile ? '"Android"' : '"Windows"'
+        }
+    };
+}
+
 // Directorios
-const DEBUG_DIR = path.join(__dirname, 'debug');
-const COOKIES_DIR = path.join(__dirname, 'cookies');
-const CACHE_DIR = path.join(__dirname, 'cache');
+const DEBUG_DIR = config.dirs.debug;
+const CACHE_DIR = config.dirs.cache;
 
-[DEBUG_DIR, COOKIES_DIR, CACHE_DIR].forEach(dir => {
+[DEBUG_DIR, CACHE_DIR].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -93,8 +305,93 @@ const activeSessions = Object.create(null);
 // Almacenar sesiones que esperan 2FA
 const pending2FASessions = new Map();
 
+// Fuentes de código 2FA que el servidor obtiene por su cuenta (/submit-2fa sin code)
+const SERVER_CODE_SOURCES = ['totp', 'email'];
+
+// Secretos TOTP, buzones, cookies y estado de sesión se cifran con config.secrets.key
+// (sin clave no hay TOTP ni buzones, y las cookies se guardan en texto plano)
+const secretBox = config.secrets.key ? createSecretBox(config.secrets.key) : null;
+const totpStore = createTotpStore(config.totp.file, secretBox);
+const mailboxStore = createMailboxStore(config.mailbox.file, secretBox);
+
+// Cookies y estado de sesión de cada cuenta, en el backend de config.storage (ver storage.js)
+const sessionStore = createSessionStore(createStorage({
+    backend: config.storage.backend,
+    cookiesDir: config.dirs.cookies,
+    databaseFile: config.storage.databaseFile
+}), secretBox);
+
+// Cuánto se conservan las cookies de cada cuenta (retention.* por defecto, ajustable por cuenta)
+const retentionPolicies = createRetentionPolicies(config.retention.file, {
+    maxAgeHours: config.retention.cookieMaxAgeHours,
+    cleanupHours: config.retention.cleanupHours
+});
+const retentionPolicyFor = email => retentionPolicies.get(email);
+
+// Webhook de SMS reenviados: teléfono de cada cuenta e historial de mensajes recibidos
+const phoneBook = createPhoneBook(config.inbox.phonesFile);
+const inboxAudit = createInboxAudit(config.inbox.auditFile);
+
+// Registro de auditoría: quién hizo cada login, envío de 2FA, cierre o borrado (GET /audit)
+const auditLog = createAuditLog(config.audit.file);
+
+// Bus de eventos en tiempo real (servido como SSE en GET /events)
+const events = createEventBus();
+
+// Últimas sesiones cerradas con su motivo (se muestran en GET /sessions)
+const recentlyClosed = [];
+const MAX_RECENTLY_CLOSED = 20;
+
+// Navegadores que se están abriendo y aún no están en activeSessions (cuentan para el límite global)
+let launchingBrowsers = 0;
+
+// Registro en disco de las sesiones abiertas (sobrevive a los reinicios del servidor)
+const sessionRegistry = createSessionRegistry(config.registry.file);
+
+// Los navegadores de Playwright terminan con el proceso que los lanzó: las sesiones
+// que seguían activas en el registro ya no existen y se ofrecen para quick login
+const orphanedSessions = sessionRegistry.reconcile();
+if (orphanedSessions.length > 0) {
+    console.log(`💀 ${orphanedSessions.length} sesiones perdidas en el reinicio anterior (ver GET /sessions/dead)`);
+}
+
 // Limpiar sesiones antiguas al iniciar
-cleanOldSessions(COOKIES_DIR, 168); // 7 días
+auditLog.record({
+    action: AUDIT_ACTIONS.CLEANUP,
+    ...SYSTEM_ACTOR,
+    outcome: AUDIT_OUTCOMES.SUCCESS,
+    filesDeleted: cleanOldSessions(sessionStore, retentionPolicyFor),
+    cleanupHours: config.retention.cleanupHours
+});
+
+// Las señales las gestiona shutdown(): Playwright no debe cerrar los navegadores
+// antes de que se guarden las cookies de cada sesión
+const BROWSER_SIGNAL_OPTIONS = Object.freeze({
+    handleSIGINT: false,
+    handleSIGTERM: false,
+    handleSIGHUP: false
+});
+
+// Navegador headless de usar y tirar para validar cookies guardadas (ver cookie-validation.js)
+const validateCookiesInBrowser = createCookieValidator({
+    launchBrowser: () => chromium.launch({
+        headless: true,
+        ...BROWSER_SIGNAL_OPTIONS,
+        args: ['--no-sandbox', '--disable-blink-features=AutomationControlled']
+    }),
+    contextOptionsFor: versionContextOptions,
+    baseUrlFor: version => getSiteProfile(version).baseUrl
+});
+
+/**
+ * Perfil persistente de Chromium de una cuenta y versión (ver createPersistentContext)
+ * @param {string} email - Email del usuario
+ * @param {string} version - 'mobile' o 'desktop'
+ * @returns {string} - Directorio dentro de CACHE_DIR
+ */
+function profileDirFor(email, version) {
+    return path.join(CACHE_DIR, `${accountKey(email)}_${version}`);
+}
 
 /**
  * Crea contexto con cookies persistentes
@@ -106,26 +403,20 @@ async function createPersistentContext(email, version = 'mobile') {
     console.log(`🍪 Creando contexto persistente ${version} para: ${email}`);
     
     // Cargar cookies existentes
-    const savedCookies = loadCookies(email, COOKIES_DIR);
+    const savedCookies = loadCookies(email, sessionStore, retentionPolicyFor(email));
     
     // Configurar cache persistente por usuario
-    const cacheDir = path.join(CACHE_DIR, `${email.replace(/[@.]/g, '_')}_${version}`);
+    const cacheDir = profileDirFor(email, version);
     if (!fs.existsSync(cacheDir)) {
         fs.mkdirSync(cacheDir, { recursive: true });
     }
     
     // Configurar opciones según la versión
-    const isMobile = version === 'mobile';
     const contextOptions = {
-        headless: false,
-        slowMo: 300,
-        userAgent: isMobile ? MOBILE_USER_AGENT : DESKTOP_USER_AGENT,
-        viewport: isMobile ? MOBILE_VIEWPORT : DESKTOP_VIEWPORT,
-        extraHTTPHeaders: {
-            ...EXTRA_HEADERS,
-            'Sec-CH-UA-Mobile': isMobile ? '?1' : '?0',
-            'Sec-CH-UA-Platform': isMobile ? '"Android"' : '"Windows"'
-        },
+        headless: config.browser.headless,
+        slowMo: config.browser.slowMo,
+        ...BROWSER_SIGNAL_OPTIONS,
+        ...versionContextOptions(version),
         args: [
             '--no-sandbox',
             '--disable-blink-features=AutomationControlled',
@@ -133,17 +424,20 @@ async function createPersistentContext(email, version = 'mobile') {
             '--disable-features=VizDisplayCompositor',
             '--disk-cache-size=100000000', // 100MB cache
             '--media-cache-size=50000000'   // 50MB media cache
-        ],
-        // Restaurar cookies si existen
-        storageState: savedCookies ? {
-            cookies: savedCookies.cookies,
-            origins: []
-        } : undefined
+        ]
     };
     
     // Usar launchPersistentContext para cache persistente
     const context = await chromium.launchPersistentContext(cacheDir, contextOptions);
     
+    // El perfil guarda la caché, no las credenciales: su base de datos de cookies no está cifrada.
+    // Las cookies salen siempre del almacén de sesiones y se borran del perfil al cerrar
+    // (closeSessionBrowser); aquí se descartan las que dejara un cierre abrupto.
+    await context.clearCookies();
+    if (savedCookies) {
+        await context.addCookies(savedCookies.cookies);
+    }
+    
     console.log(`💾 Cache del navegador ${version} configurado en: ${cacheDir}`);
     
     // Obtener el browser desde el contexto
@@ -152,205 +446,961 @@ async function createPersistentContext(email, version = 'mobile') {
     return { browser, context, savedCookies, cacheDir, version };
 }
 
+// Pipeline de pantallas intermedias post-login (ver interstitials.js)
+const interstitialPipeline = createDefaultInterstitialPipeline();
+
 /**
- * Intenta login con una versión específica de Facebook
- * @param {string} email - Email del usuario
- * @param {string} password - Contraseña (opcional para quick login)
- * @param {string} version - 'mobile' o 'desktop'
- * @param {boolean} quickLogin - Si es login rápido (solo cookies)
- * @returns {Object} - Resultado del login
+ * Ejecuta el pipeline de interstitials registrando cada handler en la máquina de estados
+ * @param {Page} page - Página de Playwright
+ * @param {Object} loginState - Máquina de estados del intento
+ * @returns {Object} - { pageState, loggedIn, handled }
  */
-async function attemptLoginWithVersion(email, password, version, quickLogin = false) {
-    const sessionId = `${quickLogin ? 'quick-' : ''}${email.replace(/[@.]/g, '_')}-${version}-${Date.now()}`;
+async function runInterstitials(page, loginState) {
+    return await interstitialPipeline.run(page, {
+        onHandled: ({ name }) => {
+            // Una sesión ya logueada (estado final) también puede tener popups que cerrar
+            if (loginState.can(LOGIN_STATES.INTERSTITIAL)) {
+                loginState.transition(LOGIN_STATES.INTERSTITIAL, name);
+            }
+        }
+    });
+}
+
+/**
+ * Registra una sesión como pendiente de código 2FA (el navegador sigue abierto esperando el código)
+ * @param {string} sessionId - ID de la sesión
+ * @param {Object} data - { page, email, version, loginState }
+ */
+function registerPending2FA(sessionId, { page, email, version, loginState }) {
+    pending2FASessions.set(sessionId, {
+        page,
+        email,
+        version,
+        loginState,
+        timestamp: new Date(),
+        attempts: 0,   // Códigos enviados (límite: config.twoFactor.maxAttempts)
+        resolve: null, // Se asignará más tarde
+        reject: null   // Se asignará más tarde
+    });
     
-    try {
-        console.log(`🚀 Intentando login ${version} ${quickLogin ? '(rápido)' : '(completo)'} para ${email}...`);
-        
-        if (quickLogin && !loadCookies(email, COOKIES_DIR)) {
-            return {
-                success: false,
-                sessionId: null,
-                message: `No hay cookies guardadas para ${email}. Usa login normal primero.`,
-                error: 'NO_COOKIES',
-                version
-            };
+    console.log(`💭 Sesión ${sessionId} esperando código 2FA...`);
+    events.publish(EVENT_TYPES.TWO_FACTOR_REQUIRED, { sessionId, email, version });
+    syncRegistry(sessionId);
+}
+
+/**
+ * Quita una sesión de las pendientes de 2FA, marca el intento como fallido y cierra su navegador
+ * @param {string} sessionId - ID de la sesión
+ * @param {string} reason - Motivo del cierre (se publica en session.closed)
+ * @param {string} message - Motivo del fallo del intento de login
+ * @param {Object} actor - Quién lo cancela (ver audit.js; default: el sistema)
+ * @returns {Object} - Resultado de closeSession
+ */
+async function cancelPending2FA(sessionId, reason, message, actor = SYSTEM_ACTOR) {
+    const sessionData = pending2FASessions.get(sessionId);
+    if (sessionData) {
+        pending2FASessions.delete(sessionId);
+        sessionData.loginState.fail(message);
+        
+        // Rechazar la promesa del login (si alguien la está esperando)
+        if (sessionData.reject) {
+            sessionData.reject(new Error(message));
         }
         
-        let browser, context, savedCookies, cacheDir, page;
-        
-        if (quickLogin) {
-            // Para quick login, usar contexto persistente con cookies
-            const persistentData = await createPersistentContext(email, version);
-            browser = persistentData.browser;
-            context = persistentData.context;
-            savedCookies = persistentData.savedCookies;
-            cacheDir = persistentData.cacheDir;
-            page = await context.newPage();
-        } else {
-            // Para login normal, crear contexto completamente fresco
-            console.log(`🆕 Creando contexto fresco para login normal ${version}...`);
-            
-            const isMobile = version === 'mobile';
-            browser = await chromium.launch({
-                headless: false,
-                slowMo: 300,
-                args: [
-                    '--no-sandbox',
-                    '--disable-blink-features=AutomationControlled',
-                    '--disable-web-security',
-                    '--disable-features=VizDisplayCompositor'
-                ]
-            });
+        console.log(`❌ ${message}: ${sessionId}`);
+        auditLog.record({
+            action: AUDIT_ACTIONS.TWO_FACTOR_CANCEL,
+            ...actor,
+            email: sessionData.email,
+            sessionId,
+            outcome: AUDIT_OUTCOMES.SUCCESS,
+            reason,
+            detail: message
+        });
+    }
+    
+    return await closeSession(sessionId, reason, actor);
+}
+
+/**
+ * Cancela una sesión pendiente de 2FA si ya se enviaron todos los códigos permitidos
+ * @param {string} sessionId - ID de la sesión
+ * @param {Object} sessionData - Entrada de pending2FASessions
+ * @returns {boolean} - true si se canceló
+ */
+async function cancelIfAttemptsExhausted(sessionId, sessionData) {
+    if (getTwoFactorStatus(sessionData, config.twoFactor).attemptsLeft > 0) {
+        return false;
+    }
+    await cancelPending2FA(sessionId, CLOSE_REASONS.TWO_FACTOR_ATTEMPTS, `Demasiados códigos 2FA incorrectos (${config.twoFactor.maxAttempts})`);
+    return true;
+}
+
+/**
+ * Escribe un código en el formulario 2FA de la página y pulsa el botón de envío
+ * @param {Page} page - Página de Playwright que muestra el formulario 2FA
+ * @param {string} code - Código a escribir
+ * @param {string} version - 'mobile' | 'desktop'
+ * @param {LoginStateMachine} loginState - Máquina de estados del intento (para los snapshots de debug)
+ * @throws {Error} - Si no se encuentra el campo o el botón
+ */
+async function typeAndSubmit2FACode(page, code, version, loginState) {
+    // Buscar campo de código 2FA con selectores mejorados
+    const codeInputSelectors = [
+        // Selectores específicos más probables
+        'input[placeholder="Código"]',
+        'input[placeholder="código"]',
+        'input[placeholder*="código" i]',
+        'input[placeholder*="code" i]',
+        
+        // Selectores por atributos específicos
+        'input[name="approvals_code"]',
+        'input[id="approvals_code"]',
+        'input[data-testid="2fa_code"]',
+        'input[inputmode="numeric"]',
+        'input[type="text"][maxlength="6"]',
+        'input[autocomplete="one-time-code"]',
+        
+        // Selectores por aria-label
+        'input[aria-label*="código" i]',
+        'input[aria-label*="Código" i]',
+        'input[aria-label*="code" i]',
+        
+        // Selectores generales como fallback
+        'input[type="text"]:not([name="email"]):not([name="pass"]):not([style*="display: none"])',
+        'input:not([name="email"]):not([name="pass"]):not([type="password"]):not([type="hidden"])'
+    ];
+    
+    console.log(`🔍 Buscando campo de código 2FA con ${codeInputSelectors.length} selectores...`);
+    
+    let codeInput = null;
+    for (let i = 0; i < codeInputSelectors.length; i++) {
+        const selector = codeInputSelectors[i];
+        try {
+            console.log(`🔍 Probando selector ${i+1}/${codeInputSelectors.length}: ${selector}`);
+            const element = page.locator(selector);
+            const count = await element.count();
+            console.log(`   → Encontrados ${count} elementos`);
             
-            context = await browser.newContext({
-                userAgent: isMobile ? MOBILE_USER_AGENT : DESKTOP_USER_AGENT,
-                viewport: isMobile ? MOBILE_VIEWPORT : DESKTOP_VIEWPORT,
-                extraHTTPHeaders: {
-                    ...EXTRA_HEADERS,
-                    'Sec-CH-UA-Mobile': isMobile ? '?1' : '?0',
-                    'Sec-CH-UA-Platform': isMobile ? '"Android"' : '"Windows"'
+            if (count > 0) {
+                // Si hay múltiples elementos, usar el primero que sea visible
+                for (let j = 0; j < count; j++) {
+                    const specificElement = element.nth(j);
+                    if (await specificElement.isVisible({ timeout: 500 })) {
+                        codeInput = specificElement;
+                        console.log(`✅ Campo de código encontrado: ${selector} (elemento ${j+1}/${count})`);
+                        break;
+                    }
                 }
-            });
-            
-            page = await context.newPage();
-            savedCookies = null; // No hay cookies guardadas para contexto fresco
-            cacheDir = null; // No hay cache para contexto fresco
+                if (codeInput) break;
+            }
+        } catch (e) {
+            console.log(`   → Error: ${e.message}`);
+            continue;
         }
-        
-        // Guardar sesión activa
-        activeSessions[sessionId] = { 
-            browser, 
-            context, 
-            page, 
-            email, 
-            password: quickLogin ? null : password,
-            cacheDir,
-            version,
-            createdAt: new Date(),
-            quickLogin
-        };
-        
-        // Elegir URL según versión
-        const facebookUrl = version === 'mobile' ? 'https://m.facebook.com/' : 'https://www.facebook.com/';
-        
-        // Solo intentar acceso directo con cookies si es quick login o hay cookies guardadas
-        if (quickLogin && savedCookies) {
-            console.log(`🍪 Intentando acceso directo con cookies + cache ${version}...`);
+    }
+    
+    // Fallback: buscar cualquier input visible que no sea email/password
+    if (!codeInput) {
+        console.log(`🔍 Fallback: Buscando cualquier input visible...`);
+        try {
+            const allInputs = page.locator('input');
+            const count = await allInputs.count();
+            console.log(`🔍 Encontrados ${count} inputs en total`);
             
-            try {
-                await page.goto(facebookUrl, { waitUntil: 'domcontentloaded' });
-                await sleep(2000);
-                
-                // Restaurar estado de sesión
-                await restoreSessionState(page, email, COOKIES_DIR);
-                await sleep(1000);
-                
-                // Manejar posible diálogo de guardar login
-                await handleSaveLoginDialog(page);
-                
-                // Verificar si ya estamos logueados
-                const loginResult = await checkLoginSuccess(page);
-                if (loginResult === true || loginResult === 'NEEDS_DIALOG_HANDLING' || loginResult === 'NEEDS_DEVICE_TRUST_HANDLING') {
-                    console.log(`🎉 ¡Login ${version} exitoso con credenciales!`);
-                    
-                    // Si necesita manejo de diálogo, hacerlo ahora
-                    if (loginResult === 'NEEDS_DIALOG_HANDLING') {
-                        console.log(`🔄 Manejando diálogo de guardar login...`);
-                        const dialogHandled = await handleSaveLoginDialog(page);
-                        if (dialogHandled) {
-                            console.log(`✅ Diálogo de guardar login manejado exitosamente`);
-                            await sleep(2000);
-                        } else {
-                            console.log(`⚠️ No se pudo manejar el diálogo, continuando...`);
-                        }
-                    } else if (loginResult === 'NEEDS_DEVICE_TRUST_HANDLING') {
-                        console.log(`🔐 Manejando diálogo de confianza del dispositivo con clics persistentes...`);
-                        const trustHandled = await handleDeviceTrustDialog(page);
-                        if (trustHandled) {
-                            console.log(`✅ Diálogo de confianza del dispositivo completado exitosamente`);
-                            await sleep(2000);
-                            
-                            // Después del diálogo de confianza, verificar estado final del login
-                            console.log('🔍 Verificando estado final del login después de manejo de confianza...');
-                            const finalCheck = await checkLoginSuccess(page);
-                            if (finalCheck === 'NEEDS_DIALOG_HANDLING') {
-                                console.log(`🔄 Manejando diálogo adicional de guardar login...`);
-                                await handleSaveLoginDialog(page);
-                                await sleep(2000);
-                            } else if (finalCheck === true) {
-                                console.log(`🎉 Login completamente exitoso después de confianza del dispositivo`);
-                            }
-                        } else {
-                            console.log(`⚠️ No se pudo completar el manejo del diálogo de confianza`);
-                            // Aún así, intentar continuar ya que el login podría estar completo
-                        }
-                    }
+            for (let i = 0; i < count; i++) {
+                const input = allInputs.nth(i);
+                const isVisible = await input.isVisible({ timeout: 100 });
+                if (isVisible) {
+                    const type = await input.getAttribute('type') || 'text';
+                    const name = await input.getAttribute('name') || '';
+                    const placeholder = await input.getAttribute('placeholder') || '';
                     
-                    // Actualizar cookies SOLO si realmente se usaron cookies guardadas
-                    await saveCookies(context, email, COOKIES_DIR);
-                    await saveSessionState(context, page, email, COOKIES_DIR);
+                    console.log(`   Input ${i+1}: type="${type}", name="${name}", placeholder="${placeholder}"`);
                     
-                    // Si es un contexto fresco, ahora crear el cache persistente para futuros quick logins
-                    if (!quickLogin && !cacheDir) {
-                        console.log(`💾 Creando cache persistente para futuros quick logins...`);
-                        cacheDir = path.join(CACHE_DIR, `${email.replace(/[@.]/g, '_')}_${version}`);
-                        if (!fs.existsSync(cacheDir)) {
-                            fs.mkdirSync(cacheDir, { recursive: true });
-                        }
+                    // Evitar campos de email/password
+                    if (!name.includes('email') && !name.includes('pass') && 
+                        type !== 'password' && type !== 'hidden') {
+                        codeInput = input;
+                        console.log(`✅ Fallback: Usando input ${i+1} como campo de código`);
+                        break;
                     }
-                    
-                    console.log(`💾 Cookies y estado de sesión ${version} guardados exitosamente DESPUÉS del login`);
-                    console.log('🌐 Página permanece abierta - NO se cerrará automáticamente');
-                    
-                    return {
-                        success: true,
-                        sessionId: sessionId,
-                        message: `¡Login ${version} exitoso con credenciales! Cookies + cache guardados. Página permanece abierta.`,
-                        usedSavedData: false,
-                        version,
-                        quickLogin: false
-                    };
                 }
-            } catch (error) {
-                console.log(`⚠️ Error con cookies + cache ${version}, procediendo con login normal...`);
             }
+        } catch (e) {
+            console.log(`   → Error en fallback: ${e.message}`);
         }
-        
-        // Si es quick login y llegamos aquí, falló
-        if (quickLogin) {
-            await browser.close();
-            delete activeSessions[sessionId];
+    }
+    
+    if (!codeInput) {
+        // Crear debug snapshot si no encuentra el campo
+        await debugSnapshot(page, `2fa-field-not-found-${version}`, loginState);
+        throw new Error('No se pudo encontrar el campo de código 2FA');
+    }
+    
+    // Limpiar campo y escribir código
+    await codeInput.click();
+    await codeInput.fill('');
+    await sleep(500);
+    
+    // Escribir el código directamente en el elemento encontrado
+    console.log(`⌨️ Escribiendo código "${code}" en el campo encontrado...`);
+    await codeInput.type(code, { delay: 100 });
+    await sleep(1000);
+    
+    console.log(`✅ Código "${code}" escrito exitosamente`);
+    
+    // Buscar botón de continuar/enviar
+    const submitButtonSelectors = [
+        // Selectores específicos del screenshot
+        'div[role="button"]:has-text("Continuar")',
+        'button:has-text("Continuar")',
+        'div[role="button"]:has-text("Continue")',
+        'button:has-text("Continue")',
+        
+        // Selectores por atributos
+        'div[role="button"][aria-label*="Continuar"]',
+        'button[type="submit"]',
+        'div[role="button"]:has-text("Submit")',
+        'div[role="button"]:has-text("Enviar")',
+        'button:has-text("Submit")',
+        'button:has-text("Enviar")',
+        '[data-testid="2fa_submit_button"]',
+        
+        // Selectores generales
+        'div[role="button"]',
+        'button'
+    ];
+    
+    console.log(`🔍 Buscando botón de envío con ${submitButtonSelectors.length} selectores...`);
+    
+    let submitButton = null;
+    for (let i = 0; i < submitButtonSelectors.length; i++) {
+        const selector = submitButtonSelectors[i];
+        try {
+            console.log(`🔍 Probando selector de botón ${i+1}/${submitButtonSelectors.length}: ${selector}`);
+            const elements = page.locator(selector);
+            const count = await elements.count();
+            console.log(`   → Encontrados ${count} botones`);
             
-            return {
-                success: false,
-                sessionId: null,
-                message: `Quick login ${version} falló para ${email}. Las cookies pueden haber expirado.`,
-                error: 'QUICK_LOGIN_FAILED',
-                version
-            };
+            if (count > 0) {
+                // Buscar el primer botón visible y habilitado
+                for (let j = 0; j < count; j++) {
+                    const button = elements.nth(j);
+                    const isVisible = await button.isVisible({ timeout: 500 });
+                    if (isVisible) {
+                        const isDisabled = await button.getAttribute('disabled') !== null ||
+                                         await button.getAttribute('aria-disabled') === 'true';
+                        const text = await button.textContent() || '';
+                        console.log(`   Botón ${j+1}: visible=${isVisible}, disabled=${isDisabled}, text="${text}"`);
+                        
+                        if (!isDisabled) {
+                            submitButton = button;
+                            console.log(`✅ Botón de envío encontrado: ${selector} (botón ${j+1}/${count})`);
+                            break;
+                        }
+                    }
+                }
+                if (submitButton) break;
+            }
+        } catch (e) {
+            console.log(`   → Error: ${e.message}`);
+            continue;
         }
-        
-        // Login normal - SIEMPRE entrar credenciales
-        console.log(`📱 Navegando a Facebook ${version} para login normal con credenciales...`);
-        await page.goto(facebookUrl, { waitUntil: 'domcontentloaded' });
-        await sleep(randomDelay(1000, 1500));
-        
+    }
+    
+    if (!submitButton) {
+        throw new Error('No se pudo encontrar el botón de envío 2FA');
+    }
+    
+    // Hacer click en enviar
+    console.log('🚀 Enviando código 2FA...');
+    await submitButton.click({ force: true });
+}
 
-        
-        if (DEBUG_ENABLED) {
-            await createDebugSnapshot(page, `inicial-${version}`, DEBUG_DIR);
-        }
-        
-        // Obtener selectores según la versión detectada
-        const selectors = await getSelectorsForVersion(page);
-        
-        // Buscar y llenar email
-        console.log(`📧 Buscando campo de email ${version}...`);
-        const emailField = await findElement(page, selectors.email, 'campo de email');
-        if (!emailField) {
-            throw new Error(`No se pudo encontrar el campo de email en versión ${version}`);
+/**
+ * Envía códigos 2FA a una sesión pendiente, en orden, hasta que la página acepte uno.
+ * Un código manual es una lista de uno; con TOTP se prueban el paso actual y los vecinos
+ * (ver totpCandidates). Cada código enviado cuenta para config.twoFactor.maxAttempts.
+ * Los envíos a una misma sesión (manual, TOTP, email, SMS) van de uno en uno: el siguiente
+ * espera al anterior y, si ese ya resolvió o canceló la sesión, no escribe nada (notPending).
+ * @param {string} sessionId - ID de la sesión (debe estar en pending2FASessions)
+ * @param {Array<string>} codes - Códigos a probar
+ * @param {string} source - Origen de los códigos ('manual', 'sms', 'email', 'totp'...)
+ * @returns {Object} - Cuerpo de respuesta de /submit-2fa
+ */
+async function try2FACodes(sessionId, codes, source) {
+    const sessionData = pending2FASessions.get(sessionId);
+    while (sessionData?.submitting) {
+        console.log(`⏳ Sesión ${sessionId}: esperando a que termine el envío 2FA en curso antes del código [${source}]`);
+        await sessionData.submitting;
+    }
+    if (!sessionData || pending2FASessions.get(sessionId) !== sessionData) {
+        return { success: false, stillRequires2FA: false, notPending: true, message: 'La sesión ya no espera un código 2FA' };
+    }
+    
+    const submission = send2FACodes(sessionId, sessionData, codes, source);
+    sessionData.submitting = submission.catch(() => {});
+    try {
+        return await submission;
+    } finally {
+        sessionData.submitting = null;
+    }
+}
+
+/**
+ * Escribe los códigos en la página de una sesión pendiente (ver try2FACodes, que los serializa)
+ * @param {string} sessionId - ID de la sesión
+ * @param {Object} sessionData - Entrada de pending2FASessions
+ * @param {Array<string>} codes - Códigos a probar
+ * @param {string} source - Origen de los códigos
+ * @returns {Object} - Cuerpo de respuesta de /submit-2fa
+ */
+async function send2FACodes(sessionId, sessionData, codes, source) {
+    const { page, email, version, loginState } = sessionData;
+    let accepted = false;
+    
+    try {
+        for (const [index, code] of codes.entries()) {
+            console.log(`🔐 Procesando código 2FA para ${email} (${version}): ${code} [${source}]`);
+            await typeAndSubmit2FACode(page, code, version, loginState);
+            sessionData.attempts++;
+            console.log('✅ Código 2FA enviado, esperando respuesta...');
+            loginState.transition(LOGIN_STATES.SUBMITTED, `code:${source}`);
+            await sleep(5000); // Esperar más tiempo para la respuesta de Facebook
+            
+            // Verificar resultado
+            console.log('🔐 Verificando si aún se requiere 2FA...');
+            if (!await checkFor2FA(page)) {
+                accepted = true;
+                break;
+            }
+            
+            // Aún requiere 2FA - código incorrecto
+            if (await cancelIfAttemptsExhausted(sessionId, sessionData)) {
+                return {
+                    success: false,
+                    message: `Código 2FA incorrecto. Se agotaron los ${config.twoFactor.maxAttempts} intentos y la sesión se cerró.`,
+                    stillRequires2FA: false,
+                    attemptsExceeded: true,
+                    loginState: loginState.toJSON()
+                };
+            }
+            loginState.transition(LOGIN_STATES.TWO_FACTOR, 'wrong_code');
+            
+            if (index < codes.length - 1) {
+                console.log('🔁 Código rechazado, probando con el siguiente paso de tiempo...');
+            }
+        }
+        
+        if (!accepted) {
+            const twoFactor = getTwoFactorStatus(sessionData, config.twoFactor);
+            const rejected = source === 'totp'
+                ? `Facebook rechazó los ${codes.length} códigos TOTP generados (revisa el secreto y la hora del servidor).`
+                : 'Código 2FA incorrecto.';
+            return {
+                success: false,
+                message: `${rejected} Te quedan ${twoFactor.attemptsLeft} intentos.`,
+                stillRequires2FA: true,
+                twoFactor,
+                loginState: loginState.toJSON()
+            };
+        }
+        
+        // Diálogos post-login (confianza del dispositivo, popups...) y verificación final
+        const { loggedIn } = await runInterstitials(page, loginState);
+        if (!loggedIn) {
+            return await leaveAccepted2FA(sessionId, sessionData, 'Pantalla no reconocida después de aceptar el código 2FA');
+        }
+        
+        console.log(`🎉 ¡Login exitoso después de 2FA ${version}!`);
+        
+        // Guardar cookies y estado de sesión solo DESPUÉS del login exitoso
+        const session = activeSessions[sessionId];
+        if (session) {
+            await persistSession(session.context, page, email, sessionId);
+            console.log(`💾 Cookies y estado de sesión ${version} guardados exitosamente`);
+        }
+        
+        // Limpiar sesión pendiente
+        pending2FASessions.delete(sessionId);
+        loginState.transition(LOGIN_STATES.LOGGED_IN, '2fa');
+        
+        return {
+            success: true,
+            sessionId: sessionId,
+            message: `¡Login ${version} exitoso con 2FA${source === 'totp' ? ' (código TOTP)' : ''}!`,
+            loginCompleted: true,
+            loginState: loginState.toJSON()
+        };
+        
+    } catch (error) {
+        console.error(`❌ Error procesando 2FA: ${error.message}`);
+        
+        // Con el código ya aceptado el fallo no es un intento 2FA: la página no volverá a pedir código
+        if (accepted) {
+            return await leaveAccepted2FA(sessionId, sessionData, `Error después de aceptar el código 2FA: ${error.message}`);
+        }
+        
+        if (pending2FASessions.has(sessionId) && await cancelIfAttemptsExhausted(sessionId, sessionData)) {
+            return {
+                success: false,
+                message: `Error procesando 2FA: ${error.message}. Se agotaron los ${config.twoFactor.maxAttempts} intentos y la sesión se cerró.`,
+                stillRequires2FA: false,
+                attemptsExceeded: true,
+                loginState: loginState.toJSON()
+            };
+        }
+        
+        // Mantener la sesión pendiente para otro intento
+        if (loginState.can(LOGIN_STATES.TWO_FACTOR)) {
+            loginState.transition(LOGIN_STATES.TWO_FACTOR, error.message);
+        }
+        return {
+            success: false,
+            message: `Error procesando 2FA: ${error.message}`,
+            stillRequires2FA: true,
+            twoFactor: getTwoFactorStatus(sessionData, config.twoFactor),
+            loginState: loginState.toJSON()
+        };
+    }
+}
+
+/**
+ * El sitio aceptó el código 2FA pero la sesión no quedó logueada (checkpoint u otra pantalla):
+ * deja de esperar códigos, para que TOTP, buzón y SMS no sigan tecleando, y como en el login
+ * la sesión queda abierta para control manual (takeover.holdUnrecognized) o se cierra
+ * @param {string} sessionId - ID de la sesión
+ * @param {Object} sessionData - Entrada de pending2FASessions
+ * @param {string} message - Motivo
+ * @returns {Object} - Cuerpo de respuesta de /submit-2fa
+ */
+async function leaveAccepted2FA(sessionId, sessionData, message) {
+    const { page, email, version, loginState } = sessionData;
+    pending2FASessions.delete(sessionId);
+    
+    if (config.takeover.holdUnrecognized && activeSessions[sessionId] && loginState.can(LOGIN_STATES.MANUAL)) {
+        console.log(`🕹️ ${message} en ${page.url()} - sesión ${sessionId} esperando control manual`);
+        loginState.transition(LOGIN_STATES.MANUAL, 'unrecognized_after_2fa');
+        await debugSnapshot(page, `manual-required-2fa-${version}`, loginState);
+        events.publish(EVENT_TYPES.MANUAL_REQUIRED, { sessionId, email, version, url: page.url() });
+        return {
+            success: false,
+            sessionId,
+            message: `${message}. Toma el control de la sesión desde la pestaña Sesiones.`,
+            stillRequires2FA: false,
+            requiresManual: true,
+            loginState: loginState.toJSON()
+        };
+    }
+    
+    loginState.fail(message);
+    await discardSession(sessionId, 'LOGIN_FAILED');
+    return {
+        success: false,
+        message,
+        stillRequires2FA: false,
+        loginState: loginState.toJSON()
+    };
+}
+
+/**
+ * Envía códigos 2FA a una sesión pendiente y deja constancia en el registro de auditoría
+ * @param {string} sessionId - ID de la sesión (debe estar en pending2FASessions)
+ * @param {Array<string>} codes - Códigos a probar
+ * @param {string} source - Origen de los códigos ('manual', 'sms', 'email', 'totp'...)
+ * @param {Object} actor - Quién los envía (ver audit.js; default: el sistema)
+ * @returns {Object} - Cuerpo de respuesta de /submit-2fa
+ */
+async function submit2FACodes(sessionId, codes, source, actor = SYSTEM_ACTOR) {
+    const email = pending2FASessions.get(sessionId)?.email;
+    const entry = { action: AUDIT_ACTIONS.TWO_FACTOR_SUBMIT, ...actor, email, sessionId, source, codes: codes.length };
+    try {
+        const result = await try2FACodes(sessionId, codes, source);
+        auditLog.record({
+            ...entry,
+            outcome: result.loginCompleted ? AUDIT_OUTCOMES.SUCCESS : AUDIT_OUTCOMES.FAILURE,
+            detail: result.message
+        });
+        return result;
+    } catch (error) {
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.ERROR, detail: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Si la cuenta de una sesión pendiente de 2FA tiene secreto TOTP registrado,
+ * genera y envía el código sin esperar al usuario
+ * @param {string} sessionId - ID de la sesión (debe estar en pending2FASessions)
+ * @returns {Object|null} - Resultado de submit2FACodes, o null si la cuenta no usa TOTP
+ */
+async function autoSubmitTotp(sessionId) {
+    const sessionData = pending2FASessions.get(sessionId);
+    if (!sessionData || !secretBox) return null;
+    
+    let codes;
+    try {
+        if (!totpStore.has(sessionData.email)) return null;
+        codes = totpStore.candidates(sessionData.email, config.totp.window);
+    } catch (error) {
+        console.error(`❌ No se pudo generar el código TOTP de ${sessionData.email}: ${error.message}`);
+        return null;
+    }
+    
+    console.log(`🔑 Cuenta con TOTP registrado: enviando código automáticamente (${codes.length} candidatos)`);
+    return await submit2FACodes(sessionId, codes, 'totp');
+}
+
+/**
+ * Ajustes del buzón de una cuenta con los filtros por defecto de config.mailbox
+ * @param {string} email - Cuenta
+ * @returns {Object|null} - Ajustes listos para mailbox-2fa.js, o null si la cuenta no tiene buzón
+ */
+function getMailboxSettings(email) {
+    const settings = mailboxStore.get(email);
+    if (!settings) return null;
+    return {
+        ...settings,
+        from: settings.from || config.mailbox.from || null,
+        subject: settings.subject || config.mailbox.subject || null
+    };
+}
+
+/**
+ * Si la cuenta de una sesión pendiente de 2FA tiene buzón registrado, lo revisa hasta
+ * que llega el correo con el código y lo envía como /submit-2fa (source 'email').
+ * Hay como mucho una revisión por sesión: llamadas repetidas devuelven la misma promesa.
+ * @param {string} sessionId - ID de la sesión (debe estar en pending2FASessions)
+ * @returns {Promise<Object>|null} - Resultado de submit2FACodes, o null si la cuenta no usa buzón
+ */
+function watchMailbox(sessionId) {
+    const sessionData = pending2FASessions.get(sessionId);
+    if (!sessionData || !secretBox) return null;
+    if (sessionData.mailboxWatch) return sessionData.mailboxWatch;
+    
+    let settings;
+    try {
+        settings = getMailboxSettings(sessionData.email);
+    } catch (error) {
+        console.error(`❌ No se pudo leer el buzón de ${sessionData.email}: ${error.message}`);
+        return null;
+    }
+    if (!settings) return null;
+    
+    // La revisión termina sola si la sesión deja de esperar (código manual, cancelada, expirada)
+    const isWaiting = () => pending2FASessions.get(sessionId) === sessionData;
+    const timeoutMs = Math.min(
+        config.mailbox.timeoutSeconds * 1000,
+        getTwoFactorStatus(sessionData, config.twoFactor).expiresInSeconds * 1000
+    );
+    sessionData.usedMailboxUids = sessionData.usedMailboxUids || new Set();
+    
+    console.log(`📧 Buscando el código 2FA de ${sessionData.email} en ${settings.user}@${settings.host} (hasta ${Math.round(timeoutMs / 1000)} s)...`);
+    sessionData.mailboxWatch = (async () => {
+        const found = await pollForCode(settings, {
+            since: sessionData.timestamp,
+            exclude: sessionData.usedMailboxUids,
+            intervalMs: config.mailbox.pollIntervalSeconds * 1000,
+            timeoutMs,
+            isActive: isWaiting
+        });
+        
+        if (!isWaiting()) {
+            return { success: false, stillRequires2FA: false, message: 'La sesión ya no espera un código 2FA' };
+        }
+        if (!found) {
+            return {
+                success: false,
+                stillRequires2FA: true,
+                message: `No llegó ningún correo con el código en ${Math.round(timeoutMs / 1000)} s. Ingrésalo manualmente.`,
+                twoFactor: getTwoFactorStatus(sessionData, config.twoFactor)
+            };
         }
         
+        sessionData.usedMailboxUids.add(found.uid);
+        console.log(`📧 Código 2FA recibido por email para ${sessionData.email}`);
+        if (activeSessions[sessionId]?.takeover) {
+            return {
+                success: false,
+                stillRequires2FA: true,
+                message: `Código recibido por email (${found.code}), pero la sesión está bajo control manual: escríbelo desde la vista en vivo.`
+            };
+        }
+        return await submit2FACodes(sessionId, [found.code], 'email');
+    })()
+        .catch(error => {
+            console.error(`❌ Error revisando el buzón de ${sessionData.email}: ${error.message}`);
+            return { success: false, stillRequires2FA: isWaiting(), message: `Error revisando el buzón: ${error.message}` };
+        })
+        .finally(() => {
+            sessionData.mailboxWatch = null;
+        });
+    
+    return sessionData.mailboxWatch;
+}
+
+/**
+ * Fuentes automáticas de código después de registrar una sesión pendiente de 2FA:
+ * TOTP (inmediato) y, si la cuenta no usa TOTP, el buzón (en segundo plano)
+ * @param {string} sessionId - ID de la sesión
+ * @returns {Promise<Object>} - { totpResult, watchingMailbox }
+ */
+async function startAutomatic2FA(sessionId) {
+    const totpResult = await autoSubmitTotp(sessionId);
+    if (totpResult) {
+        return { totpResult, watchingMailbox: false };
+    }
+    
+    const watch = watchMailbox(sessionId);
+    if (watch) {
+        watch.then(result => console.log(`📧 Código 2FA por email (${sessionId}): ${result.message}`));
+    }
+    return { totpResult: null, watchingMailbox: Boolean(watch) };
+}
+
+/**
+ * Copia al registro en disco el estado actual de una sesión activa
+ * @param {string} sessionId - ID de la sesión (se ignora si no está en activeSessions)
+ */
+function syncRegistry(sessionId) {
+    const session = activeSessions[sessionId];
+    if (!session) return;
+    
+    sessionRegistry.upsert(sessionId, {
+        email: session.email,
+        version: session.version,
+        quickLogin: session.quickLogin || false,
+        createdAt: session.createdAt.toISOString(),
+        loginState: session.loginState ? session.loginState.state : null,
+        pending2FA: pending2FASessions.has(sessionId)
+    });
+}
+
+/**
+ * Snapshot de debug que incluye el estado de login del intento
+ * @param {Page} page - Página de Playwright
+ * @param {string} stage - Etapa del proceso
+ * @param {Object} loginState - Máquina de estados del intento (opcional)
+ */
+async function debugSnapshot(page, stage, loginState = null) {
+    if (!DEBUG_ENABLED) return;
+    await createDebugSnapshot(page, stage, DEBUG_DIR, loginState ? { loginState: loginState.toJSON() } : {});
+}
+
+/**
+ * Guarda cookies y estado de sesión y publica el evento cookies.saved
+ * @param {BrowserContext} context - Contexto del navegador
+ * @param {Page} page - Página de Playwright
+ * @param {string} email - Email del usuario
+ * @param {string} sessionId - Sesión de la que salen las cookies
+ * @returns {string|null} - Registro de cookies guardado o null si falló
+ */
+async function persistSession(context, page, email, sessionId) {
+    const cookieFile = await saveCookies(context, email, sessionStore);
+    await saveSessionState(context, page, email, sessionStore);
+    
+    if (cookieFile) {
+        events.publish(EVENT_TYPES.COOKIES_SAVED, { email, sessionId });
+    }
+    return cookieFile;
+}
+
+/**
+ * Cierra el navegador de una sesión. Las de quick login salen de launchPersistentContext
+ * y no tienen browser (context.browser() es null): se cierran cerrando su contexto, después
+ * de borrar sus cookies para que el perfil de cache/ no las conserve en claro.
+ * @param {Object} session - Entrada de activeSessions
+ */
+async function closeSessionBrowser(session) {
+    if (session.browser) {
+        await session.browser.close();
+    } else if (session.context) {
+        await session.context.clearCookies().catch(error => {
+            console.error(`⚠️ No se pudieron borrar las cookies del perfil de ${session.email}:`, error.message);
+        });
+        await session.context.close();
+    }
+}
+
+/**
+ * Cierra el navegador de un intento fallido sin guardar nada y lo quita de las sesiones activas
+ * @param {string} sessionId - ID de la sesión
+ * @param {string} reason - Motivo del cierre (se publica en session.closed)
+ */
+async function discardSession(sessionId, reason) {
+    const session = activeSessions[sessionId];
+    if (!session) return;
+    
+    delete activeSessions[sessionId];
+    sessionRegistry.remove(sessionId);
+    await stopScreencast(sessionId);
+    await closeSessionBrowser(session);
+    publishSessionClosed(sessionId, session, reason);
+}
+
+/**
+ * Publica session.closed y guarda el cierre en la lista de cerradas recientemente
+ * @param {string} sessionId - ID de la sesión
+ * @param {Object} session - Sesión ya quitada de activeSessions
+ * @param {string} reason - Motivo del cierre
+ */
+function publishSessionClosed(sessionId, session, reason) {
+    recentlyClosed.unshift({
+        sessionId,
+        email: session.email,
+        version: session.version,
+        reason,
+        closedAt: new Date()
+    });
+    recentlyClosed.splice(MAX_RECENTLY_CLOSED);
+    events.publish(EVENT_TYPES.SESSION_CLOSED, { sessionId, email: session.email, version: session.version, reason });
+}
+
+/**
+ * Marca actividad en una sesión (reinicia el tiempo de inactividad)
+ * @param {string} sessionId - ID de la sesión
+ */
+function touchSession(sessionId) {
+    if (activeSessions[sessionId]) {
+        activeSessions[sessionId].lastActivityAt = new Date();
+    }
+}
+
+/**
+ * Una sesión está ocupada si su login sigue en curso (ni terminado ni esperando
+ * 2FA o intervención) o si un operador la controla; las políticas no la cierran
+ * @param {Object} session - Entrada de activeSessions
+ * @returns {boolean}
+ */
+function isSessionBusy(session) {
+    if (session.takeover) return true;
+    const { loginState } = session;
+    if (!loginState) return false;
+    const waiting = [LOGIN_STATES.TWO_FACTOR, LOGIN_STATES.MANUAL].includes(loginState.state);
+    return !loginState.isTerminal && !waiting;
+}
+
+/**
+ * Vista de las sesiones abiertas para las políticas de session-lifecycle.js
+ * @returns {Array<Object>} - [{ sessionId, email, createdAt, lastActivityAt, busy }]
+ */
+function lifecycleView() {
+    return Object.entries(activeSessions).map(([sessionId, session]) => ({
+        sessionId,
+        email: session.email,
+        createdAt: session.createdAt,
+        lastActivityAt: session.lastActivityAt,
+        busy: isSessionBusy(session)
+    }));
+}
+
+/**
+ * Intenta login con una versión específica de Facebook
+ * @param {string} email - Email del usuario
+ * @param {string} password - Contraseña (opcional para quick login)
+ * @param {string} version - 'mobile' o 'desktop'
+ * @param {boolean} quickLogin - Si es login rápido (solo cookies)
+ * @param {Function} onStep - Callback opcional con el snapshot del estado de login en cada transición
+ * @returns {Object} - Resultado del login
+ */
+async function attemptLoginWithVersion(email, password, version, quickLogin = false, onStep = null) {
+    const sessionId = `${quickLogin ? 'quick-' : ''}${email.replace(/[@.]/g, '_')}-${version}-${Date.now()}`;
+    let loginState = null;
+    let launching = false;
+    
+    try {
+        console.log(`🚀 Intentando login ${version} ${quickLogin ? '(rápido)' : '(completo)'} para ${email}...`);
+        
+        if (quickLogin && !loadCookies(email, sessionStore, retentionPolicyFor(email))) {
+            return {
+                success: false,
+                sessionId: null,
+                message: `No hay cookies guardadas para ${email}. Usa login normal primero.`,
+                error: 'NO_COOKIES',
+                version
+            };
+        }
+        
+        // Límites de navegadores: global (rechaza) y por cuenta (cierra las sesiones más antiguas de la cuenta)
+        const capacity = planCapacity(lifecycleView(), email, config.sessions, launchingBrowsers);
+        if (!capacity.allowed) {
+            console.log(`🚫 Login de ${email} rechazado: ${capacity.message}`);
+            return {
+                success: false,
+                sessionId: null,
+                message: capacity.message,
+                error: SESSION_LIMIT_ERROR,
+                version
+            };
+        }
+        for (const oldSessionId of capacity.evict) {
+            console.log(`♻️ Cerrando ${oldSessionId}: límite de ${config.sessions.maxPerAccount} sesiones por cuenta`);
+            await closeSession(oldSessionId, CLOSE_REASONS.ACCOUNT_LIMIT);
+        }
+        
+        launchingBrowsers++;
+        launching = true;
+        
+        let browser, context, savedCookies, cacheDir, page;
+        
+        if (quickLogin) {
+            // Para quick login, usar contexto persistente con cookies
+            const persistentData = await createPersistentContext(email, version);
+            browser = persistentData.browser;
+            context = persistentData.context;
+            savedCookies = persistentData.savedCookies;
+            cacheDir = persistentData.cacheDir;
+            page = await context.newPage();
+        } else {
+            // Para login normal, crear contexto completamente fresco
+            console.log(`🆕 Creando contexto fresco para login normal ${version}...`);
+            
+            browser = await chromium.launch({
+                headless: config.browser.headless,
+                slowMo: config.browser.slowMo,
+                ...BROWSER_SIGNAL_OPTIONS,
+                args: [
+                    '--no-sandbox',
+                    '--disable-blink-features=AutomationControlled',
+                    '--disable-web-security',
+                    '--disable-features=VizDisplayCompositor'
+                ]
+            });
+            
+            context = await browser.newContext(versionContextOptions(version));
+            
+            page = await context.newPage();
+            savedCookies = null; // No hay cookies guardadas para contexto fresco
+            cacheDir = null; // No hay cache para contexto fresco
+        }
+        
+        // Máquina de estados del intento (arranca en 'navigating'); cada transición se publica en /events
+        const handleStep = snapshot => {
+            events.publish(EVENT_TYPES.LOGIN_STEP, {
+                sessionId,
+                email,
+                version,
+                quickLogin,
+                state: snapshot.state,
+                detail: snapshot.detail
+            });
+            touchSession(sessionId);
+            syncRegistry(sessionId);
+            if (onStep) {
+                onStep(snapshot);
+            }
+        };
+        loginState = createLoginStateMachine(sessionId, { email, version, quickLogin }, handleStep);
+        handleStep(loginState.toJSON());
+        
+        // Guardar sesión activa
+        activeSessions[sessionId] = { 
+            browser, 
+            context, 
+            page, 
+            email, 
+            password: quickLogin ? null : password,
+            cacheDir,
+            version,
+            createdAt: new Date(),
+            lastActivityAt: new Date(),
+            quickLogin,
+            loginState
+        };
+        launchingBrowsers--;
+        launching = false;
+        syncRegistry(sessionId);
+        events.publish(EVENT_TYPES.SESSION_OPENED, { sessionId, email, version, quickLogin });
+        
+        // Elegir URL según el perfil de sitio de la versión
+        const facebookUrl = getSiteProfile(version).baseUrl;
+        
+        // Solo intentar acceso directo con cookies si es quick login o hay cookies guardadas
+        if (quickLogin && savedCookies) {
+            console.log(`🍪 Intentando acceso directo con cookies + cache ${version}...`);
+            
+            try {
+                await page.goto(facebookUrl, { waitUntil: 'domcontentloaded' });
+                await sleep(2000);
+                await handleLoadingPage(page);
+                
+                // Restaurar estado de sesión
+                await restoreSessionState(page, email, sessionStore);
+                await sleep(1000);
+                
+                // Diálogos post-login y verificar si ya estamos logueados
+                const { loggedIn } = await runInterstitials(page, loginState);
+                if (loggedIn) {
+                    console.log(`🎉 ¡Login ${version} exitoso con credenciales!`);
+                    
+                    // Actualizar cookies SOLO si realmente se usaron cookies guardadas
+                    await persistSession(context, page, email, sessionId);
+                    
+                    // Si es un contexto fresco, ahora crear el cache persistente para futuros quick logins
+                    if (!quickLogin && !cacheDir) {
+                        console.log(`💾 Creando cache persistente para futuros quick logins...`);
+                        cacheDir = profileDirFor(email, version);
+                        if (!fs.existsSync(cacheDir)) {
+                            fs.mkdirSync(cacheDir, { recursive: true });
+                        }
+                    }
+                    
+                    console.log(`💾 Cookies y estado de sesión ${version} guardados exitosamente DESPUÉS del login`);
+                    console.log('🌐 Página permanece abierta - NO se cerrará automáticamente');
+                    loginState.transition(LOGIN_STATES.LOGGED_IN, 'cookies');
+                    
+                    return {
+                        success: true,
+                        sessionId: sessionId,
+                        message: `¡Login ${version} exitoso con credenciales! Cookies + cache guardados. Página permanece abierta.`,
+                        usedSavedData: false,
+                        version,
+                        quickLogin: false,
+                        loginState: loginState.toJSON()
+                    };
+                }
+            } catch (error) {
+                console.log(`⚠️ Error con cookies + cache ${version}, procediendo con login normal...`);
+            }
+        }
+        
+        // Si es quick login y llegamos aquí, falló
+        if (quickLogin) {
+            loginState.fail('QUICK_LOGIN_FAILED');
+            await discardSession(sessionId, 'QUICK_LOGIN_FAILED');
+            
+            return {
+                success: false,
+                sessionId: null,
+                message: `Quick login ${version} falló para ${email}. Las cookies pueden haber expirado.`,
+                error: 'QUICK_LOGIN_FAILED',
+                version,
+                loginState: loginState.toJSON()
+            };
+        }
+        
+        // Login normal - SIEMPRE entrar credenciales
+        console.log(`📱 Navegando a Facebook ${version} para login normal con credenciales...`);
+        await page.goto(facebookUrl, { waitUntil: 'domcontentloaded' });
+        await sleep(randomDelay(1000, 1500));
+        
+        // Página intermedia "FacebookLoading" / "Try Again"
+        await handleLoadingPage(page);
+        
+        await debugSnapshot(page, `inicial-${version}`, loginState);
+        
+        // Obtener selectores según la versión detectada
+        const selectors = await getSelectorsForVersion(page);
+        
+        // Buscar y llenar email
+        console.log(`📧 Buscando campo de email ${version}...`);
+        const emailField = await findElement(page, selectors.email, 'campo de email');
+        if (!emailField) {
+            throw new Error(`No se pudo encontrar el campo de email en versión ${version}`);
+        }
+        
+        loginState.transition(LOGIN_STATES.CREDENTIALS);
         await typeOptimized(page, selectors.email[0], email);
         
         // Buscar y llenar contraseña
@@ -367,9 +1417,7 @@ async function attemptLoginWithVersion(email, password, version, quickLogin = fa
         const loginButton = await waitForLoginButton(page, 15000);
         if (!loginButton) {
             console.log(`❌ Botón de login ${version} no encontrado, creando debug...`);
-            if (DEBUG_ENABLED) {
-                await createDebugSnapshot(page, `no-login-button-${version}`, DEBUG_DIR);
-            }
+            await debugSnapshot(page, `no-login-button-${version}`, loginState);
             throw new Error(`No se pudo encontrar el botón de login en versión ${version}`);
         }
         
@@ -377,12 +1425,13 @@ async function attemptLoginWithVersion(email, password, version, quickLogin = fa
         await sleep(randomDelay(500, 800));
         await loginButton.click({ force: true });
         console.log('✅ Click realizado');
+        loginState.transition(LOGIN_STATES.SUBMITTED, 'credentials');
         
         // Esperar respuesta y manejar posibles diálogos
         await sleep(3000);
         
-        // Manejar diálogo de guardar login si aparece
-        await handleSaveLoginDialog(page);
+        // Diálogo de guardar login (u otra pantalla intermedia) si aparece: el pipeline lo registra
+        await runInterstitials(page, loginState);
         
         // Esperar un poco más para que cargue completamente la respuesta
         console.log('⏳ Esperando respuesta completa de Facebook...');
@@ -406,147 +1455,128 @@ async function attemptLoginWithVersion(email, password, version, quickLogin = fa
         
         if (requires2FA) {
             console.log(`🔐 Se requiere 2FA ${version} - esperando código del usuario...`);
+            loginState.transition(LOGIN_STATES.TWO_FACTOR);
             
             // Crear debug snapshot para 2FA
-            if (DEBUG_ENABLED) {
-                await createDebugSnapshot(page, `2fa-detected-${version}`, DEBUG_DIR);
-                console.log(`📸 Debug snapshot creado para 2FA detectado - ${version}`);
-            }
+            await debugSnapshot(page, `2fa-detected-${version}`, loginState);
             
             // Guardar la sesión pendiente de 2FA
-            pending2FASessions.set(sessionId, {
-                page,
-                email,
-                version,
-                timestamp: new Date(),
-                resolve: null, // Se asignará más tarde
-                reject: null   // Se asignará más tarde
-            });
+            registerPending2FA(sessionId, { page, email, version, loginState });
             
-            console.log(`💭 Sesión ${sessionId} esperando código 2FA... RETORNANDO ERROR PARA ACTIVAR FRONTEND`);
+            // Con secreto TOTP registrado el código se envía sin esperar al usuario;
+            // con buzón registrado se busca el correo en segundo plano
+            const { totpResult, watchingMailbox } = await startAutomatic2FA(sessionId);
+            if (totpResult && totpResult.loginCompleted) {
+                return {
+                    success: true,
+                    sessionId: sessionId,
+                    message: `¡Login ${version} exitoso con código TOTP! Cookies guardadas. Página permanece abierta.`,
+                    usedSavedData: false,
+                    version,
+                    quickLogin: false,
+                    loginState: loginState.toJSON()
+                };
+            }
+            if (totpResult && totpResult.attemptsExceeded) {
+                return {
+                    success: false,
+                    sessionId: sessionId,
+                    message: totpResult.message,
+                    attemptsExceeded: true,
+                    version,
+                    loginState: loginState.toJSON()
+                };
+            }
             
-            // ⚠️ CAMBIO CRÍTICO: En lugar de retornar una Promise que cuelga,
-            // retornar un error que será capturado y convertido en requires2FA: true
-            throw new Error(`2FA_REQUIRED:${sessionId}:${version}`);
+            return {
+                success: false,
+                sessionId: sessionId,
+                message: totpResult
+                    ? `${totpResult.message} Usa el modal para ingresar el código.`
+                    : watchingMailbox
+                        ? `Se requiere código 2FA ${version === 'mobile' ? 'móvil' : 'desktop'}. Buscando el código en el buzón de la cuenta; también puedes ingresarlo en el modal.`
+                        : `Se requiere código 2FA ${version === 'mobile' ? 'móvil' : 'desktop'}. Usa el modal para ingresar el código.`,
+                requires2FA: true,
+                watchingMailbox,
+                version,
+                loginState: loginState.toJSON()
+            };
         }
         
-        if (DEBUG_ENABLED) {
-            await createDebugSnapshot(page, `post-login-${version}`, DEBUG_DIR);
-        }
+        await debugSnapshot(page, `post-login-${version}`, loginState);
         
-        // Verificar éxito del login
-        const loginResult = await checkLoginSuccess(page);
-        if (loginResult === true || loginResult === 'NEEDS_DIALOG_HANDLING' || loginResult === 'NEEDS_DEVICE_TRUST_HANDLING') {
-            console.log(`🎉 ¡Login exitoso después de 2FA ${version}!`);
-            
-            // Si necesita manejo de diálogo, hacerlo ahora
-            if (loginResult === 'NEEDS_DIALOG_HANDLING') {
-                console.log(`🔄 Manejando diálogo de guardar login...`);
-                const dialogHandled = await handleSaveLoginDialog(page);
-                if (dialogHandled) {
-                    console.log(`✅ Diálogo de guardar login manejado exitosamente`);
-                    await sleep(2000);
-                } else {
-                    console.log(`⚠️ No se pudo manejar el diálogo, continuando...`);
-                }
-            } else if (loginResult === 'NEEDS_DEVICE_TRUST_HANDLING') {
-                console.log(`🔐 Manejando diálogo de confianza del dispositivo - SIMPLE APPROACH...`);
-                const trustHandled = await handleDeviceTrustDialog(page);
-                console.log(`✅ Diálogo de confianza procesado: ${trustHandled}`);
-                await sleep(3000); // Esperar a que se complete la redirección
-            }
-            
-            // Guardar cookies y estado de sesión solo DESPUÉS del login exitoso
-            const session = activeSessions[sessionId];
-            if (session) {
-                await saveCookies(session.context, email, COOKIES_DIR);
-                await saveSessionState(session.context, page, email, COOKIES_DIR);
-                console.log(`💾 Cookies y estado de sesión ${version} guardados exitosamente`);
+        // Diálogos post-login y verificación final
+        const { loggedIn } = await runInterstitials(page, loginState);
+        if (!loggedIn) {
+            // Sin formulario de contraseña las credenciales fueron aceptadas: es un checkpoint
+            // que no reconocemos, así que la sesión queda abierta para que un operador la termine
+            const credentialsRejected = await page.locator('input[type="password"]').count() > 0;
+            if (credentialsRejected || !config.takeover.holdUnrecognized) {
+                throw new Error('Login no exitoso después de manejo de diálogos');
             }
             
-            // Limpiar sesión pendiente
-            pending2FASessions.delete(sessionId);
+            console.log(`🕹️ Pantalla no reconocida en ${page.url()} - sesión ${sessionId} esperando control manual`);
+            loginState.transition(LOGIN_STATES.MANUAL, 'unrecognized_page');
+            await debugSnapshot(page, `manual-required-${version}`, loginState);
+            events.publish(EVENT_TYPES.MANUAL_REQUIRED, { sessionId, email, version, url: page.url() });
             
-            res.json({
-                success: true,
+            return {
+                success: false,
                 sessionId: sessionId,
-                message: `¡Login ${version} exitoso con 2FA!`,
-                loginCompleted: true
-            });
-            
-        } else {
-            // Manejar el caso donde aún no está completamente logueado
-            // Podría ser que necesite manejar más diálogos
-            console.log(`⚠️ Login no completamente exitoso, verificando diálogos adicionales...`);
-            
-            // Intentar manejar diálogo de guardar login
-            const dialogHandled = await handleSaveLoginDialog(page);
-            if (dialogHandled) {
-                console.log(`✅ Diálogo de guardar login manejado, re-verificando login...`);
-                await sleep(2000);
-                
-                // Re-verificar después de manejar el diálogo
-                const secondCheck = await checkLoginSuccess(page);
-                if (secondCheck === true || secondCheck === 'NEEDS_DIALOG_HANDLING' || secondCheck === 'NEEDS_DEVICE_TRUST_HANDLING') {
-                    console.log(`🎉 ¡Login exitoso después de manejar diálogo!`);
-                    
-                    // Si necesita manejo adicional de diálogos
-                    if (secondCheck === 'NEEDS_DEVICE_TRUST_HANDLING') {
-                        console.log(`🔐 Manejando diálogo de confianza del dispositivo...`);
-                        await handleDeviceTrustDialog(page);
-                        await sleep(2000);
-                    }
-                    
-                    // Guardar cookies y estado de sesión
-                    const session = activeSessions[sessionId];
-                    if (session) {
-                        await saveCookies(session.context, email, COOKIES_DIR);
-                        await saveSessionState(session.context, page, email, COOKIES_DIR);
-                        console.log(`💾 Cookies y estado de sesión ${version} guardados exitosamente`);
-                    }
-                    
-                    // Limpiar sesión pendiente
-                    pending2FASessions.delete(sessionId);
-                    
-                    res.json({
-                        success: true,
-                        message: `¡Login ${version} exitoso con 2FA!`,
-                        loginCompleted: true
-                    });
-                    return;
-                }
-            }
-            
-            throw new Error('Login no exitoso después de 2FA y manejo de diálogos');
+                message: 'Pantalla no reconocida después del login. Toma el control de la sesión desde la pestaña Sesiones.',
+                requiresManual: true,
+                version,
+                loginState: loginState.toJSON()
+            };
+        }
+        
+        console.log(`🎉 ¡Login ${version} exitoso!`);
+        
+        // Guardar cookies y estado de sesión solo DESPUÉS del login exitoso
+        const session = activeSessions[sessionId];
+        if (session) {
+            await persistSession(session.context, page, email, sessionId);
+            console.log(`💾 Cookies y estado de sesión ${version} guardados exitosamente`);
         }
         
+        // Limpiar sesión pendiente
+        pending2FASessions.delete(sessionId);
+        loginState.transition(LOGIN_STATES.LOGGED_IN);
+        
+        return {
+            success: true,
+            sessionId: sessionId,
+            message: `¡Login ${version} exitoso! Cookies guardadas. Página permanece abierta.`,
+            usedSavedData: false,
+            version,
+            quickLogin: false,
+            loginState: loginState.toJSON()
+        };
+        
     } catch (error) {
         console.error(`💥 Error durante login ${version}:`, error);
         
-        if (activeSessions[sessionId]?.page && DEBUG_ENABLED) {
-            await createDebugSnapshot(activeSessions[sessionId].page, `error-${version}`, DEBUG_DIR);
+        if (launching) {
+            launchingBrowsers--;
         }
-        
-        // NO limpiar sesión si es un error de 2FA - necesitamos mantenerla viva
-        if (error.message.startsWith('2FA_REQUIRED:')) {
-            console.log(`🔐 Error 2FA detectado - manteniendo sesión ${sessionId} activa`);
-            throw error; // Re-throw para que sea manejado por performFacebookLoginPersistent
+        if (loginState) {
+            loginState.fail(error.message);
         }
         
-        // Limpiar sesión SOLO en caso de error real (no 2FA)
-        if (activeSessions[sessionId]) {
-            if (activeSessions[sessionId].browser) {
-                await activeSessions[sessionId].browser.close();
-            }
-            delete activeSessions[sessionId];
+        if (activeSessions[sessionId]?.page) {
+            await debugSnapshot(activeSessions[sessionId].page, `error-${version}`, loginState);
         }
         
+        // Limpiar sesión
+        await discardSession(sessionId, 'LOGIN_FAILED');
+        
         return {
             success: false,
             sessionId: null,
             message: `Error ${version}: ${error.message}`,
             error: error.message,
-            version
+            version,
+            loginState: loginState ? loginState.toJSON() : null
         };
     }
 }
@@ -557,174 +1587,36 @@ async function attemptLoginWithVersion(email, password, version, quickLogin = fa
  * @param {string} email - Email del usuario
  * @param {string} password - Contraseña del usuario
  * @param {string} versionChoice - 'auto', 'mobile', o 'desktop'
+ * @param {Function} onStep - Callback opcional de progreso (ver attemptLoginWithVersion)
  * @returns {Object} - Resultado del login
  */
-async function performFacebookLoginPersistent(email, password, versionChoice = 'auto') {
+async function performFacebookLoginPersistent(email, password, versionChoice = 'auto', onStep = null) {
     if (versionChoice === 'mobile') {
         console.log('🚀 Iniciando login solo móvil por elección del usuario...');
-        try {
-            const result = await attemptLoginWithVersion(email, password, 'mobile', false);
-            return result;
-        } catch (error) {
-            console.log(`📱 Error en login móvil: ${error.message}`);
-            
-            // Verificar si es un error específico de 2FA
-            if (error.message.startsWith('2FA_REQUIRED:')) {
-                const parts = error.message.split(':');
-                const sessionId = parts[1];
-                const version = parts[2];
-                console.log(`🔐 2FA detectado para móvil - sessionId: ${sessionId}, version: ${version}`);
-                return {
-                    success: false,
-                    sessionId: sessionId,
-                    message: `Se requiere código 2FA móvil. Usa el modal para ingresar el código.`,
-                    requires2FA: true,
-                    version: version
-                };
-            }
-            
-            // Si es un error de 2FA (fallback), significa que está esperando código
-            if (pending2FASessions.size > 0) {
-                const sessionId = Array.from(pending2FASessions.entries())
-                    .find(([id, data]) => data.email === email && data.version === 'mobile')?.[0];
-                if (sessionId) {
-                    console.log(`🔐 Returning 2FA required for mobile - sessionId: ${sessionId}`);
-                    return {
-                        success: false,
-                        sessionId: sessionId,
-                        message: `Se requiere código 2FA móvil. Usa el modal para ingresar el código.`,
-                        requires2FA: true,
-                        version: 'mobile'
-                    };
-                }
-            }
-            throw error;
-        }
+        return await attemptLoginWithVersion(email, password, 'mobile', false, onStep);
     }
     
     if (versionChoice === 'desktop') {
         console.log('🚀 Iniciando login solo desktop por elección del usuario...');
-        try {
-            return await attemptLoginWithVersion(email, password, 'desktop', false);
-        } catch (error) {
-            console.log(`🖥️ Error en login desktop: ${error.message}`);
-            
-            // Verificar si es un error específico de 2FA
-            if (error.message.startsWith('2FA_REQUIRED:')) {
-                const parts = error.message.split(':');
-                const sessionId = parts[1];
-                const version = parts[2];
-                console.log(`🔐 2FA detectado para desktop - sessionId: ${sessionId}, version: ${version}`);
-                return {
-                    success: false,
-                    sessionId: sessionId,
-                    message: `Se requiere código 2FA desktop. Usa el modal para ingresar el código.`,
-                    requires2FA: true,
-                    version: version
-                };
-            }
-            
-            // Si es un error de 2FA (fallback), significa que está esperando código
-            if (pending2FASessions.size > 0) {
-                const sessionId = Array.from(pending2FASessions.entries())
-                    .find(([id, data]) => data.email === email && data.version === 'desktop')?.[0];
-                if (sessionId) {
-                    return {
-                        success: false,
-                        sessionId: sessionId,
-                        message: `Se requiere código 2FA desktop. Usa el modal para ingresar el código.`,
-                        requires2FA: true,
-                        version: 'desktop'
-                    };
-                }
-            }
-            throw error;
-        }
+        return await attemptLoginWithVersion(email, password, 'desktop', false, onStep);
     }
     
     // Auto (fallback)
     console.log('🚀 Iniciando login completo con fallback móvil → desktop...');
     
-    // Intentar primero con versión móvil
-    try {
-        const mobileResult = await attemptLoginWithVersion(email, password, 'mobile', false);
-        if (mobileResult.success) {
-            return mobileResult;
-        }
-    } catch (error) {
-        console.log(`📱 Error en auto-móvil: ${error.message}`);
-        
-        // Verificar si es un error específico de 2FA
-        if (error.message.startsWith('2FA_REQUIRED:')) {
-            const parts = error.message.split(':');
-            const sessionId = parts[1];
-            const version = parts[2];
-            console.log(`🔐 2FA detectado en auto-móvil - sessionId: ${sessionId}, version: ${version}`);
-            return {
-                success: false,
-                sessionId: sessionId,
-                message: `Se requiere código 2FA móvil. Usa el modal para ingresar el código.`,
-                requires2FA: true,
-                version: version
-            };
-        }
-        
-        // Si es un error de 2FA (fallback), significa que está esperando código
-        if (pending2FASessions.size > 0) {
-            const sessionId = Array.from(pending2FASessions.entries())
-                .find(([id, data]) => data.email === email && data.version === 'mobile')?.[0];
-            if (sessionId) {
-                return {
-                    success: false,
-                    sessionId: sessionId,
-                    message: `Se requiere código 2FA móvil. Usa el modal para ingresar el código.`,
-                    requires2FA: true,
-                    version: 'mobile'
-                };
-            }
-        }
+    // Intentar primero con versión móvil (2FA o control manual detienen el fallback: la sesión queda abierta;
+    // códigos TOTP agotados también, porque desktop pediría el mismo código)
+    const mobileResult = await attemptLoginWithVersion(email, password, 'mobile', false, onStep);
+    if (mobileResult.success || mobileResult.requires2FA || mobileResult.requiresManual || mobileResult.attemptsExceeded || mobileResult.error === SESSION_LIMIT_ERROR) {
+        return mobileResult;
     }
     
     console.log('📱 Login móvil falló, intentando desktop...');
     
     // Si móvil falló, intentar desktop
-    try {
-        const desktopResult = await attemptLoginWithVersion(email, password, 'desktop', false);
-        if (desktopResult.success) {
-            return desktopResult;
-        }
-    } catch (error) {
-        console.log(`🖥️ Error en auto-desktop: ${error.message}`);
-        
-        // Verificar si es un error específico de 2FA
-        if (error.message.startsWith('2FA_REQUIRED:')) {
-            const parts = error.message.split(':');
-            const sessionId = parts[1];
-            const version = parts[2];
-            console.log(`🔐 2FA detectado en auto-desktop - sessionId: ${sessionId}, version: ${version}`);
-            return {
-                success: false,
-                sessionId: sessionId,
-                message: `Se requiere código 2FA desktop. Usa el modal para ingresar el código.`,
-                requires2FA: true,
-                version: version
-            };
-        }
-        
-        // Si es un error de 2FA (fallback), significa que está esperando código
-        if (pending2FASessions.size > 0) {
-            const sessionId = Array.from(pending2FASessions.entries())
-                .find(([id, data]) => data.email === email && data.version === 'desktop')?.[0];
-            if (sessionId) {
-                return {
-                    success: false,
-                    sessionId: sessionId,
-                    message: `Se requiere código 2FA desktop. Usa el modal para ingresar el código.`,
-                    requires2FA: true,
-                    version: 'desktop'
-                };
-            }
-        }
+    const desktopResult = await attemptLoginWithVersion(email, password, 'desktop', false, onStep);
+    if (desktopResult.success || desktopResult.requires2FA || desktopResult.requiresManual) {
+        return desktopResult;
     }
     
     // Si ambos fallaron, retornar información de ambos intentos
@@ -744,32 +1636,33 @@ async function performFacebookLoginPersistent(email, password, versionChoice = '
  * Quick login usando SOLO cookies y cache (sin contraseña)
  * @param {string} email - Email del usuario
  * @param {string} versionChoice - 'auto', 'mobile', o 'desktop'
+ * @param {Function} onStep - Callback opcional de progreso (ver attemptLoginWithVersion)
  * @returns {Object} - Resultado del login
  */
-async function performQuickLogin(email, versionChoice = 'auto') {
+async function performQuickLogin(email, versionChoice = 'auto', onStep = null) {
     if (versionChoice === 'mobile') {
         console.log('⚡ Iniciando quick login solo móvil por elección del usuario...');
-        return await attemptLoginWithVersion(email, null, 'mobile', true);
+        return await attemptLoginWithVersion(email, null, 'mobile', true, onStep);
     }
     
     if (versionChoice === 'desktop') {
         console.log('⚡ Iniciando quick login solo desktop por elección del usuario...');
-        return await attemptLoginWithVersion(email, null, 'desktop', true);
+        return await attemptLoginWithVersion(email, null, 'desktop', true, onStep);
     }
     
     // Auto (fallback)
     console.log('⚡ Iniciando quick login con fallback móvil → desktop...');
     
     // Intentar primero con versión móvil
-    const mobileResult = await attemptLoginWithVersion(email, null, 'mobile', true);
-    if (mobileResult.success) {
+    const mobileResult = await attemptLoginWithVersion(email, null, 'mobile', true, onStep);
+    if (mobileResult.success || mobileResult.error === SESSION_LIMIT_ERROR) {
         return mobileResult;
     }
     
     console.log('📱 Quick login móvil falló, intentando desktop...');
     
     // Si móvil falló, intentar desktop
-    const desktopResult = await attemptLoginWithVersion(email, null, 'desktop', true);
+    const desktopResult = await attemptLoginWithVersion(email, null, 'desktop', true, onStep);
     if (desktopResult.success) {
         return desktopResult;
     }
@@ -794,38 +1687,135 @@ async function performQuickLogin(email, versionChoice = 'auto') {
 /**
  * Cierra una sesión específica manualmente
  * @param {string} sessionId - ID de la sesión a cerrar
+ * @param {string} reason - Motivo del cierre (se publica en session.closed)
+ * @param {Object} actor - Quién la cierra (ver audit.js; default: el sistema)
  * @returns {Object} - Resultado de la operación
  */
-async function closeSession(sessionId) {
+async function closeSession(sessionId, reason = 'manual', actor = SYSTEM_ACTOR) {
+    const session = activeSessions[sessionId];
+    const entry = { action: AUDIT_ACTIONS.SESSION_CLOSE, ...actor, email: session?.email, sessionId, reason };
     try {
-        if (!activeSessions[sessionId]) {
+        if (!session) {
             return { success: false, message: 'Sesión no encontrada' };
         }
         
-        const session = activeSessions[sessionId];
+        // Solo una sesión iniciada guarda sus cookies: las de un 2FA o checkpoint sin terminar
+        // no deben sustituir a las últimas buenas de la cuenta
+        const loggedIn = !session.loginState || session.loginState.state === LOGIN_STATES.LOGGED_IN;
+        if (!loggedIn) {
+            // Un intento que no llegó a completarse termina como fallido
+            session.loginState.fail('Sesión cerrada antes de completar el login');
+        }
         
         // Guardar estado antes de cerrar
-        if (session.context && session.page) {
-            await saveCookies(session.context, session.email, COOKIES_DIR);
-            await saveSessionState(session.context, session.page, session.email, COOKIES_DIR);
+        if (loggedIn && session.context && session.page) {
+            await persistSession(session.context, session.page, session.email, sessionId);
+        } else if (!loggedIn) {
+            console.log(`🍪 Sesión ${sessionId} cerrada sin completar el login: no se guardan sus cookies`);
         }
         
-        // Cerrar navegador
-        if (session.browser) {
-            await session.browser.close();
-        }
+        // Desconectar la vista en vivo y cerrar navegador
+        await stopScreencast(sessionId);
+        await closeSessionBrowser(session);
         
         delete activeSessions[sessionId];
+        publishSessionClosed(sessionId, session, reason);
         
-        console.log(`🔒 Sesión ${sessionId} cerrada manualmente`);
+        // Las cerradas por el apagado quedan como muertas para ofrecer quick login al volver a arrancar
+        // (con el navegador ya cerrado, el perfil de cache/ de una sesión de quick login queda liberado)
+        if (reason === DEAD_REASONS.SHUTDOWN) {
+            sessionRegistry.markDead(sessionId, DEAD_REASONS.SHUTDOWN);
+        } else {
+            sessionRegistry.remove(sessionId);
+        }
+        
+        console.log(`🔒 Sesión ${sessionId} cerrada (${reason})`);
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.SUCCESS });
         return { success: true, message: 'Sesión cerrada exitosamente' };
         
     } catch (error) {
         console.error('Error cerrando sesión:', error);
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.ERROR, detail: error.message });
         return { success: false, message: `Error cerrando sesión: ${error.message}` };
     }
 }
 
+/**
+ * Devuelve una sesión a la automatización después del control manual y reanuda el flujo:
+ * código 2FA pendiente, diálogos post-login y guardado de cookies y estado de sesión
+ * @param {string} sessionId - ID de la sesión (debe estar en activeSessions)
+ * @returns {Object} - { success, loggedIn, requires2FA, pageState, message, loginState }
+ */
+async function resumeAfterTakeover(sessionId) {
+    const session = activeSessions[sessionId];
+    const { page, email, version, loginState } = session;
+    
+    console.log(`🤖 Reanudando automatización en sesión ${sessionId} (${page.url()})`);
+    
+    if (await checkFor2FA(page)) {
+        if (loginState.can(LOGIN_STATES.TWO_FACTOR)) {
+            loginState.transition(LOGIN_STATES.TWO_FACTOR, 'after_takeover');
+        }
+        if (!pending2FASessions.has(sessionId)) {
+            registerPending2FA(sessionId, { page, email, version, loginState });
+        }
+        
+        const { totpResult, watchingMailbox } = await startAutomatic2FA(sessionId);
+        if (totpResult && totpResult.loginCompleted) {
+            return {
+                success: true,
+                loggedIn: true,
+                requires2FA: false,
+                message: `Login ${version} completado con código TOTP después del control manual. Cookies guardadas.`,
+                loginState: loginState.toJSON()
+            };
+        }
+        return {
+            success: false,
+            loggedIn: false,
+            requires2FA: totpResult ? totpResult.stillRequires2FA : true,
+            watchingMailbox,
+            message: totpResult
+                ? totpResult.message
+                : watchingMailbox
+                    ? 'La página pide un código 2FA. Buscando el código en el buzón de la cuenta.'
+                    : 'La página pide un código 2FA. Envíalo con el modal o POST /submit-2fa.',
+            loginState: loginState.toJSON()
+        };
+    }
+    
+    const { loggedIn, pageState } = await runInterstitials(page, loginState);
+    if (!loggedIn) {
+        if (loginState.can(LOGIN_STATES.MANUAL)) {
+            loginState.transition(LOGIN_STATES.MANUAL, 'not_logged_in');
+        }
+        return {
+            success: false,
+            loggedIn: false,
+            requires2FA: false,
+            pageState,
+            message: 'La sesión sigue sin login. Toma el control de nuevo o ciérrala.',
+            loginState: loginState.toJSON()
+        };
+    }
+    
+    await persistSession(session.context, page, email, sessionId);
+    pending2FASessions.delete(sessionId);
+    if (loginState.can(LOGIN_STATES.LOGGED_IN)) {
+        loginState.transition(LOGIN_STATES.LOGGED_IN, 'manual');
+    }
+    console.log(`🎉 Sesión ${sessionId} logueada después del control manual - cookies guardadas`);
+    
+    return {
+        success: true,
+        loggedIn: true,
+        requires2FA: false,
+        pageState,
+        message: `Login ${version} completado después del control manual. Cookies guardadas.`,
+        loginState: loginState.toJSON()
+    };
+}
+
 /**
  * Lista todas las sesiones activas
  * @returns {Array} - Lista de sesiones activas
@@ -837,60 +1827,309 @@ function getActiveSessions() {
         version: activeSessions[sessionId].version || 'unknown',
         quickLogin: activeSessions[sessionId].quickLogin || false,
         createdAt: activeSessions[sessionId].createdAt,
-        uptime: Date.now() - activeSessions[sessionId].createdAt.getTime()
+        uptime: Date.now() - activeSessions[sessionId].createdAt.getTime(),
+        loginState: activeSessions[sessionId].loginState ? activeSessions[sessionId].loginState.state : null,
+        loginStateUpdatedAt: activeSessions[sessionId].loginState ? activeSessions[sessionId].loginState.toJSON().updatedAt : null,
+        takeover: activeSessions[sessionId].takeover || null,
+        lastActivityAt: activeSessions[sessionId].lastActivityAt,
+        // Próximo cierre automático por política ({ at, reason } o null)
+        autoClose: getSessionDeadline(activeSessions[sessionId], config.sessions)
     }));
 }
 
-// Rutas de la API
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-app.post('/login', async (req, res) => {
-    const { email, password, version } = req.body;
+/**
+ * Cierra (guardando cookies) las sesiones que superaron el tiempo de inactividad o la vida máxima
+ * @returns {Array<Object>} - Sesiones cerradas [{ sessionId, reason }]
+ */
+async function closeExpiredSessions() {
+    const expired = findExpiredSessions(lifecycleView(), config.sessions);
+    for (const { sessionId, reason } of expired) {
+        console.log(`⏰ Cerrando sesión ${sessionId} (${reason})`);
+        await closeSession(sessionId, reason);
+    }
+    return expired;
+}
 
-    if (!email || !password) {
-        return res.status(400).json({ 
-            error: 'Email y contraseña son requeridos.' 
-        });
+/**
+ * Cancela las sesiones pendientes de 2FA cuyo código no llegó a tiempo.
+ * Las que están bajo control manual se respetan (el operador puede estar resolviéndolo).
+ * @returns {Array<string>} - IDs de las sesiones canceladas
+ */
+async function closeExpired2FASessions() {
+    const expired = Array.from(pending2FASessions.entries())
+        .filter(([sessionId, data]) => !activeSessions[sessionId]?.takeover && getTwoFactorStatus(data, config.twoFactor).expired)
+        .map(([sessionId]) => sessionId);
+    
+    for (const sessionId of expired) {
+        await cancelPending2FA(sessionId, CLOSE_REASONS.TWO_FACTOR_EXPIRED, `Código 2FA no recibido en ${config.twoFactor.ttlMinutes} minutos`);
     }
+    return expired;
+}
 
-    console.log(`🔐 Iniciando login persistente para: ${email} (versión: ${version || 'auto'})`);
+/**
+ * Revisa periódicamente las políticas de ciclo de vida y la espera de los códigos 2FA
+ * @returns {Timeout} - Temporizador (unref: no mantiene vivo el proceso)
+ */
+function startLifecycleTimer() {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await closeExpired2FASessions();
+            await closeExpiredSessions();
+        } catch (error) {
+            console.error('❌ Error revisando el ciclo de vida de las sesiones:', error.message);
+        } finally {
+            running = false;
+        }
+    }, config.sessions.checkIntervalSeconds * 1000);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Inicia un job de login en segundo plano
+ * El paso del job sigue las transiciones del estado de login ('mobile:credentials', 'desktop:two_factor'...)
+ * @param {Object} params - Parámetros del login
+ * @param {string} params.email - Email del usuario
+ * @param {string} params.password - Contraseña (no se usa en quick login)
+ * @param {string} params.version - 'auto', 'mobile' o 'desktop'
+ * @param {boolean} params.quickLogin - Login rápido con cookies
+ * @param {Object} params.actor - Quién lo inicia (ver audit.js); el resultado se audita al terminar
+ * @returns {Object} - Job (ver jobs.js)
+ */
+function startLoginJob({ email, password, version, quickLogin = false, actor = SYSTEM_ACTOR }) {
+    const meta = { email, version: version || 'auto', quickLogin };
     
-    try {
-        const result = await performFacebookLoginPersistent(email, password, version);
-        console.log(`📋 Resultado del login:`, result);
-        
-        if (result.success) {
-            console.log(`✅ Login exitoso - enviando respuesta success`);
-            return res.json({
+    const job = createJob(quickLogin ? 'quick-login' : 'login', meta, job => {
+        const onStep = snapshot => job.setStep(`${snapshot.version}:${snapshot.state}`, snapshot.sessionId);
+        return quickLogin
+            ? performQuickLogin(email, version, onStep)
+            : performFacebookLoginPersistent(email, password, version, onStep);
+    });
+    
+    job.done.then(() => {
+        const { result } = job;
+        const outcome = job.error ? AUDIT_OUTCOMES.ERROR
+            : result?.success ? AUDIT_OUTCOMES.SUCCESS
+                : result?.requires2FA || result?.requiresManual ? AUDIT_OUTCOMES.PENDING
+                    : AUDIT_OUTCOMES.FAILURE;
+        auditLog.record({
+            action: quickLogin ? AUDIT_ACTIONS.QUICK_LOGIN : AUDIT_ACTIONS.LOGIN,
+            ...actor,
+            email,
+            sessionId: job.sessionId,
+            jobId: job.id,
+            version: result?.version || meta.version,
+            outcome,
+            detail: job.error || result?.message || null
+        });
+    });
+    return job;
+}
+
+/**
+ * Convierte el resultado de un login normal en la respuesta HTTP de /login
+ * @param {Object} result - Resultado de performFacebookLoginPersistent
+ * @returns {Object} - { status, body }
+ */
+function loginResponse(result) {
+    if (result.success) {
+        return {
+            status: 200,
+            body: {
                 success: true,
                 sessionId: result.sessionId,
                 message: result.message,
                 usedSavedData: result.usedSavedData || false,
                 version: result.version,
-                quickLogin: result.quickLogin || false
-            });
-        }
-        
-        console.log(`❌ Login falló - enviando respuesta 401 con requires2FA: ${result.requires2FA}`);
-        return res.status(401).json({
+                quickLogin: result.quickLogin || false,
+                loginState: result.loginState
+            }
+        };
+    }
+    
+    return {
+        status: result.error === SESSION_LIMIT_ERROR ? 429 : 401,
+        body: {
             success: false,
             sessionId: result.sessionId,
             message: result.message,
             error: result.error,
             requires2FA: result.requires2FA || false,
+            requiresManual: result.requiresManual || false,
+            watchingMailbox: result.watchingMailbox || false,
             version: result.version,
-            attempts: result.attempts
-        });
+            attempts: result.attempts,
+            loginState: result.loginState || null
+        }
+    };
+}
+
+/**
+ * Convierte el resultado de un quick login en la respuesta HTTP de /quick-login
+ * @param {Object} result - Resultado de performQuickLogin
+ * @returns {Object} - { status, body }
+ */
+function quickLoginResponse(result) {
+    if (result.success) {
+        return {
+            status: 200,
+            body: {
+                success: true,
+                sessionId: result.sessionId,
+                message: result.message,
+                quickLogin: true,
+                usedSavedData: true,
+                version: result.version,
+                loginState: result.loginState
+            }
+        };
+    }
+    
+    return {
+        status: result.error === SESSION_LIMIT_ERROR ? 429 : 401,
+        body: {
+            success: false,
+            sessionId: result.sessionId,
+            message: result.message,
+            error: result.error,
+            version: result.version,
+            attempts: result.attempts,
+            loginState: result.loginState || null
+        }
+    };
+}
+
+/**
+ * Comprueba si las cookies guardadas de una cuenta siguen abriendo sesión, en un navegador
+ * headless que se cierra al terminar (no abre sesión ni sustituye las cookies guardadas).
+ * Las que ya han caducado según sessionExpiry se dan por caducadas sin abrir el navegador.
+ * El resultado queda en el campo validation del registro de cookies.
+ * @param {string} email - Cuenta
+ * @param {string} versionChoice - 'auto', 'mobile' o 'desktop'
+ * @param {Object} actor - Quién la pide (ver audit.js; default: el sistema)
+ * @param {string} jobId - Job de validación en bloque al que pertenece (opcional)
+ * @returns {Promise<Object>} - { email, status, reason, version, url, checkedAt } o { email, error, message }
+ */
+async function validateSavedCookies(email, versionChoice = 'auto', actor = SYSTEM_ACTOR, jobId = null) {
+    const entry = { action: AUDIT_ACTIONS.COOKIES_VALIDATE, ...actor, email, ...(jobId && { jobId }) };
+    const failed = (error, message) => {
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.ERROR, detail: message });
+        return { email, error, message };
+    };
+    
+    let cookieData;
+    try {
+        cookieData = sessionStore.read(RECORD_KINDS.COOKIES, email);
+    } catch (error) {
+        return failed('COOKIES_UNREADABLE', error.message);
+    }
+    if (!cookieData) {
+        return { email, error: 'NO_COOKIES', message: `No hay cookies guardadas para ${email}` };
+    }
+    
+    let result;
+    const expiry = sessionExpiry(cookieData, { maxAgeHours: retentionPolicyFor(email).maxAgeHours });
+    if (expiry.expired) {
+        result = { status: VALIDATION_STATUS.EXPIRED, reason: expiry.reason, version: null, url: null };
+    } else {
+        // Solo cuenta para el límite global: no abre sesión, así que no cierra otras de la cuenta
+        const capacity = planCapacity(lifecycleView(), email, { ...config.sessions, maxPerAccount: 0 }, launchingBrowsers);
+        if (!capacity.allowed) {
+            return { email, error: SESSION_LIMIT_ERROR, message: capacity.message };
+        }
         
+        console.log(`🩺 Validando cookies de ${email} en un navegador headless...`);
+        launchingBrowsers++;
+        try {
+            result = { reason: null, ...await validateCookiesInBrowser(cookieData, versionChoice) };
+        } catch (error) {
+            return failed('VALIDATION_FAILED', error.message);
+        } finally {
+            launchingBrowsers--;
+        }
+    }
+    
+    const validation = { ...result, checkedAt: new Date().toISOString() };
+    try {
+        // Si se guardaron cookies nuevas mientras tanto, el resultado ya no les corresponde
+        const current = sessionStore.read(RECORD_KINDS.COOKIES, email);
+        if (current && current.timestamp === cookieData.timestamp) {
+            sessionStore.write(RECORD_KINDS.COOKIES, email, { ...current, validation });
+        }
     } catch (error) {
-        console.error('❌ Error CAPTURADO en ruta de login:', error.message);
-        console.error('📊 Stack trace:', error.stack);
+        console.error(`⚠️ No se pudo guardar la validación de ${email}:`, error.message);
+    }
+    
+    console.log(`🩺 Cookies de ${email}: ${validation.status}${validation.version ? ` (${validation.version})` : ''}`);
+    events.publish(EVENT_TYPES.COOKIES_VALIDATED, { email, status: validation.status, version: validation.version, jobId });
+    auditLog.record({
+        ...entry,
+        outcome: validation.status === VALIDATION_STATUS.VALID ? AUDIT_OUTCOMES.SUCCESS : AUDIT_OUTCOMES.FAILURE,
+        status: validation.status,
+        version: validation.version
+    });
+    return { email, ...validation };
+}
+
+/**
+ * Valida las cookies de varias cuentas, una detrás de otra, en un job en segundo plano.
+ * El paso del job indica la cuenta en curso (ej. '2/5:tester@example.com') y cada
+ * resultado se publica como cookies.validated con el jobId.
+ * @param {Array<string>} emails - Cuentas (sin repetir)
+ * @param {string} versionChoice - 'auto', 'mobile' o 'desktop'
+ * @param {Object} actor - Quién la pide (ver audit.js)
+ * @returns {Object} - Job (ver jobs.js); su resultado es { success, count, summary, results }
+ */
+function startCookieValidationJob(emails, versionChoice, actor) {
+    return createJob('cookies-validate', { emails, version: versionChoice }, async job => {
+        const results = [];
+        for (const [index, email] of emails.entries()) {
+            job.setStep(`${index + 1}/${emails.length}:${email}`);
+            results.push(await validateSavedCookies(email, versionChoice, actor, job.id));
+        }
+        
+        const summary = { valid: 0, expired: 0, checkpoint: 0, error: 0 };
+        results.forEach(result => {
+            summary[result.error ? 'error' : result.status]++;
+        });
+        return { success: true, count: results.length, summary, results };
+    });
+}
+
+// Rutas de la API
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.post('/login', async (req, res) => {
+    const { email, password, version } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({ 
+            error: 'Email y contraseña son requeridos.' 
+        });
+    }
+
+    console.log(`🔐 Iniciando login persistente para: ${email} (versión: ${version || 'auto'})`);
+    
+    // Envoltorio síncrono sobre el job: espera a que termine y responde como siempre
+    const job = startLoginJob({ email, password, version, actor: actorFromAuth(req.auth) });
+    await job.done;
+    
+    if (job.error) {
+        console.error('❌ Error CAPTURADO en ruta de login:', job.error);
         return res.status(500).json({
-            error: 'Error interno del servidor: ' + error.message
+            error: 'Error interno del servidor: ' + job.error
         });
     }
+    
+    const { status, body } = loginResponse(job.result);
+    const pending = body.requires2FA ? ' - requiere 2FA' : body.requiresManual ? ' - requiere control manual' : '';
+    console.log(`📋 Resultado del login (${job.id}): ${status}${pending}`);
+    return res.status(status).json({ ...body, jobId: job.id });
 });
 
 // Nueva ruta para login rápido (solo cookies y cache)
@@ -903,37 +2142,83 @@ app.post('/quick-login', async (req, res) => {
         });
     }
 
-    console.log(`⚡ Iniciando login rápido para: ${email} (versión: ${version || 'auto'})`);
+    console.log(`⚡ Iniciando login rápido para: ${email} (versión: ${version || 'auto'})`);
+    
+    // Envoltorio síncrono sobre el job
+    const job = startLoginJob({ email, version, quickLogin: true, actor: actorFromAuth(req.auth) });
+    await job.done;
+    
+    if (job.error) {
+        console.error('Error en ruta de login rápido:', job.error);
+        return res.status(500).json({
+            error: 'Error interno del servidor: ' + job.error
+        });
+    }
+    
+    const { status, body } = quickLoginResponse(job.result);
+    return res.status(status).json({ ...body, jobId: job.id });
+});
+
+// Login asíncrono: devuelve el ID del job inmediatamente (consultar con GET /jobs/:id)
+app.post('/jobs/login', (req, res) => {
+    const { email, password, version } = req.body;
+    
+    // Boolean('false') es true: solo se aceptan booleanos (o su texto) para no lanzar un quick login por error
+    if (![undefined, true, false, 'true', 'false'].includes(req.body.quickLogin)) {
+        return res.status(400).json({ error: 'quickLogin debe ser true o false' });
+    }
+    const quickLogin = req.body.quickLogin === true || req.body.quickLogin === 'true';
+    
+    if (!email || (!quickLogin && !password)) {
+        return res.status(400).json({
+            error: quickLogin ? 'Email es requerido para login rápido.' : 'Email y contraseña son requeridos.'
+        });
+    }
+    
+    if (version && !['auto', 'mobile', 'desktop'].includes(version)) {
+        return res.status(400).json({ error: 'Versión inválida. Valores válidos: auto, mobile, desktop' });
+    }
+    
+    const job = startLoginJob({ email, password, version, quickLogin, actor: actorFromAuth(req.auth) });
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        state: job.state,
+        statusUrl: `/jobs/${job.id}`
+    });
+});
+
+// Jobs recientes (filtros opcionales ?state=, ?email= y ?limit=)
+app.get('/jobs', (req, res) => {
+    const { state, email } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    
+    if (state && !Object.values(JOB_STATES).includes(state)) {
+        return res.status(400).json({
+            error: `Estado desconocido. Valores válidos: ${Object.values(JOB_STATES).join(', ')}`
+        });
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({ error: 'limit debe ser un entero positivo' });
+    }
+    
+    const jobs = listJobs({ state, email, limit });
+    res.json({
+        count: jobs.length,
+        jobs
+    });
+});
+
+// Estado, paso actual, tiempo transcurrido y resultado de un job
+app.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
     
-    try {
-        const result = await performQuickLogin(email, version);
-        
-        if (result.success) {
-            return res.json({
-                success: true,
-                sessionId: result.sessionId,
-                message: result.message,
-                quickLogin: true,
-                usedSavedData: true,
-                version: result.version
-            });
-        }
-        
-        return res.status(401).json({
-            success: false,
-            sessionId: result.sessionId,
-            message: result.message,
-            error: result.error,
-            version: result.version,
-            attempts: result.attempts
-        });
-        
-    } catch (error) {
-        console.error('Error en ruta de login rápido:', error);
-        return res.status(500).json({
-            error: 'Error interno del servidor: ' + error.message
-        });
+    if (!job) {
+        return res.status(404).json({ error: 'Job no encontrado' });
     }
+    
+    res.json(job.toJSON());
 });
 
 // Nueva ruta para cerrar sesiones manualmente
@@ -944,7 +2229,7 @@ app.post('/close-session', async (req, res) => {
         return res.status(400).json({ error: 'sessionId es requerido' });
     }
     
-    const result = await closeSession(sessionId);
+    const result = await closeSession(sessionId, 'manual', actorFromAuth(req.auth));
     
     if (result.success) {
         return res.json(result);
@@ -958,59 +2243,295 @@ app.get('/sessions', (req, res) => {
     const sessions = getActiveSessions();
     res.json({
         count: sessions.length,
-        sessions: sessions
+        sessions: sessions,
+        limits: {
+            maxConcurrent: config.sessions.maxConcurrent,
+            maxPerAccount: config.sessions.maxPerAccount
+        },
+        recentlyClosed
+    });
+});
+
+// Sesiones perdidas en un reinicio o apagado del servidor (se pueden recuperar con quick login)
+app.get('/sessions/dead', (req, res) => {
+    const sessions = sessionRegistry.list({ status: REGISTRY_STATUS.DEAD }).map(entry => ({
+        ...entry,
+        hasCookies: sessionStore.has(RECORD_KINDS.COOKIES, entry.email)
+    }));
+    res.json({
+        count: sessions.length,
+        sessions
+    });
+});
+
+// Recuperar una sesión perdida: quick login con las cookies guardadas del mismo email y versión
+app.post('/sessions/dead/:sessionId/quick-login', async (req, res) => {
+    const { sessionId } = req.params;
+    const entry = sessionRegistry.get(sessionId);
+    
+    if (!entry || entry.status !== REGISTRY_STATUS.DEAD) {
+        return res.status(404).json({ success: false, message: 'Sesión perdida no encontrada' });
+    }
+    
+    console.log(`⚡ Recuperando sesión perdida ${sessionId} con login rápido para: ${entry.email}`);
+    
+    const job = startLoginJob({ email: entry.email, version: entry.version, quickLogin: true, actor: actorFromAuth(req.auth) });
+    await job.done;
+    
+    if (job.error) {
+        console.error('Error recuperando sesión perdida:', job.error);
+        return res.status(500).json({
+            success: false,
+            message: `Error del servidor: ${job.error}`,
+            jobId: job.id
+        });
+    }
+    
+    // La entrada muerta se sustituye por la sesión nueva; si falla se conserva para reintentar
+    if (job.result.success) {
+        sessionRegistry.remove(sessionId);
+    }
+    
+    const { status, body } = quickLoginResponse(job.result);
+    res.status(status).json({ ...body, restoredFrom: sessionId, jobId: job.id });
+});
+
+// Descartar una sesión perdida de la lista
+app.delete('/sessions/dead/:sessionId', (req, res) => {
+    const entry = sessionRegistry.get(req.params.sessionId);
+    
+    if (!entry || entry.status !== REGISTRY_STATUS.DEAD) {
+        return res.status(404).json({ success: false, message: 'Sesión perdida no encontrada' });
+    }
+    
+    sessionRegistry.remove(req.params.sessionId);
+    res.json({ success: true, message: 'Sesión perdida descartada' });
+});
+
+// Vista en vivo de la página de una sesión (MJPEG, se puede usar como src de un <img>)
+app.get('/sessions/:sessionId/stream', (req, res) => {
+    const session = activeSessions[req.params.sessionId];
+    
+    if (!session || !session.page || session.page.isClosed()) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    
+    touchSession(req.params.sessionId);
+    pipeMjpeg(req, res, getScreencast(req.params.sessionId, session.page, config.screencast));
+});
+
+// Captura puntual de la página de una sesión (JPEG)
+app.get('/sessions/:sessionId/screenshot', async (req, res) => {
+    const session = activeSessions[req.params.sessionId];
+    
+    if (!session || !session.page || session.page.isClosed()) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    
+    touchSession(req.params.sessionId);
+    try {
+        const frame = await captureFrame(session.page, { quality: config.screencast.quality });
+        res.set('Cache-Control', 'no-store');
+        res.type('image/jpeg').send(frame);
+    } catch (error) {
+        res.status(500).json({ error: `No se pudo capturar la página: ${error.message}` });
+    }
+});
+
+// Control manual: el operador toma la sesión (la automatización no actúa mientras tanto)
+app.post('/sessions/:sessionId/takeover', (req, res) => {
+    const { sessionId } = req.params;
+    const session = activeSessions[sessionId];
+    
+    if (!session || !session.page || session.page.isClosed()) {
+        return res.status(404).json({ success: false, message: 'Sesión no encontrada' });
+    }
+    
+    const { loginState } = session;
+    const waiting = [LOGIN_STATES.TWO_FACTOR, LOGIN_STATES.MANUAL].includes(loginState.state);
+    if (!loginState.isTerminal && !waiting) {
+        return res.status(409).json({
+            success: false,
+            message: `El login sigue en curso (${loginState.state}). Espera a que termine o pida intervención.`
+        });
+    }
+    
+    touchSession(sessionId);
+    if (!session.takeover) {
+        session.takeover = { startedAt: new Date(), inputs: 0 };
+        if (loginState.can(LOGIN_STATES.MANUAL)) {
+            loginState.transition(LOGIN_STATES.MANUAL, 'takeover');
+        }
+        events.publish(EVENT_TYPES.SESSION_TAKEOVER, { sessionId, email: session.email, active: true });
+        console.log(`🕹️ Control manual iniciado en sesión ${sessionId}`);
+    }
+    
+    res.json({
+        success: true,
+        sessionId,
+        takeover: session.takeover,
+        viewport: session.page.viewportSize(),
+        url: session.page.url(),
+        loginState: loginState.toJSON()
+    });
+});
+
+// Control manual: reenviar un click, texto, tecla, scroll o navegación a la página
+app.post('/sessions/:sessionId/input', async (req, res) => {
+    const { sessionId } = req.params;
+    const session = activeSessions[sessionId];
+    
+    if (!session || !session.page || session.page.isClosed()) {
+        return res.status(404).json({ success: false, message: 'Sesión no encontrada' });
+    }
+    
+    if (!session.takeover) {
+        return res.status(409).json({ success: false, message: 'La sesión no está bajo control manual. Usa POST /sessions/:id/takeover primero.' });
+    }
+    
+    const error = validateInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    
+    try {
+        console.log(`🕹️ [${sessionId}] ${describeInput(req.body)}`);
+        const { url } = await applyInput(session.page, req.body);
+        session.takeover.inputs++;
+        touchSession(sessionId);
+        res.json({ success: true, url });
+    } catch (error) {
+        res.status(500).json({ success: false, message: `Error aplicando la entrada: ${error.message}` });
+    }
+});
+
+// Control manual: devolver la sesión a la automatización (reanuda 2FA / diálogos / guardado de cookies)
+app.post('/sessions/:sessionId/release', async (req, res) => {
+    const { sessionId } = req.params;
+    const session = activeSessions[sessionId];
+    
+    if (!session || !session.page || session.page.isClosed()) {
+        return res.status(404).json({ success: false, message: 'Sesión no encontrada' });
+    }
+    
+    if (!session.takeover) {
+        return res.status(409).json({ success: false, message: 'La sesión no está bajo control manual' });
+    }
+    
+    const { inputs } = session.takeover;
+    delete session.takeover;
+    touchSession(sessionId);
+    events.publish(EVENT_TYPES.SESSION_TAKEOVER, { sessionId, email: session.email, active: false });
+    console.log(`🤖 Control devuelto a la automatización en sesión ${sessionId} (${inputs} entradas manuales)`);
+    
+    try {
+        const result = await resumeAfterTakeover(sessionId);
+        res.json({ sessionId, ...result });
+    } catch (error) {
+        console.error(`❌ Error reanudando sesión ${sessionId}:`, error.message);
+        res.status(500).json({ success: false, message: `Error reanudando la sesión: ${error.message}` });
+    }
+});
+
+// Estados de login registrados (filtros opcionales ?email= y ?state=)
+app.get('/login-states', (req, res) => {
+    const { email, state } = req.query;
+    
+    if (state && !Object.values(LOGIN_STATES).includes(state)) {
+        return res.status(400).json({
+            error: `Estado desconocido. Valores válidos: ${Object.values(LOGIN_STATES).join(', ')}`
+        });
+    }
+    
+    const states = listLoginStates({ email, state });
+    res.json({
+        count: states.length,
+        states
     });
 });
 
+// Estado actual e historial de transiciones de un intento
+app.get('/login-states/:sessionId', (req, res) => {
+    const loginState = getLoginState(req.params.sessionId);
+    
+    if (!loginState) {
+        return res.status(404).json({ error: 'No hay estado de login para esa sesión' });
+    }
+    
+    res.json(loginState.toJSON());
+});
+
 // Nueva ruta para limpiar cookies antiguas
 app.post('/clean-cookies', (req, res) => {
     try {
-        cleanOldSessions(COOKIES_DIR, 168); // 7 días
-        res.json({ success: true, message: 'Cookies antiguas limpiadas' });
+        const filesDeleted = cleanOldSessions(sessionStore, retentionPolicyFor);
+        events.publish(EVENT_TYPES.CLEANUP, { filesDeleted, cleanupHours: config.retention.cleanupHours });
+        auditLog.record({
+            action: AUDIT_ACTIONS.CLEANUP,
+            ...actorFromAuth(req.auth),
+            outcome: AUDIT_OUTCOMES.SUCCESS,
+            filesDeleted,
+            cleanupHours: config.retention.cleanupHours
+        });
+        res.json({ success: true, message: 'Cookies caducadas limpiadas', filesDeleted });
     } catch (error) {
+        auditLog.record({ action: AUDIT_ACTIONS.CLEANUP, ...actorFromAuth(req.auth), outcome: AUDIT_OUTCOMES.ERROR, detail: error.message });
         res.status(500).json({ error: error.message });
     }
 });
 
+// Política de retención de cada cuenta (tope de edad y horas hasta borrar las caducadas)
+app.get('/retention', (req, res) => {
+    res.json({ success: true, defaults: retentionPolicies.defaults, accounts: retentionPolicies.list() });
+});
+
+app.put('/retention/:email', (req, res) => {
+    try {
+        const policy = retentionPolicies.set(req.params.email, req.body);
+        res.json({ success: true, email: req.params.email, ...policy });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/retention/:email', (req, res) => {
+    if (!retentionPolicies.remove(req.params.email)) {
+        return res.status(404).json({ success: false, message: `${req.params.email} no tiene política de retención propia` });
+    }
+    res.json({ success: true, message: `${req.params.email} vuelve a la política de retención por defecto` });
+});
+
 // Nueva ruta para listar cookies guardadas
 app.get('/cookies', (req, res) => {
     try {
-        const allFiles = fs.readdirSync(COOKIES_DIR);
-        
-        // Agrupar archivos por email
+        // Agrupar registros por cuenta
         const emailGroups = {};
         
-        allFiles.forEach(file => {
-            if (file.endsWith('_cookies.json') || file.endsWith('_session.json')) {
-                const emailPart = file.replace(/_cookies\.json$|_session\.json$/, '');
-                if (!emailGroups[emailPart]) {
-                    emailGroups[emailPart] = {};
-                }
-                
-                const filePath = path.join(COOKIES_DIR, file);
-                const stats = fs.statSync(filePath);
-                
-                if (file.endsWith('_cookies.json')) {
-                    const cookieData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                    emailGroups[emailPart].cookies = {
-                        filename: file,
-                        created: cookieData.timestamp,
-                        lastModified: stats.mtime,
-                        size: stats.size,
-                        age: Date.now() - new Date(cookieData.timestamp).getTime(),
-                        email: cookieData.email
-                    };
-                } else if (file.endsWith('_session.json')) {
-                    const sessionData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                    emailGroups[emailPart].session = {
-                        filename: file,
-                        created: sessionData.timestamp,
-                        lastModified: stats.mtime,
-                        size: stats.size,
-                        age: Date.now() - new Date(sessionData.timestamp).getTime(),
-                        email: sessionData.email
-                    };
-                }
+        // Un registro cifrado con otra clave (o sin clave configurada) se lista igualmente
+        sessionStore.list().forEach(record => {
+            if (!emailGroups[record.key]) {
+                emailGroups[record.key] = {};
+            }
+            
+            const data = record.data || {};
+            emailGroups[record.key][record.kind] = {
+                filename: record.name,
+                created: data.timestamp,
+                lastModified: record.updatedAt,
+                size: record.size,
+                age: Date.now() - new Date(data.timestamp || record.updatedAt).getTime(),
+                email: data.email,
+                encrypted: record.encrypted,
+                ...(record.error && { error: record.error })
+            };
+            // Misma caducidad que aplican loadCookies y cleanOldSessions
+            if (record.kind === RECORD_KINDS.COOKIES && record.data) {
+                const retention = retentionPolicyFor(record.data.email);
+                const { health, ...expiry } = sessionExpiry(record.data, {
+                    maxAgeHours: retention.maxAgeHours,
+                    expiringSoonHours: config.cookies.expiringSoonHours
+                });
+                Object.assign(emailGroups[record.key], { health, expiry, retention, validation: record.data.validation || null });
             }
         });
         
@@ -1028,8 +2549,12 @@ app.get('/cookies', (req, res) => {
                 return {
                     email: email,
                     totalSize: totalSize,
-                    age: oldestAge,
+                    age: data.expiry?.ageMs ?? oldestAge,
                     lastModified: newestModified,
+                    health: data.health || null,
+                    expiry: data.expiry || null,
+                    retention: data.retention || null,
+                    validation: data.validation || null,
                     files: {
                         cookies: data.cookies || null,
                         session: data.session || null
@@ -1041,6 +2566,7 @@ app.get('/cookies', (req, res) => {
 
         res.json({
             count: cookiesList.length,
+            storage: sessionStore.backend,
             cookies: cookiesList
         });
     } catch (error) {
@@ -1048,46 +2574,199 @@ app.get('/cookies', (req, res) => {
     }
 });
 
-// Nueva ruta para eliminar cookies específicas
-app.delete('/cookies/:email', (req, res) => {
+// Cookies guardadas de una cuenta una a una (sin sus valores) y veredicto sobre la sesión
+app.get('/cookies/:email/details', (req, res) => {
+    const { email } = req.params;
+    
     try {
-        const email = req.params.email;
-        const cookieFile = path.join(COOKIES_DIR, `${email.replace(/[@.]/g, '_')}_cookies.json`);
-        const sessionFile = path.join(COOKIES_DIR, `${email.replace(/[@.]/g, '_')}_session.json`);
-        const cacheDir = path.join(CACHE_DIR, email.replace(/[@.]/g, '_'));
-        
-        let deleted = 0;
+        const cookieData = sessionStore.read(RECORD_KINDS.COOKIES, email);
+        if (!cookieData) {
+            return res.status(404).json({ success: false, message: `No hay cookies guardadas para ${email}` });
+        }
         
-        // Eliminar archivos de cookies y sesión
-        if (fs.existsSync(cookieFile)) {
-            fs.unlinkSync(cookieFile);
-            deleted++;
+        const now = Date.now();
+        const cookies = (cookieData.cookies || []).map(cookie => describeCookie(cookie, now));
+        res.json({
+            success: true,
+            email,
+            savedAt: cookieData.timestamp,
+            count: cookies.length,
+            health: assessCookieHealth(cookieData.cookies, { expiringSoonHours: config.cookies.expiringSoonHours, now }),
+            cookies: cookies.sort((a, b) => Number(b.auth) - Number(a.auth) || a.name.localeCompare(b.name))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: `Error leyendo cookies: ${error.message}` });
+    }
+});
+
+// Descargar las cookies de una cuenta en otro formato (?format=netscape|storageState|json)
+app.get('/cookies/:email/export', (req, res) => {
+    const { email } = req.params;
+    const format = req.query.format || COOKIE_FORMATS.JSON;
+    const entry = { action: AUDIT_ACTIONS.COOKIES_EXPORT, ...actorFromAuth(req.auth), email, format };
+    
+    if (!isCookieFormat(format)) {
+        return res.status(400).json({
+            success: false,
+            message: `Formato desconocido: ${format}. Válidos: ${Object.values(COOKIE_FORMATS).join(', ')}`
+        });
+    }
+    
+    try {
+        const cookieData = sessionStore.read(RECORD_KINDS.COOKIES, email);
+        if (!cookieData) {
+            auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.FAILURE, detail: 'Sin cookies guardadas' });
+            return res.status(404).json({ success: false, message: `No hay cookies guardadas para ${email}` });
         }
         
-        if (fs.existsSync(sessionFile)) {
-            fs.unlinkSync(sessionFile);
-            deleted++;
+        const sessionState = format === COOKIE_FORMATS.STORAGE_STATE
+            ? sessionStore.read(RECORD_KINDS.SESSION, email)
+            : null;
+        const { contentType, extension, body } = exportCookies(format, cookieData, sessionState);
+        
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.SUCCESS, cookies: (cookieData.cookies || []).length });
+        res.set('Content-Type', contentType);
+        res.attachment(`${accountKey(email)}_${format}.${extension}`);
+        res.send(body);
+    } catch (error) {
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.ERROR, detail: error.message });
+        res.status(500).json({ success: false, message: `Error exportando cookies: ${error.message}` });
+    }
+});
+
+// Subir cookies de otra herramienta: { format?, data } (sin format se deduce del contenido).
+// Sustituyen a las guardadas y las usa el siguiente quick login
+app.post('/cookies/:email/import', (req, res) => {
+    const { email } = req.params;
+    const { format, cookies, errors } = parseCookieImport(req.body || {});
+    const entry = { action: AUDIT_ACTIONS.COOKIES_IMPORT, ...actorFromAuth(req.auth), email, format };
+    
+    if (errors.length > 0) {
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.FAILURE, detail: errors[0] });
+        return res.status(400).json({ success: false, message: 'Cookies no válidas', errors });
+    }
+    
+    try {
+        // Conservar el user agent y el viewport de la sesión que las guardó, si la hay
+        let previous = null;
+        try {
+            previous = sessionStore.read(RECORD_KINDS.COOKIES, email);
+        } catch (error) {
+            // Registro ilegible (p. ej. cifrado con otra clave): se sustituye igualmente
         }
         
+        sessionStore.write(RECORD_KINDS.COOKIES, email, {
+            email,
+            timestamp: new Date().toISOString(),
+            cookies,
+            userAgent: previous?.userAgent || '',
+            viewport: previous?.viewport || {},
+            importedFrom: format
+        });
+        
+        console.log(`🍪 ${cookies.length} cookies importadas para ${email} (${format})`);
+        events.publish(EVENT_TYPES.COOKIES_SAVED, { email, sessionId: null, source: 'import' });
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.SUCCESS, cookies: cookies.length });
+        res.json({ success: true, message: `${cookies.length} cookies importadas para ${email}`, format, imported: cookies.length });
+    } catch (error) {
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.ERROR, detail: error.message });
+        res.status(500).json({ success: false, message: `Error importando cookies: ${error.message}` });
+    }
+});
+
+/**
+ * Lee la versión a validar del cuerpo de la petición
+ * @param {Object} body - { version }
+ * @returns {string|null} - 'auto', 'mobile' o 'desktop'; null si no es válida
+ */
+function validationVersionFrom(body) {
+    const version = (body || {}).version || 'auto';
+    return typeof version === 'string' && Object.hasOwn(VALIDATION_VERSIONS, version) ? version : null;
+}
+
+const INVALID_VALIDATION_VERSION = `Versión inválida. Valores válidos: ${Object.keys(VALIDATION_VERSIONS).join(', ')}`;
+
+// ¿Siguen valiendo las cookies guardadas? { version? } → valid, expired o checkpoint
+app.post('/cookies/:email/validate', async (req, res) => {
+    const version = validationVersionFrom(req.body);
+    if (!version) {
+        return res.status(400).json({ success: false, message: INVALID_VALIDATION_VERSION });
+    }
+    
+    const result = await validateSavedCookies(req.params.email, version, actorFromAuth(req.auth));
+    if (result.error) {
+        const status = { NO_COOKIES: 404, [SESSION_LIMIT_ERROR]: 429 }[result.error] || 500;
+        return res.status(status).json({ success: false, ...result });
+    }
+    res.json({ success: true, ...result });
+});
+
+// Validación de varias cuentas en un job: { emails?, version? } (sin emails, todas las guardadas)
+app.post('/cookies/validate', (req, res) => {
+    const version = validationVersionFrom(req.body);
+    if (!version) {
+        return res.status(400).json({ success: false, message: INVALID_VALIDATION_VERSION });
+    }
+    
+    let { emails } = req.body || {};
+    if (emails === undefined) {
+        emails = sessionStore.list()
+            .filter(record => record.kind === RECORD_KINDS.COOKIES && record.data?.email)
+            .map(record => record.data.email);
+    } else if (!Array.isArray(emails) || emails.some(email => typeof email !== 'string' || !email)) {
+        return res.status(400).json({ success: false, message: 'emails debe ser una lista de emails' });
+    }
+    
+    // Cada cuenta abre un navegador: el resultado se consulta con GET /jobs/:id
+    const job = startCookieValidationJob([...new Set(emails)], version, actorFromAuth(req.auth));
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        state: job.state,
+        count: job.meta.emails.length,
+        statusUrl: `/jobs/${job.id}`
+    });
+});
+
+// Nueva ruta para eliminar cookies específicas
+app.delete('/cookies/:email', (req, res) => {
+    const email = req.params.email;
+    const entry = { action: AUDIT_ACTIONS.COOKIES_DELETE, ...actorFromAuth(req.auth), email };
+    try {
+        // Perfiles de Chromium de cada versión (guardan caché y, tras un cierre abrupto, cookies)
+        // y el directorio sin versión de instalaciones anteriores
+        const cacheDirs = [
+            ...['mobile', 'desktop'].map(version => profileDirFor(email, version)),
+            path.join(CACHE_DIR, accountKey(email))
+        ];
+        
+        // Eliminar cookies y estado de sesión
+        let deleted = sessionStore.removeAccount(email);
+        
         // Eliminar cache del navegador
-        if (fs.existsSync(cacheDir)) {
-            fs.rmSync(cacheDir, { recursive: true, force: true });
+        cacheDirs.filter(dir => fs.existsSync(dir)).forEach(dir => {
+            fs.rmSync(dir, { recursive: true, force: true });
             deleted++;
-        }
+        });
         
         if (deleted > 0) {
+            events.publish(EVENT_TYPES.COOKIES_DELETED, { email, filesDeleted: deleted });
+            auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.SUCCESS, filesDeleted: deleted });
             res.json({ 
                 success: true, 
                 message: `Datos eliminados para ${email} (${deleted} elementos)`,
                 filesDeleted: deleted
             });
         } else {
+            auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.FAILURE, detail: 'Sin datos guardados' });
             res.status(404).json({ 
                 success: false, 
                 message: `No se encontraron datos para ${email}` 
             });
         }
     } catch (error) {
+        auditLog.record({ ...entry, outcome: AUDIT_OUTCOMES.ERROR, detail: error.message });
         res.status(500).json({ error: error.message });
     }
 });
@@ -1163,7 +2842,7 @@ app.post('/submit-2fa', async (req, res) => {
     try {
         const { sessionId, code, source = 'manual' } = req.body;
         
-        if (!sessionId || !code) {
+        if (!sessionId || (!code && !SERVER_CODE_SOURCES.includes(source))) {
             return res.status(400).json({
                 success: false,
                 message: 'Se requiere sessionId y código 2FA'
@@ -1178,306 +2857,73 @@ app.post('/submit-2fa', async (req, res) => {
             });
         }
         
+        // Mientras un operador controla la página no se escribe el código automáticamente
+        if (activeSessions[sessionId]?.takeover) {
+            return res.status(409).json({
+                success: false,
+                message: 'La sesión está bajo control manual. Devuélvela a la automatización primero.'
+            });
+        }
+        
         const sessionData = pending2FASessions.get(sessionId);
-        const { page, email, version, resolve, reject } = sessionData;
+        const { email } = sessionData;
         
-        console.log(`🔐 Procesando código 2FA para ${email} (${version}): ${code} [${source}]`);
+        // La revisión periódica puede no haber pasado todavía
+        if (getTwoFactorStatus(sessionData, config.twoFactor).expired) {
+            await cancelPending2FA(sessionId, CLOSE_REASONS.TWO_FACTOR_EXPIRED, `Código 2FA no recibido en ${config.twoFactor.ttlMinutes} minutos`);
+            return res.status(410).json({
+                success: false,
+                message: 'La espera del código 2FA expiró y la sesión se cerró. Inicia el login de nuevo.',
+                expired: true
+            });
+        }
         
-        try {
-            // Buscar campo de código 2FA con selectores mejorados
-            const codeInputSelectors = [
-                // Selectores específicos más probables
-                'input[placeholder="Código"]',
-                'input[placeholder="código"]',
-                'input[placeholder*="código" i]',
-                'input[placeholder*="code" i]',
-                
-                // Selectores por atributos específicos
-                'input[name="approvals_code"]',
-                'input[id="approvals_code"]',
-                'input[data-testid="2fa_code"]',
-                'input[inputmode="numeric"]',
-                'input[type="text"][maxlength="6"]',
-                'input[autocomplete="one-time-code"]',
-                
-                // Selectores por aria-label
-                'input[aria-label*="código" i]',
-                'input[aria-label*="Código" i]',
-                'input[aria-label*="code" i]',
-                
-                // Selectores generales como fallback
-                'input[type="text"]:not([name="email"]):not([name="pass"]):not([style*="display: none"])',
-                'input:not([name="email"]):not([name="pass"]):not([type="password"]):not([type="hidden"])'
-            ];
-            
-            console.log(`🔍 Buscando campo de código 2FA con ${codeInputSelectors.length} selectores...`);
-            
-            let codeInput = null;
-            for (let i = 0; i < codeInputSelectors.length; i++) {
-                const selector = codeInputSelectors[i];
-                try {
-                    console.log(`🔍 Probando selector ${i+1}/${codeInputSelectors.length}: ${selector}`);
-                    const element = page.locator(selector);
-                    const count = await element.count();
-                    console.log(`   → Encontrados ${count} elementos`);
-                    
-                    if (count > 0) {
-                        // Si hay múltiples elementos, usar el primero que sea visible
-                        for (let j = 0; j < count; j++) {
-                            const specificElement = element.nth(j);
-                            if (await specificElement.isVisible({ timeout: 500 })) {
-                                codeInput = specificElement;
-                                console.log(`✅ Campo de código encontrado: ${selector} (elemento ${j+1}/${count})`);
-                                break;
-                            }
-                        }
-                        if (codeInput) break;
-                    }
-                } catch (e) {
-                    console.log(`   → Error: ${e.message}`);
-                    continue;
-                }
-            }
-            
-            // Fallback: buscar cualquier input visible que no sea email/password
-            if (!codeInput) {
-                console.log(`🔍 Fallback: Buscando cualquier input visible...`);
-                try {
-                    const allInputs = page.locator('input');
-                    const count = await allInputs.count();
-                    console.log(`🔍 Encontrados ${count} inputs en total`);
-                    
-                    for (let i = 0; i < count; i++) {
-                        const input = allInputs.nth(i);
-                        const isVisible = await input.isVisible({ timeout: 100 });
-                        if (isVisible) {
-                            const type = await input.getAttribute('type') || 'text';
-                            const name = await input.getAttribute('name') || '';
-                            const placeholder = await input.getAttribute('placeholder') || '';
-                            
-                            console.log(`   Input ${i+1}: type="${type}", name="${name}", placeholder="${placeholder}"`);
-                            
-                            // Evitar campos de email/password
-                            if (!name.includes('email') && !name.includes('pass') && 
-                                type !== 'password' && type !== 'hidden') {
-                                codeInput = input;
-                                console.log(`✅ Fallback: Usando input ${i+1} como campo de código`);
-                                break;
-                            }
-                        }
-                    }
-                } catch (e) {
-                    console.log(`   → Error en fallback: ${e.message}`);
-                }
-            }
-            
-            if (!codeInput) {
-                // Crear debug snapshot si no encuentra el campo
-                if (DEBUG_ENABLED) {
-                    await createDebugSnapshot(page, `2fa-field-not-found-${version}`, DEBUG_DIR);
-                    console.log(`📸 Debug snapshot creado - campo 2FA no encontrado - ${version}`);
-                }
-                throw new Error('No se pudo encontrar el campo de código 2FA');
-            }
-            
-            // Limpiar campo y escribir código
-            await codeInput.click();
-            await codeInput.fill('');
-            await sleep(500);
-            
-            // Escribir el código directamente en el elemento encontrado
-            console.log(`⌨️ Escribiendo código "${code}" en el campo encontrado...`);
-            await codeInput.type(code, { delay: 100 });
-            await sleep(1000);
-            
-            console.log(`✅ Código "${code}" escrito exitosamente`);
-            
-            // Buscar botón de continuar/enviar
-            const submitButtonSelectors = [
-                // Selectores específicos del screenshot
-                'div[role="button"]:has-text("Continuar")',
-                'button:has-text("Continuar")',
-                'div[role="button"]:has-text("Continue")',
-                'button:has-text("Continue")',
-                
-                // Selectores por atributos
-                'div[role="button"][aria-label*="Continuar"]',
-                'button[type="submit"]',
-                'div[role="button"]:has-text("Submit")',
-                'div[role="button"]:has-text("Enviar")',
-                'button:has-text("Submit")',
-                'button:has-text("Enviar")',
-                '[data-testid="2fa_submit_button"]',
-                
-                // Selectores generales
-                'div[role="button"]',
-                'button'
-            ];
-            
-            console.log(`🔍 Buscando botón de envío con ${submitButtonSelectors.length} selectores...`);
-            
-            let submitButton = null;
-            for (let i = 0; i < submitButtonSelectors.length; i++) {
-                const selector = submitButtonSelectors[i];
-                try {
-                    console.log(`🔍 Probando selector de botón ${i+1}/${submitButtonSelectors.length}: ${selector}`);
-                    const elements = page.locator(selector);
-                    const count = await elements.count();
-                    console.log(`   → Encontrados ${count} botones`);
-                    
-                    if (count > 0) {
-                        // Buscar el primer botón visible y habilitado
-                        for (let j = 0; j < count; j++) {
-                            const button = elements.nth(j);
-                            const isVisible = await button.isVisible({ timeout: 500 });
-                            if (isVisible) {
-                                const isDisabled = await button.getAttribute('disabled') !== null ||
-                                                 await button.getAttribute('aria-disabled') === 'true';
-                                const text = await button.textContent() || '';
-                                console.log(`   Botón ${j+1}: visible=${isVisible}, disabled=${isDisabled}, text="${text}"`);
-                                
-                                if (!isDisabled) {
-                                    submitButton = button;
-                                    console.log(`✅ Botón de envío encontrado: ${selector} (botón ${j+1}/${count})`);
-                                    break;
-                                }
-                            }
-                        }
-                        if (submitButton) break;
-                    }
-                } catch (e) {
-                    console.log(`   → Error: ${e.message}`);
-                    continue;
-                }
+        // Con source 'email' y sin código se espera el correo del buzón registrado
+        if (source === 'email' && !code) {
+            if (!secretBox) {
+                return res.status(503).json({
+                    success: false,
+                    message: 'Buzón 2FA no disponible: configura secrets.key (SECRETS_KEY)'
+                });
             }
-            
-            if (!submitButton) {
-                throw new Error('No se pudo encontrar el botón de envío 2FA');
+            if (!mailboxStore.has(email)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `No hay buzón registrado para ${email}. Regístralo con PUT /mailboxes/:email`
+                });
             }
-            
-            // Hacer click en enviar
-            console.log('🚀 Enviando código 2FA...');
-            await submitButton.click({ force: true });
-            console.log('✅ Código 2FA enviado, esperando respuesta...');
-            await sleep(5000); // Esperar más tiempo para la respuesta de Facebook
-            
-            // NUEVO: Manejar cualquier popup de Chrome que pueda aparecer después del envío
-            console.log('🔔 Verificando popups de Chrome después de envío 2FA...');
-            const chromePopupHandled = await handleChromePopups(page);
-            if (chromePopupHandled) {
-                console.log('✅ Popup de Chrome manejado después de 2FA');
-                await sleep(2000);
+            const watch = watchMailbox(sessionId);
+            if (!watch) {
+                return res.status(500).json({
+                    success: false,
+                    message: `No se pudo leer el buzón de ${email} (¿cambió secrets.key?)`
+                });
             }
-            
-            // Verificar resultado
-            console.log('🔐 Verificando si aún se requiere 2FA...');
-            if (await checkFor2FA(page)) {
-                // Aún requiere 2FA - código incorrecto
-                res.json({
+            return res.json(await watch);
+        }
+        
+        // Con source 'totp' el código se genera aquí a partir del secreto registrado
+        let codes = [code];
+        if (source === 'totp') {
+            if (!secretBox) {
+                return res.status(503).json({
                     success: false,
-                    message: 'Código 2FA incorrecto. Intenta nuevamente.',
-                    stillRequires2FA: true
+                    message: 'TOTP no disponible: configura secrets.key (SECRETS_KEY)'
                 });
-                return;
             }
-            
-            // Verificar si el login fue exitoso
-            const loginResult = await checkLoginSuccess(page);
-            if (loginResult === true || loginResult === 'NEEDS_DIALOG_HANDLING' || loginResult === 'NEEDS_DEVICE_TRUST_HANDLING') {
-                console.log(`🎉 ¡Login exitoso después de 2FA ${version}!`);
-                
-                // Si necesita manejo de diálogo, hacerlo ahora
-                if (loginResult === 'NEEDS_DIALOG_HANDLING') {
-                    console.log(`🔄 Manejando diálogo de guardar login...`);
-                    const dialogHandled = await handleSaveLoginDialog(page);
-                    if (dialogHandled) {
-                        console.log(`✅ Diálogo de guardar login manejado exitosamente`);
-                        await sleep(2000);
-                    } else {
-                        console.log(`⚠️ No se pudo manejar el diálogo, continuando...`);
-                    }
-                } else if (loginResult === 'NEEDS_DEVICE_TRUST_HANDLING') {
-                    console.log(`🔐 Manejando diálogo de confianza del dispositivo - SIMPLE APPROACH...`);
-                    const trustHandled = await handleDeviceTrustDialog(page);
-                    console.log(`✅ Diálogo de confianza procesado: ${trustHandled}`);
-                    await sleep(3000); // Esperar a que se complete la redirección
-                }
-                
-                // Guardar cookies y estado de sesión solo DESPUÉS del login exitoso
-                const session = activeSessions[sessionId];
-                if (session) {
-                    await saveCookies(session.context, email, COOKIES_DIR);
-                    await saveSessionState(session.context, page, email, COOKIES_DIR);
-                    console.log(`💾 Cookies y estado de sesión ${version} guardados exitosamente`);
-                }
-                
-                // Limpiar sesión pendiente
-                pending2FASessions.delete(sessionId);
-                
-                res.json({
-                    success: true,
-                    sessionId: sessionId,
-                    message: `¡Login ${version} exitoso con 2FA!`,
-                    loginCompleted: true
+            if (!totpStore.has(email)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `No hay secreto TOTP registrado para ${email}. Regístralo con PUT /totp/:email`
                 });
-                
-            } else {
-                // Manejar el caso donde aún no está completamente logueado
-                // Podría ser que necesite manejar más diálogos
-                console.log(`⚠️ Login no completamente exitoso, verificando diálogos adicionales...`);
-                
-                // Intentar manejar diálogo de guardar login
-                const dialogHandled = await handleSaveLoginDialog(page);
-                if (dialogHandled) {
-                    console.log(`✅ Diálogo de guardar login manejado, re-verificando login...`);
-                    await sleep(2000);
-                    
-                    // Re-verificar después de manejar el diálogo
-                    const secondCheck = await checkLoginSuccess(page);
-                    if (secondCheck === true || secondCheck === 'NEEDS_DIALOG_HANDLING' || secondCheck === 'NEEDS_DEVICE_TRUST_HANDLING') {
-                        console.log(`🎉 ¡Login exitoso después de manejar diálogo!`);
-                        
-                        // Si necesita manejo adicional de diálogos
-                        if (secondCheck === 'NEEDS_DEVICE_TRUST_HANDLING') {
-                            console.log(`🔐 Manejando diálogo de confianza del dispositivo...`);
-                            await handleDeviceTrustDialog(page);
-                            await sleep(3000);
-                        }
-                        
-                        // Guardar cookies y estado de sesión
-                        const session = activeSessions[sessionId];
-                        if (session) {
-                            await saveCookies(session.context, email, COOKIES_DIR);
-                            await saveSessionState(session.context, page, email, COOKIES_DIR);
-                            console.log(`💾 Cookies y estado de sesión ${version} guardados exitosamente`);
-                        }
-                        
-                        // Limpiar sesión pendiente
-                        pending2FASessions.delete(sessionId);
-                        
-                        res.json({
-                            success: true,
-                            message: `¡Login ${version} exitoso con 2FA!`,
-                            loginCompleted: true
-                        });
-                        return;
-                    }
-                }
-                
-                throw new Error('Login no exitoso después de 2FA y manejo de diálogos');
             }
-            
-        } catch (error) {
-            console.error(`❌ Error procesando 2FA: ${error.message}`);
-            
-            // Mantener la sesión pendiente para otro intento
-            res.json({
-                success: false,
-                message: `Error procesando 2FA: ${error.message}`,
-                stillRequires2FA: true
-            });
+            codes = totpStore.candidates(email, config.totp.window);
         }
         
+        // Otro envío a la misma sesión pudo resolverla o cancelarla mientras este esperaba turno
+        const result = await submit2FACodes(sessionId, codes, source, actorFromAuth(req.auth));
+        res.status(result.notPending ? 409 : 200).json(result);
+        
     } catch (error) {
         console.error('❌ Error en endpoint 2FA:', error);
         res.status(500).json({
@@ -1499,18 +2945,8 @@ app.post('/cancel-2fa', async (req, res) => {
             });
         }
         
-        if (pending2FASessions.has(sessionId)) {
-            const sessionData = pending2FASessions.get(sessionId);
-            pending2FASessions.delete(sessionId);
-            
-            // Rechazar la promesa del login
-            sessionData.reject(new Error('2FA cancelado por el usuario'));
-            
-            console.log(`❌ 2FA cancelado para sesión: ${sessionId}`);
-        }
-        
-        // Cerrar la sesión
-        await closeSession(sessionId);
+        // Quitar de las pendientes (si lo estaba) y cerrar la sesión
+        await cancelPending2FA(sessionId, '2fa_cancelled', '2FA cancelado por el usuario', actorFromAuth(req.auth));
         
         res.json({
             success: true,
@@ -1533,7 +2969,10 @@ app.get('/pending-2fa', (req, res) => {
             sessionId,
             email: data.email,
             version: data.version,
-            timestamp: data.timestamp
+            timestamp: data.timestamp,
+            loginState: data.loginState.state,
+            watchingMailbox: Boolean(data.mailboxWatch),
+            ...getTwoFactorStatus(data, config.twoFactor)
         }));
         
         res.json({
@@ -1550,46 +2989,580 @@ app.get('/pending-2fa', (req, res) => {
     }
 });
 
-// Servir archivos de debug (solo si está habilitado)
+// Cuentas con secreto TOTP registrado (nunca devuelve los secretos)
+app.get('/totp', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            available: Boolean(secretBox),
+            window: config.totp.window,
+            accounts: totpStore.list()
+        });
+    } catch (error) {
+        console.error('❌ Error leyendo los secretos TOTP:', error);
+        res.status(500).json({
+            success: false,
+            message: `Error del servidor: ${error.message}`
+        });
+    }
+});
+
+// Registrar o sustituir el secreto TOTP de una cuenta: { secret, digits?, step?, algorithm? } o { uri: 'otpauth://totp/...' }
+app.put('/totp/:email', (req, res) => {
+    const { email } = req.params;
+    
+    if (!secretBox) {
+        return res.status(503).json({
+            success: false,
+            message: 'TOTP no disponible: configura secrets.key (SECRETS_KEY) para cifrar los secretos'
+        });
+    }
+    
+    try {
+        const account = totpStore.set(email, req.body || {});
+        console.log(`🔑 Secreto TOTP registrado para ${email}`);
+        res.json({ success: true, account });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// Borrar el secreto TOTP de una cuenta (sus logins vuelven a esperar el código manual)
+app.delete('/totp/:email', (req, res) => {
+    const { email } = req.params;
+    
+    try {
+        if (!totpStore.remove(email)) {
+            return res.status(404).json({
+                success: false,
+                message: `No hay secreto TOTP registrado para ${email}`
+            });
+        }
+        console.log(`🗑️ Secreto TOTP eliminado para ${email}`);
+        res.json({ success: true, message: `Secreto TOTP de ${email} eliminado` });
+    } catch (error) {
+        console.error('❌ Error eliminando el secreto TOTP:', error);
+        res.status(500).json({
+            success: false,
+            message: `Error del servidor: ${error.message}`
+        });
+    }
+});
+
+// Buzones registrados para leer códigos 2FA por email (nunca devuelve las contraseñas)
+app.get('/mailboxes', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            available: Boolean(secretBox),
+            defaults: { from: config.mailbox.from, subject: config.mailbox.subject },
+            mailboxes: mailboxStore.list()
+        });
+    } catch (error) {
+        console.error('❌ Error leyendo los buzones:', error);
+        res.status(500).json({
+            success: false,
+            message: `Error del servidor: ${error.message}`
+        });
+    }
+});
+
+// Registrar o actualizar el buzón de una cuenta:
+// { host, port?, secure?, user, password, mailbox?, from?, subject?, codePattern? }
+app.put('/mailboxes/:email', (req, res) => {
+    const { email } = req.params;
+    
+    if (!secretBox) {
+        return res.status(503).json({
+            success: false,
+            message: 'Buzón 2FA no disponible: configura secrets.key (SECRETS_KEY) para cifrar las contraseñas'
+        });
+    }
+    
+    try {
+        const mailbox = mailboxStore.set(email, req.body || {});
+        console.log(`📧 Buzón 2FA registrado para ${email} (${mailbox.user}@${mailbox.host})`);
+        res.json({ success: true, mailbox });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// Probar la conexión con el buzón de una cuenta (login y apertura del buzón)
+app.post('/mailboxes/:email/test', async (req, res) => {
+    const { email } = req.params;
+    
+    try {
+        const settings = getMailboxSettings(email);
+        if (!settings) {
+            return res.status(404).json({
+                success: false,
+                message: `No hay buzón registrado para ${email}`
+            });
+        }
+        
+        const messages = await withMailbox(settings, async (client, count) => count);
+        res.json({
+            success: true,
+            message: `Conexión correcta con ${settings.user}@${settings.host} (${messages} mensajes en ${settings.mailbox})`,
+            messages
+        });
+    } catch (error) {
+        res.status(502).json({ success: false, message: error.message });
+    }
+});
+
+// Borrar el buzón de una cuenta
+app.delete('/mailboxes/:email', (req, res) => {
+    const { email } = req.params;
+    
+    try {
+        if (!mailboxStore.remove(email)) {
+            return res.status(404).json({
+                success: false,
+                message: `No hay buzón registrado para ${email}`
+            });
+        }
+        console.log(`🗑️ Buzón 2FA eliminado para ${email}`);
+        res.json({ success: true, message: `Buzón de ${email} eliminado` });
+    } catch (error) {
+        console.error('❌ Error eliminando el buzón:', error);
+        res.status(500).json({
+            success: false,
+            message: `Error del servidor: ${error.message}`
+        });
+    }
+});
+
+// Webhook para códigos 2FA reenviados desde el teléfono (SMS → HTTP):
+// { message, recipient, sender? } con el secreto en X-Inbox-Secret o Authorization: Bearer
+app.post('/2fa-inbox', async (req, res) => {
+    if (!config.inbox.secret) {
+        return res.status(503).json({
+            success: false,
+            message: 'Webhook desactivado: configura inbox.secret (TWO_FACTOR_INBOX_SECRET)'
+        });
+    }
+    
+    const body = req.body || {};
+    const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const provided = req.get('x-inbox-secret') || bearer || body.secret;
+    if (!secretMatches(config.inbox.secret, provided)) {
+        console.log(`🚫 /2fa-inbox: secreto incorrecto desde ${req.ip}`);
+        return res.status(401).json({ success: false, message: 'Secreto incorrecto' });
+    }
+    
+    // Nombres alternativos para los campos más comunes de las apps de reenvío
+    const message = body.message ?? body.text ?? body.body;
+    const recipient = body.recipient ?? body.to ?? body.phone ?? body.email ?? null;
+    const sender = body.sender ?? body.from ?? null;
+    
+    if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({ success: false, message: 'Se requiere message (texto del SMS)' });
+    }
+    
+    try {
+        const received = { sender, recipient, message };
+        const code = findCode(message);
+        if (!code) {
+            const entry = inboxAudit.record({ ...received, outcome: INBOX_OUTCOMES.NO_CODE });
+            return res.status(422).json({ success: false, auditId: entry.id, message: 'El mensaje no contiene un código 2FA' });
+        }
+        
+        // Sesiones que pueden recibir el código ahora mismo
+        const phones = new Map(phoneBook.list().map(({ email, phone }) => [email, phone]));
+        const candidates = Array.from(pending2FASessions.entries())
+            .filter(([sessionId]) => !activeSessions[sessionId]?.takeover)
+            .map(([sessionId, data]) => ({ sessionId, email: data.email, phone: phones.get(data.email), timestamp: data.timestamp }));
+        
+        const match = matchPendingSession(candidates, recipient);
+        if (!match) {
+            const entry = inboxAudit.record({ ...received, code, outcome: INBOX_OUTCOMES.UNMATCHED });
+            console.log(`📱 Código 2FA por SMS sin sesión pendiente para "${recipient || 'sin destinatario'}"`);
+            return res.status(404).json({
+                success: false,
+                auditId: entry.id,
+                message: `Ninguna sesión espera un código 2FA para "${recipient || 'sin destinatario'}"`
+            });
+        }
+        
+        const { sessionId, email } = match;
+        
+        // La revisión periódica puede no haber cerrado todavía una espera expirada
+        if (getTwoFactorStatus(pending2FASessions.get(sessionId), config.twoFactor).expired) {
+            const entry = inboxAudit.record({ ...received, code, sessionId, email, outcome: INBOX_OUTCOMES.EXPIRED });
+            await cancelPending2FA(sessionId, CLOSE_REASONS.TWO_FACTOR_EXPIRED, `Código 2FA no recibido en ${config.twoFactor.ttlMinutes} minutos`);
+            return res.status(410).json({
+                success: false,
+                auditId: entry.id,
+                sessionId,
+                email,
+                message: 'La espera del código 2FA expiró y la sesión se cerró',
+                expired: true
+            });
+        }
+        
+        const entry = inboxAudit.record({ ...received, code, sessionId, email, outcome: INBOX_OUTCOMES.SUBMITTED });
+        console.log(`📱 Código 2FA por SMS para ${email} → sesión ${sessionId}`);
+        
+        // El envío tarda (espera la respuesta del sitio): se responde ya y el resultado queda en el historial
+        submit2FACodes(sessionId, [code], 'sms', INBOX_ACTOR)
+            .then(result => inboxAudit.update(entry.id, {
+                outcome: result.loginCompleted ? INBOX_OUTCOMES.ACCEPTED : INBOX_OUTCOMES.REJECTED,
+                detail: result.message
+            }))
+            .catch(error => inboxAudit.update(entry.id, { outcome: INBOX_OUTCOMES.REJECTED, detail: error.message }));
+        
+        res.status(202).json({
+            success: true,
+            auditId: entry.id,
+            sessionId,
+            email,
+            message: 'Código recibido; enviándolo a la sesión'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error en /2fa-inbox:', error);
+        res.status(500).json({ success: false, message: `Error del servidor: ${error.message}` });
+    }
+});
+
+// Historial del webhook: qué mensaje resolvió qué sesión (filtros opcionales ?sessionId= y ?limit=)
+app.get('/2fa-inbox/audit', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const entries = inboxAudit.list({ limit, sessionId: req.query.sessionId });
+    res.json({ success: true, count: entries.length, entries });
+});
+
+// Teléfono al que llegan los SMS de cada cuenta (para relacionar mensajes por teléfono)
+app.get('/2fa-inbox/phones', (req, res) => {
+    res.json({ success: true, phones: phoneBook.list() });
+});
+
+app.put('/2fa-inbox/phones/:email', (req, res) => {
+    try {
+        const entry = phoneBook.set(req.params.email, (req.body || {}).phone);
+        res.json({ success: true, ...entry });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/2fa-inbox/phones/:email', (req, res) => {
+    if (!phoneBook.remove(req.params.email)) {
+        return res.status(404).json({ success: false, message: `No hay teléfono registrado para ${req.params.email}` });
+    }
+    res.json({ success: true, message: `Teléfono de ${req.params.email} eliminado` });
+});
+
+// Acceso al panel: crea la sesión y la devuelve en una cookie HttpOnly
+app.post('/auth/login', async (req, res) => {
+    if (!config.auth.enabled) {
+        return res.json({ success: true, authEnabled: false, message: 'La autenticación está desactivada' });
+    }
+    
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ success: false, message: 'Se requieren usuario y contraseña' });
+    }
+    
+    const throttleKey = `${username}|${req.ip}`;
+    const lockedSeconds = loginThrottle.isLocked(throttleKey);
+    if (lockedSeconds > 0) {
+        res.set('Retry-After', String(lockedSeconds));
+        return res.status(429).json({
+            success: false,
+            message: `Demasiados intentos fallidos. Prueba de nuevo en ${Math.ceil(lockedSeconds / 60)} min.`
+        });
+    }
+    
+    await adminOperatorReady;
+    if (!await authStore.verifyCredentials(String(username), String(password))) {
+        loginThrottle.fail(throttleKey);
+        console.log(`🚫 Acceso al panel rechazado para "${username}" desde ${req.ip}`);
+        return res.status(401).json({ success: false, message: 'Usuario o contraseña incorrectos' });
+    }
+    
+    loginThrottle.reset(throttleKey);
+    const session = authSessions.create(String(username));
+    res.cookie(SESSION_COOKIE, session.id, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: config.auth.secureCookie,
+        maxAge: session.expiresAt - session.createdAt,
+        path: '/'
+    });
+    console.log(`👤 ${username} entró al panel desde ${req.ip}`);
+    res.json({ success: true, username: session.username, expiresAt: new Date(session.expiresAt).toISOString() });
+});
+
+app.post('/auth/logout', (req, res) => {
+    if (req.auth?.sessionId) {
+        authSessions.destroy(req.auth.sessionId);
+    }
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+});
+
+// Quién está autenticado (la UI lo consulta al cargar)
+app.get('/auth/me', (req, res) => {
+    if (!config.auth.enabled) {
+        return res.json({ success: true, authEnabled: false });
+    }
+    const { type, username, role, tokenName } = req.auth;
+    res.json({ success: true, authEnabled: true, type, username, role, tokenName });
+});
+
+// Operadores del panel (nunca se devuelven los hashes)
+app.get('/auth/operators', (req, res) => {
+    res.json({ success: true, operators: authStore.listOperators() });
+});
+
+// Crea un operador o cambia su contraseña y/o rol: { password, role }
+app.put('/auth/operators/:username', async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { password, role } = req.body || {};
+        const operator = await authStore.setOperator(username, { password, role });
+        // Un cambio de contraseña cierra las demás sesiones de ese operador
+        const closed = password !== undefined ? authSessions.destroyForUser(username, req.auth?.sessionId) : 0;
+        res.json({ success: true, operator, sessionsClosed: closed });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/auth/operators/:username', (req, res) => {
+    const { username } = req.params;
+    if (req.auth?.username === username && req.auth.type === 'session') {
+        return res.status(400).json({ success: false, message: 'No puedes eliminar tu propio operador' });
+    }
+    try {
+        if (!authStore.removeOperator(username)) {
+            return res.status(404).json({ success: false, message: `No existe el operador ${username}` });
+        }
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+    authSessions.destroyForUser(username);
+    res.json({ success: true, message: `Operador ${username} eliminado` });
+});
+
+// Tokens de API para scripts (Authorization: Bearer <token>)
+app.get('/auth/tokens', (req, res) => {
+    res.json({ success: true, tokens: authStore.listTokens() });
+});
+
+// El token solo aparece en esta respuesta: en disco se guarda su hash. Body: { name, role }
+app.post('/auth/tokens', (req, res) => {
+    try {
+        const { name, role } = req.body || {};
+        const { token, entry } = authStore.createToken(name, req.auth?.username || null, role);
+        res.status(201).json({ success: true, token, ...entry });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/auth/tokens/:id', (req, res) => {
+    if (!authStore.revokeToken(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Token no encontrado' });
+    }
+    res.json({ success: true, message: 'Token revocado' });
+});
+
+// Registro de auditoría, lo más reciente primero.
+// Filtros: ?action=, ?actor=, ?email=, ?outcome=, ?sessionId=, ?since=, ?until= (ISO 8601) y ?limit=
+app.get('/audit', (req, res) => {
+    const { filters, errors } = parseAuditQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: errors.join('; ') });
+    }
+    const { total, entries } = auditLog.query(filters);
+    res.json({ success: true, total, count: entries.length, entries });
+});
+
+// Stream de eventos en tiempo real (Server-Sent Events)
+// Filtro opcional: /events?types=login.step,session.closed
+app.get('/events', events.sseHandler);
+
+// Configuración efectiva (solo lectura)
+app.get('/config', (req, res) => {
+    res.json(publicConfig(config));
+});
+
+// Servir archivos de debug (solo si está habilitado; exige autenticación como el resto de la API)
 if (DEBUG_ENABLED) {
 app.use('/debug', express.static(DEBUG_DIR));
 }
 
-// Servir archivos de cookies (solo para debug - remover en producción)
-app.use('/cookies-debug', express.static(COOKIES_DIR));
-
-// Iniciar servidor
-app.listen(port, () => {
-    console.log('🚀 ====================================');
-    console.log('🚀   FACEBOOK LOGIN AUTOMATION');
-    console.log('🚀   VERSIÓN CON COOKIES PERSISTENTES');
-    console.log('🚀 ====================================');
-    console.log(`🌐 Servidor: http://localhost:${port}`);
-    console.log(`📊 Debug: ${DEBUG_DIR} ${DEBUG_ENABLED ? '✅ ACTIVO' : '❌ DESHABILITADO'}`);
-    console.log(`🍪 Cookies: ${COOKIES_DIR}`);
-    console.log(`💾 Cache: ${CACHE_DIR}`);
-    console.log('🚀 ====================================');
-    console.log('⚡ Características activas:');
-    console.log('   ✅ Cookies persistentes (7 días)');
-    console.log('   ✅ Cache del navegador');
-    console.log('   ✅ Sesiones que NO se cierran');
-    console.log('   ✅ Restauración de localStorage');
-    console.log('   ✅ Login automático con cookies');
-    console.log('   ✅ Gestión manual de sesiones');
-    console.log(`   ${DEBUG_ENABLED ? '✅' : '❌'} Debug y capturas de pantalla`);
-    console.log('🚀 ====================================');
-    console.log('📖 Endpoints disponibles:');
-    console.log('   POST /login - Login con cookies');
-    console.log('   POST /quick-login - Login rápido (solo cookies)');
-    console.log('   GET /sessions - Ver sesiones activas');
-    console.log('   POST /close-session - Cerrar sesión');
-    console.log('   GET /cookies - Listar cookies guardadas');
-    console.log('   GET /cache - Ver información de cache');
-    console.log('   DELETE /cookies/:email - Eliminar datos');
-    console.log('   POST /clean-cookies - Limpiar cookies');
-    console.log('   POST /submit-2fa - Enviar código 2FA');
-    console.log('   POST /cancel-2fa - Cancelar 2FA');
-    console.log('   GET /pending-2fa - Ver sesiones pendientes de 2FA');
-    console.log('🚀 ====================================');
-    console.log('📖 Abre http://localhost:3000 para probar');
-}); 
\ No newline at end of file
+/*─────────────────  APAGADO ORDENADO  ──────────────────*/
+// Tiempo máximo para guardar y cerrar las sesiones antes de forzar la salida
+const SHUTDOWN_TIMEOUT_MS = 30000;
+
+/**
+ * Guarda cookies y estado de todas las sesiones abiertas y cierra sus navegadores.
+ * Quedan en el registro como muertas (motivo 'shutdown') para ofrecer quick login al arrancar.
+ * @returns {number} - Sesiones cerradas
+ */
+async function shutdownSessions() {
+    const sessionIds = Object.keys(activeSessions);
+    for (const sessionId of sessionIds) {
+        const result = await closeSession(sessionId, DEAD_REASONS.SHUTDOWN);
+        if (!result.success) {
+            console.error(`⚠️ No se pudo cerrar limpiamente la sesión ${sessionId}: ${result.message}`);
+        }
+    }
+    pending2FASessions.clear();
+    return sessionIds.length;
+}
+
+/**
+ * Instala los manejadores de SIGINT / SIGTERM: dejan de aceptar conexiones, cierran
+ * todas las sesiones guardando sus cookies y terminan el proceso.
+ * Una segunda señal durante el apagado fuerza la salida inmediata.
+ * @param {http.Server} server - Servidor devuelto por startServer
+ */
+function installShutdownHandlers(server) {
+    let shuttingDown = false;
+    
+    const shutdown = async signal => {
+        if (shuttingDown) {
+            console.log(`⚠️ ${signal} recibido de nuevo: saliendo sin esperar`);
+            process.exit(1);
+        }
+        shuttingDown = true;
+        console.log(`🛑 ${signal} recibido: guardando y cerrando ${Object.keys(activeSessions).length} sesiones...`);
+        
+        setTimeout(() => {
+            console.error(`⏱️ El apagado superó ${SHUTDOWN_TIMEOUT_MS / 1000}s, saliendo sin terminar`);
+            process.exit(1);
+        }, SHUTDOWN_TIMEOUT_MS).unref();
+        
+        // Los streams SSE y MJPEG mantienen conexiones abiertas indefinidamente
+        server.close();
+        server.closeAllConnections();
+        
+        const closed = await shutdownSessions();
+        console.log(`👋 Apagado completo (${closed} sesiones guardadas)`);
+        process.exit(0);
+    };
+    
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+/**
+ * Resumen de las políticas de sesión para el log de arranque
+ * @returns {string}
+ */
+function describeSessionPolicy() {
+    const { idleTimeoutMinutes, maxLifetimeMinutes, maxConcurrent, maxPerAccount } = config.sessions;
+    const limits = [
+        idleTimeoutMinutes > 0 && `inactividad ${idleTimeoutMinutes} min`,
+        maxLifetimeMinutes > 0 && `vida máxima ${maxLifetimeMinutes} min`,
+        maxConcurrent > 0 && `máx. ${maxConcurrent} navegadores`,
+        maxPerAccount > 0 && `máx. ${maxPerAccount} por cuenta`
+    ].filter(Boolean);
+    return limits.length > 0 ? `Límites de sesión: ${limits.join(', ')}` : 'Sesiones que NO se cierran';
+}
+
+/**
+ * Resumen de la autenticación para el log de arranque
+ * @returns {string}
+ */
+function describeAuth() {
+    if (!config.auth.enabled) {
+        return '❌ SIN AUTENTICACIÓN: cualquiera que alcance el puerto controla el servidor';
+    }
+    if (!authStore.hasCredentials() && !config.auth.adminPassword) {
+        return '⚠️ no hay operadores: define AUTH_ADMIN_PASSWORD para crear el primero';
+    }
+    return `✅ operadores y tokens de API con roles viewer, operator y admin (${config.auth.file})`;
+}
+
+/**
+ * Inicia el servidor HTTP
+ * @param {number} listenPort - Puerto (default: config.port)
+ * @returns {http.Server} - Servidor en escucha
+ */
+function startServer(listenPort = port) {
+    startLifecycleTimer();
+    return app.listen(listenPort, () => {
+        console.log('🚀 ====================================');
+        console.log('🚀   FACEBOOK LOGIN AUTOMATION');
+        console.log('🚀   VERSIÓN CON COOKIES PERSISTENTES');
+        console.log('🚀 ====================================');
+        console.log(`🌐 Servidor: http://localhost:${listenPort}`);
+        console.log(`📊 Debug: ${DEBUG_DIR} ${DEBUG_ENABLED ? '✅ ACTIVO' : '❌ DESHABILITADO'}`);
+        console.log(`🍪 Cookies: ${sessionStore.location} (${sessionStore.backend})${secretBox ? ' (cifradas)' : ' (sin cifrar: falta secrets.key)'}`);
+        console.log(`💾 Cache: ${CACHE_DIR}`);
+        console.log(`🔑 Acceso: ${describeAuth()}`);
+        console.log(`🧾 Auditoría: ${config.audit.file}`);
+        console.log(`⚙️ Config: ${config.configFile || 'valores por defecto'} | headless: ${config.browser.headless} | slowMo: ${config.browser.slowMo}ms`);
+        console.log(`🎯 Sitio: 📱 ${getSiteProfile('mobile').baseUrl} | 🖥️ ${getSiteProfile('desktop').baseUrl}`);
+        console.log('🚀 ====================================');
+        console.log('⚡ Características activas:');
+        console.log(`   ✅ Cookies persistentes (hasta que caducan${config.retention.cookieMaxAgeHours ? `, máximo ${config.retention.cookieMaxAgeHours} horas` : ''}; se borran ${config.retention.cleanupHours} horas después)`);
+        console.log('   ✅ Cache del navegador');
+        console.log(`   ✅ ${describeSessionPolicy()}`);
+        console.log(`   ✅ 2FA: espera de ${config.twoFactor.ttlMinutes} min y ${config.twoFactor.maxAttempts} códigos por sesión`);
+        console.log(`   ${secretBox ? '✅' : '❌'} Códigos TOTP automáticos${secretBox ? ` (tolerancia ±${config.totp.window} pasos)` : ' (falta secrets.key)'}`);
+        console.log(`   ${config.inbox.secret ? '✅' : '❌'} Webhook de SMS 2FA${config.inbox.secret ? '' : ' (falta inbox.secret)'}`);
+        console.log(`   ${secretBox ? '✅' : '❌'} Códigos 2FA por email (IMAP)${secretBox ? ` cada ${config.mailbox.pollIntervalSeconds} s, hasta ${config.mailbox.timeoutSeconds} s` : ' (falta secrets.key)'}`);
+        console.log('   ✅ Restauración de localStorage');
+        console.log('   ✅ Login automático con cookies');
+        console.log('   ✅ Gestión manual de sesiones');
+        console.log(`   ${DEBUG_ENABLED ? '✅' : '❌'} Debug y capturas de pantalla`);
+        console.log('🚀 ====================================');
+        console.log('📖 Endpoints disponibles:');
+        console.log('   POST /login - Login con cookies');
+        console.log('   POST /quick-login - Login rápido (solo cookies)');
+        console.log('   POST /jobs/login - Login asíncrono (devuelve jobId)');
+        console.log('   GET /jobs/:id - Estado y resultado de un job');
+        console.log('   GET /sessions - Ver sesiones activas');
+        console.log('   GET /sessions/dead - Sesiones perdidas en un reinicio (recuperables con quick login)');
+        console.log('   GET /sessions/:id/stream - Vista en vivo de una sesión (MJPEG)');
+        console.log('   POST /sessions/:id/takeover|input|release - Control manual de una sesión');
+        console.log('   POST /close-session - Cerrar sesión');
+        console.log('   GET /cookies - Listar cookies guardadas');
+        console.log('   GET /cache - Ver información de cache');
+        console.log('   DELETE /cookies/:email - Eliminar datos');
+        console.log('   GET /cookies/:email/details - Cookies de una cuenta y estado de la sesión');
+        console.log('   GET /cookies/:email/export - Descargar cookies (netscape, storageState, json)');
+        console.log('   POST /cookies/:email/import - Subir cookies (netscape, storageState, json)');
+        console.log('   POST /cookies[/:email]/validate - Validar cookies guardadas en un navegador headless');
+        console.log('   POST /clean-cookies - Borrar cookies caducadas');
+        console.log('   GET|PUT|DELETE /retention[/:email] - Política de retención de cookies por cuenta');
+        console.log('   POST /submit-2fa - Enviar código 2FA');
+        console.log('   POST /cancel-2fa - Cancelar 2FA');
+        console.log('   GET /pending-2fa - Ver sesiones pendientes de 2FA');
+        console.log('   GET|PUT|DELETE /totp[/:email] - Secretos TOTP por cuenta');
+        console.log('   GET|PUT|DELETE /mailboxes[/:email] - Buzones IMAP para códigos 2FA por email');
+        console.log('   POST /2fa-inbox - Webhook de SMS reenviados con códigos 2FA');
+        console.log('   GET /login-states - Ver estado de los intentos de login');
+        console.log('   GET /events - Eventos en tiempo real (SSE)');
+        console.log('   GET /config - Ver configuración efectiva');
+        console.log('   POST /auth/login|logout, GET /auth/me - Acceso al panel');
+        console.log('   GET|PUT|DELETE /auth/operators[/:username], GET|POST|DELETE /auth/tokens[/:id] - Operadores y tokens de API');
+        console.log('   GET /audit - Registro de auditoría (filtros: action, actor, email, outcome, since, until)');
+        console.log('🚀 ====================================');
+        console.log(`📖 Abre http://localhost:${listenPort} para probar`);
+    });
+}
+
+// Iniciar servidor solo si se ejecuta directamente (los tests importan la app)
+if (require.main === module) {
+    installShutdownHandlers(startServer());
+}
+
+module.exports = {
+    app,
+    startServer,
+    activeSessions,
+    pending2FASessions,
+    closeSession,
+    shutdownSessions,
+    sessionRegistry,
+    events
+};
@@ -0,0 +1,144 @@
+/*****************************************************************
+ * session-lifecycle.js – Políticas de ciclo de vida de las sesiones
+ * Tiempo máximo de inactividad, vida máxima, límite global de
+ * navegadores abiertos, límite por cuenta y espera del código 2FA.
+ * Solo decide qué cerrar o rechazar: el cierre lo hace server.js
+ * con closeSession.
+ *****************************************************************/
+
+/*─────────────────  MOTIVOS Y ERRORES  ──────────────────*/
+// Motivos de cierre automático (se publican en session.closed y se muestran en /sessions)
+const CLOSE_REASONS = Object.freeze({
+    IDLE_TIMEOUT: 'idle_timeout',                   // Sin actividad durante idleTimeoutMinutes
+    MAX_LIFETIME: 'max_lifetime',                   // Abierta más de maxLifetimeMinutes
+    ACCOUNT_LIMIT: 'account_limit',                 // Sustituida por un login nuevo de la misma cuenta
+    TWO_FACTOR_EXPIRED: '2fa_expired',              // Nadie envió el código 2FA a tiempo
+    TWO_FACTOR_ATTEMPTS: '2fa_attempts_exceeded'    // Demasiados códigos 2FA incorrectos
+});
+
+// Código de error de un login rechazado por falta de capacidad
+const SESSION_LIMIT_ERROR = 'SESSION_LIMIT';
+
+const MINUTE_MS = 60 * 1000;
+
+/*─────────────────  EXPIRACIÓN  ──────────────────*/
+/**
+ * Calcula el primer límite que alcanzará una sesión
+ * @param {Object} session - { createdAt: Date, lastActivityAt: Date }
+ * @param {Object} policy - { idleTimeoutMinutes, maxLifetimeMinutes } (0 = sin límite)
+ * @returns {Object|null} - { at: Date, reason } o null si ningún límite aplica
+ */
+function getSessionDeadline(session, policy) {
+    const deadlines = [];
+
+    if (policy.idleTimeoutMinutes > 0) {
+        const lastActivity = session.lastActivityAt || session.createdAt;
+        deadlines.push({
+            at: new Date(lastActivity.getTime() + policy.idleTimeoutMinutes * MINUTE_MS),
+            reason: CLOSE_REASONS.IDLE_TIMEOUT
+        });
+    }
+    if (policy.maxLifetimeMinutes > 0) {
+        deadlines.push({
+            at: new Date(session.createdAt.getTime() + policy.maxLifetimeMinutes * MINUTE_MS),
+            reason: CLOSE_REASONS.MAX_LIFETIME
+        });
+    }
+
+    if (deadlines.length === 0) return null;
+    return deadlines.reduce((first, deadline) => (deadline.at < first.at ? deadline : first));
+}
+
+/**
+ * Sesiones que ya superaron algún límite. Las ocupadas (login en curso)
+ * se saltan: se revisan de nuevo en la siguiente pasada.
+ * @param {Array<Object>} sessions - [{ sessionId, createdAt, lastActivityAt, busy }]
+ * @param {Object} policy - Ver getSessionDeadline
+ * @param {Date} now - Momento de referencia
+ * @returns {Array<Object>} - [{ sessionId, reason }]
+ */
+function findExpiredSessions(sessions, policy, now = new Date()) {
+    return sessions
+        .filter(session => !session.busy)
+        .map(session => ({ sessionId: session.sessionId, deadline: getSessionDeadline(session, policy) }))
+        .filter(({ deadline }) => deadline && deadline.at <= now)
+        .map(({ sessionId, deadline }) => ({ sessionId, reason: deadline.reason }));
+}
+
+/*─────────────────  2FA PENDIENTE  ──────────────────*/
+/**
+ * Tiempo y códigos que le quedan a una sesión que espera 2FA
+ * @param {Object} pending - Entrada de pending2FASessions ({ timestamp: Date, attempts })
+ * @param {Object} policy - { ttlMinutes, maxAttempts }
+ * @param {Date} now - Momento de referencia
+ * @returns {Object} - { expiresAt, expiresInSeconds, expired, attempts, maxAttempts, attemptsLeft }
+ */
+function getTwoFactorStatus(pending, policy, now = new Date()) {
+    const expiresAt = new Date(pending.timestamp.getTime() + policy.ttlMinutes * MINUTE_MS);
+    const attempts = pending.attempts || 0;
+    return {
+        expiresAt,
+        expiresInSeconds: Math.max(0, Math.ceil((expiresAt - now) / 1000)),
+        expired: expiresAt <= now,
+        attempts,
+        maxAttempts: policy.maxAttempts,
+        attemptsLeft: Math.max(0, policy.maxAttempts - attempts)
+    };
+}
+
+/*─────────────────  CAPACIDAD  ──────────────────*/
+/**
+ * Decide si se puede abrir un navegador nuevo para una cuenta.
+ * El límite por cuenta se resuelve cerrando las sesiones más antiguas de esa
+ * cuenta; el límite global nunca cierra sesiones de otras cuentas y rechaza el login.
+ * @param {Array<Object>} sessions - Sesiones abiertas [{ sessionId, email, createdAt, busy }]
+ * @param {string} email - Cuenta del login nuevo
+ * @param {Object} policy - { maxConcurrent, maxPerAccount } (0 = sin límite)
+ * @param {number} pendingLaunches - Navegadores que se están abriendo y aún no figuran en sessions
+ * @returns {Object} - { allowed, evict: [sessionId], message }
+ */
+function planCapacity(sessions, email, policy, pendingLaunches = 0) {
+    const evict = [];
+
+    if (policy.maxPerAccount > 0) {
+        const own = sessions
+            .filter(session => session.email === email)
+            .sort((a, b) => a.createdAt - b.createdAt);
+        const excess = own.length - policy.maxPerAccount + 1;
+
+        if (excess > 0) {
+            const evictable = own.filter(session => !session.busy).slice(0, excess);
+            if (evictable.length < excess) {
+                return {
+                    allowed: false,
+                    evict: [],
+                    message: `${email} ya tiene ${own.length} sesiones abiertas (máximo ${policy.maxPerAccount}) con logins en curso. Espera a que terminen.`
+                };
+            }
+            evict.push(...evictable.map(session => session.sessionId));
+        }
+    }
+
+    if (policy.maxConcurrent > 0) {
+        const open = sessions.length - evict.length + pendingLaunches;
+        if (open >= policy.maxConcurrent) {
+            return {
+                allowed: false,
+                evict: [],
+                message: `Límite de ${policy.maxConcurrent} navegadores abiertos alcanzado. Cierra alguna sesión e inténtalo de nuevo.`
+            };
+        }
+    }
+
+    return { allowed: true, evict, message: null };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    CLOSE_REASONS,
+    SESSION_LIMIT_ERROR,
+    getSessionDeadline,
+    findExpiredSessions,
+    getTwoFactorStatus,
+    planCapacity
+};
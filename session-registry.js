@@ -0,0 +1,166 @@
+/*****************************************************************
+ * session-registry.js – Registro persistente de sesiones
+ * Guarda en disco (JSON) qué sesiones hay abiertas para que un
+ * reinicio del servidor no las pierda sin rastro: las que quedan
+ * huérfanas se marcan como muertas y se ofrecen para quick login.
+ *****************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+
+/*─────────────────  ESTADOS  ──────────────────*/
+const REGISTRY_STATUS = Object.freeze({
+    ACTIVE: 'active',   // Sesión con navegador abierto en este proceso
+    DEAD: 'dead'        // El navegador ya no existe (apagado o caída del servidor)
+});
+
+// Motivos con los que una sesión pasa a estar muerta
+const DEAD_REASONS = Object.freeze({
+    SHUTDOWN: 'shutdown',   // Cerrada por el apagado ordenado (cookies guardadas)
+    CRASH: 'crash'          // Seguía activa al arrancar: el proceso terminó sin apagado ordenado
+});
+
+// Máximo de sesiones muertas que se conservan (las más antiguas se descartan)
+const MAX_DEAD_ENTRIES = 50;
+
+/*─────────────────  REGISTRO  ──────────────────*/
+/**
+ * Crea un registro de sesiones respaldado por un archivo JSON.
+ * Cada cambio se escribe enseguida (escritura atómica: archivo temporal + rename).
+ * Los errores de disco se registran en el log pero no interrumpen el login.
+ * @param {string} filePath - Ruta del archivo del registro
+ * @returns {Object} - Registro con upsert / remove / markDead / reconcile / get / list
+ */
+function createSessionRegistry(filePath) {
+    const entries = new Map();
+
+    const save = () => {
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpFile = `${filePath}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify({ sessions: Array.from(entries.values()) }, null, 2));
+            fs.renameSync(tmpFile, filePath);
+        } catch (error) {
+            console.error(`❌ Error guardando el registro de sesiones (${filePath}):`, error.message);
+        }
+    };
+
+    const pruneDead = () => {
+        const dead = Array.from(entries.values())
+            .filter(entry => entry.status === REGISTRY_STATUS.DEAD)
+            .sort((a, b) => new Date(a.deadAt) - new Date(b.deadAt));
+        dead.slice(0, Math.max(0, dead.length - MAX_DEAD_ENTRIES))
+            .forEach(entry => entries.delete(entry.sessionId));
+    };
+
+    // Carga inicial; un archivo corrupto no impide arrancar
+    if (fs.existsSync(filePath)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            (data.sessions || []).forEach(entry => entries.set(entry.sessionId, entry));
+        } catch (error) {
+            console.error(`⚠️ Registro de sesiones ilegible (${filePath}), se empieza vacío:`, error.message);
+        }
+    }
+
+    const registry = {
+        /**
+         * Crea o actualiza la entrada de una sesión activa
+         * @param {string} sessionId - ID de la sesión
+         * @param {Object} data - { email, version, quickLogin, createdAt, loginState, pending2FA }
+         * @returns {Object} - Entrada guardada
+         */
+        upsert(sessionId, data) {
+            const entry = {
+                ...entries.get(sessionId),
+                ...data,
+                sessionId,
+                status: REGISTRY_STATUS.ACTIVE,
+                updatedAt: new Date().toISOString()
+            };
+            entries.set(sessionId, entry);
+            save();
+            return entry;
+        },
+
+        /**
+         * Quita una sesión del registro (cerrada por el usuario o descartada)
+         * @param {string} sessionId - ID de la sesión
+         * @returns {boolean} - true si existía
+         */
+        remove(sessionId) {
+            const existed = entries.delete(sessionId);
+            if (existed) save();
+            return existed;
+        },
+
+        /**
+         * Marca una sesión como muerta (su navegador ya no existe)
+         * @param {string} sessionId - ID de la sesión
+         * @param {string} reason - DEAD_REASONS
+         * @returns {Object|null} - Entrada actualizada o null si no existe
+         */
+        markDead(sessionId, reason) {
+            const entry = entries.get(sessionId);
+            if (!entry) return null;
+
+            entry.status = REGISTRY_STATUS.DEAD;
+            entry.deadReason = reason;
+            entry.deadAt = new Date().toISOString();
+            pruneDead();
+            save();
+            return entry;
+        },
+
+        /**
+         * Reconciliación al arrancar: las sesiones que seguían activas en el archivo
+         * pertenecían a un proceso que terminó sin apagado ordenado y se marcan como muertas
+         * @returns {Array<Object>} - Entradas marcadas como muertas en esta llamada
+         */
+        reconcile() {
+            const orphaned = Array.from(entries.values()).filter(entry => entry.status === REGISTRY_STATUS.ACTIVE);
+            const deadAt = new Date().toISOString();
+            orphaned.forEach(entry => {
+                entry.status = REGISTRY_STATUS.DEAD;
+                entry.deadReason = DEAD_REASONS.CRASH;
+                entry.deadAt = deadAt;
+            });
+            if (orphaned.length > 0) {
+                pruneDead();
+                save();
+            }
+            return orphaned;
+        },
+
+        /**
+         * @param {string} sessionId - ID de la sesión
+         * @returns {Object|null} - Copia de la entrada
+         */
+        get(sessionId) {
+            const entry = entries.get(sessionId);
+            return entry ? { ...entry } : null;
+        },
+
+        /**
+         * Lista las entradas, las más recientes primero
+         * @param {Object} filters - { status } opcional
+         * @returns {Array<Object>}
+         */
+        list({ status } = {}) {
+            return Array.from(entries.values())
+                .filter(entry => !status || entry.status === status)
+                .sort((a, b) => new Date(b.deadAt || b.updatedAt) - new Date(a.deadAt || a.updatedAt))
+                .map(entry => ({ ...entry }));
+        }
+    };
+
+    return registry;
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    REGISTRY_STATUS,
+    DEAD_REASONS,
+    MAX_DEAD_ENTRIES,
+    createSessionRegistry
+};
@@ -0,0 +1,157 @@
+/*****************************************************************
+ * site-profiles.js – Perfiles de sitio por versión (mobile / desktop)
+ * Cada perfil define la URL base, los patrones de URL de login exitoso
+ * y las reglas para detectar la versión. Permite apuntar todo el flujo
+ * a un host de staging o a un mock local en lugar de facebook.com.
+ *****************************************************************/
+
+/*─────────────────  VALORES POR DEFECTO  ──────────────────*/
+const DEFAULT_BASE_URLS = {
+    mobile: 'https://m.facebook.com/',
+    desktop: 'https://www.facebook.com/'
+};
+
+// URLs que indican login exitoso
+const DEFAULT_SUCCESS_URL_PATTERNS = [
+    'home.php',
+    '/?',
+    '/feed',
+    '/home',
+    'facebook.com/?sk=h_chr', // Timeline
+    'facebook.com/?ref=tn_tnmn' // Home
+];
+
+// Fragmentos de URL que indican pantalla de 2FA / checkpoint
+const DEFAULT_TWO_FACTOR_URL_PATTERNS = [
+    'checkpoint',
+    'two_factor',
+    'approvals',
+    'security',
+    'verify',
+    'auth-app',
+    'authentication',
+    'confirm',
+    'mfa', // Multi-factor authentication
+    'otp', // One-time password
+    'factor'
+];
+
+// Reglas de detección para los hosts reales de Facebook
+const DEFAULT_DETECTION = {
+    mobile: {
+        urlIncludes: ['m.facebook.com'],
+        selectors: ['input[id="m_login_email"]']
+    },
+    desktop: {
+        urlIncludes: ['www.facebook.com', 'facebook.com'],
+        selectors: ['input[data-testid="royal_email"]']
+    }
+};
+
+// Orden en que se evalúan las reglas de detección (mobile primero: 'facebook.com' también coincide con m.)
+const VERSION_ORDER = ['mobile', 'desktop'];
+
+/*─────────────────  CONSTRUCCIÓN DE PERFILES  ──────────────────*/
+/**
+ * Normaliza una URL base (siempre con '/' final)
+ * @param {string} url - URL base
+ * @returns {string} - URL normalizada
+ */
+function normalizeBaseUrl(url) {
+    const parsed = new URL(url);
+    if (!parsed.pathname.endsWith('/')) {
+        parsed.pathname += '/';
+    }
+    return parsed.href;
+}
+
+/**
+ * Crea los perfiles de sitio a partir de la configuración
+ * @param {Object} options - Opciones (normalmente config.site)
+ * @param {string} options.mobileBaseUrl - URL base de la versión móvil
+ * @param {string} options.desktopBaseUrl - URL base de la versión desktop
+ * @param {Array<string>} options.successUrlPatterns - Patrones de URL de login exitoso
+ * @returns {Object} - Perfiles indexados por versión
+ */
+function createSiteProfiles({ mobileBaseUrl, desktopBaseUrl, successUrlPatterns } = {}) {
+    const baseUrls = {
+        mobile: normalizeBaseUrl(mobileBaseUrl || DEFAULT_BASE_URLS.mobile),
+        desktop: normalizeBaseUrl(desktopBaseUrl || DEFAULT_BASE_URLS.desktop)
+    };
+
+    const profiles = {};
+    VERSION_ORDER.forEach(version => {
+        const baseUrl = baseUrls[version];
+        const isDefaultHost = baseUrl === DEFAULT_BASE_URLS[version];
+
+        profiles[version] = {
+            version,
+            baseUrl,
+            successUrlPatterns: [...(successUrlPatterns || DEFAULT_SUCCESS_URL_PATTERNS)],
+            twoFactorUrlPatterns: [...DEFAULT_TWO_FACTOR_URL_PATTERNS],
+            detect: {
+                // Con un host personalizado la versión se reconoce por el prefijo de su URL base
+                urlIncludes: isDefaultHost ? [...DEFAULT_DETECTION[version].urlIncludes] : [baseUrl],
+                selectors: [...DEFAULT_DETECTION[version].selectors]
+            }
+        };
+    });
+
+    return profiles;
+}
+
+/*─────────────────  PERFILES ACTIVOS  ──────────────────*/
+let activeProfiles = createSiteProfiles();
+
+/**
+ * Reemplaza los perfiles activos (se llama al iniciar el servidor o desde tests)
+ * @param {Object} options - Ver createSiteProfiles
+ * @returns {Object} - Perfiles activos
+ */
+function configureSiteProfiles(options = {}) {
+    activeProfiles = createSiteProfiles(options);
+    return activeProfiles;
+}
+
+/**
+ * Obtiene el perfil de una versión
+ * @param {string} version - 'mobile' o 'desktop'
+ * @returns {Object} - Perfil de sitio
+ */
+function getSiteProfile(version) {
+    const profile = activeProfiles[version];
+    if (!profile) {
+        throw new Error(`Versión de sitio desconocida: ${version}`);
+    }
+    return profile;
+}
+
+/**
+ * Lista todos los perfiles activos en orden de detección
+ * @returns {Array<Object>} - Perfiles
+ */
+function getSiteProfiles() {
+    return VERSION_ORDER.map(version => activeProfiles[version]);
+}
+
+/**
+ * Busca el perfil cuya regla de URL coincide con la URL dada
+ * @param {string} url - URL actual de la página
+ * @returns {Object|null} - Perfil encontrado o null
+ */
+function findProfileByUrl(url) {
+    return getSiteProfiles().find(profile =>
+        profile.detect.urlIncludes.some(fragment => url.includes(fragment))
+    ) || null;
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    DEFAULT_BASE_URLS,
+    DEFAULT_SUCCESS_URL_PATTERNS,
+    createSiteProfiles,
+    configureSiteProfiles,
+    getSiteProfile,
+    getSiteProfiles,
+    findProfileByUrl
+};
@@ -0,0 +1,219 @@
+/*****************************************************************
+ * sms-inbox.js – Códigos 2FA recibidos por webhook (SMS reenviados)
+ * Una app del teléfono reenvía cada SMS a POST /2fa-inbox. Aquí se
+ * comprueba el secreto compartido, se relaciona el mensaje con la
+ * sesión que espera el código (por email o teléfono) y se deja
+ * constancia de qué mensaje resolvió qué sesión.
+ *****************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Dígitos finales que bastan para considerar iguales dos teléfonos
+// (el reenviador puede incluir o no el prefijo del país)
+const PHONE_MATCH_DIGITS = 9;
+
+// Resultados registrados en el historial del webhook
+const INBOX_OUTCOMES = Object.freeze({
+    NO_CODE: 'no_code',         // El mensaje no contiene un código
+    UNMATCHED: 'unmatched',     // Ninguna sesión pendiente coincide con el destinatario
+    SUBMITTED: 'submitted',     // Código enviado a la sesión, esperando respuesta del sitio
+    ACCEPTED: 'accepted',       // El sitio aceptó el código: sesión logueada
+    REJECTED: 'rejected',       // El sitio rechazó el código o falló el envío
+    EXPIRED: 'expired'          // La sesión dejó de esperar antes de enviar el código
+});
+
+/*─────────────────  SECRETO COMPARTIDO  ──────────────────*/
+/**
+ * Compara el secreto recibido con el configurado en tiempo constante
+ * @param {string} expected - Secreto configurado
+ * @param {string} provided - Secreto recibido
+ * @returns {boolean}
+ */
+function secretMatches(expected, provided) {
+    if (!expected || typeof provided !== 'string') return false;
+    const a = crypto.createHash('sha256').update(expected).digest();
+    const b = crypto.createHash('sha256').update(provided).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/*─────────────────  DESTINATARIOS  ──────────────────*/
+/**
+ * @param {string} value - Teléfono en cualquier formato
+ * @returns {string|null} - Solo dígitos, o null si no parece un teléfono
+ */
+function normalizePhone(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits : null;
+}
+
+/**
+ * @param {string} a - Teléfono
+ * @param {string} b - Teléfono
+ * @returns {boolean} - true si coinciden (ignorando formato y prefijo de país)
+ */
+function phonesMatch(a, b) {
+    const left = normalizePhone(a);
+    const right = normalizePhone(b);
+    if (!left || !right) return false;
+    const digits = Math.min(PHONE_MATCH_DIGITS, left.length, right.length);
+    return left.slice(-digits) === right.slice(-digits);
+}
+
+/**
+ * Elige la sesión pendiente a la que va dirigido un mensaje. Con varias candidatas
+ * gana la que empezó a esperar más tarde (los códigos anteriores ya no sirven).
+ * @param {Array<Object>} pending - [{ sessionId, email, phone, timestamp }]
+ * @param {string} recipient - Email o teléfono del destinatario
+ * @returns {Object|null} - Entrada elegida
+ */
+function matchPendingSession(pending, recipient) {
+    const hint = String(recipient || '').trim();
+    if (!hint) return null;
+
+    const byEmail = hint.includes('@');
+    const matches = pending.filter(entry => (byEmail
+        ? entry.email.toLowerCase() === hint.toLowerCase()
+        : phonesMatch(entry.phone, hint)));
+
+    return matches.sort((a, b) => b.timestamp - a.timestamp)[0] || null;
+}
+
+/*─────────────────  TELÉFONOS POR CUENTA  ──────────────────*/
+/**
+ * Teléfono al que llegan los SMS de cada cuenta
+ * @param {string} filePath - Archivo JSON
+ * @returns {Object} - { get, list, set, remove }
+ */
+function createPhoneBook(filePath) {
+    const read = () => {
+        if (!fs.existsSync(filePath)) return {};
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).phones || {};
+    };
+
+    const write = phones => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpFile = `${filePath}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ phones }, null, 2));
+        fs.renameSync(tmpFile, filePath);
+    };
+
+    return {
+        /**
+         * @param {string} email - Cuenta
+         * @returns {string|null}
+         */
+        get(email) {
+            return read()[email] || null;
+        },
+
+        /**
+         * @returns {Array<Object>} - [{ email, phone }]
+         */
+        list() {
+            return Object.entries(read()).map(([email, phone]) => ({ email, phone }));
+        },
+
+        /**
+         * @param {string} email - Cuenta
+         * @param {string} phone - Teléfono (se guarda tal cual, se compara por dígitos)
+         * @returns {Object} - { email, phone }
+         * @throws {Error} - Si no parece un teléfono
+         */
+        set(email, phone) {
+            if (!normalizePhone(phone)) {
+                throw new Error('Se requiere un teléfono válido (al menos 7 dígitos)');
+            }
+            const phones = read();
+            phones[email] = String(phone).trim();
+            write(phones);
+            return { email, phone: phones[email] };
+        },
+
+        /**
+         * @param {string} email - Cuenta
+         * @returns {boolean} - true si existía
+         */
+        remove(email) {
+            const phones = read();
+            if (!phones[email]) return false;
+            delete phones[email];
+            write(phones);
+            return true;
+        }
+    };
+}
+
+/*─────────────────  HISTORIAL  ──────────────────*/
+/**
+ * Historial de mensajes recibidos (JSON Lines, solo se añade). Cada cambio de una
+ * entrada se escribe como una línea nueva con el mismo id; al leer se combinan.
+ * @param {string} filePath - Archivo del historial
+ * @returns {Object} - { record, update, list }
+ */
+function createInboxAudit(filePath) {
+    const append = entry => {
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            console.error(`❌ Error guardando el historial del webhook 2FA (${filePath}):`, error.message);
+        }
+    };
+
+    return {
+        /**
+         * Registra un mensaje recibido
+         * @param {Object} data - { sender, recipient, message, code, sessionId, email, outcome, detail }
+         * @returns {Object} - Entrada con id y receivedAt
+         */
+        record(data) {
+            const entry = { id: crypto.randomUUID(), receivedAt: new Date().toISOString(), ...data };
+            append(entry);
+            return entry;
+        },
+
+        /**
+         * Añade el resultado final de un mensaje
+         * @param {string} id - ID de la entrada
+         * @param {Object} changes - { outcome, detail }
+         */
+        update(id, changes) {
+            append({ id, ...changes, updatedAt: new Date().toISOString() });
+        },
+
+        /**
+         * Entradas combinadas, las más recientes primero
+         * @param {Object} filters - { limit, sessionId }
+         * @returns {Array<Object>}
+         */
+        list({ limit = 50, sessionId } = {}) {
+            if (!fs.existsSync(filePath)) return [];
+            const entries = new Map();
+            fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+                try {
+                    const entry = JSON.parse(line);
+                    entries.set(entry.id, { ...entries.get(entry.id), ...entry });
+                } catch (e) {
+                    // Línea incompleta (p. ej. el proceso murió escribiendo): se ignora
+                }
+            });
+            return Array.from(entries.values())
+                .filter(entry => !sessionId || entry.sessionId === sessionId)
+                .reverse()
+                .slice(0, limit);
+        }
+    };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    INBOX_OUTCOMES,
+    secretMatches,
+    normalizePhone,
+    phonesMatch,
+    matchPendingSession,
+    createPhoneBook,
+    createInboxAudit
+};
@@ -0,0 +1,393 @@
+/*****************************************************************
+ * storage.js – Almacenamiento de cookies y estado de sesión
+ * Interfaz común para los datos guardados de cada cuenta (cookies y
+ * localStorage/sessionStorage) con adaptadores intercambiables por
+ * configuración (storage.backend):
+ *   files    → un archivo por cuenta y tipo en dirs.cookies (formato de siempre)
+ *   database → base de datos embebida en un único archivo JSON
+ *   memory   → en memoria, para tests (se pierde al reiniciar)
+ * El cifrado con secrets.key se aplica encima, igual en todos.
+ *****************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const { isSealed } = require('./secret-box');
+
+/*─────────────────  TIPOS DE REGISTRO  ──────────────────*/
+const RECORD_KINDS = Object.freeze({
+    COOKIES: 'cookies',   // Cookies del contexto del navegador
+    SESSION: 'session'    // URL, título, localStorage y sessionStorage
+});
+
+const STORAGE_BACKENDS = Object.freeze({
+    FILES: 'files',
+    DATABASE: 'database',
+    MEMORY: 'memory'
+});
+
+/**
+ * Clave de una cuenta (la misma que usan los nombres de archivo)
+ * @param {string} email - Email de la cuenta
+ * @returns {string}
+ */
+function accountKey(email) {
+    return String(email).replace(/[@.]/g, '_');
+}
+
+/**
+ * Nombre visible de un registro (coincide con el archivo del adaptador files)
+ * @param {string} kind - Valor de RECORD_KINDS
+ * @param {string} key - Clave de la cuenta
+ * @returns {string}
+ */
+function recordName(kind, key) {
+    return `${key}_${kind}.json`;
+}
+
+/**
+ * Escribe un archivo de forma atómica (temporal + rename) con permisos 0600
+ * @param {string} filePath - Ruta del archivo
+ * @param {string} content - Contenido
+ */
+function writeFileAtomic(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, content, { mode: 0o600 });
+    fs.renameSync(tmpFile, filePath);
+}
+
+/*─────────────────  ADAPTADORES  ──────────────────*/
+/*
+ * Todos los adaptadores guardan texto sin interpretarlo y exponen:
+ *   get(kind, key)                        → { content, updatedAt, size } | null
+ *   set(kind, key, content, updatedAt?)   → nombre del registro (updatedAt permite conservar la fecha)
+ *   remove(kind, key)                     → true si existía
+ *   list()                                → [{ kind, key, name, updatedAt, size }]
+ *   location                              → descripción para los logs
+ */
+
+/**
+ * Un archivo por cuenta y tipo: <dir>/<email_con_guiones_bajos>_cookies.json y _session.json
+ * @param {string} dir - Directorio (dirs.cookies)
+ * @returns {Object} - Adaptador
+ */
+function createFileStorage(dir) {
+    const fileFor = (kind, key) => path.join(dir, recordName(kind, key));
+    const pattern = new RegExp(`^(.+)_(${Object.values(RECORD_KINDS).join('|')})\\.json$`);
+
+    return {
+        backend: STORAGE_BACKENDS.FILES,
+        location: dir,
+
+        get(kind, key) {
+            const file = fileFor(kind, key);
+            if (!fs.existsSync(file)) return null;
+            const { mtime, size } = fs.statSync(file);
+            return { content: fs.readFileSync(file, 'utf8'), updatedAt: mtime, size };
+        },
+
+        set(kind, key, content, updatedAt = null) {
+            const file = fileFor(kind, key);
+            writeFileAtomic(file, content);
+            if (updatedAt) {
+                fs.utimesSync(file, updatedAt, updatedAt);
+            }
+            return path.basename(file);
+        },
+
+        remove(kind, key) {
+            const file = fileFor(kind, key);
+            if (!fs.existsSync(file)) return false;
+            fs.unlinkSync(file);
+            return true;
+        },
+
+        list() {
+            if (!fs.existsSync(dir)) return [];
+            return fs.readdirSync(dir)
+                .map(name => ({ name, match: name.match(pattern) }))
+                .filter(({ match }) => match)
+                .map(({ name, match }) => {
+                    const { mtime, size } = fs.statSync(path.join(dir, name));
+                    return { kind: match[2], key: match[1], name, updatedAt: mtime, size };
+                });
+        }
+    };
+}
+
+/**
+ * Base de datos embebida: todos los registros en un único archivo JSON
+ * ({ version, records: { nombre: { kind, key, content, updatedAt } } }), reescrito de forma atómica.
+ * El documento se parsea una vez y se reutiliza mientras el archivo no cambie (inodo, fecha y
+ * tamaño): así list() + un get() por registro no vuelve a leerlo entero cada vez, y los cambios
+ * de otro proceso (p. ej. npm run encrypt-sessions) se siguen viendo.
+ * @param {string} filePath - Archivo de la base de datos (storage.databaseFile)
+ * @returns {Object} - Adaptador
+ */
+function createDatabaseStorage(filePath) {
+    let cached = null; // { signature, data }
+    const signatureOf = ({ ino, mtimeMs, size }) => `${ino}:${mtimeMs}:${size}`;
+
+    const read = () => {
+        if (!fs.existsSync(filePath)) {
+            cached = null;
+            return { version: 1, records: {} };
+        }
+        const signature = signatureOf(fs.statSync(filePath));
+        if (!cached || cached.signature !== signature) {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            cached = { signature, data: { version: 1, ...data, records: data.records || {} } };
+        }
+        return cached.data;
+    };
+    const write = data => {
+        try {
+            writeFileAtomic(filePath, JSON.stringify(data));
+            cached = { signature: signatureOf(fs.statSync(filePath)), data };
+        } catch (error) {
+            cached = null; // set/remove ya modificaron el documento en memoria
+            throw error;
+        }
+    };
+    const toEntry = ({ kind, key, content, updatedAt }, name) => ({
+        kind, key, name, updatedAt: new Date(updatedAt), size: Buffer.byteLength(content)
+    });
+
+    return {
+        backend: STORAGE_BACKENDS.DATABASE,
+        location: filePath,
+
+        get(kind, key) {
+            const name = recordName(kind, key);
+            const record = read().records[name];
+            return record ? { content: record.content, ...toEntry(record, name) } : null;
+        },
+
+        set(kind, key, content, updatedAt = null) {
+            const name = recordName(kind, key);
+            const data = read();
+            data.records[name] = { kind, key, content, updatedAt: (updatedAt || new Date()).toISOString() };
+            write(data);
+            return name;
+        },
+
+        remove(kind, key) {
+            const name = recordName(kind, key);
+            const data = read();
+            if (!Object.hasOwn(data.records, name)) return false;
+            delete data.records[name];
+            write(data);
+            return true;
+        },
+
+        list() {
+            return Object.entries(read().records).map(([name, record]) => toEntry(record, name));
+        }
+    };
+}
+
+/**
+ * Registros en memoria del proceso (tests y pruebas locales)
+ * @returns {Object} - Adaptador
+ */
+function createMemoryStorage() {
+    const records = new Map();
+
+    return {
+        backend: STORAGE_BACKENDS.MEMORY,
+        location: 'memoria',
+
+        get(kind, key) {
+            const record = records.get(recordName(kind, key));
+            return record ? { content: record.content, updatedAt: record.updatedAt, size: Buffer.byteLength(record.content) } : null;
+        },
+
+        set(kind, key, content, updatedAt = null) {
+            const name = recordName(kind, key);
+            records.set(name, { kind, key, content, updatedAt: updatedAt || new Date() });
+            return name;
+        },
+
+        remove(kind, key) {
+            return records.delete(recordName(kind, key));
+        },
+
+        list() {
+            return Array.from(records.entries()).map(([name, { kind, key, content, updatedAt }]) => ({
+                kind, key, name, updatedAt, size: Buffer.byteLength(content)
+            }));
+        }
+    };
+}
+
+/**
+ * Adaptador indicado por la configuración
+ * @param {Object} options - { backend, cookiesDir, databaseFile } (config.storage.backend, dirs.cookies, storage.databaseFile)
+ * @returns {Object} - Adaptador
+ * @throws {Error} - Backend desconocido
+ */
+function createStorage({ backend = STORAGE_BACKENDS.FILES, cookiesDir, databaseFile }) {
+    switch (backend) {
+        case STORAGE_BACKENDS.FILES:
+            return createFileStorage(cookiesDir);
+        case STORAGE_BACKENDS.DATABASE:
+            return createDatabaseStorage(databaseFile);
+        case STORAGE_BACKENDS.MEMORY:
+            return createMemoryStorage();
+        default:
+            throw new Error(`Backend de almacenamiento desconocido: ${backend}`);
+    }
+}
+
+/*─────────────────  COOKIES Y SESIONES  ──────────────────*/
+/**
+ * Indica si un registro está cifrado
+ * @param {Object} content - Contenido JSON del registro
+ * @returns {boolean}
+ */
+function isEncryptedRecord(content) {
+    return Boolean(content) && isSealed(content.encrypted);
+}
+
+/**
+ * Cookies y estado de sesión de cada cuenta sobre un adaptador. Con secretBox los
+ * registros se guardan como { "encrypted": "v1:..." } y sin ella en JSON legible;
+ * los registros en texto plano anteriores al cifrado se siguen leyendo.
+ * @param {Object} adapter - Adaptador (ver createStorage)
+ * @param {Object|null} secretBox - Cifrador (ver secret-box.js)
+ * @returns {Object} - { backend, location, encrypted, write, read, has, list, removeAccount, clean, encryptAll }
+ */
+function createSessionStore(adapter, secretBox = null) {
+    const encode = (data, box = secretBox) => {
+        const json = JSON.stringify(data, null, 2);
+        return box ? JSON.stringify({ encrypted: box.encrypt(json) }) : json;
+    };
+
+    const decode = (content, name) => {
+        const parsed = JSON.parse(content);
+        if (!isEncryptedRecord(parsed)) return parsed;
+        if (!secretBox) {
+            throw new Error(`${name} está cifrado: configura secrets.key (SECRETS_KEY o SECRETS_KEY_FILE)`);
+        }
+        return JSON.parse(secretBox.decrypt(parsed.encrypted));
+    };
+
+    return {
+        backend: adapter.backend,
+        location: adapter.location,
+        encrypted: Boolean(secretBox),
+
+        /**
+         * @param {string} kind - Valor de RECORD_KINDS
+         * @param {string} email - Email de la cuenta
+         * @param {Object} data - Contenido
+         * @returns {string} - Nombre del registro
+         */
+        write(kind, email, data) {
+            return adapter.set(kind, accountKey(email), encode(data));
+        },
+
+        /**
+         * @param {string} kind - Valor de RECORD_KINDS
+         * @param {string} email - Email de la cuenta
+         * @returns {Object|null} - Contenido descifrado, o null si no hay registro
+         * @throws {Error} - Si está cifrado y no hay clave, o la clave no es la correcta
+         */
+        read(kind, email) {
+            const key = accountKey(email);
+            const record = adapter.get(kind, key);
+            return record ? decode(record.content, recordName(kind, key)) : null;
+        },
+
+        /**
+         * @param {string} kind - Valor de RECORD_KINDS
+         * @param {string} email - Email de la cuenta
+         * @returns {boolean}
+         */
+        has(kind, email) {
+            return adapter.get(kind, accountKey(email)) !== null;
+        },
+
+        /**
+         * Todos los registros con sus metadatos. Uno ilegible (cifrado con otra clave,
+         * sin clave configurada o dañado) se lista igualmente con su error.
+         * @returns {Array<Object>} - [{ kind, key, name, updatedAt, size, encrypted, data, error }]
+         */
+        list() {
+            return adapter.list().map(entry => {
+                const result = { ...entry, encrypted: false, data: null };
+                try {
+                    const { content } = adapter.get(entry.kind, entry.key);
+                    result.encrypted = isEncryptedRecord(JSON.parse(content));
+                    result.data = decode(content, entry.name);
+                } catch (error) {
+                    result.error = error.message;
+                }
+                return result;
+            });
+        },
+
+        /**
+         * Elimina las cookies y el estado de sesión de una cuenta
+         * @param {string} email - Email de la cuenta
+         * @returns {number} - Registros eliminados
+         */
+        removeAccount(email) {
+            const key = accountKey(email);
+            return Object.values(RECORD_KINDS).filter(kind => adapter.remove(kind, key)).length;
+        },
+
+        /**
+         * Elimina los registros que cumplen isStale (la decisión es de quien llama:
+         * ver cleanOldSessions en helpers.js)
+         * @param {Function} isStale - (entry: { kind, key, name, updatedAt, size }) => boolean
+         * @returns {Array<string>} - Nombres de los registros eliminados
+         */
+        clean(isStale) {
+            return adapter.list()
+                .filter(entry => isStale(entry))
+                .filter(entry => adapter.remove(entry.kind, entry.key))
+                .map(entry => entry.name);
+        },
+
+        /**
+         * Cifra los registros que aún están en texto plano, conservando su fecha
+         * (clean se basa en ella). Requiere secretBox.
+         * @returns {Object} - { encrypted: [nombres], skipped: [ya cifrados], failed: [{ name, error }] }
+         */
+        encryptAll() {
+            if (!secretBox) {
+                throw new Error('Falta la clave: configura secrets.key (SECRETS_KEY o SECRETS_KEY_FILE)');
+            }
+            const result = { encrypted: [], skipped: [], failed: [] };
+            adapter.list().forEach(({ kind, key, name, updatedAt }) => {
+                try {
+                    const content = JSON.parse(adapter.get(kind, key).content);
+                    if (isEncryptedRecord(content)) {
+                        result.skipped.push(name);
+                        return;
+                    }
+                    adapter.set(kind, key, encode(content), updatedAt);
+                    result.encrypted.push(name);
+                } catch (error) {
+                    result.failed.push({ name, error: error.message });
+                }
+            });
+            return result;
+        }
+    };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    RECORD_KINDS,
+    STORAGE_BACKENDS,
+    accountKey,
+    isEncryptedRecord,
+    writeFileAtomic,
+    createFileStorage,
+    createDatabaseStorage,
+    createMemoryStorage,
+    createStorage,
+    createSessionStore
+};
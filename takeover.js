@@ -0,0 +1,145 @@
+/*****************************************************************
+ * takeover.js – Control manual de una sesión desde la interfaz web
+ * Valida y reenvía a la página de Playwright los clicks, texto,
+ * teclas, scroll y navegación que el operador hace sobre la vista en
+ * vivo, para terminar un checkpoint que la automatización no reconoce.
+ *****************************************************************/
+
+/*─────────────────  TIPOS DE ENTRADA  ──────────────────*/
+const INPUT_TYPES = Object.freeze({
+    CLICK: 'click',         // { x, y } en píxeles CSS del viewport
+    TYPE: 'type',           // { text }
+    PRESS: 'press',         // { key } (Enter, Tab, Backspace, Control+A...)
+    SCROLL: 'scroll',       // { deltaX, deltaY }
+    NAVIGATE: 'navigate',   // { url } http(s)
+    BACK: 'back',
+    RELOAD: 'reload'
+});
+
+// Límite de texto por petición (evita pegar documentos enteros en un campo)
+const MAX_TEXT_LENGTH = 1000;
+
+// Tiempo máximo de una navegación pedida por el operador
+const NAVIGATION_TIMEOUT_MS = 30000;
+
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/*─────────────────  VALIDACIÓN  ──────────────────*/
+/**
+ * Valida una entrada del operador
+ * @param {Object} input - { type, ...parámetros }
+ * @returns {string|null} - Mensaje de error o null si es válida
+ */
+function validateInput(input) {
+    if (!input || typeof input !== 'object') {
+        return 'Se requiere una entrada';
+    }
+
+    switch (input.type) {
+        case INPUT_TYPES.CLICK:
+            if (!isFiniteNumber(input.x) || !isFiniteNumber(input.y) || input.x < 0 || input.y < 0) {
+                return 'click requiere coordenadas x e y no negativas';
+            }
+            return null;
+        case INPUT_TYPES.TYPE:
+            if (typeof input.text !== 'string' || input.text.length === 0) {
+                return 'type requiere text';
+            }
+            if (input.text.length > MAX_TEXT_LENGTH) {
+                return `text no puede superar ${MAX_TEXT_LENGTH} caracteres`;
+            }
+            return null;
+        case INPUT_TYPES.PRESS:
+            if (typeof input.key !== 'string' || !input.key.trim()) {
+                return 'press requiere key';
+            }
+            return null;
+        case INPUT_TYPES.SCROLL:
+            if (!isFiniteNumber(input.deltaX ?? 0) || !isFiniteNumber(input.deltaY ?? 0)) {
+                return 'scroll requiere deltaX / deltaY numéricos';
+            }
+            return null;
+        case INPUT_TYPES.NAVIGATE: {
+            let protocol = null;
+            try {
+                protocol = new URL(input.url).protocol;
+            } catch (e) {
+                // URL inválida
+            }
+            if (protocol !== 'http:' && protocol !== 'https:') {
+                return 'navigate requiere una URL http(s) válida';
+            }
+            return null;
+        }
+        case INPUT_TYPES.BACK:
+        case INPUT_TYPES.RELOAD:
+            return null;
+        default:
+            return `Tipo de entrada desconocido: ${input.type}. Válidos: ${Object.values(INPUT_TYPES).join(', ')}`;
+    }
+}
+
+/*─────────────────  REENVÍO  ──────────────────*/
+/**
+ * Aplica una entrada (ya validada) sobre la página
+ * @param {Page} page - Página de Playwright
+ * @param {Object} input - Entrada del operador
+ * @returns {Object} - { url } de la página después de la acción
+ */
+async function applyInput(page, input) {
+    switch (input.type) {
+        case INPUT_TYPES.CLICK:
+            await page.mouse.click(input.x, input.y);
+            break;
+        case INPUT_TYPES.TYPE:
+            await page.keyboard.type(input.text);
+            break;
+        case INPUT_TYPES.PRESS:
+            await page.keyboard.press(input.key);
+            break;
+        case INPUT_TYPES.SCROLL:
+            await page.mouse.wheel(input.deltaX || 0, input.deltaY || 0);
+            break;
+        case INPUT_TYPES.NAVIGATE:
+            await page.goto(input.url, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+            break;
+        case INPUT_TYPES.BACK:
+            await page.goBack({ waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+            break;
+        case INPUT_TYPES.RELOAD:
+            await page.reload({ waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+            break;
+    }
+    return { url: page.url() };
+}
+
+/**
+ * Descripción corta de una entrada para logs (sin el texto tecleado)
+ * @param {Object} input - Entrada del operador
+ * @returns {string}
+ */
+function describeInput(input) {
+    switch (input.type) {
+        case INPUT_TYPES.CLICK:
+            return `click (${Math.round(input.x)}, ${Math.round(input.y)})`;
+        case INPUT_TYPES.TYPE:
+            return `type (${input.text.length} caracteres)`;
+        case INPUT_TYPES.PRESS:
+            return `press ${input.key}`;
+        case INPUT_TYPES.SCROLL:
+            return `scroll (${input.deltaX || 0}, ${input.deltaY || 0})`;
+        case INPUT_TYPES.NAVIGATE:
+            return `navigate ${input.url}`;
+        default:
+            return input.type;
+    }
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    INPUT_TYPES,
+    MAX_TEXT_LENGTH,
+    validateInput,
+    applyInput,
+    describeInput
+};
@@ -0,0 +1,132 @@
+/*****************************************************************
+ * audit.test.js – Registro de auditoría y GET /audit
+ * Las pruebas HTTP importan server.js (no necesitan navegador).
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    AUDIT_ACTIONS,
+    AUDIT_OUTCOMES,
+    actorFromAuth,
+    parseAuditQuery,
+    createAuditLog
+} = require('../audit');
+const { TEST_OPERATOR, prepareServerEnv, createApiClient, createSignedInApiClient } = require('./support');
+const { startMockFacebook } = require('./mock-facebook');
+
+describe('actorFromAuth y parseAuditQuery', () => {
+    it('identifica al operador, al token o a nadie', () => {
+        assert.deepEqual(actorFromAuth({ type: 'session', username: 'ana' }), { actor: 'ana', actorType: 'session' });
+        assert.deepEqual(
+            actorFromAuth({ type: 'token', username: 'ana', tokenName: 'cron' }),
+            { actor: 'ana', actorType: 'token', tokenName: 'cron' }
+        );
+        assert.equal(actorFromAuth(null).actorType, 'anonymous');
+    });
+
+    it('valida acciones, resultados, fechas y límite', () => {
+        const { filters, errors } = parseAuditQuery({ action: 'login', outcome: 'failure', since: '2024-01-01', limit: '5', email: 'a@example.com' });
+        assert.deepEqual(errors, []);
+        assert.equal(filters.limit, 5);
+        assert.ok(filters.since instanceof Date);
+
+        const invalid = parseAuditQuery({ action: 'borrar', outcome: 'quizá', until: 'ayer', limit: '0' });
+        assert.equal(invalid.errors.length, 4);
+    });
+});
+
+describe('createAuditLog', () => {
+    let rootDir, file, audit;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-audit-test-'));
+        file = path.join(rootDir, 'audit.jsonl');
+        audit = createAuditLog(file);
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('solo añade líneas y filtra las entradas, las más recientes primero', () => {
+        assert.deepEqual(audit.query(), { total: 0, entries: [] });
+
+        audit.record({ action: AUDIT_ACTIONS.LOGIN, actor: 'ana', email: 'A@example.com', outcome: AUDIT_OUTCOMES.PENDING });
+        audit.record({ action: AUDIT_ACTIONS.TWO_FACTOR_SUBMIT, actor: 'ana', email: 'a@example.com', outcome: AUDIT_OUTCOMES.FAILURE });
+        const last = audit.record({ action: AUDIT_ACTIONS.COOKIES_DELETE, actor: 'luis', email: 'b@example.com', outcome: AUDIT_OUTCOMES.SUCCESS });
+        const before = fs.readFileSync(file, 'utf8');
+        fs.appendFileSync(file, '{"id": "cortada');
+
+        assert.equal(audit.query().entries[0].id, last.id);
+        assert.equal(audit.query({ email: 'a@EXAMPLE.com' }).total, 2);
+        assert.equal(audit.query({ action: AUDIT_ACTIONS.TWO_FACTOR_SUBMIT, outcome: AUDIT_OUTCOMES.FAILURE }).total, 1);
+        assert.deepEqual(audit.query({ actor: 'luis' }).entries.map(entry => entry.id), [last.id]);
+        assert.equal(audit.query({ since: new Date(Date.now() + 60000) }).total, 0);
+
+        const limited = audit.query({ limit: 1 });
+        assert.equal(limited.total, 3);
+        assert.equal(limited.entries.length, 1);
+
+        // Lo escrito antes no cambia al añadir entradas nuevas
+        audit.record({ action: AUDIT_ACTIONS.CLEANUP, actor: 'system', outcome: AUDIT_OUTCOMES.SUCCESS });
+        assert.ok(fs.readFileSync(file, 'utf8').startsWith(before));
+        assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    });
+});
+
+describe('GET /audit', () => {
+    let mockSite, env, server, baseUrl, admin;
+
+    before(async () => {
+        mockSite = await startMockFacebook();
+        env = prepareServerEnv(mockSite);
+        mock.method(console, 'log', () => {});
+
+        server = require('../server').startServer(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        admin = await createSignedInApiClient(baseUrl);
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (mockSite) await mockSite.close();
+        if (env) env.cleanup();
+    });
+
+    it('registra el borrado de cookies y las limpiezas con su actor', async () => {
+        fs.mkdirSync(env.cookiesDir, { recursive: true });
+        fs.writeFileSync(path.join(env.cookiesDir, 'tester_example_com_cookies.json'), '{"cookies": []}');
+        const profiles = ['mobile', 'desktop'].map(version => path.join(env.cacheDir, `tester_example_com_${version}`));
+        profiles.forEach(dir => fs.mkdirSync(path.join(dir, 'Default'), { recursive: true }));
+
+        assert.equal((await admin.delete('/cookies/tester@example.com')).status, 200);
+        assert.deepEqual(profiles.map(dir => fs.existsSync(dir)), [false, false]);
+        assert.equal((await admin.delete('/cookies/tester@example.com')).status, 404);
+        assert.equal((await admin.post('/clean-cookies', {})).status, 200);
+
+        const deletions = await admin.get('/audit?action=cookies.delete&email=tester@example.com');
+        assert.equal(deletions.status, 200);
+        assert.deepEqual(deletions.body.entries.map(entry => entry.outcome), ['failure', 'success']);
+        assert.equal(deletions.body.entries[1].actor, TEST_OPERATOR.username);
+        assert.equal(deletions.body.entries[1].tokenName, 'tests');
+        assert.equal(deletions.body.entries[1].filesDeleted, 3);
+
+        const cleanups = await admin.get('/audit?action=cleanup');
+        assert.deepEqual(cleanups.body.entries.map(entry => entry.actor), [TEST_OPERATOR.username, 'system']);
+        assert.equal(fs.existsSync(env.auditFile), true);
+    });
+
+    it('valida los filtros y exige el rol admin', async () => {
+        assert.equal((await admin.get('/audit?action=borrar')).status, 400);
+
+        const { token } = (await admin.post('/auth/tokens', { name: 'bot', role: 'operator' })).body;
+        assert.equal((await createApiClient(baseUrl, { token }).get('/audit')).status, 403);
+    });
+});
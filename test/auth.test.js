@@ -0,0 +1,327 @@
+/*****************************************************************
+ * auth.test.js – Autenticación del panel y de la API
+ * Las pruebas HTTP importan server.js (no necesitan navegador).
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    ROLES,
+    hasRole,
+    createRoutePermissions,
+    hashPassword,
+    verifyPassword,
+    parseBearer,
+    parseCookies,
+    createAuthStore,
+    createSessionManager,
+    createLoginThrottle
+} = require('../auth');
+const { TEST_OPERATOR, prepareServerEnv, createApiClient } = require('./support');
+const { startMockFacebook } = require('./mock-facebook');
+
+describe('Contraseñas y cabeceras', () => {
+    it('hashPassword usa sal aleatoria y verifyPassword solo acepta la contraseña correcta', async () => {
+        const first = await hashPassword('contraseña-larga');
+        const second = await hashPassword('contraseña-larga');
+        assert.notEqual(first, second);
+        assert.match(first, /^scrypt:16384:8:1:/);
+        assert.equal(await verifyPassword('contraseña-larga', first), true);
+        assert.equal(await verifyPassword('contraseña-larg', first), false);
+        assert.equal(await verifyPassword('contraseña-larga', 'texto-plano'), false);
+    });
+
+    it('parseBearer y parseCookies', () => {
+        assert.equal(parseBearer('Bearer fbt_abc'), 'fbt_abc');
+        assert.equal(parseBearer('Basic xyz'), null);
+        assert.deepEqual(parseCookies('a=1; fb_auth=x%2By; roto=%E0'), { a: '1', fb_auth: 'x+y' });
+    });
+});
+
+describe('createAuthStore', () => {
+    let rootDir, store;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-auth-test-'));
+        store = createAuthStore(path.join(rootDir, 'auth.json'));
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('guarda operadores con hash y valida sus credenciales', async () => {
+        assert.equal(store.hasCredentials(), false);
+        await assert.rejects(store.setOperator('ana', { password: 'corta' }), /al menos 8/);
+        await assert.rejects(store.setOperator('__proto__', { password: 'contraseña-larga' }), /Usuario no válido/);
+
+        const created = await store.setOperator('ana', { password: 'contraseña-larga' });
+        assert.equal(created.username, 'ana');
+        assert.equal(created.role, ROLES.OPERATOR);
+        assert.equal(fs.readFileSync(path.join(rootDir, 'auth.json'), 'utf8').includes('contraseña-larga'), false);
+        assert.equal(await store.verifyCredentials('ana', 'contraseña-larga'), true);
+        assert.equal(await store.verifyCredentials('ana', 'otra-contraseña'), false);
+        assert.equal(await store.verifyCredentials('nadie', 'contraseña-larga'), false);
+        assert.equal(await store.verifyCredentials('constructor', 'contraseña-larga'), false);
+
+        await store.setOperator('ana', { password: 'contraseña-nueva' });
+        assert.equal(await store.verifyCredentials('ana', 'contraseña-larga'), false);
+        assert.equal(store.listOperators()[0].createdAt, created.createdAt);
+
+        assert.equal(store.removeOperator('ana'), true);
+        assert.equal(store.removeOperator('ana'), false);
+    });
+
+    it('los roles se validan y siempre queda un admin', async () => {
+        await assert.rejects(store.setOperator('jefa', { password: 'contraseña-larga', role: 'root' }), /Rol no válido/);
+        await store.setOperator('jefa', { password: 'contraseña-larga', role: ROLES.ADMIN });
+        await store.setOperator('luis', { password: 'contraseña-larga', role: ROLES.VIEWER });
+
+        // Cambiar solo el rol no pide contraseña
+        assert.equal((await store.setOperator('luis', { role: ROLES.OPERATOR })).role, ROLES.OPERATOR);
+        assert.equal(await store.verifyCredentials('luis', 'contraseña-larga'), true);
+        assert.equal(store.getOperator('luis').role, ROLES.OPERATOR);
+        assert.equal(store.getOperator('constructor'), null);
+
+        await assert.rejects(store.setOperator('jefa', { role: ROLES.VIEWER }), /al menos un operador con rol admin/);
+        assert.throws(() => store.removeOperator('jefa'), /último operador con rol admin/);
+        assert.equal(store.getOperator('jefa').role, ROLES.ADMIN);
+
+        assert.equal(store.removeOperator('luis'), true);
+    });
+
+    it('trata como admin a operadores y tokens anteriores a los roles', () => {
+        const file = path.join(rootDir, 'legacy-auth.json');
+        fs.writeFileSync(file, JSON.stringify({
+            operators: { viejo: { passwordHash: 'scrypt:x', createdAt: '2024-01-01T00:00:00.000Z' } },
+            tokens: [{ id: 't1', name: 'cron', prefix: 'fbt_abc', hash: 'x', createdBy: 'viejo' }]
+        }));
+        const legacy = createAuthStore(file);
+        assert.equal(legacy.getOperator('viejo').role, ROLES.ADMIN);
+        assert.equal(legacy.listTokens()[0].role, ROLES.ADMIN);
+    });
+
+    it('solo guarda el hash de los tokens y permite revocarlos', () => {
+        assert.throws(() => store.createToken('lectura', 'ana', 'root'), /Rol no válido/);
+        const { token, entry } = store.createToken('script de backups', 'ana');
+        assert.match(token, /^fbt_/);
+        assert.equal(entry.hash, undefined);
+        assert.equal(entry.role, ROLES.OPERATOR);
+        assert.equal(fs.readFileSync(path.join(rootDir, 'auth.json'), 'utf8').includes(token), false);
+
+        const found = store.findToken(token);
+        assert.equal(found.id, entry.id);
+        assert.ok(found.lastUsedAt);
+        assert.equal(store.findToken(`${token}x`), null);
+        assert.equal(store.findToken('otro-formato'), null);
+        assert.throws(() => store.createToken('  '), /nombre/);
+
+        assert.equal(store.revokeToken(entry.id), true);
+        assert.equal(store.findToken(token), null);
+    });
+});
+
+describe('Permisos por rol', () => {
+    it('hasRole respeta la jerarquía viewer < operator < admin', () => {
+        assert.equal(hasRole(ROLES.ADMIN, ROLES.OPERATOR), true);
+        assert.equal(hasRole(ROLES.OPERATOR, ROLES.OPERATOR), true);
+        assert.equal(hasRole(ROLES.VIEWER, ROLES.OPERATOR), false);
+        assert.equal(hasRole(undefined, ROLES.VIEWER), false);
+    });
+
+    it('createRoutePermissions resuelve parámetros, prefijos y métodos', () => {
+        const requiredRole = createRoutePermissions([
+            ['GET', '/cookies', ROLES.VIEWER],
+            ['DELETE', '/cookies/:email', ROLES.ADMIN],
+            ['*', '/auth/tokens/:id', ROLES.ADMIN],
+            ['GET', '/debug/*', ROLES.ADMIN]
+        ]);
+        assert.equal(requiredRole('GET', '/cookies'), ROLES.VIEWER);
+        assert.equal(requiredRole('HEAD', '/cookies/'), ROLES.VIEWER);
+        assert.equal(requiredRole('DELETE', '/cookies/a@example.com'), ROLES.ADMIN);
+        assert.equal(requiredRole('DELETE', '/cookies/a/b'), null);
+        assert.equal(requiredRole('PUT', '/auth/tokens/t1'), ROLES.ADMIN);
+        assert.equal(requiredRole('GET', '/debug'), ROLES.ADMIN);
+        assert.equal(requiredRole('GET', '/debug/login/paso.png'), ROLES.ADMIN);
+        assert.equal(requiredRole('GET', '/cookiesx'), null);
+        assert.throws(() => createRoutePermissions([['GET', '/x', 'root']]), /Rol no válido/);
+    });
+});
+
+describe('Sesiones del panel y límite de intentos', () => {
+    it('las sesiones caducan y se cierran por operador', () => {
+        const sessions = createSessionManager({ ttlMs: 60000 });
+        const a = sessions.create('ana');
+        const b = sessions.create('ana');
+        const c = sessions.create('luis');
+        assert.equal(sessions.get(a.id).username, 'ana');
+        assert.equal(sessions.destroyForUser('ana', b.id), 1);
+        assert.equal(sessions.get(a.id), null);
+        assert.ok(sessions.get(b.id));
+        assert.ok(sessions.get(c.id));
+
+        const expired = createSessionManager({ ttlMs: -1 }).create('ana');
+        assert.equal(createSessionManager({ ttlMs: -1 }).get(expired.id), null);
+    });
+
+    it('bloquea tras varios fallos y se reinicia al acertar', () => {
+        const throttle = createLoginThrottle({ maxFailures: 2, lockMs: 60000 });
+        throttle.fail('ana|ip');
+        assert.equal(throttle.isLocked('ana|ip'), 0);
+        throttle.fail('ana|ip');
+        assert.ok(throttle.isLocked('ana|ip') > 0);
+        assert.equal(throttle.isLocked('luis|ip'), 0);
+        throttle.reset('ana|ip');
+        assert.equal(throttle.isLocked('ana|ip'), 0);
+    });
+});
+
+describe('API protegida', () => {
+    let mockSite, env, server, baseUrl, anonymous;
+
+    const signIn = async (password = TEST_OPERATOR.password) => fetch(`${baseUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: TEST_OPERATOR.username, password })
+    });
+
+    // Token nuevo creado desde una sesión del operador admin de las pruebas
+    const createToken = async (name, role) => {
+        const cookie = (await signIn()).headers.get('set-cookie').split(';')[0];
+        const response = await fetch(`${baseUrl}/auth/tokens`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({ name, role })
+        });
+        return (await response.json()).token;
+    };
+
+    before(async () => {
+        mockSite = await startMockFacebook();
+        env = prepareServerEnv(mockSite);
+        mock.method(console, 'log', () => {});
+
+        server = require('../server').startServer(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        anonymous = createApiClient(baseUrl);
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (mockSite) await mockSite.close();
+        if (env) env.cleanup();
+    });
+
+    it('sin credenciales las rutas de la API responden 401 y /cookies-debug ya no existe', async () => {
+        for (const route of ['/sessions', '/cookies', '/config', '/auth/me']) {
+            const { status, body } = await anonymous.get(route);
+            assert.equal(status, 401, route);
+            assert.equal(body.authRequired, true);
+        }
+        assert.equal((await anonymous.delete('/cookies/alguien@example.com')).status, 401);
+        assert.equal((await anonymous.post('/submit-2fa', { sessionId: 'x', code: '123456' })).status, 401);
+
+        // La interfaz sí es pública: muestra el formulario de acceso
+        assert.equal((await fetch(`${baseUrl}/`)).status, 200);
+    });
+
+    it('el panel entra con cookie HttpOnly y sale con /auth/logout', async () => {
+        assert.equal((await signIn('incorrecta')).status, 401);
+
+        const response = await signIn();
+        assert.equal(response.status, 200);
+        const setCookie = response.headers.get('set-cookie');
+        assert.match(setCookie, /fb_auth=/);
+        assert.match(setCookie, /HttpOnly/);
+        assert.match(setCookie, /SameSite=Strict/);
+
+        const cookie = setCookie.split(';')[0];
+        const me = await (await fetch(`${baseUrl}/auth/me`, { headers: { Cookie: cookie } })).json();
+        assert.equal(me.username, TEST_OPERATOR.username);
+        assert.equal(me.role, 'admin');
+        assert.equal((await fetch(`${baseUrl}/cookies-debug/`, { headers: { Cookie: cookie } })).status, 404);
+
+        await fetch(`${baseUrl}/auth/logout`, { method: 'POST', headers: { Cookie: cookie } });
+        assert.equal((await fetch(`${baseUrl}/auth/me`, { headers: { Cookie: cookie } })).status, 401);
+    });
+
+    it('los tokens de API autentican scripts hasta que se revocan', async () => {
+        const cookie = (await signIn()).headers.get('set-cookie').split(';')[0];
+        const created = await fetch(`${baseUrl}/auth/tokens`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({ name: 'cron', role: 'admin' })
+        });
+        assert.equal(created.status, 201);
+        const { token, id } = await created.json();
+
+        const api = createApiClient(baseUrl, { token });
+        const me = await api.get('/auth/me');
+        assert.equal(me.body.type, 'token');
+        assert.equal(me.body.tokenName, 'cron');
+        assert.equal((await api.get('/sessions')).status, 200);
+        assert.equal((await api.get('/auth/tokens')).body.tokens.some(entry => entry.token || entry.hash), false);
+
+        assert.equal((await api.delete(`/auth/tokens/${id}`)).status, 200);
+        assert.equal((await api.get('/sessions')).status, 401);
+    });
+
+    it('cada rol solo accede a sus rutas', async () => {
+        const viewer = createApiClient(baseUrl, { token: await createToken('panel de lectura', 'viewer') });
+        assert.equal((await viewer.get('/sessions')).status, 200);
+        assert.equal((await viewer.get('/cookies')).status, 200);
+        assert.equal((await viewer.get('/auth/me')).body.role, 'viewer');
+        const denied = await viewer.post('/quick-login', { email: 'alguien@example.com' });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.requiredRole, 'operator');
+        assert.equal((await viewer.post('/submit-2fa', { sessionId: 'x', code: '123456' })).status, 403);
+
+        const operator = createApiClient(baseUrl, { token: await createToken('bot de logins') });
+        assert.equal((await operator.get('/auth/me')).body.role, 'operator');
+        assert.equal((await operator.post('/submit-2fa', { sessionId: 'no-existe', code: '123456' })).status, 404);
+        assert.equal((await operator.delete('/cookies/alguien@example.com')).status, 403);
+        assert.equal((await operator.post('/clean-cookies', {})).status, 403);
+        assert.equal((await operator.get('/debug/')).status, 403);
+        assert.equal((await operator.get('/auth/tokens')).status, 403);
+        // Las rutas que no están en la tabla exigen admin
+        assert.equal((await operator.get('/ruta-nueva')).status, 403);
+    });
+
+    it('un cambio de rol se aplica a las sesiones abiertas del operador', async () => {
+        const admin = createApiClient(baseUrl, { token: await createToken('gestión', 'admin') });
+        assert.equal((await admin.put('/auth/operators/luis', { password: 'clave-de-luis', role: 'operator' })).status, 200);
+        assert.equal((await admin.put('/auth/operators/luis', { role: 'jefe' })).status, 400);
+
+        const login = await fetch(`${baseUrl}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'luis', password: 'clave-de-luis' })
+        });
+        const cookie = login.headers.get('set-cookie').split(';')[0];
+        const cancel2FA = () => fetch(`${baseUrl}/cancel-2fa`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({ sessionId: 'no-existe' })
+        });
+        assert.notEqual((await cancel2FA()).status, 403);
+
+        assert.equal((await admin.put('/auth/operators/luis', { role: 'viewer' })).body.sessionsClosed, 0);
+        assert.equal((await cancel2FA()).status, 403);
+        assert.equal((await fetch(`${baseUrl}/cookies`, { headers: { Cookie: cookie } })).status, 200);
+    });
+
+    it('bloquea el acceso tras varios intentos fallidos', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await signIn('incorrecta')).status, 401);
+        }
+        const locked = await signIn();
+        assert.equal(locked.status, 429);
+        assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    });
+});
@@ -0,0 +1,129 @@
+/*****************************************************************
+ * config.test.js – Capas, validación y exposición de la configuración
+ * Cada caso usa su propio directorio base (config.json) y un entorno
+ * aislado, sin tocar process.env.
+ *****************************************************************/
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OPTIONS, loadConfig, publicConfig, parseArgs } = require('../config');
+
+describe('parseArgs', () => {
+    it('acepta --flag valor, --flag=valor, --flag y --no-flag', () => {
+        assert.deepEqual(
+            parseArgs(['--port', '4000', '--slow-mo=0', '--headless', '--no-debug', 'suelto', '--auth']),
+            { port: '4000', 'slow-mo': '0', headless: 'true', debug: 'false', auth: 'true' }
+        );
+    });
+});
+
+describe('loadConfig', () => {
+    let baseDir;
+
+    before(() => {
+        baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-config-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(baseDir, { recursive: true, force: true });
+    });
+
+    const writeConfigFile = values => fs.writeFileSync(path.join(baseDir, 'config.json'), JSON.stringify(values));
+    const load = ({ argv = [], env = {} } = {}) => loadConfig({ argv, env, baseDir });
+
+    it('sin config.json usa los valores por defecto', () => {
+        const config = load();
+        assert.equal(config.port, 3000);
+        assert.equal(config.browser.headless, false);
+        assert.equal(config.dirs.cookies, path.join(baseDir, 'cookies'));
+        assert.equal(config.configFile, null);
+        assert.equal(config.sources.port, 'default');
+        assert.ok(Object.isFrozen(config.browser));
+    });
+
+    it('cada capa sustituye a la anterior: defaults → config.json → entorno → CLI', () => {
+        writeConfigFile({ port: 4000, browser: { slowMo: 100, headless: true }, twoFactor: { ttlMinutes: 20 } });
+        const config = load({
+            env: { PORT: '5000', SLOW_MO: '50' },
+            argv: ['--port', '6000']
+        });
+
+        assert.equal(config.port, 6000);
+        assert.equal(config.browser.slowMo, 50);
+        assert.equal(config.browser.headless, true);
+        assert.equal(config.twoFactor.ttlMinutes, 20);
+        assert.equal(config.twoFactor.maxAttempts, 5);
+        assert.deepEqual(
+            ['port', 'browser.slowMo', 'browser.headless', 'twoFactor.maxAttempts'].map(key => config.sources[key]),
+            ['cli', 'env', 'file', 'default']
+        );
+        assert.equal(config.configFile, path.join(baseDir, 'config.json'));
+    });
+
+    it('los valores vacíos del entorno no sustituyen a las capas anteriores', () => {
+        writeConfigFile({ mailbox: { from: 'ejemplo.com' } });
+        assert.equal(load({ env: { MAILBOX_FROM: '' } }).mailbox.from, 'ejemplo.com');
+    });
+
+    it('rechaza valores fuera de min/max, tipos incorrectos y opciones fuera de choices', () => {
+        writeConfigFile({});
+        assert.throws(() => load({ argv: ['--port', '0'] }), /port \(cli\): debe ser >= 1/);
+        assert.throws(() => load({ env: { PORT: '70000' } }), /port \(env\): debe ser <= 65535/);
+        assert.throws(() => load({ env: { SLOW_MO: 'rápido' } }), /browser\.slowMo \(env\): se esperaba un entero/);
+        assert.throws(() => load({ env: { HEADLESS: 'quizá' } }), /browser\.headless \(env\): se esperaba true\/false/);
+        assert.throws(
+            () => load({ argv: ['--storage-backend', 'redis'] }),
+            /storage\.backend \(cli\): valores válidos: files, database, memory/
+        );
+    });
+
+    it('informa de todos los errores a la vez, con el origen de cada valor', () => {
+        writeConfigFile({ totp: { window: 11 } });
+        assert.throws(
+            () => load({ env: { TWO_FACTOR_MAX_ATTEMPTS: '0' } }),
+            error => /totp\.window \(file\): debe ser <= 10/.test(error.message)
+                && /twoFactor\.maxAttempts \(env\): debe ser >= 1/.test(error.message)
+        );
+    });
+
+    it('un archivo indicado explícitamente debe existir y ser JSON válido', () => {
+        assert.throws(() => load({ env: { FB_CONFIG: 'otro.json' } }), /No existe el archivo de configuración/);
+
+        fs.writeFileSync(path.join(baseDir, 'roto.json'), '{ port: ');
+        assert.throws(() => load({ argv: ['--config', 'roto.json'] }), /Archivo de configuración inválido/);
+    });
+});
+
+describe('publicConfig', () => {
+    it('oculta las opciones secret y deja el resto intacto', () => {
+        const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-config-test-'));
+        try {
+            const config = loadConfig({
+                argv: [],
+                env: { SECRETS_KEY: 'clave-muy-secreta', AUTH_ADMIN_PASSWORD: 'otra-clave', PORT: '4100' },
+                baseDir
+            });
+            const exposed = publicConfig(config);
+
+            assert.equal(exposed.secrets.key, '***');
+            assert.equal(exposed.auth.adminPassword, '***');
+            assert.equal(exposed.inbox.secret, '***');
+            assert.equal(exposed.port, 4100);
+            assert.ok(!JSON.stringify(exposed).includes('clave-muy-secreta'));
+            assert.ok(!JSON.stringify(exposed).includes('otra-clave'));
+
+            // La configuración original no cambia
+            assert.equal(config.secrets.key, 'clave-muy-secreta');
+            assert.deepEqual(
+                OPTIONS.filter(option => option.secret).map(option => option.key).sort(),
+                ['auth.adminPassword', 'inbox.secret', 'secrets.key']
+            );
+        } finally {
+            fs.rmSync(baseDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,133 @@
+/*****************************************************************
+ * cookie-formats.test.js – Exportación e importación de cookies
+ * Las pruebas HTTP importan server.js (no necesitan navegador).
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    COOKIE_FORMATS,
+    normalizeCookie,
+    toNetscape,
+    parseNetscape,
+    toStorageState,
+    parseCookieImport
+} = require('../cookie-formats');
+const { prepareServerEnv, createSignedInApiClient } = require('./support');
+const { startMockFacebook } = require('./mock-facebook');
+
+const IN_A_MONTH = Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
+const COOKIES = [
+    { name: 'c_user', value: '1000123', domain: '.facebook.com', path: '/', expires: IN_A_MONTH, httpOnly: false, secure: true, sameSite: 'None' },
+    { name: 'xs', value: '12%3Aabc', domain: '.facebook.com', path: '/', expires: IN_A_MONTH, httpOnly: true, secure: true, sameSite: 'None' },
+    { name: 'wd', value: '800x600', domain: 'm.facebook.com', path: '/', expires: -1, httpOnly: false, secure: false, sameSite: 'Lax' }
+];
+
+describe('Formatos de cookies', () => {
+    it('cookies.txt de Netscape ida y vuelta, con #HttpOnly_ y cookies de sesión', () => {
+        const text = toNetscape(COOKIES);
+        assert.ok(text.startsWith('# Netscape HTTP Cookie File'));
+        assert.ok(text.includes(`#HttpOnly_.facebook.com\tTRUE\t/\tTRUE\t${IN_A_MONTH}\txs\t12%3Aabc`));
+        assert.ok(text.includes('m.facebook.com\tFALSE\t/\tFALSE\t0\twd\t800x600'));
+
+        const { cookies, errors } = parseNetscape(text);
+        assert.deepEqual(errors, []);
+        // sameSite no existe en cookies.txt: se importa como Lax
+        assert.deepEqual(cookies, COOKIES.map(cookie => ({ ...cookie, sameSite: 'Lax' })));
+
+        assert.match(parseNetscape('.facebook.com\tTRUE\t/\tTRUE\tmañana\txs\t1').errors[0], /línea 1/);
+    });
+
+    it('normaliza cookies de otras herramientas y rechaza las incompletas', () => {
+        const { cookie } = normalizeCookie({ name: 'datr', value: 'x', domain: '.facebook.com', expirationDate: IN_A_MONTH, sameSite: 'no_restriction' });
+        assert.deepEqual(cookie, {
+            name: 'datr', value: 'x', domain: '.facebook.com', path: '/', expires: IN_A_MONTH, httpOnly: false, secure: false, sameSite: 'None'
+        });
+        assert.match(normalizeCookie({ name: 'xs', value: 'x' }).error, /domain/);
+        assert.match(normalizeCookie({ name: 'xs', value: 'x', domain: 'a', sameSite: 'raro' }).error, /sameSite/);
+    });
+
+    it('storageState incluye el localStorage del estado de sesión guardado', () => {
+        const state = toStorageState({ cookies: COOKIES }, { url: 'https://m.facebook.com/home.php', localStorage: { clave: 'valor' } });
+        assert.deepEqual(state.origins, [{ origin: 'https://m.facebook.com', localStorage: [{ name: 'clave', value: 'valor' }] }]);
+        assert.deepEqual(toStorageState({ cookies: COOKIES }).origins, []);
+    });
+
+    it('deduce el formato de lo que se sube', () => {
+        assert.equal(parseCookieImport({ data: toNetscape(COOKIES) }).format, COOKIE_FORMATS.NETSCAPE);
+        assert.equal(parseCookieImport({ data: JSON.stringify({ cookies: COOKIES, origins: [] }) }).format, COOKIE_FORMATS.STORAGE_STATE);
+        assert.equal(parseCookieImport({ data: COOKIES }).cookies.length, 3);
+        assert.equal(parseCookieImport({ data: { email: 'a@b.c', cookies: COOKIES } }).format, COOKIE_FORMATS.JSON);
+
+        assert.match(parseCookieImport({ data: '{ roto' }).errors[0], /JSON inválido/);
+        assert.match(parseCookieImport({ data: [] }).errors[0], /No hay cookies/);
+        assert.match(parseCookieImport({ format: 'har', data: [] }).errors[0], /Formato desconocido/);
+        assert.match(parseCookieImport({}).errors[0], /data/);
+    });
+});
+
+describe('GET /cookies/:email/export y POST /cookies/:email/import', () => {
+    let mockSite, env, server, baseUrl, admin, token;
+
+    before(async () => {
+        mockSite = await startMockFacebook();
+        env = prepareServerEnv(mockSite);
+        mock.method(console, 'log', () => {});
+
+        server = require('../server').startServer(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        admin = await createSignedInApiClient(baseUrl);
+        token = (await admin.post('/auth/tokens', { name: 'descargas', role: 'admin' })).body.token;
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (mockSite) await mockSite.close();
+        if (env) env.cleanup();
+    });
+
+    const download = (email, format) => fetch(
+        `${baseUrl}/cookies/${encodeURIComponent(email)}/export?format=${format}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+    it('importa un cookies.txt en el formato que lee loadCookies y lo exporta en los tres formatos', async () => {
+        const imported = await admin.post('/cookies/tester@example.com/import', { data: toNetscape(COOKIES) });
+        assert.equal(imported.status, 200);
+        assert.equal(imported.body.format, 'netscape');
+        assert.equal(imported.body.imported, 3);
+
+        const saved = JSON.parse(fs.readFileSync(path.join(env.cookiesDir, 'tester_example_com_cookies.json'), 'utf8'));
+        assert.equal(saved.email, 'tester@example.com');
+        assert.equal(saved.cookies.find(cookie => cookie.name === 'xs').httpOnly, true);
+        assert.ok(!Number.isNaN(new Date(saved.timestamp).getTime()));
+
+        const netscape = await download('tester@example.com', 'netscape');
+        assert.equal(netscape.status, 200);
+        assert.match(netscape.headers.get('content-disposition'), /tester_example_com_netscape\.txt/);
+        assert.deepEqual(parseNetscape(await netscape.text()).cookies.map(cookie => cookie.name), ['c_user', 'xs', 'wd']);
+
+        const state = await (await download('tester@example.com', 'storageState')).json();
+        assert.deepEqual(Object.keys(state), ['cookies', 'origins']);
+        assert.equal((await (await download('tester@example.com', 'json')).json()).importedFrom, 'netscape');
+
+        const audit = await admin.get('/audit?email=tester@example.com');
+        assert.deepEqual(audit.body.entries.map(entry => entry.action).sort(), [
+            'cookies.export', 'cookies.export', 'cookies.export', 'cookies.import'
+        ]);
+    });
+
+    it('rechaza formatos y cookies no válidos', async () => {
+        assert.equal((await download('tester@example.com', 'har')).status, 400);
+        assert.equal((await download('nadie@example.com', 'json')).status, 404);
+
+        const invalid = await admin.post('/cookies/tester@example.com/import', { format: 'json', data: [{ name: 'xs', value: 'x' }] });
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body.errors[0], /cookie 1: xs: falta domain/);
+    });
+});
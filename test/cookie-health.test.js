@@ -0,0 +1,97 @@
+/*****************************************************************
+ * cookie-health.test.js – Caducidad de las cookies y estado de la sesión
+ * Las pruebas HTTP importan server.js (no necesitan navegador).
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { HEALTH_STATUS, describeCookie, assessCookieHealth } = require('../cookie-health');
+const { prepareServerEnv, createSignedInApiClient } = require('./support');
+const { startMockFacebook } = require('./mock-facebook');
+
+const NOW = Date.UTC(2025, 0, 1);
+const HOUR = 60 * 60;
+const at = hours => NOW / 1000 + hours * HOUR;
+const cookie = (name, expires, extra = {}) => ({ name, value: 'v', domain: '.facebook.com', path: '/', expires, ...extra });
+const AUTH_COOKIES = [cookie('c_user', at(24 * 90)), cookie('xs', at(24 * 90)), cookie('datr', at(24 * 365)), cookie('fr', at(24 * 90))];
+
+describe('cookie-health', () => {
+    it('describe cada cookie sin su valor', () => {
+        const described = describeCookie(cookie('xs', at(2), { httpOnly: true, secure: true, sameSite: 'None' }), NOW);
+        assert.deepEqual(described, {
+            name: 'xs', domain: '.facebook.com', path: '/', expires: new Date(NOW + 2 * HOUR * 1000).toISOString(),
+            session: false, expired: false, remainingMs: 2 * HOUR * 1000, httpOnly: true, secure: true, sameSite: 'None', auth: true
+        });
+        assert.equal(describeCookie(cookie('wd', -1), NOW).session, true);
+        assert.equal(describeCookie(cookie('fr', at(-1)), NOW).expired, true);
+    });
+
+    it('sana, a punto de caducar o sin cookies de autenticación', () => {
+        const healthy = assessCookieHealth(AUTH_COOKIES, { now: NOW });
+        assert.equal(healthy.status, HEALTH_STATUS.HEALTHY);
+        assert.equal(healthy.nextExpiry, new Date(at(24 * 90) * 1000).toISOString());
+
+        const soon = assessCookieHealth([...AUTH_COOKIES.slice(0, 3), cookie('fr', at(10))], { now: NOW, expiringSoonHours: 24 });
+        assert.equal(soon.status, HEALTH_STATUS.EXPIRING_SOON);
+        assert.deepEqual(soon.expiringSoon, ['fr']);
+
+        const missing = assessCookieHealth([AUTH_COOKIES[0], cookie('xs', at(-5)), AUTH_COOKIES[2]], { now: NOW });
+        assert.equal(missing.status, HEALTH_STATUS.MISSING_AUTH_COOKIES);
+        assert.deepEqual(missing.missing, ['fr']);
+        assert.deepEqual(missing.expired, ['xs']);
+    });
+
+    it('las cookies de sesión y los duplicados no adelantan la caducidad', () => {
+        const cookies = [...AUTH_COOKIES.slice(1), cookie('c_user', -1), cookie('fr', at(1), { domain: 'm.facebook.com' })];
+        assert.equal(assessCookieHealth(cookies, { now: NOW }).status, HEALTH_STATUS.HEALTHY);
+        assert.equal(assessCookieHealth([], { now: NOW }).missing.length, 4);
+    });
+});
+
+describe('GET /cookies/:email/details', () => {
+    let mockSite, env, server, baseUrl, admin;
+
+    before(async () => {
+        mockSite = await startMockFacebook();
+        env = prepareServerEnv(mockSite);
+        mock.method(console, 'log', () => {});
+
+        server = require('../server').startServer(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        admin = await createSignedInApiClient(baseUrl);
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (mockSite) await mockSite.close();
+        if (env) env.cleanup();
+    });
+
+    it('lista cada cookie y el veredicto, también en GET /cookies', async () => {
+        const inAMonth = Math.floor(Date.now() / 1000) + 30 * 24 * HOUR;
+        const cookies = ['c_user', 'xs', 'datr'].map(name => cookie(name, inAMonth, { value: 'secreto' }));
+        fs.mkdirSync(env.cookiesDir, { recursive: true });
+        fs.writeFileSync(
+            path.join(env.cookiesDir, 'tester_example_com_cookies.json'),
+            JSON.stringify({ email: 'tester@example.com', timestamp: new Date().toISOString(), cookies: [...cookies, cookie('wd', -1)] })
+        );
+
+        const details = await admin.get('/cookies/tester@example.com/details');
+        assert.equal(details.status, 200);
+        assert.equal(details.body.count, 4);
+        assert.equal(details.body.health.status, HEALTH_STATUS.MISSING_AUTH_COOKIES);
+        assert.deepEqual(details.body.health.missing, ['fr']);
+        assert.deepEqual(details.body.cookies.map(entry => entry.name), ['c_user', 'datr', 'xs', 'wd']);
+        assert.equal(JSON.stringify(details.body).includes('secreto'), false);
+
+        const listed = await admin.get('/cookies');
+        assert.equal(listed.body.cookies[0].health.status, HEALTH_STATUS.MISSING_AUTH_COOKIES);
+
+        assert.equal((await admin.get('/cookies/nadie@example.com/details')).status, 404);
+    });
+});
@@ -0,0 +1,177 @@
+/*****************************************************************
+ * cookie-validation.test.js – Validación de las cookies guardadas
+ * El validador se prueba con un navegador simulado; las pruebas HTTP
+ * cubren los casos que no abren navegador (ver login-flows.e2e.test.js
+ * para la validación contra el mock con Chromium).
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { VALIDATION_STATUS, createCookieValidator } = require('../cookie-validation');
+const { prepareServerEnv, createSignedInApiClient, waitForJob } = require('./support');
+const { startMockFacebook } = require('./mock-facebook');
+
+const COOKIE_DATA = { email: 'tester@example.com', cookies: [{ name: 'c_user', value: '1', domain: '.facebook.com', path: '/' }] };
+
+/**
+ * Navegador simulado: cada versión responde con la página indicada
+ * @param {Object} pages - { mobile: { url, loggedIn, password }, desktop: ... }
+ * @returns {Object} - { browser, log }
+ */
+function fakeBrowser(pages) {
+    const log = { contexts: [], closedContexts: 0, browserClosed: false };
+    const browser = {
+        newContext: async options => {
+            const version = options.version;
+            log.contexts.push({ version, storageState: options.storageState });
+            return {
+                newPage: async () => {
+                    let url = 'about:blank';
+                    return {
+                        goto: async target => {
+                            if (pages[version].fail) throw new Error('net::ERR_CONNECTION_REFUSED');
+                            url = pages[version].url || target;
+                        },
+                        url: () => url,
+                        textContent: async () => '',
+                        loggedIn: pages[version].loggedIn,
+                        locator: () => ({ count: async () => (pages[version].password ? 1 : 0) })
+                    };
+                },
+                close: async () => { log.closedContexts++; }
+            };
+        },
+        close: async () => { log.browserClosed = true; }
+    };
+    return { browser, log };
+}
+
+function validatorFor(pages) {
+    const { browser, log } = fakeBrowser(pages);
+    const validate = createCookieValidator({
+        launchBrowser: async () => browser,
+        contextOptionsFor: version => ({ version }),
+        baseUrlFor: version => `http://mock/${version}/`,
+        isLoggedIn: async page => Boolean(page.loggedIn),
+        settleMs: 0
+    });
+    return { validate, log };
+}
+
+describe('Validador de cookies', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('válidas con la primera versión: carga las cookies y cierra el navegador', async () => {
+        const { validate, log } = validatorFor({ mobile: { loggedIn: true, url: 'http://mock/mobile/home.php' } });
+        const result = await validate(COOKIE_DATA, 'auto');
+
+        assert.deepEqual(result, { status: VALIDATION_STATUS.VALID, version: 'mobile', url: 'http://mock/mobile/home.php' });
+        assert.deepEqual(log.contexts, [{ version: 'mobile', storageState: { cookies: COOKIE_DATA.cookies, origins: [] } }]);
+        assert.equal(log.closedContexts, 1);
+        assert.equal(log.browserClosed, true);
+    });
+
+    it('con auto prueba desktop si móvil pide contraseña', async () => {
+        const { validate, log } = validatorFor({ mobile: { password: true }, desktop: { password: true } });
+        const result = await validate(COOKIE_DATA, 'auto');
+
+        assert.equal(result.status, VALIDATION_STATUS.EXPIRED);
+        assert.equal(result.version, 'desktop');
+        assert.deepEqual(log.contexts.map(context => context.version), ['mobile', 'desktop']);
+    });
+
+    it('sin sesión ni formulario de login es un checkpoint', async () => {
+        const { validate } = validatorFor({ desktop: { url: 'http://mock/desktop/checkpoint/' } });
+        assert.equal((await validate(COOKIE_DATA, 'desktop')).status, VALIDATION_STATUS.CHECKPOINT);
+    });
+
+    it('cierra el navegador aunque falle la carga y rechaza versiones desconocidas', async () => {
+        const { validate, log } = validatorFor({ mobile: { fail: true } });
+        await assert.rejects(validate(COOKIE_DATA, 'mobile'), /ERR_CONNECTION_REFUSED/);
+        assert.equal(log.closedContexts, 1);
+        assert.equal(log.browserClosed, true);
+
+        await assert.rejects(validate(COOKIE_DATA, 'tablet'), /Versión inválida/);
+        await assert.rejects(validate(COOKIE_DATA, 'toString'), /Versión inválida/);
+    });
+});
+
+describe('POST /cookies/:email/validate y /cookies/validate', () => {
+    let mockSite, env, server, baseUrl, admin;
+
+    before(async () => {
+        mockSite = await startMockFacebook();
+        env = prepareServerEnv(mockSite);
+        mock.method(console, 'log', () => {});
+
+        server = require('../server').startServer(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        admin = await createSignedInApiClient(baseUrl);
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (mockSite) await mockSite.close();
+        if (env) env.cleanup();
+    });
+
+    it('cookies ya caducadas: expired sin abrir navegador, y queda guardado', async () => {
+        fs.mkdirSync(env.cookiesDir, { recursive: true });
+        fs.writeFileSync(
+            path.join(env.cookiesDir, 'tester_example_com_cookies.json'),
+            JSON.stringify({ email: 'tester@example.com', timestamp: new Date().toISOString(), cookies: [] })
+        );
+
+        const { status, body } = await admin.post('/cookies/tester@example.com/validate', { version: 'mobile' });
+        assert.equal(status, 200);
+        assert.equal(body.status, VALIDATION_STATUS.EXPIRED);
+        assert.equal(body.reason, 'auth_cookies');
+        assert.equal(body.version, null);
+
+        const saved = JSON.parse(fs.readFileSync(path.join(env.cookiesDir, 'tester_example_com_cookies.json'), 'utf8'));
+        assert.equal(saved.validation.status, VALIDATION_STATUS.EXPIRED);
+        assert.equal((await admin.get('/cookies')).body.cookies[0].validation.checkedAt, saved.validation.checkedAt);
+
+        const audit = await admin.get('/audit?action=cookies.validate');
+        assert.equal(audit.body.entries[0].outcome, 'failure');
+    });
+
+    it('valida en bloque en un job que resume los resultados', async () => {
+        const started = await admin.post('/cookies/validate', {});
+        assert.equal(started.status, 202);
+        assert.equal(started.body.count, 1);
+        const all = await waitForJob(admin, started.body.jobId);
+        assert.equal(all.type, 'cookies-validate');
+        assert.deepEqual(all.result.summary, { valid: 0, expired: 1, checkpoint: 0, error: 0 });
+
+        const { body } = await admin.post('/cookies/validate', { emails: ['tester@example.com', 'nadie@example.com', 'tester@example.com'] });
+        const some = await waitForJob(admin, body.jobId);
+        assert.equal(some.state, 'succeeded');
+        assert.deepEqual(some.steps.map(entry => entry.step).slice(1, 3), ['1/2:tester@example.com', '2/2:nadie@example.com']);
+        assert.equal(some.result.count, 2);
+        assert.equal(some.result.results[1].error, 'NO_COOKIES');
+        assert.deepEqual(some.result.summary, { valid: 0, expired: 1, checkpoint: 0, error: 1 });
+
+        const audit = await admin.get('/audit?action=cookies.validate&limit=1');
+        assert.equal(audit.body.entries[0].jobId, body.jobId);
+    });
+
+    it('rechaza cuentas sin cookies y peticiones mal formadas', async () => {
+        assert.equal((await admin.post('/cookies/nadie@example.com/validate')).status, 404);
+        assert.equal((await admin.post('/cookies/tester@example.com/validate', { version: 'tablet' })).status, 400);
+        assert.equal((await admin.post('/cookies/tester@example.com/validate', { version: 'constructor' })).status, 400);
+        assert.equal((await admin.post('/cookies/validate', { version: '__proto__' })).status, 400);
+        assert.equal((await admin.post('/cookies/validate', { emails: 'tester@example.com' })).status, 400);
+    });
+});
@@ -0,0 +1,125 @@
+/*****************************************************************
+ * events.test.js – Bus de eventos y stream SSE de /events
+ * El stream se prueba sobre una app Express mínima, sin navegador.
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { EVENT_TYPES, createEventBus } = require('../events');
+
+/**
+ * Lee bloques SSE de un stream de fetch hasta reunir `count` eventos
+ * @returns {Array<Object>} - [{ id, event, data }]
+ */
+async function readEvents(response, count) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const received = [];
+    let buffer = '';
+
+    while (received.length < count) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let separator;
+        while ((separator = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, separator);
+            buffer = buffer.slice(separator + 2);
+            const fields = {};
+            block.split('\n').forEach(line => {
+                const index = line.indexOf(': ');
+                if (index > 0) fields[line.slice(0, index)] = line.slice(index + 2);
+            });
+            if (fields.event) {
+                received.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+            }
+        }
+    }
+
+    await reader.cancel();
+    return received;
+}
+
+describe('createEventBus', () => {
+    it('publica a los suscriptores y permite cancelar la suscripción', () => {
+        const bus = createEventBus();
+        const seen = [];
+        const unsubscribe = bus.subscribe(event => seen.push(event.type));
+
+        const first = bus.publish(EVENT_TYPES.SESSION_OPENED, { sessionId: 's1' });
+        unsubscribe();
+        bus.publish(EVENT_TYPES.SESSION_CLOSED, { sessionId: 's1' });
+
+        assert.deepEqual(seen, [EVENT_TYPES.SESSION_OPENED]);
+        assert.equal(first.id, 1);
+        assert.deepEqual(first.data, { sessionId: 's1' });
+        assert.ok(first.at);
+    });
+
+    it('conserva un historial limitado para reenvío', () => {
+        const bus = createEventBus({ historySize: 2 });
+        bus.publish(EVENT_TYPES.LOGIN_STEP, { state: 'navigating' });
+        bus.publish(EVENT_TYPES.LOGIN_STEP, { state: 'credentials' });
+        bus.publish(EVENT_TYPES.LOGIN_STEP, { state: 'submitted' });
+
+        assert.deepEqual(bus.history().map(event => event.id), [2, 3]);
+        assert.deepEqual(bus.history(2).map(event => event.data.state), ['submitted']);
+    });
+});
+
+describe('sseHandler', () => {
+    const bus = createEventBus();
+    const app = express();
+    app.get('/events', bus.sseHandler);
+    const server = app.listen(0);
+    const baseUrl = () => `http://127.0.0.1:${server.address().port}`;
+
+    // Los logs de conexión se escriben desde callbacks del servidor, entre mensajes del
+    // runner; en Node 20 eso puede romper el parser del stdout del proceso hijo
+    before(() => mock.method(console, 'log', () => {}));
+
+    after(() => {
+        mock.restoreAll();
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    async function waitForClients(count) {
+        while (bus.clientCount !== count) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    it('emite eventos en formato SSE filtrados por ?types', async () => {
+        const response = await fetch(`${baseUrl()}/events?types=${EVENT_TYPES.COOKIES_SAVED},${EVENT_TYPES.CLEANUP}`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+        await waitForClients(1);
+
+        bus.publish(EVENT_TYPES.LOGIN_STEP, { state: 'navigating' });
+        bus.publish(EVENT_TYPES.COOKIES_SAVED, { email: 'a@example.com' });
+        bus.publish(EVENT_TYPES.CLEANUP, { filesDeleted: 2 });
+
+        const received = await readEvents(response, 2);
+        assert.deepEqual(received.map(event => event.event), [EVENT_TYPES.COOKIES_SAVED, EVENT_TYPES.CLEANUP]);
+        assert.equal(received[0].data.email, 'a@example.com');
+        assert.ok(received[0].data.at);
+        await waitForClients(0);
+    });
+
+    it('reenvía lo perdido a partir de Last-Event-ID', async () => {
+        const seen = bus.publish(EVENT_TYPES.LOGIN_STEP, { state: 'navigating' });
+        bus.publish(EVENT_TYPES.SESSION_OPENED, { sessionId: 'perdida-1' });
+        bus.publish(EVENT_TYPES.SESSION_CLOSED, { sessionId: 'perdida-1', reason: 'manual' });
+
+        const response = await fetch(`${baseUrl()}/events`, { headers: { 'Last-Event-ID': String(seen.id) } });
+        const received = await readEvents(response, 2);
+
+        assert.deepEqual(received.map(event => event.id), [seen.id + 1, seen.id + 2]);
+        assert.equal(received[1].data.reason, 'manual');
+        await waitForClients(0);
+    });
+});
@@ -0,0 +1,85 @@
+/*****************************************************************
+ * fixture-harness.js – Carga páginas HTML guardadas en un Chromium headless
+ * Cada fixture declara su URL con <meta name="fixture-url">; la página se
+ * sirve interceptando esa URL (también al recargar) y se bloquea todo lo demás.
+ * Los elementos con data-fixture-id registran los clicks que reciben.
+ *****************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'pages');
+
+/**
+ * Lee un fixture y su URL declarada
+ * @param {string} name - Nombre sin extensión (ej: 'two-factor.es')
+ * @returns {Object} - { name, url, html }
+ */
+function readFixture(name) {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+    const match = html.match(/<meta name="fixture-url" content="([^"]+)">/);
+    if (!match) {
+        throw new Error(`El fixture ${name} no declara <meta name="fixture-url">`);
+    }
+    return { name, url: match[1], html };
+}
+
+/**
+ * Lista los fixtures disponibles
+ * @returns {Array<string>} - Nombres sin extensión
+ */
+function listFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.html'))
+        .map(file => file.replace(/\.html$/, ''))
+        .sort();
+}
+
+/**
+ * Crea un harness con un navegador headless compartido
+ * @returns {Promise<Object>} - { open, close }
+ */
+async function createFixtureHarness() {
+    const browser = await chromium.launch({ headless: true });
+
+    /**
+     * Abre un fixture en un contexto nuevo
+     * @param {string} name - Nombre del fixture
+     * @returns {Promise<Object>} - { page, clicks, close }
+     */
+    const open = async (name) => {
+        const fixture = readFixture(name);
+        const context = await browser.newContext();
+        const clicks = [];
+
+        await context.route('**/*', route => {
+            if (route.request().url() === fixture.url) {
+                return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: fixture.html });
+            }
+            return route.abort();
+        });
+
+        await context.exposeBinding('__fixtureClick', (source, id) => clicks.push(id));
+        await context.addInitScript(() => {
+            document.addEventListener('click', event => {
+                const target = event.target.closest && event.target.closest('[data-fixture-id]');
+                if (target) window.__fixtureClick(target.dataset.fixtureId);
+            }, true);
+        });
+
+        const page = await context.newPage();
+        await page.goto(fixture.url, { waitUntil: 'domcontentloaded' });
+
+        return { page, clicks, close: () => context.close() };
+    };
+
+    return { open, close: () => browser.close() };
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    readFixture,
+    listFixtures,
+    createFixtureHarness
+};
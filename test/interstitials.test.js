@@ -0,0 +1,159 @@
+/*****************************************************************
+ * interstitials.test.js – Pipeline de pantallas intermedias post-login
+ * El clasificador se inyecta, así que no hace falta navegador: la
+ * "página" es un objeto cuyo estado cambian los handlers.
+ *****************************************************************/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PAGE_STATES } = require('../login-state');
+const {
+    DEFAULT_INTERSTITIALS,
+    createInterstitialPipeline,
+    createDefaultInterstitialPipeline
+} = require('../interstitials');
+
+const { LOGGED_IN, SAVE_LOGIN_DIALOG, DEVICE_TRUST_DIALOG, NOT_LOGGED_IN } = PAGE_STATES;
+
+// Página falsa: una cola de estados que avanza cada vez que un handler actúa
+function fakePage(states, extra = {}) {
+    return { states: [...states], calls: [], ...extra };
+}
+
+const classify = async page => page.states[0];
+
+function dialogHandler(name, pageState, options = {}) {
+    return {
+        name,
+        detect: async (page, context) => context.pageState === pageState,
+        handle: async page => {
+            page.calls.push(name);
+            if (!options.stuck) page.states.shift();
+            return true;
+        },
+        ...options
+    };
+}
+
+describe('createInterstitialPipeline', () => {
+    it('encadena diálogos hasta que la página queda logueada', async () => {
+        const pipeline = createInterstitialPipeline({ classify })
+            .register(dialogHandler('save_login', SAVE_LOGIN_DIALOG))
+            .register(dialogHandler('device_trust', DEVICE_TRUST_DIALOG));
+        const page = fakePage([DEVICE_TRUST_DIALOG, SAVE_LOGIN_DIALOG, LOGGED_IN]);
+
+        const seen = [];
+        const result = await pipeline.run(page, { onHandled: ({ name }) => seen.push(name) });
+
+        assert.deepEqual(page.calls, ['device_trust', 'save_login']);
+        assert.deepEqual(seen, ['device_trust', 'save_login']);
+        assert.equal(result.pageState, LOGGED_IN);
+        assert.equal(result.loggedIn, true);
+        assert.deepEqual(result.handled.map(entry => [entry.name, entry.pageState]), [
+            ['device_trust', DEVICE_TRUST_DIALOG],
+            ['save_login', SAVE_LOGIN_DIALOG]
+        ]);
+    });
+
+    it('respeta la prioridad cuando varios detectores coinciden', async () => {
+        const always = (name, priority) => ({
+            name,
+            priority,
+            detect: async () => true,
+            handle: async page => {
+                page.calls.push(name);
+                page.states.shift();
+                return true;
+            }
+        });
+        const pipeline = createInterstitialPipeline({ classify })
+            .register(always('baja', 1))
+            .register(always('alta', 10));
+        const page = fakePage([NOT_LOGGED_IN, LOGGED_IN]);
+
+        await pipeline.run(page);
+        assert.deepEqual(page.calls, ['alta']);
+        assert.deepEqual(pipeline.list().map(handler => handler.name), ['alta', 'baja']);
+    });
+
+    it('limita cada handler a maxAttempts aunque el diálogo no desaparezca', async () => {
+        const pipeline = createInterstitialPipeline({ classify })
+            .register(dialogHandler('save_login', SAVE_LOGIN_DIALOG, { stuck: true, maxAttempts: 3 }));
+        const page = fakePage([SAVE_LOGIN_DIALOG]);
+
+        const result = await pipeline.run(page);
+        assert.deepEqual(page.calls, ['save_login', 'save_login', 'save_login']);
+        // Un diálogo post-login implica que las credenciales fueron aceptadas
+        assert.equal(result.loggedIn, true);
+    });
+
+    it('termina sin ejecutar nada cuando ningún detector coincide', async () => {
+        const pipeline = createInterstitialPipeline({ classify })
+            .register(dialogHandler('save_login', SAVE_LOGIN_DIALOG));
+        const page = fakePage([NOT_LOGGED_IN]);
+
+        const result = await pipeline.run(page);
+        assert.deepEqual(result.handled, []);
+        assert.equal(result.loggedIn, false);
+    });
+
+    it('solo evalúa handlers whenLoggedIn sobre una página ya logueada', async () => {
+        const popup = {
+            name: 'popup',
+            whenLoggedIn: true,
+            detect: async page => page.popup,
+            handle: async page => {
+                page.popup = false;
+                page.calls.push('popup');
+                return true;
+            }
+        };
+        const pipeline = createInterstitialPipeline({ classify })
+            .register({ ...dialogHandler('cualquiera', LOGGED_IN), priority: 100 })
+            .register(popup);
+        const page = fakePage([LOGGED_IN], { popup: true });
+
+        const result = await pipeline.run(page);
+        assert.deepEqual(page.calls, ['popup']);
+        assert.equal(result.pageState, LOGGED_IN);
+    });
+
+    it('un detector o handler que falla no corta el pipeline', async () => {
+        const pipeline = createInterstitialPipeline({ classify })
+            .register({ name: 'roto', priority: 10, detect: async () => { throw new Error('boom'); }, handle: async () => true })
+            .register({
+                name: 'explota',
+                priority: 5,
+                detect: async (page, { pageState }) => pageState === DEVICE_TRUST_DIALOG,
+                handle: async page => {
+                    page.states.shift();
+                    throw new Error('click fallido');
+                }
+            });
+        const page = fakePage([DEVICE_TRUST_DIALOG, LOGGED_IN]);
+
+        const result = await pipeline.run(page);
+        assert.deepEqual(result.handled.map(entry => [entry.name, entry.result]), [['explota', false]]);
+        assert.equal(result.loggedIn, true);
+    });
+
+    it('valida los registros', () => {
+        const pipeline = createInterstitialPipeline({ classify });
+        pipeline.register(dialogHandler('save_login', SAVE_LOGIN_DIALOG));
+
+        assert.throws(() => pipeline.register(dialogHandler('save_login', SAVE_LOGIN_DIALOG)), /ya registrado/);
+        assert.throws(() => pipeline.register({ name: 'x', detect: async () => true }), /requiere/);
+        assert.throws(() => pipeline.register({ ...dialogHandler('y', LOGGED_IN), maxAttempts: 0 }), /maxAttempts/);
+        assert.equal(pipeline.unregister('save_login'), true);
+        assert.equal(pipeline.unregister('save_login'), false);
+    });
+});
+
+describe('createDefaultInterstitialPipeline', () => {
+    it('registra los handlers por defecto en orden de prioridad', () => {
+        const names = createDefaultInterstitialPipeline({ classify }).list().map(handler => handler.name);
+        assert.deepEqual(names, ['device_trust', 'save_login', 'chrome_popup']);
+        assert.equal(DEFAULT_INTERSTITIALS.find(handler => handler.name === 'chrome_popup').whenLoggedIn, true);
+    });
+});
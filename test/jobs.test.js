@@ -0,0 +1,93 @@
+/*****************************************************************
+ * jobs.test.js – Registro de jobs de login asíncronos
+ *****************************************************************/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { JOB_STATES, createJob, getJob, listJobs } = require('../jobs');
+
+let counter = 0;
+const uniqueEmail = () => `job-${process.pid}-${++counter}@example.com`;
+
+describe('createJob', () => {
+    it('devuelve el job en ejecución y registra pasos hasta el resultado', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const email = uniqueEmail();
+
+        const job = createJob('login', { email, version: 'auto' }, async current => {
+            current.setStep('mobile:navigating', 'sesion-1');
+            current.setStep('mobile:credentials', 'sesion-1');
+            current.setStep('mobile:credentials', 'sesion-1'); // repetido: se ignora
+            await gate;
+            return { success: true, sessionId: 'sesion-1', version: 'mobile' };
+        });
+
+        assert.equal(job.state, JOB_STATES.RUNNING);
+        assert.equal(getJob(job.id), job);
+
+        // Dejar correr la tarea hasta el punto de espera
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(job.toJSON().step, 'mobile:credentials');
+        assert.equal(job.toJSON().finishedAt, null);
+
+        release();
+        await job.done;
+
+        const json = job.toJSON();
+        assert.equal(json.state, JOB_STATES.SUCCEEDED);
+        assert.equal(json.email, email);
+        assert.equal(json.sessionId, 'sesion-1');
+        assert.deepEqual(json.steps.map(entry => entry.step), ['started', 'mobile:navigating', 'mobile:credentials', 'finished']);
+        assert.ok(json.elapsedMs >= 0);
+        assert.deepEqual(json.result, { success: true, sessionId: 'sesion-1', version: 'mobile' });
+    });
+
+    it('clasifica resultados de 2FA, control manual, fallos y excepciones', async () => {
+        const twoFactor = createJob('login', { email: uniqueEmail() }, async () => ({ success: false, requires2FA: true, sessionId: 's' }));
+        const manual = createJob('login', { email: uniqueEmail() }, async () => ({ success: false, requiresManual: true, sessionId: 'm' }));
+        const failed = createJob('login', { email: uniqueEmail() }, async () => ({ success: false, error: 'BOTH_VERSIONS_FAILED' }));
+        const crashed = createJob('login', { email: uniqueEmail() }, async () => { throw new Error('navegador caído'); });
+
+        await Promise.all([twoFactor.done, manual.done, failed.done, crashed.done]);
+
+        assert.equal(twoFactor.state, JOB_STATES.REQUIRES_2FA);
+        assert.equal(manual.state, JOB_STATES.REQUIRES_MANUAL);
+        assert.equal(failed.state, JOB_STATES.FAILED);
+        assert.equal(failed.error, null);
+        assert.equal(crashed.state, JOB_STATES.FAILED);
+        assert.equal(crashed.error, 'navegador caído');
+        assert.equal(crashed.toJSON().step, 'error');
+    });
+
+    it('no acepta pasos después de terminar', async () => {
+        const job = createJob('quick-login', { email: uniqueEmail() }, async () => ({ success: true }));
+        await job.done;
+        job.setStep('mobile:two_factor');
+        assert.equal(job.step, 'finished');
+    });
+});
+
+describe('listJobs', () => {
+    it('lista los más recientes primero y filtra por estado, email y límite', async () => {
+        const email = uniqueEmail();
+        const first = createJob('login', { email }, async () => ({ success: true }));
+        const second = createJob('login', { email }, async () => ({ success: false }));
+        await Promise.all([first.done, second.done]);
+
+        assert.deepEqual(listJobs({ email }).map(job => job.id), [second.id, first.id]);
+        assert.deepEqual(listJobs({ email, state: JOB_STATES.SUCCEEDED }).map(job => job.id), [first.id]);
+        assert.equal(listJobs({ email, limit: 1 }).length, 1);
+        assert.equal(getJob('no-existe'), null);
+    });
+
+    it('el filtro por email incluye los jobs de varias cuentas', async () => {
+        const email = uniqueEmail();
+        const bulk = createJob('cookies-validate', { emails: [uniqueEmail(), email] }, async () => ({ success: true }));
+        await bulk.done;
+
+        assert.deepEqual(listJobs({ email }).map(job => job.id), [bulk.id]);
+        assert.equal(bulk.toJSON().emails.length, 2);
+    });
+});
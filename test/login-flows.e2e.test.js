@@ -0,0 +1,601 @@
+/*****************************************************************
+ * login-flows.e2e.test.js – Flujos completos de la API contra el mock
+ * Recorre /login, /quick-login, /submit-2fa y /cancel-2fa con un
+ * Chromium headless real apuntando a test/mock-facebook.js
+ *****************************************************************/
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { startMockFacebook } = require('./mock-facebook');
+const { startMockImap } = require('./mock-imap');
+const { TEST_OPERATOR, BROWSER_SKIP_REASON, prepareServerEnv, createApiClient, createSignedInApiClient, waitForJob } = require('./support');
+const { generateTotp } = require('../totp');
+
+const FLOW_TIMEOUT = 180000;
+const EMAIL = 'tester@example.com';
+const PASSWORD = 'secret';
+
+describe('Flujos de login (e2e contra mock)', { skip: BROWSER_SKIP_REASON }, () => {
+    let mock, env, server, baseUrl, api, serverModule;
+
+    before(async () => {
+        mock = await startMockFacebook();
+        env = prepareServerEnv(mock);
+        // Dos códigos 2FA por sesión: basta para probar el agotamiento de intentos
+        process.env.TWO_FACTOR_MAX_ATTEMPTS = '2';
+        process.env.SECRETS_KEY = 'clave-de-los-tests';
+        process.env.MAILBOX_POLL_INTERVAL_SECONDS = '1';
+        process.env.TWO_FACTOR_INBOX_SECRET = 'secreto-del-webhook';
+
+        // La configuración se lee al importar server.js, después de preparar el entorno
+        serverModule = require('../server');
+        server = serverModule.startServer(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        api = await createSignedInApiClient(baseUrl);
+    });
+
+    afterEach(async () => {
+        const { activeSessions, pending2FASessions, closeSession } = serverModule;
+        pending2FASessions.clear();
+        for (const sessionId of Object.keys(activeSessions)) {
+            await closeSession(sessionId);
+        }
+    });
+
+    after(async () => {
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (mock) await mock.close();
+        if (env) env.cleanup();
+    });
+
+    describe('POST /login', () => {
+        it('valida campos requeridos', async () => {
+            const { status, body } = await api.post('/login', { email: EMAIL });
+            assert.equal(status, 400);
+            assert.match(body.error, /requeridos/);
+        });
+
+        it('login móvil directo guarda cookies', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('success');
+            const { status, body } = await api.post('/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+
+            assert.equal(status, 200, body.message);
+            assert.equal(body.success, true);
+            assert.equal(body.version, 'mobile');
+            assert.ok(body.sessionId);
+            assert.ok(mock.eventNames().includes('login:submit'));
+            assert.ok(fs.existsSync(path.join(env.cookiesDir, 'tester_example_com_cookies.json')));
+            assert.ok(fs.existsSync(path.join(env.cookiesDir, 'tester_example_com_session.json')));
+            // Con SECRETS_KEY las cookies se guardan cifradas
+            const saved = JSON.parse(fs.readFileSync(path.join(env.cookiesDir, 'tester_example_com_cookies.json'), 'utf8'));
+            assert.equal(saved.cookies, undefined);
+            assert.ok(saved.encrypted);
+
+            const sessions = await api.get('/sessions');
+            assert.equal(sessions.body.count, 1);
+            assert.equal(sessions.body.sessions[0].loginState, 'logged_in');
+
+            const state = await api.get(`/login-states/${body.sessionId}`);
+            assert.deepEqual(
+                state.body.history.map(entry => entry.state),
+                ['navigating', 'credentials', 'submitted', 'logged_in']
+            );
+        });
+
+        it('contraseña incorrecta devuelve 401 sin 2FA', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('success');
+            const { status, body } = await api.post('/login', { email: EMAIL, password: 'incorrecta', version: 'mobile' });
+
+            assert.equal(status, 401);
+            assert.equal(body.success, false);
+            assert.equal(body.requires2FA, false);
+            assert.equal(body.loginState.state, 'failed');
+            assert.ok(mock.eventNames().includes('login:wrong-password'));
+
+            const sessions = await api.get('/sessions');
+            assert.equal(sessions.body.count, 0);
+        });
+
+        it('maneja la página FacebookLoading / "Try Again"', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('loading');
+            const { status, body } = await api.post('/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+
+            assert.equal(status, 200, body.message);
+            assert.deepEqual(
+                mock.eventNames().filter(name => name.startsWith('loading:')),
+                ['loading:shown', 'loading:retry']
+            );
+        });
+
+        it('descarta el diálogo "¿Guardar tu información de inicio de sesión?" (desktop)', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('save_login');
+            const { status, body } = await api.post('/login', { email: EMAIL, password: PASSWORD, version: 'desktop' });
+
+            assert.equal(status, 200, body.message);
+            assert.equal(body.version, 'desktop');
+            assert.ok(mock.eventNames().includes('save_login:not_now'));
+        });
+    });
+
+    describe('POST /jobs/login', () => {
+        it('valida campos requeridos', async () => {
+            const { status } = await api.post('/jobs/login', { email: EMAIL });
+            assert.equal(status, 400);
+
+            // quickLogin: 'false' no lanza un quick login y los valores que no son booleanos se rechazan
+            const notQuick = await api.post('/jobs/login', { email: EMAIL, quickLogin: 'false' });
+            assert.equal(notQuick.status, 400);
+            assert.match(notQuick.body.error, /contraseña/);
+            const invalid = await api.post('/jobs/login', { email: EMAIL, quickLogin: 'no' });
+            assert.equal(invalid.status, 400);
+            assert.match(invalid.body.error, /quickLogin/);
+        });
+
+        it('devuelve 202 y el job informa pasos y resultado', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('success');
+            const { status, body } = await api.post('/jobs/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+            assert.equal(status, 202);
+            assert.equal(body.state, 'running');
+
+            const job = await waitForJob(api, body.jobId);
+            assert.equal(job.state, 'succeeded', JSON.stringify(job.result));
+            assert.equal(job.result.success, true);
+            assert.ok(job.sessionId);
+            assert.ok(job.steps.map(entry => entry.step).includes('mobile:credentials'));
+
+            const list = await api.get('/jobs?limit=5');
+            assert.ok(list.body.jobs.some(entry => entry.id === body.jobId));
+        });
+
+        it('termina en requires_2fa cuando el sitio pide código', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('two_factor');
+            const { body } = await api.post('/jobs/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+
+            const job = await waitForJob(api, body.jobId);
+            assert.equal(job.state, 'requires_2fa');
+            assert.equal(job.result.requires2FA, true);
+            assert.equal(job.step, 'finished');
+        });
+    });
+
+    describe('2FA', () => {
+        async function loginUntil2FA(version = 'mobile') {
+            const { status, body } = await api.post('/login', { email: EMAIL, password: PASSWORD, version });
+            assert.equal(status, 401, body.message);
+            assert.equal(body.requires2FA, true);
+            assert.equal(body.version, version);
+            assert.equal(body.loginState.state, 'two_factor');
+            return body.sessionId;
+        }
+
+        it('código incorrecto y luego correcto', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('two_factor');
+            const sessionId = await loginUntil2FA();
+
+            const pending = await api.get('/pending-2fa');
+            assert.deepEqual(pending.body.pendingSessions.map(s => s.sessionId), [sessionId]);
+            assert.equal(pending.body.pendingSessions[0].attemptsLeft, 2);
+            assert.ok(pending.body.pendingSessions[0].expiresInSeconds > 0);
+
+            const wrong = await api.post('/submit-2fa', { sessionId, code: '000000' });
+            assert.equal(wrong.body.success, false);
+            assert.equal(wrong.body.stillRequires2FA, true);
+            assert.equal(wrong.body.twoFactor.attemptsLeft, 1);
+            assert.ok(mock.eventNames().includes('two_factor:wrong-code'));
+
+            const right = await api.post('/submit-2fa', { sessionId, code: mock.scenario.code });
+            assert.equal(right.body.success, true, right.body.message);
+            assert.equal(right.body.loginCompleted, true);
+            assert.equal(right.body.loginState.state, 'logged_in');
+            assert.deepEqual(
+                right.body.loginState.history.slice(3).map(entry => entry.state),
+                ['two_factor', 'submitted', 'two_factor', 'submitted', 'logged_in']
+            );
+
+            const after2FA = await api.get('/pending-2fa');
+            assert.equal(after2FA.body.pendingSessions.length, 0);
+
+            const audit = await api.get(`/audit?sessionId=${sessionId}`);
+            assert.deepEqual(
+                audit.body.entries.map(entry => `${entry.action}:${entry.outcome}`),
+                ['2fa.submit:success', '2fa.submit:failure', 'login:pending']
+            );
+            assert.equal(audit.body.entries[0].actor, TEST_OPERATOR.username);
+            assert.equal(audit.body.entries[0].email, EMAIL);
+        });
+
+        it('dos envíos a la vez: el segundo espera y encuentra la sesión ya resuelta', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('two_factor');
+            const sessionId = await loginUntil2FA();
+
+            const [first, second] = await Promise.all([
+                api.post('/submit-2fa', { sessionId, code: mock.scenario.code }),
+                api.post('/submit-2fa', { sessionId, code: mock.scenario.code })
+            ]);
+            assert.equal(first.status, 200);
+            assert.equal(first.body.loginCompleted, true, first.body.message);
+            assert.equal(second.status, 409);
+            assert.equal(second.body.stillRequires2FA, false);
+
+            const audit = await api.get(`/audit?sessionId=${sessionId}&action=2fa.submit`);
+            assert.deepEqual(audit.body.entries.map(entry => entry.outcome), ['failure', 'success']);
+        });
+
+        it('diálogo "Confiar en este dispositivo" después del código', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('device_trust');
+            const sessionId = await loginUntil2FA();
+
+            const { body } = await api.post('/submit-2fa', { sessionId, code: mock.scenario.code });
+            assert.equal(body.success, true, body.message);
+            assert.ok(mock.eventNames().includes('device_trust:trust'));
+        });
+
+        it('cierra el popup de notificaciones de Chrome', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('chrome_popup');
+            const sessionId = await loginUntil2FA('desktop');
+
+            const { body } = await api.post('/submit-2fa', { sessionId, code: mock.scenario.code });
+            assert.equal(body.success, true, body.message);
+            assert.ok(mock.eventNames().includes('chrome_popup:close'));
+        });
+
+        it('una pantalla no reconocida tras aceptar el código no cuenta como intento', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario({ twoFactor: true, interstitials: ['checkpoint'] });
+            const sessionId = await loginUntil2FA();
+
+            const { body } = await api.post('/submit-2fa', { sessionId, code: mock.scenario.code });
+            assert.equal(body.success, false);
+            assert.equal(body.stillRequires2FA, false);
+            assert.equal(body.requiresManual, true);
+            assert.equal(body.loginState.state, 'manual');
+
+            const pending = await api.get('/pending-2fa');
+            assert.equal(pending.body.pendingSessions.length, 0);
+            assert.ok(serverModule.activeSessions[sessionId], 'la sesión queda abierta para control manual');
+        });
+
+        it('POST /cancel-2fa cierra la sesión pendiente', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('two_factor');
+            const sessionId = await loginUntil2FA();
+
+            const { status, body } = await api.post('/cancel-2fa', { sessionId });
+            assert.equal(status, 200);
+            assert.equal(body.success, true);
+
+            const pending = await api.get('/pending-2fa');
+            assert.equal(pending.body.pendingSessions.length, 0);
+            const sessions = await api.get('/sessions');
+            assert.equal(sessions.body.count, 0);
+
+            const state = await api.get(`/login-states/${sessionId}`);
+            assert.equal(state.body.state, 'failed');
+
+            const audit = await api.get(`/audit?sessionId=${sessionId}`);
+            assert.deepEqual(audit.body.entries.map(entry => entry.action), ['session.close', '2fa.cancel', 'login']);
+            assert.equal(audit.body.entries[1].actorType, 'token');
+        });
+
+        it('agotar los intentos cancela la sesión', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('two_factor');
+            const sessionId = await loginUntil2FA();
+
+            await api.post('/submit-2fa', { sessionId, code: '000000' });
+            const { body } = await api.post('/submit-2fa', { sessionId, code: '111111' });
+            assert.equal(body.success, false);
+            assert.equal(body.attemptsExceeded, true);
+            assert.equal(body.stillRequires2FA, false);
+
+            assert.equal((await api.get('/pending-2fa')).body.pendingSessions.length, 0);
+            const sessions = await api.get('/sessions');
+            assert.equal(sessions.body.count, 0);
+            assert.equal(sessions.body.recentlyClosed[0].reason, '2fa_attempts_exceeded');
+            assert.equal((await api.get(`/login-states/${sessionId}`)).body.state, 'failed');
+        });
+
+        it('con secreto TOTP registrado el login envía el código solo', { timeout: FLOW_TIMEOUT }, async () => {
+            const totpEmail = 'totp@example.com';
+            const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+            const registered = await api.put(`/totp/${totpEmail}`, { secret });
+            assert.equal(registered.status, 200, registered.body.message);
+            assert.equal(registered.body.account.secret, undefined);
+            
+            // El mock acepta el código del paso siguiente: el primero se rechaza y se reintenta
+            mock.setScenario('two_factor', { code: generateTotp(secret, { offset: 1 }) });
+            const { status, body } = await api.post('/login', { email: totpEmail, password: PASSWORD, version: 'mobile' });
+            assert.equal(status, 200, body.message);
+            assert.equal(body.success, true);
+            assert.equal(body.loginState.state, 'logged_in');
+            assert.ok(body.loginState.history.some(entry => entry.detail === 'code:totp'));
+
+            const removed = await api.delete(`/totp/${totpEmail}`);
+            assert.equal(removed.status, 200);
+            assert.equal((await api.get('/totp')).body.accounts.length, 0);
+        });
+
+        it('PUT /totp valida el secreto y /submit-2fa exige uno registrado', { timeout: FLOW_TIMEOUT }, async () => {
+            const invalid = await api.put(`/totp/${EMAIL}`, { secret: 'no-es-base32!' });
+            assert.equal(invalid.status, 400);
+
+            mock.setScenario('two_factor');
+            const sessionId = await loginUntil2FA();
+            const { status } = await api.post('/submit-2fa', { sessionId, source: 'totp' });
+            assert.equal(status, 400);
+        });
+
+        it('lee el código del correo que llega al buzón registrado', { timeout: FLOW_TIMEOUT }, async () => {
+            const imap = await startMockImap();
+            const mailEmail = 'buzon-2fa@example.com';
+            try {
+                const registered = await api.put(`/mailboxes/${mailEmail}`, {
+                    host: imap.host, port: imap.port, secure: false, user: imap.user, password: imap.password
+                });
+                assert.equal(registered.status, 200, registered.body.message);
+                assert.equal(registered.body.mailbox.password, undefined);
+                assert.equal((await api.post(`/mailboxes/${mailEmail}/test`)).body.success, true);
+
+                mock.setScenario('two_factor');
+                const login = await api.post('/login', { email: mailEmail, password: PASSWORD, version: 'mobile' });
+                assert.equal(login.body.requires2FA, true);
+                assert.equal(login.body.watchingMailbox, true);
+
+                imap.addMessage({ subject: `${mock.scenario.code} es tu código de seguridad de Facebook` });
+                const { body } = await api.post('/submit-2fa', { sessionId: login.body.sessionId, source: 'email' });
+                assert.equal(body.success, true, body.message);
+                assert.ok(body.loginState.history.some(entry => entry.detail === 'code:email'));
+            } finally {
+                await api.delete(`/mailboxes/${mailEmail}`);
+                await imap.close();
+            }
+        });
+
+        it('POST /2fa-inbox envía el código del SMS a la sesión del teléfono', { timeout: FLOW_TIMEOUT }, async () => {
+            const secret = 'secreto-del-webhook';
+            // El reenviador de SMS no tiene token de API: solo el secreto del webhook
+            const webhook = createApiClient(baseUrl);
+            const denied = await webhook.post('/2fa-inbox', { secret: 'otro', message: 'Código 123456' });
+            assert.equal(denied.status, 401);
+
+            assert.equal((await api.put(`/2fa-inbox/phones/${EMAIL}`, { phone: '+34 600 11 22 33' })).status, 200);
+            const unmatched = await webhook.post('/2fa-inbox', { secret, recipient: '600112233', message: 'Código 123456' });
+            assert.equal(unmatched.status, 404);
+
+            mock.setScenario('two_factor');
+            const sessionId = await loginUntil2FA();
+            const { status, body } = await webhook.post('/2fa-inbox', {
+                secret,
+                recipient: '600112233',
+                message: `${mock.scenario.code} es tu código de Facebook`
+            });
+            assert.equal(status, 202, body.message);
+            assert.equal(body.sessionId, sessionId);
+
+            let entry;
+            for (let i = 0; i < 60 && entry?.outcome !== 'accepted'; i++) {
+                await new Promise(resolve => setTimeout(resolve, 500));
+                entry = (await api.get(`/2fa-inbox/audit?sessionId=${sessionId}`)).body.entries[0];
+            }
+            assert.equal(entry.outcome, 'accepted', entry.detail);
+            assert.equal(entry.id, body.auditId);
+            assert.equal((await api.get(`/login-states/${sessionId}`)).body.state, 'logged_in');
+
+            await api.delete(`/2fa-inbox/phones/${EMAIL}`);
+        });
+
+        it('POST /submit-2fa con sesión desconocida devuelve 404', async () => {
+            const { status } = await api.post('/submit-2fa', { sessionId: 'no-existe', code: '123456' });
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('POST /quick-login', () => {
+        it('sin cookies guardadas devuelve NO_COOKIES', async () => {
+            const { status, body } = await api.post('/quick-login', { email: 'nadie@example.com', version: 'mobile' });
+            assert.equal(status, 401);
+            assert.equal(body.error, 'NO_COOKIES');
+        });
+
+        it('reutiliza las cookies de un login previo', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('success');
+            const login = await api.post('/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+            assert.equal(login.status, 200, login.body.message);
+            await api.post('/close-session', { sessionId: login.body.sessionId });
+
+            const sessions = await api.get('/sessions');
+            assert.equal(sessions.body.recentlyClosed[0].sessionId, login.body.sessionId);
+            assert.equal(sessions.body.recentlyClosed[0].reason, 'manual');
+
+            const { status, body } = await api.post('/quick-login', { email: EMAIL, version: 'mobile' });
+            assert.equal(status, 200, body.message);
+            assert.equal(body.quickLogin, true);
+            assert.ok(mock.eventNames().includes('cookies:accepted'));
+        });
+
+        it('cookies rechazadas por el sitio devuelven QUICK_LOGIN_FAILED', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('expired_cookies');
+            const { status, body } = await api.post('/quick-login', { email: EMAIL, version: 'mobile' });
+
+            assert.equal(status, 401);
+            assert.equal(body.error, 'QUICK_LOGIN_FAILED');
+            const sessions = await api.get('/sessions');
+            assert.equal(sessions.body.count, 0);
+        });
+    });
+
+    describe('POST /cookies/:email/validate', () => {
+        it('valid, expired o checkpoint sin dejar sesiones abiertas', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('success');
+            const login = await api.post('/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+            assert.equal(login.status, 200, login.body.message);
+            await api.post('/close-session', { sessionId: login.body.sessionId });
+
+            const valid = await api.post(`/cookies/${EMAIL}/validate`, { version: 'mobile' });
+            assert.equal(valid.status, 200, valid.body.message);
+            assert.equal(valid.body.status, 'valid');
+            assert.equal(valid.body.version, 'mobile');
+
+            mock.setScenario('cookie_checkpoint');
+            assert.equal((await api.post(`/cookies/${EMAIL}/validate`, { version: 'mobile' })).body.status, 'checkpoint');
+
+            mock.setScenario('expired_cookies');
+            const started = await api.post('/cookies/validate', { emails: [EMAIL], version: 'auto' });
+            assert.equal(started.status, 202);
+            const bulk = await waitForJob(api, started.body.jobId);
+            assert.deepEqual(bulk.result.summary, { valid: 0, expired: 1, checkpoint: 0, error: 0 });
+            assert.equal(bulk.result.results[0].version, 'desktop');
+
+            assert.equal((await api.get('/sessions')).body.count, 0);
+            const listed = await api.get('/cookies');
+            assert.equal(listed.body.cookies.find(entry => entry.email === EMAIL).validation.status, 'expired');
+        });
+    });
+
+    describe('GET /events', () => {
+        it('publica pasos de login, apertura/cierre de sesión y cookies guardadas', { timeout: FLOW_TIMEOUT }, async () => {
+            const received = [];
+            const unsubscribe = serverModule.events.subscribe(event => received.push(event));
+
+            try {
+                mock.setScenario('success');
+                const login = await api.post('/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+                assert.equal(login.status, 200, login.body.message);
+                await api.post('/close-session', { sessionId: login.body.sessionId });
+            } finally {
+                unsubscribe();
+            }
+
+            const types = received.map(event => event.type);
+            assert.equal(types[0], 'login.step');
+            assert.ok(types.includes('session.opened'));
+            assert.ok(types.includes('cookies.saved'));
+            assert.equal(types[types.length - 1], 'session.closed');
+            assert.deepEqual(
+                received.filter(event => event.type === 'login.step').map(event => event.data.state),
+                ['navigating', 'credentials', 'submitted', 'logged_in']
+            );
+        });
+
+        it('responde como text/event-stream', async () => {
+            const controller = new AbortController();
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/events`, { signal: controller.signal });
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/event-stream/);
+            controller.abort();
+        });
+    });
+    describe('Control manual', () => {
+        it('deja abierta una pantalla no reconocida y reanuda tras el control del operador', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('checkpoint');
+            const login = await api.post('/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+
+            assert.equal(login.status, 401);
+            assert.equal(login.body.requiresManual, true);
+            assert.equal(login.body.loginState.state, 'manual');
+            const { sessionId } = login.body;
+
+            // Sin control manual no se aceptan entradas
+            const early = await api.post(`/sessions/${sessionId}/input`, { type: 'reload' });
+            assert.equal(early.status, 409);
+
+            const takeover = await api.post(`/sessions/${sessionId}/takeover`);
+            assert.equal(takeover.status, 200);
+            assert.ok(takeover.body.viewport.width > 0);
+            assert.match(takeover.body.url, /checkpoint/);
+
+            const invalid = await api.post(`/sessions/${sessionId}/input`, { type: 'drag' });
+            assert.equal(invalid.status, 400);
+
+            // El operador completa el checkpoint: click en el campo, escribe y pulsa Continuar
+            const { page } = serverModule.activeSessions[sessionId];
+            const center = async selector => {
+                const box = await page.locator(selector).boundingBox();
+                return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+            };
+            assert.equal((await api.post(`/sessions/${sessionId}/input`, { type: 'click', ...await center('input[name="email"]') })).status, 200);
+            assert.equal((await api.post(`/sessions/${sessionId}/input`, { type: 'type', text: EMAIL })).status, 200);
+            const click = await api.post(`/sessions/${sessionId}/input`, { type: 'click', ...await center('#checkpoint-continue') });
+            assert.equal(click.status, 200);
+            await page.waitForURL(/home\.php/);
+
+            const release = await api.post(`/sessions/${sessionId}/release`);
+            assert.equal(release.status, 200);
+            assert.equal(release.body.success, true);
+            assert.equal(release.body.loginState.state, 'logged_in');
+            assert.ok(mock.events.some(event => event.name === 'checkpoint:continue' && event.email === EMAIL));
+            assert.ok(fs.existsSync(path.join(env.cookiesDir, 'tester_example_com_cookies.json')));
+
+            const again = await api.post(`/sessions/${sessionId}/release`);
+            assert.equal(again.status, 409);
+        });
+
+        it('credenciales rechazadas no dejan la sesión abierta', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('checkpoint');
+            const { body } = await api.post('/login', { email: EMAIL, password: 'incorrecta', version: 'mobile' });
+            assert.equal(body.requiresManual, false);
+            assert.equal(body.loginState.state, 'failed');
+        });
+    });
+
+    describe('Vista en vivo', () => {
+        it('sesión desconocida devuelve 404', async () => {
+            const { status } = await api.get('/sessions/no-existe/stream');
+            assert.equal(status, 404);
+        });
+
+        it('sirve captura y stream MJPEG de una sesión activa', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('success');
+            const login = await api.post('/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+            assert.equal(login.status, 200, login.body.message);
+            const baseUrl = `http://127.0.0.1:${server.address().port}/sessions/${login.body.sessionId}`;
+
+            const screenshot = await fetch(`${baseUrl}/screenshot`);
+            assert.equal(screenshot.status, 200);
+            assert.equal(screenshot.headers.get('content-type'), 'image/jpeg');
+            assert.ok((await screenshot.arrayBuffer()).byteLength > 0);
+
+            const stream = await fetch(`${baseUrl}/stream`);
+            assert.match(stream.headers.get('content-type'), /^multipart\/x-mixed-replace/);
+            const reader = stream.body.getReader();
+            const { value } = await reader.read();
+            assert.match(Buffer.from(value).toString('latin1'), /Content-Type: image\/jpeg/);
+            await reader.cancel();
+        });
+    });
+
+    describe('Apagado y sesiones perdidas', () => {
+        it('el apagado guarda cookies y la sesión se recupera con un quick login', { timeout: FLOW_TIMEOUT }, async () => {
+            mock.setScenario('success');
+            const login = await api.post('/login', { email: EMAIL, password: PASSWORD, version: 'mobile' });
+            assert.equal(login.status, 200, login.body.message);
+
+            const registryFile = JSON.parse(fs.readFileSync(env.registryFile, 'utf8'));
+            assert.deepEqual(
+                registryFile.sessions.map(entry => [entry.sessionId, entry.status, entry.loginState]),
+                [[login.body.sessionId, 'active', 'logged_in']]
+            );
+
+            assert.equal(await serverModule.shutdownSessions(), 1);
+            assert.equal((await api.get('/sessions')).body.count, 0);
+
+            const dead = await api.get('/sessions/dead');
+            assert.equal(dead.body.count, 1);
+            assert.equal(dead.body.sessions[0].sessionId, login.body.sessionId);
+            assert.equal(dead.body.sessions[0].deadReason, 'shutdown');
+            assert.equal(dead.body.sessions[0].hasCookies, true);
+
+            const { status, body } = await api.post(`/sessions/dead/${login.body.sessionId}/quick-login`);
+            assert.equal(status, 200, body.message);
+            assert.equal(body.quickLogin, true);
+            assert.equal(body.restoredFrom, login.body.sessionId);
+            assert.equal((await api.get('/sessions/dead')).body.count, 0);
+        });
+
+        it('sesión perdida desconocida devuelve 404', async () => {
+            assert.equal((await api.post('/sessions/dead/no-existe/quick-login')).status, 404);
+            assert.equal((await api.delete('/sessions/dead/no-existe')).status, 404);
+        });
+    });
+});
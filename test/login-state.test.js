@@ -0,0 +1,125 @@
+/*****************************************************************
+ * login-state.test.js – Máquina de estados del intento de login
+ *****************************************************************/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    LOGIN_STATES,
+    PAGE_STATES,
+    isLoggedInPage,
+    createLoginStateMachine,
+    getLoginState,
+    listLoginStates
+} = require('../login-state');
+
+const S = LOGIN_STATES;
+let counter = 0;
+
+function newMachine(meta = {}) {
+    const sessionId = `test-${process.pid}-${++counter}`;
+    return createLoginStateMachine(sessionId, { email: 'tester@example.com', version: 'mobile', ...meta });
+}
+
+describe('createLoginStateMachine', () => {
+    it('arranca en navigating con una entrada de historial', () => {
+        const machine = newMachine();
+        assert.equal(machine.state, S.NAVIGATING);
+        assert.equal(machine.isTerminal, false);
+        assert.equal(machine.toJSON().history.length, 1);
+    });
+
+    it('recorre el flujo completo con 2FA y registra timestamps', () => {
+        const machine = newMachine();
+        machine
+            .transition(S.CREDENTIALS)
+            .transition(S.SUBMITTED, 'credentials')
+            .transition(S.TWO_FACTOR)
+            .transition(S.SUBMITTED, 'code:manual')
+            .transition(S.TWO_FACTOR, 'wrong_code')
+            .transition(S.SUBMITTED, 'code:manual')
+            .transition(S.INTERSTITIAL, PAGE_STATES.DEVICE_TRUST_DIALOG)
+            .transition(S.LOGGED_IN, '2fa');
+
+        const json = machine.toJSON();
+        assert.deepEqual(json.history.map(entry => entry.state), [
+            S.NAVIGATING, S.CREDENTIALS, S.SUBMITTED, S.TWO_FACTOR, S.SUBMITTED,
+            S.TWO_FACTOR, S.SUBMITTED, S.INTERSTITIAL, S.LOGGED_IN
+        ]);
+        assert.equal(json.state, S.LOGGED_IN);
+        assert.equal(json.detail, '2fa');
+        assert.equal(json.updatedAt, json.history[json.history.length - 1].at);
+        json.history.forEach(entry => assert.ok(!Number.isNaN(Date.parse(entry.at))));
+        assert.equal(machine.isTerminal, true);
+    });
+
+    it('pasa a manual ante una pantalla no reconocida y termina tras el control del operador', () => {
+        const machine = newMachine();
+        machine
+            .transition(S.CREDENTIALS)
+            .transition(S.SUBMITTED, 'credentials')
+            .transition(S.MANUAL, 'unrecognized_page')
+            .transition(S.MANUAL, 'takeover')
+            .transition(S.INTERSTITIAL, 'save_login')
+            .transition(S.LOGGED_IN, 'manual');
+
+        assert.equal(machine.state, S.LOGGED_IN);
+        assert.equal(newMachine().can(S.MANUAL), false);
+    });
+
+    it('rechaza transiciones inválidas y estados desconocidos', () => {
+        const machine = newMachine();
+        assert.throws(() => machine.transition(S.TWO_FACTOR), /Transición de login inválida/);
+        assert.throws(() => machine.transition('logueado'), /Estado de login desconocido/);
+        assert.equal(machine.state, S.NAVIGATING);
+    });
+
+    it('failed es alcanzable desde cualquier estado no final y los estados finales no cambian', () => {
+        const machine = newMachine();
+        machine.transition(S.CREDENTIALS).fail('timeout');
+        assert.equal(machine.state, S.FAILED);
+        assert.equal(machine.toJSON().detail, 'timeout');
+
+        // fail() sobre un intento terminado no modifica el historial
+        machine.fail('otro motivo');
+        assert.equal(machine.toJSON().history.length, 3);
+        assert.throws(() => machine.transition(S.LOGGED_IN), /inválida/);
+    });
+
+    it('invoca el callback de transición con el snapshot serializado', () => {
+        const seen = [];
+        const machine = createLoginStateMachine(`test-cb-${++counter}`, { email: 'a@b.c', version: 'desktop' }, snapshot => seen.push(snapshot.state));
+        machine.transition(S.LOGGED_IN, 'cookies');
+        assert.deepEqual(seen, [S.LOGGED_IN]);
+    });
+});
+
+describe('registro de estados', () => {
+    it('getLoginState devuelve la máquina de la sesión', () => {
+        const machine = newMachine();
+        assert.equal(getLoginState(machine.sessionId), machine);
+        assert.equal(getLoginState('no-existe'), null);
+    });
+
+    it('listLoginStates filtra por email y estado', () => {
+        const email = `filtro-${counter}@example.com`;
+        const pending = newMachine({ email });
+        pending.transition(S.CREDENTIALS).transition(S.SUBMITTED).transition(S.TWO_FACTOR);
+        newMachine({ email }).fail('error');
+
+        const all = listLoginStates({ email });
+        assert.equal(all.length, 2);
+        const waiting = listLoginStates({ email, state: S.TWO_FACTOR });
+        assert.deepEqual(waiting.map(entry => entry.sessionId), [pending.sessionId]);
+    });
+});
+
+describe('isLoggedInPage', () => {
+    it('los diálogos post-login cuentan como sesión iniciada', () => {
+        assert.equal(isLoggedInPage(PAGE_STATES.LOGGED_IN), true);
+        assert.equal(isLoggedInPage(PAGE_STATES.SAVE_LOGIN_DIALOG), true);
+        assert.equal(isLoggedInPage(PAGE_STATES.DEVICE_TRUST_DIALOG), true);
+        assert.equal(isLoggedInPage(PAGE_STATES.NOT_LOGGED_IN), false);
+    });
+});
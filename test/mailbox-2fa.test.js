@@ -0,0 +1,176 @@
+/*****************************************************************
+ * mailbox-2fa.test.js – Códigos 2FA leídos de un buzón IMAP
+ * Las búsquedas van contra test/mock-imap.js.
+ *****************************************************************/
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    AUTH_FAILED,
+    extractSecurityCode,
+    findLatestCode,
+    pollForCode,
+    parseMailboxSettings,
+    createMailboxStore
+} = require('../mailbox-2fa');
+const { createSecretBox } = require('../secret-box');
+const { startMockImap, buildMessage } = require('./mock-imap');
+
+describe('extractSecurityCode', () => {
+    const date = new Date();
+
+    it('prefiere el código del asunto', () => {
+        const raw = buildMessage({ from: 'a@b.c', subject: '482913 es tu código de Facebook', text: 'Ref. 99999999', date });
+        assert.equal(extractSecurityCode(raw), '482913');
+    });
+
+    it('lee el cuerpo HTML en base64 de un mensaje multipart', () => {
+        const raw = buildMessage({
+            from: 'a@b.c',
+            subject: 'Código de seguridad',
+            text: 'Abre la versión HTML',
+            html: '<p>Tu código es <b>77441122</b></p>',
+            date
+        });
+        assert.equal(extractSecurityCode(raw), '77441122');
+    });
+
+    it('decodifica asuntos RFC 2047 y cuerpos quoted-printable', () => {
+        const subject = `=?UTF-8?B?${Buffer.from('Código: 135790').toString('base64')}?=`;
+        assert.equal(extractSecurityCode(buildMessage({ from: 'a@b.c', subject, date })), '135790');
+
+        const raw = [
+            'Subject: =?ISO-8859-1?Q?C=F3digo_de_seguridad?=',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: quoted-printable',
+            '',
+            'Tu c=C3=B3digo es 2468=',
+            '02'
+        ].join('\r\n');
+        assert.equal(extractSecurityCode(raw), '246802');
+    });
+
+    it('acepta un patrón propio y devuelve null si no hay código', () => {
+        const raw = buildMessage({ from: 'a@b.c', subject: 'Aviso', text: 'Pedido 1234567, código FB-4321', date });
+        assert.equal(extractSecurityCode(raw, 'FB-(\\d{4})'), '4321');
+        assert.equal(extractSecurityCode(buildMessage({ from: 'a@b.c', subject: 'Hola', text: 'Año 2026', date })), null);
+    });
+});
+
+describe('parseMailboxSettings', () => {
+    it('aplica valores por defecto y conserva la contraseña anterior', () => {
+        const settings = parseMailboxSettings({ host: 'imap.example.com', user: 'u', password: 'p' });
+        assert.equal(settings.port, 993);
+        assert.equal(settings.secure, true);
+        assert.equal(settings.mailbox, 'INBOX');
+
+        const updated = parseMailboxSettings({ subject: 'código' }, settings);
+        assert.equal(updated.password, 'p');
+        assert.equal(updated.subject, 'código');
+    });
+
+    it('rechaza ajustes incompletos o no válidos', () => {
+        assert.throws(() => parseMailboxSettings({ user: 'u', password: 'p' }), /host/);
+        assert.throws(() => parseMailboxSettings({ host: 'h', user: 'u' }), /password/);
+        assert.throws(() => parseMailboxSettings({ host: 'h', user: 'u', password: 'p', port: 0 }), /port/);
+        assert.throws(() => parseMailboxSettings({ host: 'h', user: 'u', password: 'p', codePattern: '(' }), /codePattern/);
+    });
+});
+
+describe('Buzón IMAP (mock)', () => {
+    let imap, settings;
+
+    before(async () => {
+        imap = await startMockImap();
+        settings = {
+            host: imap.host,
+            port: imap.port,
+            secure: false,
+            user: imap.user,
+            password: imap.password,
+            mailbox: 'INBOX',
+            from: 'facebookmail.com'
+        };
+        mock.method(console, 'error', () => {});
+    });
+
+    beforeEach(() => imap.clear());
+
+    after(async () => {
+        mock.restoreAll();
+        await imap.close();
+    });
+
+    it('devuelve el código del correo más reciente que cumple los filtros', async () => {
+        const since = new Date();
+        imap.addMessage({ subject: '111111 es tu código', date: new Date(since.getTime() - 60 * 60 * 1000) });
+        imap.addMessage({ subject: '222222 es tu código', date: since });
+        imap.addMessage({ from: 'otro@example.com', subject: '333333 es tu código', date: since });
+        const newest = imap.addMessage({ subject: '444444 es tu código', date: since });
+
+        const found = await findLatestCode(settings, { since });
+        assert.equal(found.code, '444444');
+        assert.equal(found.uid, newest);
+        assert.ok(imap.commands.some(command => command.startsWith('EXAMINE')));
+
+        const next = await findLatestCode(settings, { since, exclude: new Set([newest]) });
+        assert.equal(next.code, '222222');
+    });
+
+    it('espera hasta que llega el correo', async () => {
+        const since = new Date();
+        setTimeout(() => imap.addMessage({ subject: 'Código de seguridad', text: 'Tu código es 909090' }), 150);
+
+        const found = await pollForCode(settings, { since, intervalMs: 50, timeoutMs: 5000 });
+        assert.equal(found.code, '909090');
+    });
+
+    it('se detiene al agotar el tiempo o cuando la sesión deja de esperar', async () => {
+        const since = new Date();
+        assert.equal(await pollForCode(settings, { since, intervalMs: 20, timeoutMs: 100 }), null);
+        assert.equal(await pollForCode(settings, { since, intervalMs: 20, timeoutMs: 5000, isActive: () => false }), null);
+    });
+
+    it('no reintenta con credenciales incorrectas', async () => {
+        await assert.rejects(
+            pollForCode({ ...settings, password: 'mala' }, { since: new Date(), intervalMs: 20, timeoutMs: 5000 }),
+            error => error.code === AUTH_FAILED
+        );
+    });
+});
+
+describe('createMailboxStore', () => {
+    let rootDir;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-mailbox-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('guarda la contraseña cifrada y nunca la lista', () => {
+        const file = path.join(rootDir, 'mailboxes.json');
+        const store = createMailboxStore(file, createSecretBox('clave de prueba'));
+
+        const saved = store.set('a@example.com', { host: 'imap.example.com', user: 'buzon', password: 'secreta' });
+        assert.equal(saved.password, undefined);
+        assert.equal(fs.readFileSync(file, 'utf8').includes('secreta'), false);
+        assert.equal(store.get('a@example.com').password, 'secreta');
+        assert.deepEqual(store.list().map(entry => [entry.email, entry.password]), [['a@example.com', undefined]]);
+
+        store.set('a@example.com', { from: 'facebookmail.com' });
+        assert.equal(store.get('a@example.com').password, 'secreta');
+        assert.equal(store.get('a@example.com').from, 'facebookmail.com');
+
+        assert.equal(createMailboxStore(file, null).has('a@example.com'), true);
+        assert.throws(() => createMailboxStore(file, null).get('a@example.com'), /secrets\.key/);
+        assert.equal(store.remove('a@example.com'), true);
+        assert.equal(store.get('a@example.com'), null);
+    });
+});
@@ -0,0 +1,394 @@
+/*****************************************************************
+ * mock-facebook.js – Servidor local que imita las pantallas de login
+ * de Facebook (móvil en /m/, desktop en /www/) con escenarios guionizados.
+ * El marcado coincide con SELECTORS y con los textos que buscan los helpers.
+ *
+ * Uso standalone:  node test/mock-facebook.js --port 4010 --scenario two_factor
+ *****************************************************************/
+
+const express = require('express');
+
+/*─────────────────  ESCENARIOS  ──────────────────*/
+const DEFAULT_SCENARIO = {
+    password: 'secret',       // Contraseña aceptada
+    code: '123456',           // Código 2FA aceptado
+    twoFactor: false,         // Pedir código 2FA después de las credenciales
+    interstitials: [],        // Pantallas tras el login: 'save_login', 'device_trust', 'checkpoint'
+    chromePopup: false,       // Popup azul de notificaciones de Chrome después del 2FA
+    loadingPage: false,       // Servir primero la página FacebookLoading / "Try Again"
+    acceptCookies: true,      // Reconocer cookies guardadas (quick login)
+    cookieCheckpoint: false   // Con cookies reconocidas, pedir un checkpoint en vez de entrar
+};
+
+const SCENARIOS = {
+    success: {},
+    two_factor: { twoFactor: true },
+    save_login: { interstitials: ['save_login'] },
+    device_trust: { twoFactor: true, interstitials: ['device_trust'] },
+    chrome_popup: { twoFactor: true, chromePopup: true },
+    loading: { loadingPage: true },
+    checkpoint: { interstitials: ['checkpoint'] }, // Pantalla que la automatización no reconoce
+    expired_cookies: { acceptCookies: false },
+    cookie_checkpoint: { cookieCheckpoint: true }
+};
+
+const VERSIONS = { m: 'mobile', www: 'desktop' };
+
+const AUTH_COOKIES = {
+    c_user: '100000000000001',
+    xs: '42%3Amock-session',
+    datr: 'mock-datr',
+    fr: 'mock-fr'
+};
+
+/*─────────────────  PLANTILLAS HTML  ──────────────────*/
+function layout(title, body) {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+  body { font-family: sans-serif; margin: 20px; }
+  [role="button"], button { display: inline-block; padding: 8px 16px; margin: 4px; background: #1877f2; color: #fff; cursor: pointer; border: 0; }
+  input { display: block; margin: 8px 0; padding: 8px; }
+</style>
+<script>
+  function mockEvent(name) {
+    return fetch('/__mock/events', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+  }
+  function submitWith(formId, action) {
+    const form = document.getElementById(formId);
+    if (action) form.elements.action.value = action;
+    form.submit();
+  }
+</script>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function chromePopupHtml() {
+    return `
+<div id="chrome-popup" style="background-color: rgb(26, 115, 232); color: #fff; padding: 12px;">
+  <span>Ve a la configuración para dar permiso a Chrome para que te envíe notificaciones en la computadora.</span>
+  <div aria-label="Cerrar" role="button" tabindex="0" style="width: 24px; height: 24px;"
+       onclick="mockEvent('chrome_popup:close').then(() => document.getElementById('chrome-popup').remove())">
+    <i data-visualcompletion="css-img" style="display: inline-block; width: 16px; height: 16px;"></i>
+  </div>
+</div>`;
+}
+
+function loginPage(prefix, error) {
+    const errorHtml = error ? `<p class="error">${error}</p>` : '';
+
+    if (VERSIONS[prefix] === 'mobile') {
+        return layout('Facebook - Inicia sesión o regístrate', `
+<form id="login_form" method="post" action="/m/login">
+  ${errorHtml}
+  <input type="text" name="email" id="m_login_email" placeholder="Celular o correo electrónico">
+  <input type="password" name="pass" id="m_login_password" placeholder="Contraseña">
+  <div role="button" aria-label="Iniciar sesión" tabindex="0" onclick="submitWith('login_form')">Iniciar sesión</div>
+</form>`);
+    }
+
+    return layout('Facebook - Inicia sesión o regístrate', `
+<form id="login_form" method="post" action="/www/login">
+  ${errorHtml}
+  <input type="text" name="email" id="email" data-testid="royal_email" placeholder="Correo electrónico o teléfono">
+  <input type="password" name="pass" id="pass" data-testid="royal_pass" placeholder="Contraseña">
+  <button name="login" type="submit" data-testid="royal_login_button">Iniciar sesión</button>
+</form>`);
+}
+
+function loadingPage(prefix) {
+    return layout('Facebook', `
+<div>FacebookLoading</div>
+<p>Esto está tardando más de lo normal.</p>
+<a href="/${prefix}/retry">Try Again</a>`);
+}
+
+function twoFactorPage(prefix, error) {
+    return layout('Autenticación en dos pasos', `
+<form id="tfa_form" method="post" action="/${prefix}/two_step_verification/submit">
+  <h2>Ve a tu app de autenticación</h2>
+  <p>Ingresa el código de 6 dígitos para esta cuenta desde la app de autenticación en dos pasos que configuraste (como Duo Mobile o Google Authenticator).</p>
+  ${error ? `<p class="error">${error}</p>` : ''}
+  <input type="text" name="approvals_code" placeholder="Código" inputmode="numeric" maxlength="6" autocomplete="one-time-code">
+  <div role="button" tabindex="0" onclick="submitWith('tfa_form')">Continuar</div>
+</form>`);
+}
+
+function saveLoginPage(prefix) {
+    return layout('Guardar información de inicio de sesión', `
+<form id="save_form" method="post" action="/${prefix}/login/save-device/">
+  <input type="hidden" name="action" value="">
+  <h2>¿Guardar tu información de inicio de sesión?</h2>
+  <p>Guardaremos la información de inicio de sesión en este navegador, por lo que no tendrás que ingresarla la próxima vez.</p>
+  <div role="button" tabindex="0" onclick="submitWith('save_form', 'save')">Guardar</div>
+  <div role="button" tabindex="0" onclick="submitWith('save_form', 'not_now')">Ahora no</div>
+</form>`);
+}
+
+function deviceTrustPage(prefix, withPopup) {
+    return layout('Confiar en este dispositivo', `
+${withPopup ? chromePopupHtml() : ''}
+<form id="trust_form" method="post" action="/${prefix}/login/device-trust/">
+  <input type="hidden" name="action" value="">
+  <h2>Iniciaste sesión. ¿Confiar en este dispositivo?</h2>
+  <p>Para iniciar sesión de forma más rápida, confía en este dispositivo la próxima vez.</p>
+  <div role="button" tabindex="0" onclick="submitWith('trust_form', 'trust')">Confiar en este dispositivo</div>
+  <div role="button" tabindex="0" onclick="submitWith('trust_form', 'always_confirm')">Siempre confirmar que soy yo</div>
+</form>`);
+}
+
+function checkpointPage(prefix) {
+    return layout('Confirma tu correo', `
+<form id="checkpoint_form" method="post" action="/${prefix}/checkpoint/">
+  <h2>Confirma tu correo electrónico</h2>
+  <p>Escribe el correo con el que creaste la cuenta para continuar.</p>
+  <input type="text" name="email" placeholder="Correo electrónico">
+  <div role="button" id="checkpoint-continue" tabindex="0" onclick="submitWith('checkpoint_form')">Continuar</div>
+</form>`);
+}
+
+function homePage(withPopup) {
+    return layout('Facebook', `
+${withPopup ? chromePopupHtml() : ''}
+<div aria-label="Facebook">facebook</div>
+<div role="main">
+  <h1>Inicio</h1>
+  <p>Bienvenido de nuevo.</p>
+</div>`);
+}
+
+/*─────────────────  UTILIDADES  ──────────────────*/
+function parseCookies(header = '') {
+    const cookies = {};
+    header.split(';').forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq > 0) {
+            cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+        }
+    });
+    return cookies;
+}
+
+function setAuthCookies(res) {
+    const maxAge = 90 * 24 * 60 * 60;
+    res.setHeader('Set-Cookie', Object.entries(AUTH_COOKIES).map(([name, value]) =>
+        `${name}=${value}; Path=/; Max-Age=${maxAge}; SameSite=Lax${name === 'xs' ? '; HttpOnly' : ''}`
+    ));
+}
+
+const STEP_PATHS = {
+    two_factor: 'two_step_verification/authentication/',
+    save_login: 'login/save-device/',
+    device_trust: 'login/device-trust/',
+    checkpoint: 'checkpoint/',
+    home: 'home.php'
+};
+
+/*─────────────────  SERVIDOR  ──────────────────*/
+/**
+ * Inicia el mock de Facebook
+ * @param {Object} options - Opciones
+ * @param {number} options.port - Puerto (0 = aleatorio)
+ * @param {string} options.host - Host de escucha
+ * @param {string|Object} options.scenario - Escenario inicial (nombre u objeto)
+ * @returns {Promise<Object>} - Controlador del mock
+ */
+function startMockFacebook({ port = 0, host = '127.0.0.1', scenario = 'success' } = {}) {
+    const app = express();
+    const state = {
+        scenario: null,
+        steps: [],
+        events: [],
+        loadingServed: {},
+        popupClosed: false
+    };
+
+    const record = (name, detail = {}) => {
+        state.events.push({ name, ...detail, at: new Date().toISOString() });
+    };
+
+    const setScenario = (nameOrObject = 'success', overrides = {}) => {
+        const base = typeof nameOrObject === 'string' ? SCENARIOS[nameOrObject] : nameOrObject;
+        if (!base) {
+            throw new Error(`Escenario de mock desconocido: ${nameOrObject}`);
+        }
+        state.scenario = { ...DEFAULT_SCENARIO, ...base, ...overrides };
+        state.steps = [];
+        state.events = [];
+        state.loadingServed = {};
+        state.popupClosed = false;
+        return state.scenario;
+    };
+
+    const popupVisible = () => state.scenario.chromePopup && !state.popupClosed;
+
+    // Avanza al siguiente paso guionizado y redirige a su pantalla
+    const advance = (req, res) => {
+        const { prefix } = req.params;
+        const step = state.steps.shift() || 'home';
+        if (step !== 'two_factor') {
+            setAuthCookies(res);
+        }
+        record('step', { step, version: VERSIONS[prefix] });
+        res.redirect(`/${prefix}/${STEP_PATHS[step]}`);
+    };
+
+    const isLoggedIn = req =>
+        state.scenario.acceptCookies && parseCookies(req.headers.cookie).c_user === AUTH_COOKIES.c_user;
+
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+
+    // Control del mock (para tests)
+    app.post('/__mock/events', (req, res) => {
+        record(req.body.name);
+        if (req.body.name === 'chrome_popup:close') {
+            state.popupClosed = true;
+        }
+        res.json({ ok: true });
+    });
+    app.get('/__mock/events', (req, res) => res.json(state.events));
+
+    app.param('prefix', (req, res, next, prefix) => {
+        if (!VERSIONS[prefix]) return res.status(404).send('Not found');
+        next();
+    });
+
+    app.get('/:prefix/', (req, res) => {
+        const { prefix } = req.params;
+        if (state.scenario.loadingPage && !state.loadingServed[prefix]) {
+            state.loadingServed[prefix] = true;
+            record('loading:shown', { version: VERSIONS[prefix] });
+            return res.send(loadingPage(prefix));
+        }
+        if (isLoggedIn(req)) {
+            record('cookies:accepted', { version: VERSIONS[prefix] });
+            return res.redirect(`/${prefix}/${state.scenario.cookieCheckpoint ? 'checkpoint/' : 'home.php'}`);
+        }
+        res.send(loginPage(prefix));
+    });
+
+    app.get('/:prefix/retry', (req, res) => {
+        record('loading:retry', { version: VERSIONS[req.params.prefix] });
+        res.redirect(`/${req.params.prefix}/`);
+    });
+
+    app.post('/:prefix/login', (req, res) => {
+        const { prefix } = req.params;
+        const { email, pass } = req.body;
+        record('login:submit', { version: VERSIONS[prefix], email });
+
+        if (!email || pass !== state.scenario.password) {
+            record('login:wrong-password', { version: VERSIONS[prefix] });
+            return res.send(loginPage(prefix, 'La contraseña que ingresaste es incorrecta.'));
+        }
+
+        state.steps = [
+            ...(state.scenario.twoFactor ? ['two_factor'] : []),
+            ...state.scenario.interstitials
+        ];
+        advance(req, res);
+    });
+
+    app.get('/:prefix/two_step_verification/authentication/', (req, res) => {
+        res.send(twoFactorPage(req.params.prefix));
+    });
+
+    app.get('/:prefix/two_step_verification/authentication/retry', (req, res) => {
+        res.send(twoFactorPage(req.params.prefix, 'El número que ingresaste no coincide. Inténtalo de nuevo.'));
+    });
+
+    app.post('/:prefix/two_step_verification/submit', (req, res) => {
+        const { prefix } = req.params;
+        if (req.body.approvals_code !== state.scenario.code) {
+            record('two_factor:wrong-code', { version: VERSIONS[prefix], code: req.body.approvals_code });
+            return res.redirect(`/${prefix}/two_step_verification/authentication/retry`);
+        }
+        record('two_factor:accepted', { version: VERSIONS[prefix] });
+        advance(req, res);
+    });
+
+    app.get('/:prefix/login/save-device/', (req, res) => {
+        res.send(saveLoginPage(req.params.prefix));
+    });
+
+    app.post('/:prefix/login/save-device/', (req, res) => {
+        record(`save_login:${req.body.action}`, { version: VERSIONS[req.params.prefix] });
+        advance(req, res);
+    });
+
+    app.get('/:prefix/login/device-trust/', (req, res) => {
+        res.send(deviceTrustPage(req.params.prefix, popupVisible()));
+    });
+
+    app.post('/:prefix/login/device-trust/', (req, res) => {
+        record(`device_trust:${req.body.action}`, { version: VERSIONS[req.params.prefix] });
+        advance(req, res);
+    });
+
+    app.get('/:prefix/checkpoint/', (req, res) => {
+        res.send(checkpointPage(req.params.prefix));
+    });
+
+    app.post('/:prefix/checkpoint/', (req, res) => {
+        record('checkpoint:continue', { version: VERSIONS[req.params.prefix], email: req.body.email });
+        advance(req, res);
+    });
+
+    app.get('/:prefix/home.php', (req, res) => {
+        if (!isLoggedIn(req)) {
+            return res.redirect(`/${req.params.prefix}/`);
+        }
+        res.send(homePage(popupVisible()));
+    });
+
+    setScenario(scenario);
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, host, () => {
+            const url = `http://${host}:${server.address().port}`;
+            resolve({
+                url,
+                mobileBaseUrl: `${url}/m/`,
+                desktopBaseUrl: `${url}/www/`,
+                setScenario,
+                get scenario() { return state.scenario; },
+                get events() { return [...state.events]; },
+                eventNames: () => state.events.map(event => event.name),
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    SCENARIOS,
+    DEFAULT_SCENARIO,
+    AUTH_COOKIES,
+    startMockFacebook
+};
+
+if (require.main === module) {
+    const { parseArgs } = require('../config');
+    const flags = parseArgs(process.argv.slice(2));
+
+    startMockFacebook({ port: parseInt(flags.port || '4010', 10), scenario: flags.scenario || 'success' })
+        .then(mock => {
+            console.log(`🧪 Mock de Facebook escuchando en ${mock.url} (escenario: ${flags.scenario || 'success'})`);
+            console.log(`   📱 MOBILE_BASE_URL=${mock.mobileBaseUrl}`);
+            console.log(`   🖥️ DESKTOP_BASE_URL=${mock.desktopBaseUrl}`);
+        });
+}
@@ -0,0 +1,212 @@
+/*****************************************************************
+ * mock-imap.js – Servidor IMAP local para probar el buzón 2FA
+ * Implementa lo que usa imap-client.js (LOGIN, EXAMINE/SELECT,
+ * UID SEARCH, UID FETCH, LOGOUT) sobre texto plano, con los
+ * mensajes en memoria.
+ *
+ * Uso standalone:  node test/mock-imap.js --port 4143
+ *****************************************************************/
+
+const net = require('net');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DEFAULT_USER = 'buzon@example.com';
+const DEFAULT_PASSWORD = 'clave-buzon';
+
+/*─────────────────  MENSAJES  ──────────────────*/
+/**
+ * Arma un correo RFC 822 sencillo
+ * @param {Object} message - { from, subject, text, html, date }
+ * @returns {string}
+ */
+function buildMessage({ from, subject, text, html, date }) {
+    const headers = [
+        `From: ${from}`,
+        'To: buzon@example.com',
+        `Subject: ${subject}`,
+        `Date: ${date.toUTCString()}`,
+        'MIME-Version: 1.0'
+    ];
+    if (html) {
+        return [
+            ...headers,
+            'Content-Type: multipart/alternative; boundary="limite"',
+            '',
+            '--limite',
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            text || '',
+            '--limite',
+            'Content-Type: text/html; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            Buffer.from(html).toString('base64'),
+            '--limite--',
+            ''
+        ].join('\r\n');
+    }
+    return [...headers, 'Content-Type: text/plain; charset=utf-8', '', text || '', ''].join('\r\n');
+}
+
+/**
+ * @param {Date} date - Fecha
+ * @returns {string} - Fecha INTERNALDATE: "19-Oct-2026 17:00:00 +0000"
+ */
+function formatInternalDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(date.getUTCDate())}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Separa los argumentos de un comando respetando las comillas
+ * @param {string} text - Argumentos
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    const regex = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+    let match;
+    while ((match = regex.exec(text))) {
+        tokens.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+    }
+    return tokens;
+}
+
+/*─────────────────  SERVIDOR  ──────────────────*/
+/**
+ * Arranca el servidor IMAP de pruebas
+ * @param {Object} options - { port, host, user, password }
+ * @returns {Promise<Object>} - { host, port, user, password, addMessage, clear, commands, close }
+ */
+function startMockImap({ port = 0, host = '127.0.0.1', user = DEFAULT_USER, password = DEFAULT_PASSWORD } = {}) {
+    const messages = [];
+    const commands = [];
+    const sockets = new Set();
+    let nextUid = 1;
+
+    const search = criteria => {
+        const tokens = tokenize(criteria);
+        let result = messages;
+        for (let i = 0; i < tokens.length; i++) {
+            const key = tokens[i].toUpperCase();
+            const value = tokens[i + 1];
+            if (key === 'FROM' || key === 'SUBJECT') {
+                result = result.filter(m => m[key.toLowerCase()].toLowerCase().includes(value.toLowerCase()));
+                i++;
+            } else if (key === 'SINCE') {
+                const [day, month, year] = value.split('-');
+                const since = Date.UTC(Number(year), MONTHS.indexOf(month), Number(day));
+                result = result.filter(m => m.date.getTime() >= since);
+                i++;
+            }
+        }
+        return result.map(m => m.uid);
+    };
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let authenticated = false;
+        let buffer = '';
+        const send = line => socket.write(`${line}\r\n`);
+        send('* OK Mock IMAP listo');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                const [, tag, command, args = ''] = line.match(/^(\S+) (\S+(?: (?:SEARCH|FETCH))?)\s?(.*)$/i) || [];
+                if (!tag) continue;
+                const name = command.toUpperCase();
+                commands.push(name === 'LOGIN' ? 'LOGIN' : `${name} ${args}`.trim());
+
+                if (name === 'LOGIN') {
+                    const [loginUser, loginPassword] = tokenize(args);
+                    authenticated = loginUser === user && loginPassword === password;
+                    send(authenticated ? `${tag} OK LOGIN completado` : `${tag} NO [AUTHENTICATIONFAILED] Credenciales no válidas`);
+                } else if (name === 'LOGOUT') {
+                    send('* BYE Hasta luego');
+                    send(`${tag} OK LOGOUT completado`);
+                    socket.end();
+                } else if (!authenticated) {
+                    send(`${tag} NO Inicia sesión primero`);
+                } else if (name === 'EXAMINE' || name === 'SELECT') {
+                    send(`* ${messages.length} EXISTS`);
+                    send(`${tag} OK [READ-ONLY] ${name} completado`);
+                } else if (name === 'UID SEARCH') {
+                    send(`* SEARCH ${search(args).join(' ')}`.trim());
+                    send(`${tag} OK SEARCH completado`);
+                } else if (name === 'UID FETCH') {
+                    const uid = parseInt(args, 10);
+                    const index = messages.findIndex(m => m.uid === uid);
+                    if (index !== -1) {
+                        const message = messages[index];
+                        const raw = Buffer.from(message.raw, 'utf8');
+                        socket.write(`* ${index + 1} FETCH (UID ${uid} INTERNALDATE "${formatInternalDate(message.date)}" BODY[] {${raw.length}}\r\n`);
+                        socket.write(raw);
+                        send(')');
+                    }
+                    send(`${tag} OK FETCH completado`);
+                } else {
+                    send(`${tag} BAD Comando no soportado por el mock`);
+                }
+            }
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            resolve({
+                host,
+                port: server.address().port,
+                user,
+                password,
+                commands,
+                /**
+                 * Entrega un correo en el buzón
+                 * @param {Object} message - { from, subject, text, html, date }
+                 * @returns {number} - UID asignado
+                 */
+                addMessage({ from = 'Facebook <security@facebookmail.com>', subject = '', text = '', html = null, date = new Date() } = {}) {
+                    const uid = nextUid++;
+                    messages.push({ uid, from, subject, date, raw: buildMessage({ from, subject, text, html, date }) });
+                    return uid;
+                },
+                clear() {
+                    messages.length = 0;
+                    commands.length = 0;
+                },
+                close() {
+                    sockets.forEach(socket => socket.destroy());
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+/*─────────────────  STANDALONE  ──────────────────*/
+if (require.main === module) {
+    const flags = {};
+    process.argv.slice(2).forEach((arg, i, argv) => {
+        if (arg.startsWith('--')) flags[arg.slice(2)] = argv[i + 1];
+    });
+
+    startMockImap({ port: parseInt(flags.port || '4143', 10) }).then(mock => {
+        console.log(`📧 Mock IMAP en ${mock.host}:${mock.port} (usuario ${mock.user} / ${mock.password})`);
+        mock.addMessage({ subject: '123456 es tu código de seguridad de Facebook', text: 'Usa 123456 para iniciar sesión.' });
+    });
+}
+
+module.exports = {
+    startMockImap,
+    buildMessage
+};
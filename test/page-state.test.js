@@ -0,0 +1,110 @@
+/*****************************************************************
+ * page-state.test.js – Clasificación de pantallas y handlers de diálogos
+ * sobre el corpus de fixtures HTML (español e inglés)
+ *****************************************************************/
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PAGE_STATES,
+    classifyLoginPage,
+    checkFor2FA,
+    handleSaveLoginDialog,
+    handleDeviceTrustDialog,
+    handleChromePopups
+} = require('../helpers');
+const { listFixtures } = require('./fixture-harness');
+const { BROWSER_SKIP_REASON } = require('./support');
+
+const HANDLER_TIMEOUT = 60000;
+
+const { LOGGED_IN, SAVE_LOGIN_DIALOG, DEVICE_TRUST_DIALOG, NOT_LOGGED_IN } = PAGE_STATES;
+
+// fixture → [resultado de classifyLoginPage, resultado de checkFor2FA]
+const CLASSIFICATION = {
+    'login.es': [NOT_LOGGED_IN, false],
+    'login.en': [NOT_LOGGED_IN, false],
+    'two-factor.es': [NOT_LOGGED_IN, true],
+    'two-factor.en': [NOT_LOGGED_IN, true],
+    'save-login.es': [SAVE_LOGIN_DIALOG, false],
+    'save-login.en': [SAVE_LOGIN_DIALOG, false],
+    'save-login-cancel.es': [SAVE_LOGIN_DIALOG, false],
+    'save-login-cancel.en': [SAVE_LOGIN_DIALOG, false],
+    'device-trust.es': [DEVICE_TRUST_DIALOG, false],
+    'device-trust.en': [DEVICE_TRUST_DIALOG, false],
+    'chrome-popup.es': [LOGGED_IN, false],
+    'chrome-popup.en': [LOGGED_IN, false],
+    'home.es': [LOGGED_IN, false],
+    'home.en': [LOGGED_IN, false]
+};
+
+// handler → fixture → [valor devuelto, data-fixture-id clickeados en orden]
+const HANDLERS = {
+    handleSaveLoginDialog: [handleSaveLoginDialog, {
+        'save-login.es': [true, ['not-now']],
+        'save-login.en': [true, ['not-now']],
+        'save-login-cancel.es': [true, ['cancel']],
+        'save-login-cancel.en': [true, ['cancel']],
+        'two-factor.es': [false, []],
+        'home.es': [false, []]
+    }],
+    handleDeviceTrustDialog: [handleDeviceTrustDialog, {
+        'device-trust.es': [true, ['chrome-popup-close', 'trust-device']],
+        'device-trust.en': [true, ['chrome-popup-close', 'trust-device']],
+        'home.en': [true, []]
+    }],
+    handleChromePopups: [handleChromePopups, {
+        'chrome-popup.es': [true, ['chrome-popup-close']],
+        'chrome-popup.en': [true, ['chrome-popup-close']],
+        'home.es': [false, []]
+    }]
+};
+
+describe('Estado de página sobre fixtures HTML', { skip: BROWSER_SKIP_REASON }, () => {
+    let harness;
+
+    before(async () => {
+        const { createFixtureHarness } = require('./fixture-harness');
+        harness = await createFixtureHarness();
+    });
+
+    after(async () => {
+        if (harness) await harness.close();
+    });
+
+    it('todos los fixtures tienen clasificación esperada', () => {
+        assert.deepEqual(listFixtures(), Object.keys(CLASSIFICATION).sort());
+    });
+
+    describe('classifyLoginPage / checkFor2FA', () => {
+        for (const [fixture, [expectedLogin, expected2FA]] of Object.entries(CLASSIFICATION)) {
+            it(`${fixture} → login: ${expectedLogin}, 2FA: ${expected2FA}`, { timeout: HANDLER_TIMEOUT }, async () => {
+                const { page, clicks, close } = await harness.open(fixture);
+                try {
+                    assert.equal(await classifyLoginPage(page), expectedLogin);
+                    assert.equal(await checkFor2FA(page), expected2FA);
+                    assert.deepEqual(clicks, [], 'la clasificación no debe clickear nada');
+                } finally {
+                    await close();
+                }
+            });
+        }
+    });
+
+    for (const [handlerName, [handler, cases]] of Object.entries(HANDLERS)) {
+        describe(handlerName, () => {
+            for (const [fixture, [expectedResult, expectedClicks]] of Object.entries(cases)) {
+                it(`${fixture} → ${expectedResult} ${JSON.stringify(expectedClicks)}`, { timeout: HANDLER_TIMEOUT }, async () => {
+                    const { page, clicks, close } = await harness.open(fixture);
+                    try {
+                        assert.equal(await handler(page), expectedResult);
+                        assert.deepEqual(clicks, expectedClicks);
+                    } finally {
+                        await close();
+                    }
+                });
+            }
+        });
+    }
+});
@@ -0,0 +1,215 @@
+/*****************************************************************
+ * retention.test.js – Caducidad de las cookies guardadas y retención por cuenta
+ * Las pruebas HTTP importan server.js (no necesitan navegador).
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EXPIRY_REASONS, HEALTH_STATUS, sessionExpiry } = require('../cookie-health');
+const { validateRetentionPolicy, createRetentionPolicies } = require('../retention');
+const { RECORD_KINDS, createMemoryStorage, createSessionStore } = require('../storage');
+const { loadCookies, cleanOldSessions } = require('../helpers');
+const { prepareServerEnv, createSignedInApiClient } = require('./support');
+const { startMockFacebook } = require('./mock-facebook');
+
+// En segundos enteros, como el expires de las cookies
+const NOW = Math.floor(Date.now() / 1000) * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const hoursFromNow = hours => new Date(NOW + hours * HOUR_MS);
+const cookie = (name, expiresAt) => ({ name, value: 'v', domain: '.facebook.com', path: '/', expires: Math.floor(expiresAt.getTime() / 1000) });
+
+/**
+ * Registro de cookies guardado hace savedHoursAgo con las cuatro de autenticación
+ * @param {string} email - Cuenta
+ * @param {number} savedHoursAgo - Antigüedad respecto a NOW
+ * @param {Object} expiresIn - Horas hasta que caduca cada cookie ({ xs: -2 }; 24 * 90 por defecto)
+ */
+function cookieRecord(email, savedHoursAgo, expiresIn = {}) {
+    const names = ['c_user', 'xs', 'datr', 'fr'].filter(name => expiresIn[name] !== null);
+    return {
+        email,
+        timestamp: hoursFromNow(-savedHoursAgo).toISOString(),
+        cookies: names.map(name => cookie(name, hoursFromNow(expiresIn[name] ?? 24 * 90)))
+    };
+}
+
+describe('Caducidad de las cookies guardadas', () => {
+    it('valen hasta que caduca la primera cookie de autenticación', () => {
+        const expiry = sessionExpiry(cookieRecord('a@example.com', 24 * 30, { fr: 10 }), { now: NOW });
+        assert.equal(expiry.expired, false);
+        assert.equal(expiry.expiresAt, hoursFromNow(10).toISOString());
+        assert.equal(expiry.remainingMs, 10 * HOUR_MS);
+        assert.equal(expiry.ageMs, 24 * 30 * HOUR_MS);
+        assert.equal(expiry.health.status, HEALTH_STATUS.EXPIRING_SOON);
+    });
+
+    it('caducan al caducar o faltar una cookie de autenticación, o al superar maxAgeHours', () => {
+        const expired = sessionExpiry(cookieRecord('a@example.com', 5, { xs: -2 }), { now: NOW });
+        assert.equal(expired.reason, EXPIRY_REASONS.AUTH_COOKIES);
+        assert.equal(expired.expiresAt, hoursFromNow(-2).toISOString());
+        assert.equal(expired.remainingMs, 0);
+
+        assert.equal(sessionExpiry(cookieRecord('a@example.com', 5, { datr: null }), { now: NOW }).reason, EXPIRY_REASONS.AUTH_COOKIES);
+
+        const capped = sessionExpiry(cookieRecord('a@example.com', 30), { maxAgeHours: 24, now: NOW });
+        assert.equal(capped.reason, EXPIRY_REASONS.MAX_AGE);
+        assert.equal(capped.expiresAt, hoursFromNow(-6).toISOString());
+        assert.equal(sessionExpiry(cookieRecord('a@example.com', 30), { maxAgeHours: 0, now: NOW }).expired, false);
+    });
+});
+
+describe('Políticas de retención', () => {
+    let rootDir;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-retention-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('valida los campos', () => {
+        assert.deepEqual(validateRetentionPolicy({ maxAgeHours: 0, cleanupHours: 12 }), { policy: { maxAgeHours: 0, cleanupHours: 12 }, errors: [] });
+        assert.match(validateRetentionPolicy({ cleanupHours: 0 }).errors[0], /cleanupHours debe ser un entero >= 1/);
+        assert.match(validateRetentionPolicy({ maxAgeHours: 1.5 }).errors[0], /maxAgeHours/);
+        assert.match(validateRetentionPolicy({ dias: 3 }).errors[0], /Campos desconocidos: dias/);
+        assert.match(validateRetentionPolicy({}).errors[0], /Indica maxAgeHours/);
+        assert.match(validateRetentionPolicy([]).errors[0], /Se esperaba un objeto/);
+    });
+
+    it('cada cuenta ajusta la política por defecto y puede volver a ella', () => {
+        const file = path.join(rootDir, 'retention-policies.json');
+        const policies = createRetentionPolicies(file, { maxAgeHours: 0, cleanupHours: 168 });
+
+        assert.deepEqual(policies.get('a@example.com'), { maxAgeHours: 0, cleanupHours: 168, custom: false });
+        assert.deepEqual(policies.set('a@example.com', { cleanupHours: 24 }), { maxAgeHours: 0, cleanupHours: 24, custom: true });
+        assert.throws(() => policies.set('a@example.com', { cleanupHours: -1 }), /cleanupHours/);
+
+        assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+        const reopened = createRetentionPolicies(file, { maxAgeHours: 0, cleanupHours: 168 });
+        assert.deepEqual(reopened.list(), [{ email: 'a@example.com', cleanupHours: 24 }]);
+        assert.equal(reopened.remove('a@example.com'), true);
+        assert.equal(reopened.remove('a@example.com'), false);
+        assert.equal(reopened.get('a@example.com').custom, false);
+    });
+});
+
+describe('loadCookies y cleanOldSessions', () => {
+    const defaults = { maxAgeHours: 0, cleanupHours: 24 };
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('loadCookies ignora las cookies caducadas aunque el archivo sea reciente', () => {
+        const store = createSessionStore(createMemoryStorage());
+        store.write(RECORD_KINDS.COOKIES, 'fresh@example.com', cookieRecord('fresh@example.com', 24 * 30, { xs: 24 * 60 }));
+        store.write(RECORD_KINDS.COOKIES, 'dead@example.com', { ...cookieRecord('dead@example.com', 0), cookies: [] });
+
+        assert.ok(loadCookies('fresh@example.com', store));
+        assert.equal(loadCookies('fresh@example.com', store, { maxAgeHours: 24 }), null);
+        assert.equal(loadCookies('dead@example.com', store), null);
+    });
+
+    it('borra lo que lleva caducado más de cleanupHours, con su estado de sesión', () => {
+        const store = createSessionStore(createMemoryStorage());
+        const save = (email, record) => {
+            store.write(RECORD_KINDS.COOKIES, email, record);
+            store.write(RECORD_KINDS.SESSION, email, { email, localStorage: {} });
+        };
+        save('old@example.com', cookieRecord('old@example.com', 24 * 200));                  // Antiguas pero vigentes
+        save('expired@example.com', cookieRecord('expired@example.com', 24 * 10, { fr: -30 })); // Caducadas hace 30 h
+        save('recent@example.com', cookieRecord('recent@example.com', 24 * 10, { fr: -5 }));    // Caducadas hace 5 h
+        save('custom@example.com', cookieRecord('custom@example.com', 24 * 10, { fr: -5 }));
+
+        const policyFor = email => (email === 'custom@example.com' ? { ...defaults, cleanupHours: 1 } : defaults);
+        assert.equal(cleanOldSessions(store, policyFor, NOW), 4);
+        assert.deepEqual(
+            [...new Set(store.list().map(record => record.data.email))].sort(),
+            ['old@example.com', 'recent@example.com']
+        );
+    });
+
+    it('conserva los registros que no puede leer y el estado de sesión de su cuenta', () => {
+        const adapter = createMemoryStorage();
+        const store = createSessionStore(adapter);
+        const longAgo = hoursFromNow(-24 * 365);
+        adapter.set(RECORD_KINDS.COOKIES, 'locked_example_com', '{"encrypted": "otra clave', longAgo);
+        adapter.set(RECORD_KINDS.SESSION, 'locked_example_com', JSON.stringify({ email: 'locked@example.com' }), longAgo);
+        adapter.set(RECORD_KINDS.SESSION, 'orphan_example_com', JSON.stringify({ email: 'orphan@example.com' }), longAgo);
+
+        assert.equal(cleanOldSessions(store, () => defaults, NOW), 1);
+        assert.deepEqual(
+            store.list().map(record => `${record.kind}:${record.key}`).sort(),
+            [`${RECORD_KINDS.COOKIES}:locked_example_com`, `${RECORD_KINDS.SESSION}:locked_example_com`]
+        );
+    });
+});
+
+describe('GET /cookies y /retention', () => {
+    let mockSite, env, server, baseUrl, admin;
+
+    before(async () => {
+        mockSite = await startMockFacebook();
+        env = prepareServerEnv(mockSite);
+        mock.method(console, 'log', () => {});
+
+        server = require('../server').startServer(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        admin = await createSignedInApiClient(baseUrl);
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (mockSite) await mockSite.close();
+        if (env) env.cleanup();
+    });
+
+    it('informa de la caducidad con la política de cada cuenta', async () => {
+        const inAMonth = new Date(Date.now() + 30 * 24 * HOUR_MS);
+        fs.mkdirSync(env.cookiesDir, { recursive: true });
+        fs.writeFileSync(
+            path.join(env.cookiesDir, 'tester_example_com_cookies.json'),
+            JSON.stringify({
+                email: 'tester@example.com',
+                timestamp: new Date(Date.now() - 48 * HOUR_MS).toISOString(),
+                cookies: ['c_user', 'xs', 'datr', 'fr'].map(name => cookie(name, inAMonth))
+            })
+        );
+
+        let [account] = (await admin.get('/cookies')).body.cookies;
+        assert.equal(account.expiry.expired, false);
+        assert.equal(account.expiry.expiresAt, new Date(Math.floor(inAMonth.getTime() / 1000) * 1000).toISOString());
+        assert.ok(account.age >= 48 * HOUR_MS);
+        assert.equal(account.retention.custom, false);
+
+        const updated = await admin.put('/retention/tester@example.com', { maxAgeHours: 24 });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.maxAgeHours, 24);
+
+        [account] = (await admin.get('/cookies')).body.cookies;
+        assert.equal(account.expiry.expired, true);
+        assert.equal(account.expiry.reason, EXPIRY_REASONS.MAX_AGE);
+        assert.equal(account.retention.custom, true);
+
+        const listed = await admin.get('/retention');
+        assert.deepEqual(listed.body.accounts, [{ email: 'tester@example.com', maxAgeHours: 24 }]);
+        assert.equal(listed.body.defaults.maxAgeHours, 0);
+
+        assert.equal((await admin.put('/retention/tester@example.com', { maxAgeHours: -1 })).status, 400);
+        assert.equal((await admin.delete('/retention/tester@example.com')).status, 200);
+        assert.equal((await admin.delete('/retention/tester@example.com')).status, 404);
+    });
+});
@@ -0,0 +1,187 @@
+/*****************************************************************
+ * screencast.test.js – Vista en vivo de sesiones (CDP + MJPEG)
+ * La página y la sesión CDP son EventEmitters falsos: no hace falta
+ * navegador para comprobar el reparto de frames ni el fallback.
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const express = require('express');
+
+const {
+    MJPEG_BOUNDARY,
+    createScreencast,
+    getScreencast,
+    stopScreencast,
+    pipeMjpeg
+} = require('../screencast');
+
+class FakeCDPSession extends EventEmitter {
+    constructor() {
+        super();
+        this.sent = [];
+        this.detached = false;
+    }
+
+    async send(method, params) {
+        this.sent.push([method, params]);
+    }
+
+    async detach() {
+        this.detached = true;
+        this.removeAllListeners();
+    }
+
+    frame(data) {
+        this.emit('Page.screencastFrame', { data: Buffer.from(data).toString('base64'), sessionId: this.sent.length });
+    }
+}
+
+function fakePage({ cdp = true } = {}) {
+    const page = new EventEmitter();
+    page.cdp = new FakeCDPSession();
+    page.shots = 0;
+    page.context = () => ({
+        newCDPSession: async () => {
+            if (!cdp) throw new Error('CDP no soportado');
+            return page.cdp;
+        }
+    });
+    page.screenshot = async () => Buffer.from(`captura-${++page.shots}`);
+    return page;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createScreencast', () => {
+    before(() => mock.method(console, 'log', () => {}));
+    after(() => mock.restoreAll());
+
+    it('reparte los frames de CDP a todos los visores y confirma cada uno', async () => {
+        const page = fakePage();
+        const screencast = createScreencast(page, { quality: 40, maxWidth: 320 });
+        const first = [];
+        const second = [];
+
+        const unsubscribeFirst = screencast.subscribe(frame => first.push(frame.data.toString()));
+        screencast.subscribe(frame => second.push(frame.data.toString()));
+        await tick();
+
+        assert.equal(screencast.mode, 'cdp');
+        assert.deepEqual(page.cdp.sent[0], ['Page.startScreencast', { format: 'jpeg', quality: 40, maxWidth: 320 }]);
+
+        page.cdp.frame('uno');
+        unsubscribeFirst();
+        page.cdp.frame('dos');
+
+        assert.deepEqual(first, ['uno']);
+        assert.deepEqual(second, ['uno', 'dos']);
+        assert.equal(screencast.lastFrame.data.toString(), 'dos');
+        assert.equal(page.cdp.sent.filter(([method]) => method === 'Page.screencastFrameAck').length, 2);
+    });
+
+    it('libera CDP cuando se va el último visor', async () => {
+        const page = fakePage();
+        const screencast = createScreencast(page);
+        const unsubscribe = screencast.subscribe(() => {});
+        await tick();
+
+        unsubscribe();
+        await tick();
+
+        assert.equal(screencast.mode, null);
+        assert.equal(screencast.viewers, 0);
+        assert.ok(page.cdp.sent.some(([method]) => method === 'Page.stopScreencast'));
+        assert.equal(page.cdp.detached, true);
+    });
+
+    it('usa capturas periódicas si CDP no está disponible', async () => {
+        const page = fakePage({ cdp: false });
+        const screencast = createScreencast(page, { intervalMs: 100 });
+        const frames = [];
+        const unsubscribe = screencast.subscribe(frame => frames.push(frame.data.toString()));
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        unsubscribe();
+        await tick();
+
+        assert.equal(frames[0], 'captura-1');
+        assert.ok(frames.length >= 2);
+        assert.equal(screencast.mode, null);
+    });
+
+    it('avisa a los visores cuando la página se cierra', async () => {
+        const page = fakePage();
+        const screencast = createScreencast(page);
+        let ended = false;
+        screencast.subscribe(() => {}, () => { ended = true; });
+        await tick();
+
+        page.emit('close');
+        await tick();
+
+        assert.equal(ended, true);
+        assert.equal(page.cdp.detached, true);
+
+        // Un visor que llega después termina de inmediato
+        let lateEnded = false;
+        screencast.subscribe(() => {}, () => { lateEnded = true; });
+        assert.equal(lateEnded, true);
+    });
+});
+
+describe('getScreencast / stopScreencast', () => {
+    it('comparte un screencast por sesión y lo descarta al detenerlo', async () => {
+        const page = fakePage();
+        const screencast = getScreencast('sesion-a', page);
+        assert.equal(getScreencast('sesion-a', page), screencast);
+
+        await stopScreencast('sesion-a');
+        assert.notEqual(getScreencast('sesion-a', page), screencast);
+        await stopScreencast('sesion-a');
+        await stopScreencast('no-existe');
+    });
+});
+
+describe('pipeMjpeg', () => {
+    const page = fakePage();
+    const screencast = createScreencast(page);
+    const app = express();
+    app.get('/stream', (req, res) => pipeMjpeg(req, res, screencast));
+    const server = app.listen(0);
+
+    after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    it('envía el último frame y los siguientes como multipart JPEG', async () => {
+        // Un visor anterior deja 'previo' como último frame conocido
+        const unsubscribe = screencast.subscribe(() => {});
+        await tick();
+        page.cdp.frame('previo');
+        unsubscribe();
+        await tick();
+
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/stream`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`);
+
+        const reader = response.body.getReader();
+        let body = '';
+        while (screencast.mode !== 'cdp') await tick();
+        page.cdp.frame('nuevo');
+
+        while (!body.includes('nuevo')) {
+            const { value } = await reader.read();
+            body += Buffer.from(value).toString();
+        }
+        await reader.cancel();
+
+        const parts = body.split(`--${MJPEG_BOUNDARY}\r\n`).filter(Boolean);
+        assert.equal(parts.length, 2);
+        assert.match(parts[0], /^Content-Type: image\/jpeg\r\nContent-Length: 6\r\n\r\nprevio\r\n$/);
+        assert.match(parts[1], /nuevo\r\n$/);
+    });
+});
@@ -0,0 +1,41 @@
+/*****************************************************************
+ * secret-box.test.js – Cifrado de secretos en disco
+ *****************************************************************/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSecretBox, isSealed } = require('../secret-box');
+
+describe('createSecretBox', () => {
+    it('cifra con IV aleatorio y descifra con la misma clave', () => {
+        const box = createSecretBox('una passphrase cualquiera');
+        const first = box.encrypt('secreto');
+        const second = box.encrypt('secreto');
+
+        assert.equal(isSealed(first), true);
+        assert.notEqual(first, second);
+        assert.equal(box.decrypt(first), 'secreto');
+        assert.equal(createSecretBox('una passphrase cualquiera').decrypt(second), 'secreto');
+    });
+
+    it('acepta una clave hex de 64 caracteres', () => {
+        const box = createSecretBox('a'.repeat(64));
+        assert.equal(box.decrypt(box.encrypt('ñandú')), 'ñandú');
+    });
+
+    it('detecta claves incorrectas y datos alterados', () => {
+        const sealed = createSecretBox('clave buena').encrypt('secreto');
+        assert.throws(() => createSecretBox('clave mala').decrypt(sealed), /No se pudo descifrar/);
+
+        const [version, iv, tag, data] = sealed.split(':');
+        const tampered = [version, iv, tag, Buffer.from('otra cosa').toString('base64')].join(':');
+        assert.throws(() => createSecretBox('clave buena').decrypt(tampered), /No se pudo descifrar/);
+        assert.throws(() => createSecretBox('clave buena').decrypt('texto plano'), /Formato/);
+        assert.equal(isSealed(data), false);
+    });
+
+    it('exige una clave', () => {
+        assert.throws(() => createSecretBox(''), /Se requiere una clave/);
+    });
+});
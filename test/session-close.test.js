@@ -0,0 +1,127 @@
+/*****************************************************************
+ * session-close.test.js – Cierre de sesiones y guardado de cookies
+ * Las sesiones son navegadores simulados registrados en activeSessions;
+ * importa server.js pero no abre ningún navegador.
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { LOGIN_STATES, createLoginStateMachine } = require('../login-state');
+const { prepareServerEnv } = require('./support');
+const { startMockFacebook } = require('./mock-facebook');
+
+const EMAIL = 'tester@example.com';
+const LAST_GOOD = { email: EMAIL, timestamp: new Date().toISOString(), cookies: [{ name: 'c_user', value: 'bueno', domain: '.facebook.com', path: '/' }] };
+
+/**
+ * Sesión con navegador simulado cuyo contexto devuelve una cookie nueva
+ * @param {string} sessionId - ID de la sesión
+ * @param {Array<string>} states - Estados por los que pasa su login (null = sin máquina de estados)
+ * @param {Object} options - { persistent: contexto de launchPersistentContext, sin browser (quick login) }
+ * @returns {Object} - Entrada de activeSessions
+ */
+function fakeSession(sessionId, states, { persistent = false } = {}) {
+    let loginState = null;
+    if (states) {
+        loginState = createLoginStateMachine(sessionId, { email: EMAIL, version: 'mobile' });
+        states.forEach(state => loginState.transition(state));
+    }
+    return {
+        email: EMAIL,
+        version: 'mobile',
+        loginState,
+        browser: persistent ? null : { closed: false, close: async function () { this.closed = true; } },
+        context: {
+            closed: false,
+            _options: { userAgent: 'test', viewport: { width: 400, height: 800 } },
+            cookies: async () => [{ name: 'c_user', value: 'nuevo', domain: '.facebook.com', path: '/' }],
+            clearCookies: async function () { this.clearedBeforeClose = !this.closed; },
+            close: async function () { this.closed = true; }
+        },
+        page: { url: () => 'http://mock/', title: async () => 'Facebook', evaluate: async () => ({}) }
+    };
+}
+
+describe('closeSession', () => {
+    let mockSite, env, server, serverModule, cookieFile;
+
+    before(async () => {
+        mockSite = await startMockFacebook();
+        env = prepareServerEnv(mockSite);
+        mock.method(console, 'log', () => {});
+
+        serverModule = require('../server');
+        server = serverModule.startServer(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        cookieFile = path.join(env.cookiesDir, 'tester_example_com_cookies.json');
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        if (server) await new Promise(resolve => server.close(resolve));
+        if (mockSite) await mockSite.close();
+        if (env) env.cleanup();
+    });
+
+    const savedCookieValue = () => JSON.parse(fs.readFileSync(cookieFile, 'utf8')).cookies[0].value;
+
+    it('un login sin terminar no sustituye las últimas cookies buenas', async () => {
+        fs.mkdirSync(env.cookiesDir, { recursive: true });
+        fs.writeFileSync(cookieFile, JSON.stringify(LAST_GOOD));
+
+        const { activeSessions, closeSession } = serverModule;
+        const session = fakeSession('cierre-2fa', [LOGIN_STATES.CREDENTIALS, LOGIN_STATES.SUBMITTED, LOGIN_STATES.TWO_FACTOR]);
+        activeSessions['cierre-2fa'] = session;
+
+        assert.equal((await closeSession('cierre-2fa')).success, true);
+        assert.equal(activeSessions['cierre-2fa'], undefined);
+        assert.equal(session.loginState.state, LOGIN_STATES.FAILED);
+        assert.equal(savedCookieValue(), 'bueno');
+    });
+
+    it('una sesión iniciada (o sin máquina de estados) guarda sus cookies al cerrarse', async () => {
+        const { activeSessions, closeSession } = serverModule;
+
+        activeSessions['cierre-ok'] = fakeSession('cierre-ok', [LOGIN_STATES.LOGGED_IN]);
+        assert.equal((await closeSession('cierre-ok')).success, true);
+        assert.equal(savedCookieValue(), 'nuevo');
+
+        fs.writeFileSync(cookieFile, JSON.stringify(LAST_GOOD));
+        activeSessions['cierre-sin-estado'] = fakeSession('cierre-sin-estado', null);
+        assert.equal((await closeSession('cierre-sin-estado')).success, true);
+        assert.equal(savedCookieValue(), 'nuevo');
+    });
+
+    it('cierra el contexto de las sesiones de quick login, que no tienen browser', async () => {
+        const { activeSessions, closeSession } = serverModule;
+
+        const persistent = fakeSession('cierre-quick', [LOGIN_STATES.LOGGED_IN], { persistent: true });
+        activeSessions['cierre-quick'] = persistent;
+        assert.equal((await closeSession('cierre-quick', 'idle_timeout')).success, true);
+        assert.equal(persistent.context.closed, true);
+        assert.equal(persistent.context.clearedBeforeClose, true, 'el perfil no debe conservar las cookies');
+        assert.equal(savedCookieValue(), 'nuevo', 'las cookies se guardan antes de borrarlas del perfil');
+
+        const launched = fakeSession('cierre-normal', [LOGIN_STATES.LOGGED_IN]);
+        activeSessions['cierre-normal'] = launched;
+        await closeSession('cierre-normal');
+        assert.equal(launched.browser.closed, true);
+        assert.equal(launched.context.closed, false);
+    });
+
+    it('el apagado cierra los contextos persistentes antes de marcar las sesiones como muertas', async () => {
+        const { activeSessions, shutdownSessions, sessionRegistry } = serverModule;
+        const session = fakeSession('apagado-quick', [LOGIN_STATES.LOGGED_IN], { persistent: true });
+        activeSessions['apagado-quick'] = session;
+
+        const closedWhenMarked = [];
+        mock.method(sessionRegistry, 'markDead', () => closedWhenMarked.push(session.context.closed));
+
+        assert.equal(await shutdownSessions(), 1);
+        assert.deepEqual(closedWhenMarked, [true]);
+        sessionRegistry.markDead.mock.restore();
+    });
+});
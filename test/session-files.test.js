@@ -0,0 +1,130 @@
+/*****************************************************************
+ * session-files.test.js – Cookies y estado de sesión cifrados en disco
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadCookies } = require('../helpers');
+const { RECORD_KINDS, isEncryptedRecord, createFileStorage, createSessionStore } = require('../storage');
+const { createSecretBox } = require('../secret-box');
+const { loadConfig } = require('../config');
+
+const EMAIL = 'tester@example.com';
+const COOKIE_DATA = {
+    email: EMAIL,
+    timestamp: new Date().toISOString(),
+    // Con las cuatro cookies de autenticación; sin expires no caducan
+    cookies: ['c_user', 'xs', 'datr', 'fr'].map(name => ({ name, value: `token-de-sesion-${name}`, domain: '.facebook.com', path: '/' }))
+};
+
+describe('Archivos de cookies y sesión', () => {
+    const box = createSecretBox('clave de prueba');
+    let rootDir;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-session-files-test-'));
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('con clave no deja cookies legibles en disco', () => {
+        const dir = fs.mkdtempSync(path.join(rootDir, 'cifrado-'));
+        const store = createSessionStore(createFileStorage(dir), box);
+        const file = path.join(dir, store.write(RECORD_KINDS.COOKIES, EMAIL, COOKIE_DATA));
+        assert.equal(path.basename(file), 'tester_example_com_cookies.json');
+
+        const raw = fs.readFileSync(file, 'utf8');
+        assert.equal(raw.includes('token-de-sesion'), false);
+        assert.equal(isEncryptedRecord(JSON.parse(raw)), true);
+        assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+        assert.deepEqual(store.read(RECORD_KINDS.COOKIES, EMAIL), COOKIE_DATA);
+        assert.deepEqual(loadCookies(EMAIL, store, { maxAgeHours: 1 }).cookies, COOKIE_DATA.cookies);
+    });
+
+    it('sin la clave correcta no se cargan', () => {
+        const dir = fs.mkdtempSync(path.join(rootDir, 'sin-clave-'));
+        createSessionStore(createFileStorage(dir), box).write(RECORD_KINDS.COOKIES, EMAIL, COOKIE_DATA);
+        const withoutKey = createSessionStore(createFileStorage(dir));
+
+        assert.throws(() => withoutKey.read(RECORD_KINDS.COOKIES, EMAIL), /secrets\.key/);
+        assert.throws(
+            () => createSessionStore(createFileStorage(dir), createSecretBox('otra clave')).read(RECORD_KINDS.COOKIES, EMAIL),
+            /clave incorrecta/
+        );
+        assert.equal(loadCookies(EMAIL, withoutKey, { maxAgeHours: 1 }), null);
+    });
+
+    it('lee los archivos en texto plano anteriores al cifrado', () => {
+        const dir = fs.mkdtempSync(path.join(rootDir, 'plano-'));
+        createSessionStore(createFileStorage(dir)).write(RECORD_KINDS.COOKIES, EMAIL, COOKIE_DATA);
+
+        assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'tester_example_com_cookies.json'), 'utf8')).email, EMAIL);
+        assert.deepEqual(loadCookies(EMAIL, createSessionStore(createFileStorage(dir), box), { maxAgeHours: 1 }).cookies, COOKIE_DATA.cookies);
+    });
+
+    it('encryptAll cifra solo los archivos en texto plano y conserva su fecha', () => {
+        const dir = fs.mkdtempSync(path.join(rootDir, 'migracion-'));
+        const plain = createSessionStore(createFileStorage(dir));
+        const store = createSessionStore(createFileStorage(dir), box);
+
+        const cookieFile = path.join(dir, plain.write(RECORD_KINDS.COOKIES, EMAIL, COOKIE_DATA));
+        const sessionFile = path.join(dir, plain.write(RECORD_KINDS.SESSION, EMAIL, { email: EMAIL, localStorage: { clave: 'valor' } }));
+        const otherFile = path.join(dir, store.write(RECORD_KINDS.COOKIES, 'otro@example.com', COOKIE_DATA));
+        fs.writeFileSync(path.join(dir, 'roto_cookies.json'), '{ no es json');
+        fs.writeFileSync(path.join(dir, 'notas.txt'), 'sin tocar');
+
+        const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        fs.utimesSync(cookieFile, lastWeek, lastWeek);
+
+        const result = store.encryptAll();
+        assert.deepEqual(result.encrypted.sort(), [path.basename(cookieFile), path.basename(sessionFile)].sort());
+        assert.deepEqual(result.skipped, [path.basename(otherFile)]);
+        assert.deepEqual(result.failed.map(entry => entry.name), ['roto_cookies.json']);
+
+        assert.equal(fs.statSync(cookieFile).mtime.getTime(), lastWeek.getTime());
+        assert.deepEqual(store.read(RECORD_KINDS.SESSION, EMAIL).localStorage, { clave: 'valor' });
+        assert.equal(fs.readFileSync(path.join(dir, 'notas.txt'), 'utf8'), 'sin tocar');
+
+        // Una segunda pasada no cambia nada
+        assert.equal(store.encryptAll().encrypted.length, 0);
+    });
+});
+
+describe('secrets.keyFile', () => {
+    let rootDir;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-key-file-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('lee la clave del archivo indicado', () => {
+        fs.writeFileSync(path.join(rootDir, 'clave.txt'), 'clave desde archivo\n');
+        const config = loadConfig({ argv: [], env: { SECRETS_KEY_FILE: 'clave.txt' }, baseDir: rootDir });
+        assert.equal(config.secrets.key, 'clave desde archivo');
+        assert.equal(config.secrets.keyFile, path.join(rootDir, 'clave.txt'));
+        assert.equal(config.sources['secrets.key'], 'keyFile');
+    });
+
+    it('rechaza un archivo inexistente o combinado con secrets.key', () => {
+        assert.throws(() => loadConfig({ argv: [], env: { SECRETS_KEY_FILE: 'no-existe.txt' }, baseDir: rootDir }), /no se pudo leer/);
+        fs.writeFileSync(path.join(rootDir, 'clave.txt'), 'clave');
+        assert.throws(
+            () => loadConfig({ argv: [], env: { SECRETS_KEY_FILE: 'clave.txt', SECRETS_KEY: 'otra' }, baseDir: rootDir }),
+            /solo una/
+        );
+    });
+});
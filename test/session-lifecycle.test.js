@@ -0,0 +1,123 @@
+/*****************************************************************
+ * session-lifecycle.test.js – Inactividad, vida máxima y límites
+ * de navegadores por servidor y por cuenta
+ *****************************************************************/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    CLOSE_REASONS,
+    getSessionDeadline,
+    findExpiredSessions,
+    getTwoFactorStatus,
+    planCapacity
+} = require('../session-lifecycle');
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+function session(sessionId, { email = 'a@example.com', age = 0, idle = 0, busy = false } = {}) {
+    return { sessionId, email, createdAt: minutesAgo(age), lastActivityAt: minutesAgo(idle), busy };
+}
+
+describe('getSessionDeadline', () => {
+    it('devuelve el límite que llega primero', () => {
+        const policy = { idleTimeoutMinutes: 30, maxLifetimeMinutes: 120 };
+
+        const idle = getSessionDeadline(session('s1', { age: 10, idle: 5 }), policy);
+        assert.equal(idle.reason, CLOSE_REASONS.IDLE_TIMEOUT);
+        assert.deepEqual(idle.at, new Date(minutesAgo(5).getTime() + 30 * 60 * 1000));
+
+        const lifetime = getSessionDeadline(session('s2', { age: 110, idle: 0 }), policy);
+        assert.equal(lifetime.reason, CLOSE_REASONS.MAX_LIFETIME);
+    });
+
+    it('sin límites configurados no hay cierre', () => {
+        assert.equal(getSessionDeadline(session('s1', { age: 1000 }), { idleTimeoutMinutes: 0, maxLifetimeMinutes: 0 }), null);
+    });
+});
+
+describe('findExpiredSessions', () => {
+    it('marca las vencidas con su motivo y salta las ocupadas', () => {
+        const policy = { idleTimeoutMinutes: 30, maxLifetimeMinutes: 120 };
+        const expired = findExpiredSessions([
+            session('inactiva', { age: 40, idle: 31 }),
+            session('vieja', { age: 121, idle: 1 }),
+            session('ocupada', { age: 200, idle: 200, busy: true }),
+            session('viva', { age: 60, idle: 10 })
+        ], policy, NOW);
+
+        assert.deepEqual(expired, [
+            { sessionId: 'inactiva', reason: CLOSE_REASONS.IDLE_TIMEOUT },
+            { sessionId: 'vieja', reason: CLOSE_REASONS.MAX_LIFETIME }
+        ]);
+    });
+});
+
+describe('getTwoFactorStatus', () => {
+    const policy = { ttlMinutes: 10, maxAttempts: 3 };
+
+    it('cuenta el tiempo y los códigos que quedan', () => {
+        const status = getTwoFactorStatus({ timestamp: minutesAgo(4), attempts: 1 }, policy, NOW);
+        assert.deepEqual(status, {
+            expiresAt: new Date(NOW.getTime() + 6 * 60 * 1000),
+            expiresInSeconds: 360,
+            expired: false,
+            attempts: 1,
+            maxAttempts: 3,
+            attemptsLeft: 2
+        });
+    });
+
+    it('expira al cumplirse el TTL', () => {
+        const status = getTwoFactorStatus({ timestamp: minutesAgo(10), attempts: 5 }, policy, NOW);
+        assert.equal(status.expired, true);
+        assert.equal(status.expiresInSeconds, 0);
+        assert.equal(status.attemptsLeft, 0);
+    });
+});
+
+describe('planCapacity', () => {
+    const sessions = [
+        session('a-vieja', { age: 50 }),
+        session('a-nueva', { age: 10 }),
+        session('b-1', { email: 'b@example.com', age: 30 })
+    ];
+
+    it('sin límites siempre permite', () => {
+        assert.deepEqual(planCapacity(sessions, 'a@example.com', { maxConcurrent: 0, maxPerAccount: 0 }), {
+            allowed: true, evict: [], message: null
+        });
+    });
+
+    it('el límite por cuenta cierra las sesiones más antiguas de esa cuenta', () => {
+        const plan = planCapacity(sessions, 'a@example.com', { maxConcurrent: 0, maxPerAccount: 1 });
+        assert.equal(plan.allowed, true);
+        assert.deepEqual(plan.evict, ['a-vieja', 'a-nueva']);
+
+        assert.deepEqual(planCapacity(sessions, 'a@example.com', { maxConcurrent: 0, maxPerAccount: 2 }).evict, ['a-vieja']);
+    });
+
+    it('no cierra sesiones de la cuenta con login en curso', () => {
+        const busy = [session('a-1', { busy: true }), session('a-2', { busy: true })];
+        const plan = planCapacity(busy, 'a@example.com', { maxConcurrent: 0, maxPerAccount: 2 });
+        assert.equal(plan.allowed, false);
+        assert.match(plan.message, /logins en curso/);
+    });
+
+    it('el límite global rechaza sin cerrar sesiones de otras cuentas', () => {
+        const plan = planCapacity(sessions, 'c@example.com', { maxConcurrent: 3, maxPerAccount: 0 });
+        assert.equal(plan.allowed, false);
+        assert.deepEqual(plan.evict, []);
+        assert.match(plan.message, /3 navegadores/);
+
+        // Las sesiones sustituidas de la misma cuenta liberan sitio
+        assert.equal(planCapacity(sessions, 'a@example.com', { maxConcurrent: 3, maxPerAccount: 2 }).allowed, true);
+    });
+
+    it('cuenta los navegadores que se están abriendo', () => {
+        assert.equal(planCapacity(sessions, 'c@example.com', { maxConcurrent: 4, maxPerAccount: 0 }, 0).allowed, true);
+        assert.equal(planCapacity(sessions, 'c@example.com', { maxConcurrent: 4, maxPerAccount: 0 }, 1).allowed, false);
+    });
+});
@@ -0,0 +1,93 @@
+/*****************************************************************
+ * session-registry.test.js – Registro persistente de sesiones
+ * Cada test usa su propio archivo en un directorio temporal.
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { REGISTRY_STATUS, DEAD_REASONS, MAX_DEAD_ENTRIES, createSessionRegistry } = require('../session-registry');
+
+describe('createSessionRegistry', () => {
+    let rootDir;
+    let counter = 0;
+    const registryFile = () => path.join(rootDir, `registro-${++counter}`, 'sessions.json');
+    const readFile = file => JSON.parse(fs.readFileSync(file, 'utf8')).sessions;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-registry-test-'));
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('escribe cada cambio en disco', () => {
+        const file = registryFile();
+        const registry = createSessionRegistry(file);
+
+        registry.upsert('s1', { email: 'a@example.com', version: 'mobile', loginState: 'navigating', pending2FA: false });
+        registry.upsert('s1', { loginState: 'two_factor', pending2FA: true });
+
+        const [entry] = readFile(file);
+        assert.equal(entry.sessionId, 's1');
+        assert.equal(entry.email, 'a@example.com');
+        assert.equal(entry.loginState, 'two_factor');
+        assert.equal(entry.pending2FA, true);
+        assert.equal(entry.status, REGISTRY_STATUS.ACTIVE);
+
+        assert.equal(registry.remove('s1'), true);
+        assert.equal(registry.remove('s1'), false);
+        assert.deepEqual(readFile(file), []);
+    });
+
+    it('al arrancar marca como muertas las sesiones que seguían activas', () => {
+        const file = registryFile();
+        const previous = createSessionRegistry(file);
+        previous.upsert('cerrada', { email: 'a@example.com', version: 'mobile' });
+        previous.markDead('cerrada', DEAD_REASONS.SHUTDOWN);
+        previous.upsert('huerfana', { email: 'b@example.com', version: 'desktop' });
+
+        const registry = createSessionRegistry(file);
+        const orphaned = registry.reconcile();
+
+        assert.deepEqual(orphaned.map(entry => entry.sessionId), ['huerfana']);
+        assert.equal(registry.get('huerfana').deadReason, DEAD_REASONS.CRASH);
+        assert.equal(registry.get('cerrada').deadReason, DEAD_REASONS.SHUTDOWN);
+        assert.equal(registry.list({ status: REGISTRY_STATUS.ACTIVE }).length, 0);
+        assert.equal(registry.list({ status: REGISTRY_STATUS.DEAD }).length, 2);
+        assert.deepEqual(createSessionRegistry(file).reconcile(), []);
+    });
+
+    it('conserva solo las últimas sesiones muertas', () => {
+        const registry = createSessionRegistry(registryFile());
+        for (let i = 0; i <= MAX_DEAD_ENTRIES; i++) {
+            registry.upsert(`s${i}`, { email: `u${i}@example.com` });
+        }
+        registry.reconcile();
+        registry.upsert('ultima', { email: 'ultima@example.com' });
+        registry.markDead('ultima', DEAD_REASONS.SHUTDOWN);
+
+        const dead = registry.list({ status: REGISTRY_STATUS.DEAD });
+        assert.equal(dead.length, MAX_DEAD_ENTRIES);
+        assert.equal(registry.get('ultima').status, REGISTRY_STATUS.DEAD);
+        assert.equal(registry.markDead('no-existe', DEAD_REASONS.SHUTDOWN), null);
+    });
+
+    it('arranca vacío si el archivo está corrupto', () => {
+        const file = registryFile();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, '{ no es json');
+
+        const registry = createSessionRegistry(file);
+        assert.deepEqual(registry.list(), []);
+
+        registry.upsert('s1', { email: 'a@example.com' });
+        assert.equal(readFile(file).length, 1);
+    });
+});
@@ -0,0 +1,106 @@
+/*****************************************************************
+ * sms-inbox.test.js – Webhook de códigos 2FA reenviados por SMS
+ *****************************************************************/
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    INBOX_OUTCOMES,
+    secretMatches,
+    normalizePhone,
+    phonesMatch,
+    matchPendingSession,
+    createPhoneBook,
+    createInboxAudit
+} = require('../sms-inbox');
+
+describe('secretMatches', () => {
+    it('solo acepta el secreto configurado', () => {
+        assert.equal(secretMatches('s3creto', 's3creto'), true);
+        assert.equal(secretMatches('s3creto', 's3cret'), false);
+        assert.equal(secretMatches('s3creto', undefined), false);
+        assert.equal(secretMatches('', ''), false);
+    });
+});
+
+describe('Teléfonos', () => {
+    it('normaliza y compara ignorando formato y prefijo de país', () => {
+        assert.equal(normalizePhone('+34 600-11-22-33'), '34600112233');
+        assert.equal(normalizePhone('12345'), null);
+        assert.equal(phonesMatch('+34 600 11 22 33', '600112233'), true);
+        assert.equal(phonesMatch('(600) 112-233', '0034600112233'), true);
+        assert.equal(phonesMatch('600112233', '600112234'), false);
+        assert.equal(phonesMatch(null, '600112233'), false);
+    });
+});
+
+describe('matchPendingSession', () => {
+    const pending = [
+        { sessionId: 'antigua', email: 'a@example.com', phone: '+34600112233', timestamp: new Date(1000) },
+        { sessionId: 'nueva', email: 'A@example.com', phone: '600112233', timestamp: new Date(2000) },
+        { sessionId: 'otra', email: 'b@example.com', phone: null, timestamp: new Date(3000) }
+    ];
+
+    it('relaciona por email sin distinguir mayúsculas', () => {
+        assert.equal(matchPendingSession(pending, 'b@EXAMPLE.com').sessionId, 'otra');
+    });
+
+    it('relaciona por teléfono y prefiere la espera más reciente', () => {
+        assert.equal(matchPendingSession(pending, '0034 600 112 233').sessionId, 'nueva');
+    });
+
+    it('devuelve null sin destinatario o sin coincidencias', () => {
+        assert.equal(matchPendingSession(pending, ''), null);
+        assert.equal(matchPendingSession(pending, 'c@example.com'), null);
+        assert.equal(matchPendingSession(pending, '699999999'), null);
+    });
+});
+
+describe('Archivos del webhook', () => {
+    let rootDir;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-inbox-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('createPhoneBook guarda, lista y elimina teléfonos', () => {
+        const phones = createPhoneBook(path.join(rootDir, 'account-phones.json'));
+        assert.throws(() => phones.set('a@example.com', 'sin número'), /teléfono/);
+
+        assert.deepEqual(phones.set('a@example.com', ' +34 600 11 22 33 '), { email: 'a@example.com', phone: '+34 600 11 22 33' });
+        assert.equal(phones.get('a@example.com'), '+34 600 11 22 33');
+        assert.deepEqual(phones.list(), [{ email: 'a@example.com', phone: '+34 600 11 22 33' }]);
+
+        assert.equal(phones.remove('a@example.com'), true);
+        assert.equal(phones.remove('a@example.com'), false);
+        assert.equal(phones.get('a@example.com'), null);
+    });
+
+    it('createInboxAudit combina el resultado final con el mensaje recibido', () => {
+        const file = path.join(rootDir, 'inbox-audit.jsonl');
+        const audit = createInboxAudit(file);
+
+        const first = audit.record({ recipient: '600112233', message: 'Hola', outcome: INBOX_OUTCOMES.NO_CODE });
+        const second = audit.record({ recipient: '600112233', message: 'Código 123456', code: '123456', sessionId: 's1', outcome: INBOX_OUTCOMES.SUBMITTED });
+        audit.update(second.id, { outcome: INBOX_OUTCOMES.ACCEPTED, detail: 'Login completado' });
+        fs.appendFileSync(file, '{"id": "cortada');
+
+        const entries = audit.list();
+        assert.deepEqual(entries.map(entry => entry.id), [second.id, first.id]);
+        assert.equal(entries[0].outcome, INBOX_OUTCOMES.ACCEPTED);
+        assert.equal(entries[0].code, '123456');
+        assert.equal(entries[0].receivedAt, second.receivedAt);
+        assert.ok(entries[0].updatedAt);
+
+        assert.deepEqual(audit.list({ sessionId: 's1' }).map(entry => entry.id), [second.id]);
+        assert.equal(audit.list({ limit: 1 }).length, 1);
+    });
+});
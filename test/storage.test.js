@@ -0,0 +1,135 @@
+/*****************************************************************
+ * storage.test.js – Adaptadores de almacenamiento y sessionStore
+ * El mismo contrato se comprueba con los tres backends.
+ *****************************************************************/
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    RECORD_KINDS,
+    STORAGE_BACKENDS,
+    accountKey,
+    createStorage,
+    createSessionStore
+} = require('../storage');
+const { createSecretBox } = require('../secret-box');
+const { loadConfig } = require('../config');
+
+const EMAIL = 'tester@example.com';
+const HOUR = 60 * 60 * 1000;
+
+describe('Adaptadores de almacenamiento', () => {
+    let rootDir;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-storage-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    Object.values(STORAGE_BACKENDS).forEach(backend => {
+        const create = () => {
+            const dir = fs.mkdtempSync(path.join(rootDir, `${backend}-`));
+            return createStorage({ backend, cookiesDir: path.join(dir, 'cookies'), databaseFile: path.join(dir, 'session-data.json') });
+        };
+
+        it(`${backend}: guarda, lista y elimina registros`, () => {
+            const storage = create();
+            const key = accountKey(EMAIL);
+            assert.equal(storage.backend, backend);
+            assert.deepEqual(storage.list(), []);
+            assert.equal(storage.get(RECORD_KINDS.COOKIES, key), null);
+
+            assert.equal(storage.set(RECORD_KINDS.COOKIES, key, '{"a":1}'), 'tester_example_com_cookies.json');
+            storage.set(RECORD_KINDS.SESSION, key, '{"b":2}');
+            const record = storage.get(RECORD_KINDS.COOKIES, key);
+            assert.equal(record.content, '{"a":1}');
+            assert.equal(record.size, 7);
+            assert.ok(record.updatedAt instanceof Date);
+
+            assert.deepEqual(
+                storage.list().map(entry => `${entry.kind}:${entry.key}`).sort(),
+                [`cookies:${key}`, `session:${key}`]
+            );
+
+            assert.equal(storage.remove(RECORD_KINDS.COOKIES, key), true);
+            assert.equal(storage.remove(RECORD_KINDS.COOKIES, key), false);
+            assert.equal(storage.list().length, 1);
+        });
+
+        it(`${backend}: conserva la fecha indicada y limpia por antigüedad`, () => {
+            const storage = create();
+            const store = createSessionStore(storage, createSecretBox('clave de prueba'));
+            const lastWeek = new Date(Date.now() - 7 * 24 * HOUR);
+
+            store.write(RECORD_KINDS.COOKIES, EMAIL, { email: EMAIL, cookies: [] });
+            store.write(RECORD_KINDS.COOKIES, 'viejo@example.com', { email: 'viejo@example.com' });
+            const old = store.list().find(entry => entry.key === accountKey('viejo@example.com'));
+            assert.equal(old.encrypted, true);
+            assert.equal(old.data.email, 'viejo@example.com');
+
+            // Reescribir con fecha explícita, como hace encryptAll
+            storage.set(old.kind, old.key, storage.get(old.kind, old.key).content, lastWeek);
+            assert.equal(storage.get(old.kind, old.key).updatedAt.getTime(), lastWeek.getTime());
+
+            assert.deepEqual(store.clean(entry => Date.now() - entry.updatedAt.getTime() > 24 * HOUR), [old.name]);
+            assert.equal(store.has(RECORD_KINDS.COOKIES, 'viejo@example.com'), false);
+            assert.equal(store.removeAccount(EMAIL), 1);
+            assert.equal(store.removeAccount(EMAIL), 0);
+        });
+    });
+
+    it('database: un único archivo con permisos 0600 y sin secretos legibles', () => {
+        const file = path.join(rootDir, 'db', 'session-data.json');
+        const store = createSessionStore(createStorage({ backend: 'database', databaseFile: file }), createSecretBox('clave de prueba'));
+        store.write(RECORD_KINDS.COOKIES, EMAIL, { email: EMAIL, cookies: [{ name: 'xs', value: 'token-de-sesion' }] });
+
+        const raw = fs.readFileSync(file, 'utf8');
+        assert.equal(raw.includes('token-de-sesion'), false);
+        assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+        assert.deepEqual(Object.keys(JSON.parse(raw).records), ['tester_example_com_cookies.json']);
+
+        // Cada llamada lee el archivo: otro almacén sobre el mismo archivo ve los cambios
+        const other = createSessionStore(createStorage({ backend: 'database', databaseFile: file }), createSecretBox('clave de prueba'));
+        assert.equal(other.read(RECORD_KINDS.COOKIES, EMAIL).cookies[0].value, 'token-de-sesion');
+        other.write(RECORD_KINDS.SESSION, EMAIL, { email: EMAIL, url: 'http://mock/' });
+        assert.equal(store.list().length, 2);
+    });
+
+    it('database: list() y sus lecturas parsean el archivo una sola vez', () => {
+        const file = path.join(rootDir, 'db-list', 'session-data.json');
+        const store = createSessionStore(createStorage({ backend: 'database', databaseFile: file }));
+        for (let i = 0; i < 5; i++) {
+            store.write(RECORD_KINDS.COOKIES, `cuenta${i}@example.com`, { email: `cuenta${i}@example.com`, cookies: [] });
+        }
+
+        const parse = mock.method(JSON, 'parse');
+        try {
+            const fresh = createSessionStore(createStorage({ backend: 'database', databaseFile: file }));
+            assert.equal(fresh.list().length, 5);
+            // Una vez el documento y una vez el contenido de cada registro
+            assert.equal(parse.mock.calls.filter(call => call.arguments[0].includes('"records"')).length, 1);
+        } finally {
+            parse.mock.restore();
+        }
+    });
+});
+
+describe('storage.backend en la configuración', () => {
+    it('valida el backend y resuelve el archivo de la base de datos', () => {
+        const baseDir = os.tmpdir();
+        const config = loadConfig({ argv: ['--storage-backend', 'database'], env: {}, baseDir });
+        assert.equal(config.storage.backend, 'database');
+        assert.equal(config.storage.databaseFile, path.join(baseDir, 'session-data.json'));
+        assert.equal(loadConfig({ argv: [], env: {}, baseDir }).storage.backend, 'files');
+
+        assert.throws(() => loadConfig({ argv: [], env: { STORAGE_BACKEND: 'sqlite' }, baseDir }), /files, database, memory/);
+        assert.throws(() => createStorage({ backend: 'sqlite' }), /desconocido/);
+    });
+});
@@ -0,0 +1,154 @@
+/*****************************************************************
+ * support.js – Utilidades compartidas por los tests
+ *****************************************************************/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+
+/**
+ * Indica si el Chromium de Playwright está instalado en esta máquina
+ * @returns {boolean}
+ */
+function isBrowserInstalled() {
+    try {
+        return fs.existsSync(chromium.executablePath());
+    } catch (e) {
+        return false;
+    }
+}
+
+// Operador inicial de los servidores de prueba (AUTH_ADMIN_USER / AUTH_ADMIN_PASSWORD)
+const TEST_OPERATOR = Object.freeze({ username: 'admin', password: 'clave-del-operador' });
+
+// Motivo para saltar las suites que necesitan navegador (false = no saltar)
+const BROWSER_SKIP_REASON = isBrowserInstalled()
+    ? false
+    : 'Chromium de Playwright no instalado (ejecuta: npx playwright install chromium)';
+
+/**
+ * Prepara el entorno para importar server.js contra el mock:
+ * directorios temporales, navegador headless sin slowMo y sin debug
+ * @param {Object} mock - Controlador devuelto por startMockFacebook
+ * @returns {Object} - { rootDir, cookiesDir, cacheDir, debugDir, registryFile, totpFile, mailboxFile, phonesFile, inboxAuditFile, authFile, auditFile, retentionFile, cleanup }
+ */
+function prepareServerEnv(mock) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-login-test-'));
+    const dirs = {
+        cookiesDir: path.join(rootDir, 'cookies'),
+        cacheDir: path.join(rootDir, 'cache'),
+        debugDir: path.join(rootDir, 'debug'),
+        registryFile: path.join(rootDir, 'sessions.json'),
+        totpFile: path.join(rootDir, 'totp-secrets.json'),
+        mailboxFile: path.join(rootDir, 'mailboxes.json'),
+        phonesFile: path.join(rootDir, 'account-phones.json'),
+        inboxAuditFile: path.join(rootDir, 'inbox-audit.jsonl'),
+        authFile: path.join(rootDir, 'auth.json'),
+        auditFile: path.join(rootDir, 'audit.jsonl'),
+        retentionFile: path.join(rootDir, 'retention-policies.json')
+    };
+
+    Object.assign(process.env, {
+        MOBILE_BASE_URL: mock.mobileBaseUrl,
+        DESKTOP_BASE_URL: mock.desktopBaseUrl,
+        COOKIES_DIR: dirs.cookiesDir,
+        CACHE_DIR: dirs.cacheDir,
+        DEBUG_DIR: dirs.debugDir,
+        SESSION_REGISTRY_FILE: dirs.registryFile,
+        TOTP_SECRETS_FILE: dirs.totpFile,
+        MAILBOX_FILE: dirs.mailboxFile,
+        ACCOUNT_PHONES_FILE: dirs.phonesFile,
+        TWO_FACTOR_INBOX_AUDIT_FILE: dirs.inboxAuditFile,
+        AUTH_FILE: dirs.authFile,
+        AUDIT_FILE: dirs.auditFile,
+        RETENTION_POLICIES_FILE: dirs.retentionFile,
+        AUTH_ADMIN_USER: TEST_OPERATOR.username,
+        AUTH_ADMIN_PASSWORD: TEST_OPERATOR.password,
+        DEBUG_ENABLED: 'false',
+        HEADLESS: 'true',
+        SLOW_MO: '0',
+        FB_CONFIG: path.join(rootDir, 'config.json')
+    });
+    fs.writeFileSync(process.env.FB_CONFIG, '{}');
+
+    return {
+        rootDir,
+        ...dirs,
+        cleanup: () => fs.rmSync(rootDir, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Cliente JSON mínimo para la API del servidor
+ * @param {string} baseUrl - URL del servidor
+ * @param {Object} options - { token } para enviar Authorization: Bearer
+ * @returns {Object} - { get, post, put, delete }
+ */
+function createApiClient(baseUrl, { token = null } = {}) {
+    const request = async (method, route, body) => {
+        const headers = body ? { 'Content-Type': 'application/json' } : {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(`${baseUrl}${route}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    return {
+        get: route => request('GET', route),
+        post: (route, body = {}) => request('POST', route, body),
+        put: (route, body = {}) => request('PUT', route, body),
+        delete: route => request('DELETE', route)
+    };
+}
+
+/**
+ * Entra al panel con TEST_OPERATOR, crea un token de API con rol admin y devuelve un cliente que lo usa
+ * @param {string} baseUrl - URL del servidor
+ * @returns {Promise<Object>} - Cliente de createApiClient autenticado
+ */
+async function createSignedInApiClient(baseUrl) {
+    const login = await fetch(`${baseUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(TEST_OPERATOR)
+    });
+    if (!login.ok) {
+        throw new Error(`No se pudo entrar al panel de pruebas (${login.status})`);
+    }
+    const created = await fetch(`${baseUrl}/auth/tokens`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Cookie: login.headers.get('set-cookie').split(';')[0] },
+        body: JSON.stringify({ name: 'tests', role: 'admin' })
+    });
+    const { token } = await created.json();
+    return createApiClient(baseUrl, { token });
+}
+
+/**
+ * Consulta GET /jobs/:id hasta que el job deja de estar en ejecución
+ * @param {Object} api - Cliente de createApiClient
+ * @param {string} jobId - ID del job
+ * @returns {Promise<Object>} - Job terminado (cuerpo de GET /jobs/:id)
+ */
+async function waitForJob(api, jobId) {
+    for (let i = 0; i < 240; i++) {
+        const { body } = await api.get(`/jobs/${jobId}`);
+        if (body.state !== 'running') return body;
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error(`El job ${jobId} no terminó`);
+}
+
+module.exports = {
+    TEST_OPERATOR,
+    BROWSER_SKIP_REASON,
+    isBrowserInstalled,
+    prepareServerEnv,
+    createApiClient,
+    createSignedInApiClient,
+    waitForJob
+};
@@ -0,0 +1,79 @@
+/*****************************************************************
+ * takeover.test.js – Validación y reenvío de entradas del control manual
+ *****************************************************************/
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { INPUT_TYPES, MAX_TEXT_LENGTH, validateInput, applyInput, describeInput } = require('../takeover');
+
+// Página falsa que registra las llamadas de Playwright
+function fakePage() {
+    const calls = [];
+    const record = name => async (...args) => { calls.push([name, ...args]); };
+    return {
+        calls,
+        mouse: { click: record('mouse.click'), wheel: record('mouse.wheel') },
+        keyboard: { type: record('keyboard.type'), press: record('keyboard.press') },
+        goto: record('goto'),
+        goBack: record('goBack'),
+        reload: record('reload'),
+        url: () => 'http://127.0.0.1/m/checkpoint/'
+    };
+}
+
+describe('validateInput', () => {
+    it('acepta las entradas bien formadas', () => {
+        [
+            { type: 'click', x: 10, y: 20.5 },
+            { type: 'type', text: 'hola' },
+            { type: 'press', key: 'Enter' },
+            { type: 'scroll', deltaY: 300 },
+            { type: 'navigate', url: 'https://m.facebook.com/' },
+            { type: 'back' },
+            { type: 'reload' }
+        ].forEach(input => assert.equal(validateInput(input), null, input.type));
+    });
+
+    it('rechaza tipos desconocidos y parámetros inválidos', () => {
+        assert.match(validateInput(null), /Se requiere/);
+        assert.match(validateInput({ type: 'drag' }), /desconocido/);
+        assert.match(validateInput({ type: 'click', x: -1, y: 5 }), /coordenadas/);
+        assert.match(validateInput({ type: 'click', x: '10', y: 5 }), /coordenadas/);
+        assert.match(validateInput({ type: 'type', text: '' }), /text/);
+        assert.match(validateInput({ type: 'type', text: 'x'.repeat(MAX_TEXT_LENGTH + 1) }), /superar/);
+        assert.match(validateInput({ type: 'press', key: ' ' }), /key/);
+        assert.match(validateInput({ type: 'scroll', deltaY: 'mucho' }), /numéricos/);
+        assert.match(validateInput({ type: 'navigate', url: 'javascript:alert(1)' }), /http/);
+        assert.match(validateInput({ type: 'navigate', url: 'no es url' }), /http/);
+    });
+});
+
+describe('applyInput', () => {
+    it('reenvía cada tipo de entrada a la API de Playwright', async () => {
+        const page = fakePage();
+
+        const result = await applyInput(page, { type: INPUT_TYPES.CLICK, x: 5, y: 6 });
+        await applyInput(page, { type: INPUT_TYPES.TYPE, text: 'tester@example.com' });
+        await applyInput(page, { type: INPUT_TYPES.PRESS, key: 'Enter' });
+        await applyInput(page, { type: INPUT_TYPES.SCROLL, deltaY: 120 });
+        await applyInput(page, { type: INPUT_TYPES.NAVIGATE, url: 'https://m.facebook.com/' });
+        await applyInput(page, { type: INPUT_TYPES.BACK });
+        await applyInput(page, { type: INPUT_TYPES.RELOAD });
+
+        assert.deepEqual(result, { url: 'http://127.0.0.1/m/checkpoint/' });
+        assert.deepEqual(page.calls.map(call => call[0]), [
+            'mouse.click', 'keyboard.type', 'keyboard.press', 'mouse.wheel', 'goto', 'goBack', 'reload'
+        ]);
+        assert.deepEqual(page.calls[0].slice(1), [5, 6]);
+        assert.deepEqual(page.calls[3].slice(1), [0, 120]);
+    });
+});
+
+describe('describeInput', () => {
+    it('no incluye el texto tecleado en los logs', () => {
+        assert.equal(describeInput({ type: 'type', text: 'secreto' }), 'type (7 caracteres)');
+        assert.equal(describeInput({ type: 'click', x: 10.4, y: 20.6 }), 'click (10, 21)');
+        assert.equal(describeInput({ type: 'back' }), 'back');
+    });
+});
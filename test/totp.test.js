@@ -0,0 +1,130 @@
+/*****************************************************************
+ * totp.test.js – Códigos TOTP y almacén cifrado de secretos
+ * Vectores de prueba del apéndice B de la RFC 6238.
+ *****************************************************************/
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    decodeBase32,
+    generateHotp,
+    generateTotp,
+    totpCandidates,
+    parseTotpParams,
+    createTotpStore
+} = require('../totp');
+const { createSecretBox } = require('../secret-box');
+
+// "12345678901234567890" en base32 (secreto SHA1 de la RFC 6238)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateTotp', () => {
+    it('reproduce los vectores SHA1 de la RFC 6238', () => {
+        const vectors = [
+            [59, '94287082'],
+            [1111111109, '07081804'],
+            [1234567890, '89005924'],
+            [2000000000, '69279037']
+        ];
+        vectors.forEach(([seconds, expected]) => {
+            assert.equal(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 }), expected);
+        });
+    });
+
+    it('admite SHA256 y SHA512', () => {
+        const sha256Key = Buffer.from('12345678901234567890123456789012');
+        const sha512Key = Buffer.from('1234567890123456789012345678901234567890123456789012345678901234');
+        assert.equal(generateHotp(sha256Key, 1, { digits: 8, algorithm: 'SHA256' }), '46119246');
+        assert.equal(generateHotp(sha512Key, 1, { digits: 8, algorithm: 'SHA512' }), '90693936');
+    });
+
+    it('usa 6 dígitos y pasos de 30 s por defecto', () => {
+        assert.equal(generateTotp(RFC_SECRET, { time: 59 * 1000 }), '287082');
+        assert.equal(generateTotp(RFC_SECRET, { time: 60 * 1000 }), generateTotp(RFC_SECRET, { time: 89 * 1000 }));
+    });
+
+    it('decodifica base32 ignorando minúsculas, espacios y relleno', () => {
+        assert.equal(decodeBase32('gezd gnbv gy3t qojq').toString(), '1234567890');
+        assert.equal(decodeBase32('MZXW6===').toString(), 'foo');
+        assert.throws(() => decodeBase32('ABC1'), /no válido/);
+    });
+});
+
+describe('totpCandidates', () => {
+    it('prueba el paso actual, luego el siguiente y luego el anterior', () => {
+        const time = 1234567890 * 1000;
+        const step = ms => generateTotp(RFC_SECRET, { time: time + ms });
+
+        assert.deepEqual(totpCandidates(RFC_SECRET, { time }, 1), [step(0), step(30000), step(-30000)]);
+        assert.deepEqual(totpCandidates(RFC_SECRET, { time }, 0), [step(0)]);
+        assert.equal(totpCandidates(RFC_SECRET, { time }, 2).length, 5);
+    });
+});
+
+describe('parseTotpParams', () => {
+    it('acepta un secreto suelto con valores por defecto', () => {
+        assert.deepEqual(parseTotpParams({ secret: 'gezd-gnbv gy3t qojq gezd gnbv gy3t qojq' }), {
+            secret: RFC_SECRET, digits: 6, step: 30, algorithm: 'SHA1'
+        });
+    });
+
+    it('lee una URI otpauth://totp/', () => {
+        const uri = `otpauth://totp/Facebook:a%40example.com?secret=${RFC_SECRET}&issuer=Facebook&digits=8&period=60&algorithm=sha256`;
+        assert.deepEqual(parseTotpParams({ uri }), { secret: RFC_SECRET, digits: 8, step: 60, algorithm: 'SHA256' });
+    });
+
+    it('rechaza datos no válidos', () => {
+        assert.throws(() => parseTotpParams({}), /Se requiere secret/);
+        assert.throws(() => parseTotpParams({ secret: 'GEZDGNBV' }), /demasiado corto/);
+        assert.throws(() => parseTotpParams({ secret: RFC_SECRET, digits: 4 }), /digits/);
+        assert.throws(() => parseTotpParams({ secret: RFC_SECRET, algorithm: 'MD5' }), /algorithm/);
+        assert.throws(() => parseTotpParams({ uri: `otpauth://hotp/x?secret=${RFC_SECRET}` }), /otpauth:\/\/totp/);
+    });
+});
+
+describe('createTotpStore', () => {
+    let rootDir;
+
+    before(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-totp-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('guarda el secreto cifrado y genera los códigos de la cuenta', () => {
+        const file = path.join(rootDir, 'cifrado', 'totp-secrets.json');
+        const store = createTotpStore(file, createSecretBox('clave de prueba'));
+        const time = 59 * 1000;
+
+        const account = store.set('a@example.com', { secret: RFC_SECRET });
+        assert.equal(account.email, 'a@example.com');
+        assert.equal(account.secret, undefined);
+
+        assert.equal(fs.readFileSync(file, 'utf8').includes(RFC_SECRET), false);
+        assert.equal(store.has('a@example.com'), true);
+        assert.deepEqual(store.list().map(entry => entry.email), ['a@example.com']);
+        assert.equal(store.list()[0].secret, undefined);
+        assert.equal(store.candidates('a@example.com', 1, time)[0], '287082');
+
+        assert.equal(store.remove('a@example.com'), true);
+        assert.equal(store.remove('a@example.com'), false);
+        assert.throws(() => store.candidates('a@example.com'), /No hay secreto TOTP/);
+    });
+
+    it('no registra ni genera códigos sin clave de cifrado', () => {
+        const file = path.join(rootDir, 'sin-clave', 'totp-secrets.json');
+        createTotpStore(file, createSecretBox('clave de prueba')).set('a@example.com', { secret: RFC_SECRET });
+
+        const store = createTotpStore(file, null);
+        assert.equal(store.has('a@example.com'), true);
+        assert.throws(() => store.set('b@example.com', { secret: RFC_SECRET }), /secrets\.key/);
+        assert.throws(() => store.candidates('a@example.com'), /secrets\.key/);
+        assert.throws(() => createTotpStore(file, createSecretBox('otra clave')).candidates('a@example.com'), /No se pudo descifrar/);
+    });
+});
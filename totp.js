@@ -0,0 +1,253 @@
+/*****************************************************************
+ * totp.js – Códigos 2FA TOTP (RFC 6238) como fuente de 2FA
+ * Genera los códigos a partir del secreto del autenticador de cada
+ * cuenta. Los secretos se guardan cifrados (ver secret-box.js) en un
+ * archivo JSON propio, nunca en el directorio de cookies.
+ *****************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/*─────────────────  PARÁMETROS  ──────────────────*/
+const TOTP_DEFAULTS = Object.freeze({
+    digits: 6,          // Longitud del código
+    step: 30,           // Segundos por paso de tiempo
+    algorithm: 'SHA1'   // HMAC usado por casi todos los autenticadores
+});
+
+const TOTP_ALGORITHMS = ['SHA1', 'SHA256', 'SHA512'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/*─────────────────  ALGORITMO  ──────────────────*/
+/**
+ * Decodifica un secreto base32 (RFC 4648; ignora espacios, guiones y relleno)
+ * @param {string} input - Secreto en base32
+ * @returns {Buffer}
+ */
+function decodeBase32(input) {
+    const clean = String(input).toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Carácter no válido en el secreto base32: "${char}"`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Código HOTP (RFC 4226) para un contador
+ * @param {Buffer} key - Secreto decodificado
+ * @param {number} counter - Contador (paso de tiempo en TOTP)
+ * @param {Object} options - { digits, algorithm }
+ * @returns {string} - Código con ceros a la izquierda
+ */
+function generateHotp(key, counter, { digits = TOTP_DEFAULTS.digits, algorithm = TOTP_DEFAULTS.algorithm } = {}) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac(algorithm.toLowerCase(), key).update(message).digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Código TOTP (RFC 6238)
+ * @param {string} secret - Secreto base32
+ * @param {Object} options - { time (ms), step, digits, algorithm, offset (pasos respecto al actual) }
+ * @returns {string}
+ */
+function generateTotp(secret, { time = Date.now(), offset = 0, ...options } = {}) {
+    const { step, digits, algorithm } = { ...TOTP_DEFAULTS, ...options };
+    const counter = Math.floor(time / 1000 / step) + offset;
+    return generateHotp(decodeBase32(secret), counter, { digits, algorithm });
+}
+
+/**
+ * Códigos a probar en orden para absorber el desfase de reloj: el paso actual,
+ * el siguiente (el código cambia mientras se envía o nuestro reloj va atrasado)
+ * y el anterior, ampliando hasta `window` pasos en cada sentido
+ * @param {string} secret - Secreto base32
+ * @param {Object} options - Ver generateTotp
+ * @param {number} window - Pasos de tolerancia a cada lado
+ * @returns {Array<string>} - Códigos sin repetir
+ */
+function totpCandidates(secret, options = {}, window = 1) {
+    const offsets = [0];
+    for (let i = 1; i <= window; i++) {
+        offsets.push(i, -i);
+    }
+    return [...new Set(offsets.map(offset => generateTotp(secret, { ...options, offset })))];
+}
+
+/**
+ * Normaliza el alta de un secreto: { secret, digits, step, algorithm } o una URI otpauth://totp/...
+ * @param {Object|string} input - Datos enviados por la API
+ * @returns {Object} - { secret, digits, step, algorithm }
+ * @throws {Error} - Si el secreto o los parámetros no son válidos
+ */
+function parseTotpParams(input) {
+    let params = input;
+
+    if (typeof input === 'string' || (input && typeof input.uri === 'string')) {
+        const uri = typeof input === 'string' ? input : input.uri;
+        let parsed;
+        try {
+            parsed = new URL(uri);
+        } catch (e) {
+            throw new Error('URI otpauth no válida');
+        }
+        if (parsed.protocol !== 'otpauth:' || parsed.host !== 'totp') {
+            throw new Error('Solo se admiten URIs otpauth://totp/');
+        }
+        params = {
+            secret: parsed.searchParams.get('secret'),
+            digits: parsed.searchParams.get('digits') || undefined,
+            step: parsed.searchParams.get('period') || undefined,
+            algorithm: parsed.searchParams.get('algorithm') || undefined
+        };
+    }
+
+    if (!params || typeof params.secret !== 'string' || !params.secret.trim()) {
+        throw new Error('Se requiere secret (base32) o uri (otpauth://totp/...)');
+    }
+
+    const secret = params.secret.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+    if (decodeBase32(secret).length < 10) {
+        throw new Error('El secreto es demasiado corto (mínimo 80 bits)');
+    }
+
+    const digits = Number(params.digits ?? TOTP_DEFAULTS.digits);
+    const step = Number(params.step ?? TOTP_DEFAULTS.step);
+    const algorithm = String(params.algorithm ?? TOTP_DEFAULTS.algorithm).toUpperCase();
+
+    if (!Number.isInteger(digits) || digits < 6 || digits > 8) {
+        throw new Error('digits debe ser 6, 7 u 8');
+    }
+    if (!Number.isInteger(step) || step < 10 || step > 300) {
+        throw new Error('step debe estar entre 10 y 300 segundos');
+    }
+    if (!TOTP_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`algorithm debe ser uno de: ${TOTP_ALGORITHMS.join(', ')}`);
+    }
+
+    return { secret, digits, step, algorithm };
+}
+
+/*─────────────────  ALMACÉN DE SECRETOS  ──────────────────*/
+/**
+ * Crea el almacén de secretos TOTP por cuenta
+ * @param {string} filePath - Archivo JSON del almacén
+ * @param {Object|null} secretBox - Cifrador de secret-box.js (null si no hay clave configurada)
+ * @returns {Object} - Almacén con has / list / set / remove / candidates
+ */
+function createTotpStore(filePath, secretBox) {
+    const read = () => {
+        if (!fs.existsSync(filePath)) return {};
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).accounts || {};
+    };
+
+    const write = accounts => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpFile = `${filePath}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ accounts }, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpFile, filePath);
+    };
+
+    const requireBox = () => {
+        if (!secretBox) {
+            throw new Error('No hay clave de cifrado: configura secrets.key (SECRETS_KEY) para usar TOTP');
+        }
+        return secretBox;
+    };
+
+    return {
+        /**
+         * @param {string} email - Cuenta
+         * @returns {boolean} - Si la cuenta tiene secreto registrado
+         */
+        has(email) {
+            return Boolean(read()[email]);
+        },
+
+        /**
+         * Cuentas registradas (sin secretos)
+         * @returns {Array<Object>} - [{ email, digits, step, algorithm, createdAt }]
+         */
+        list() {
+            return Object.entries(read()).map(([email, { digits, step, algorithm, createdAt }]) => ({
+                email, digits, step, algorithm, createdAt
+            }));
+        },
+
+        /**
+         * Registra (o sustituye) el secreto de una cuenta
+         * @param {string} email - Cuenta
+         * @param {Object|string} input - Ver parseTotpParams
+         * @returns {Object} - Parámetros guardados (sin el secreto)
+         */
+        set(email, input) {
+            const box = requireBox();
+            const { secret, digits, step, algorithm } = parseTotpParams(input);
+            const accounts = read();
+            accounts[email] = { secret: box.encrypt(secret), digits, step, algorithm, createdAt: new Date().toISOString() };
+            write(accounts);
+            return { email, digits, step, algorithm, createdAt: accounts[email].createdAt };
+        },
+
+        /**
+         * @param {string} email - Cuenta
+         * @returns {boolean} - true si existía
+         */
+        remove(email) {
+            const accounts = read();
+            if (!accounts[email]) return false;
+            delete accounts[email];
+            write(accounts);
+            return true;
+        },
+
+        /**
+         * Códigos a probar ahora para una cuenta (ver totpCandidates)
+         * @param {string} email - Cuenta
+         * @param {number} window - Pasos de tolerancia de reloj
+         * @param {number} time - Momento de referencia en ms
+         * @returns {Array<string>}
+         */
+        candidates(email, window = 1, time = Date.now()) {
+            const entry = read()[email];
+            if (!entry) {
+                throw new Error(`No hay secreto TOTP registrado para ${email}`);
+            }
+            const secret = requireBox().decrypt(entry.secret);
+            return totpCandidates(secret, { time, step: entry.step, digits: entry.digits, algorithm: entry.algorithm }, window);
+        }
+    };
+}
+
+/*─────────────────  EXPORTS  ──────────────────*/
+module.exports = {
+    TOTP_DEFAULTS,
+    decodeBase32,
+    generateHotp,
+    generateTotp,
+    totpCandidates,
+    parseTotpParams,
+    createTotpStore
+};